@@ -1,39 +1,120 @@
 import React from 'react';
 import { HashRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { ChecklistProvider } from './contexts/ChecklistContext';
 import Login from './components/Login';
 import ComplianceForm from './components/ComplianceForm';
 import AdminViewer from './components/AdminViewer';
+import AccessDenied from './components/AccessDenied';
+import ChecklistEditor from './components/ChecklistEditor';
+import StorageCleanup from './components/StorageCleanup';
+import RosterImport from './components/RosterImport';
+import LetterTemplateEditor from './components/LetterTemplateEditor';
+import CitationEditor from './components/CitationEditor';
+import { ROLES, ADMIN_PORTAL_ROLES } from './utils/roles';
 import './styles/App.css';
 
 // Protected Route Component
-function ProtectedRoute({ children }) {
-  const { currentUser } = useAuth();
-  return currentUser ? children : <Navigate to="/login" />;
+// requiredRole may be a single role or a list of acceptable roles
+function ProtectedRoute({ requiredRole, children }) {
+  const { currentUser, hasRole } = useAuth();
+
+  if (!currentUser) {
+    return <Navigate to="/login" />;
+  }
+
+  if (!hasRole(requiredRole)) {
+    return <Navigate to="/unauthorized" />;
+  }
+
+  return children;
 }
 
 function App() {
   return (
     <Router>
       <AuthProvider>
-        <div className="App">
-          <Routes>
-            <Route path="/" element={<Navigate to="/login" />} />
-            <Route path="/login" element={<Login />} />
-            <Route
-              path="/form"
-              element={
-                <ProtectedRoute>
-                  <ComplianceForm />
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path="/admin"
-              element={<AdminViewer />}
-            />
-          </Routes>
-        </div>
+        <ChecklistProvider>
+          <div className="App">
+            <Routes>
+              <Route path="/" element={<Navigate to="/login" />} />
+              <Route path="/login" element={<Login />} />
+              <Route path="/unauthorized" element={<AccessDenied />} />
+              <Route
+                path="/form"
+                element={
+                  <ProtectedRoute requiredRole={ROLES.REVIEWER}>
+                    <ComplianceForm />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/form/:id"
+                element={
+                  <ProtectedRoute requiredRole={ROLES.BOARD_ADMIN}>
+                    <ComplianceForm />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/reinspect/:parentId"
+                element={
+                  <ProtectedRoute requiredRole={ROLES.REVIEWER}>
+                    <ComplianceForm />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin"
+                element={
+                  <ProtectedRoute requiredRole={ADMIN_PORTAL_ROLES}>
+                    <AdminViewer />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/checklist"
+                element={
+                  <ProtectedRoute requiredRole={ROLES.BOARD_ADMIN}>
+                    <ChecklistEditor />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/storage"
+                element={
+                  <ProtectedRoute requiredRole={ROLES.BOARD_ADMIN}>
+                    <StorageCleanup />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/letters"
+                element={
+                  <ProtectedRoute requiredRole={ROLES.BOARD_ADMIN}>
+                    <LetterTemplateEditor />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/citations"
+                element={
+                  <ProtectedRoute requiredRole={ROLES.BOARD_ADMIN}>
+                    <CitationEditor />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/admin/properties/import"
+                element={
+                  <ProtectedRoute requiredRole={ROLES.BOARD_ADMIN}>
+                    <RosterImport />
+                  </ProtectedRoute>
+                }
+              />
+            </Routes>
+          </div>
+        </ChecklistProvider>
       </AuthProvider>
     </Router>
   );
@@ -0,0 +1,61 @@
+import React from 'react';
+import { useNavigate, Link, Navigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { ROLES, ROLE_LABELS } from '../utils/roles';
+import '../styles/Login.css';
+
+function AccessDenied() {
+  const { currentUser, userRoles, hasRole, signOut } = useAuth();
+  const navigate = useNavigate();
+
+  if (!currentUser) {
+    return <Navigate to="/login" />;
+  }
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      navigate('/login');
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-container">
+        <div className="login-header">
+          <h1>Sunrise Territory Village</h1>
+          <h2>CCR Compliance Review Checklist</h2>
+        </div>
+
+        <div className="login-box">
+          <h3 className="login-title">⛔ Access Denied</h3>
+          <p className="login-subtitle">
+            {currentUser?.email} does not have permission to view this page.
+          </p>
+
+          <p className="login-subtitle">
+            Your roles: {userRoles.length > 0
+              ? userRoles.map(role => ROLE_LABELS[role] || role).join(', ')
+              : 'none assigned'}
+          </p>
+
+          <button className="auth-btn" onClick={handleSignOut}>Sign Out</button>
+
+          <p className="login-footer">
+            Contact the STVHA Board Administrator if you need additional access.
+          </p>
+
+          {hasRole(ROLES.REVIEWER) && (
+            <div className="admin-link">
+              <Link to="/form">📝 Go to the Compliance Form</Link>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AccessDenied;
@@ -2,10 +2,62 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { db } from '../firebase';
-import { collection, query, orderBy, getDocs, doc, deleteDoc } from 'firebase/firestore';
+import { collection, query, orderBy, getDocs } from 'firebase/firestore';
 import emailjs from '@emailjs/browser';
 import { generateComplianceReport, formatReportAsHTML, formatReportAsText } from '../utils/reportGenerator';
-import { downloadViolationsDocument } from '../utils/documentGenerator';
+import { DOCUMENT_PHOTO_SETTINGS, downloadViolationsDocument } from '../utils/documentGenerator';
+import { downloadReviewPdf, downloadSummaryPdf } from '../utils/pdfGenerator';
+import { downloadViolationLetters, recordLetters } from '../utils/letterGenerator';
+import { loadCitations } from '../utils/ccrCitations';
+import {
+  LETTER_STAGE_LABELS,
+  LETTER_STAGE_ORDER,
+  letterContextForCases,
+  loadLetterTemplates
+} from '../utils/letterTemplates';
+import { ROLES, ROLE_LABELS } from '../utils/roles';
+import {
+  getChecklistForReview,
+  getChecklistItems,
+  findItemLabel,
+  formatRating,
+  RATINGS
+} from '../utils/checklistSchema';
+import { getItemNote } from '../utils/itemNotes';
+import { getThumbnailUrl } from '../utils/photoUpload';
+import { findReviewProperty, groupReviewsByProperty, latestReview } from '../utils/propertyRegistry';
+import { countViolations, orderReviews } from '../utils/reviewComparison';
+import {
+  CASE_STATE_LABELS,
+  CASE_STATE_ORDER,
+  OPEN_CASE_STATES,
+  casesForReview,
+  matchesCaseStateFilter,
+  propertyKeyFor
+} from '../utils/violationCases';
+import { DUE_BUCKET_LABELS, buildDueIndex, collectDeadlines, collectReinspectionsDue } from '../utils/deadlineTracker';
+import { claimReinspection, releaseReinspection } from '../utils/reinspection';
+import useProperties from '../hooks/useProperties';
+import useViolationCases from '../hooks/useViolationCases';
+import PropertyForm from './PropertyForm';
+import ReviewComparison from './ReviewComparison';
+import ViolationCases from './ViolationCases';
+import DeadlineTracker from './DeadlineTracker';
+import {
+  geocodeAddress,
+  getPhotoWarnings,
+  hasLocation,
+  distanceMeters,
+  formatDistance,
+  mapLinkFor
+} from '../utils/photoMetadata';
+import {
+  loadRevisions,
+  restoreRevision,
+  trashReview,
+  untrashReview,
+  purgeReview
+} from '../utils/reviewStore';
 import '../styles/AdminViewer.css';
 
 // EmailJS configuration
@@ -13,14 +65,21 @@ const EMAILJS_PUBLIC_KEY = process.env.REACT_APP_EMAILJS_PUBLIC_KEY || "YOUR_EMA
 const EMAILJS_SERVICE_ID = process.env.REACT_APP_EMAILJS_SERVICE_ID || "YOUR_EMAILJS_SERVICE_ID";
 const EMAILJS_TEMPLATE_ID = process.env.REACT_APP_EMAILJS_TEMPLATE_ID || "YOUR_EMAILJS_TEMPLATE_ID";
 
+// Choices for how many photos the Word document embeds per property
+const DOCUMENT_PHOTO_LIMITS = [...new Set([0, 3, 6, 12, DOCUMENT_PHOTO_SETTINGS.perProperty])].sort((a, b) => a - b);
+
 if (EMAILJS_PUBLIC_KEY !== "YOUR_EMAILJS_PUBLIC_KEY") {
   emailjs.init(EMAILJS_PUBLIC_KEY);
 }
 
 function AdminViewer() {
-  const { currentUser, signOut } = useAuth();
+  const { currentUser, userRoles, hasRole, signOut } = useAuth();
   const navigate = useNavigate();
 
+  // Permissions - auditors get a read-only view
+  const canManageReviews = hasRole(ROLES.BOARD_ADMIN);
+  const canUseForm = hasRole(ROLES.REVIEWER);
+
   // State
   const [allReviews, setAllReviews] = useState([]);
   const [filteredReviews, setFilteredReviews] = useState([]);
@@ -33,21 +92,55 @@ function AdminViewer() {
     team: '',
     dateFrom: '',
     dateTo: '',
-    status: '',
-    hasImages: ''
+    // A case state, 'open' for any unresolved case or 'none' for reviews without cases
+    caseState: '',
+    hasImages: '',
+    view: 'active',
+    // 'reviews' lists every review; 'property' groups them by property;
+    // 'cases' lists the violation cases instead of reviews
+    layout: 'reviews'
   });
 
+  // Property registry, for grouping and for lot and owner details
+  const { properties, saveProperty } = useProperties(currentUser);
+  const [editingPropertyId, setEditingPropertyId] = useState(null);
+
+  // Violation cases, which carry the enforcement state of each violation
+  const { cases, error: casesError, moveCase, syncReviews } = useViolationCases(currentUser);
+  const [syncProgress, setSyncProgress] = useState(null);
+
   // Modal state
   const [selectedReview, setSelectedReview] = useState(null);
   const [showModal, setShowModal] = useState(false);
 
+  // Revision history state (for the review open in the modal)
+  const [revisions, setRevisions] = useState([]);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [historyError, setHistoryError] = useState('');
+  const [restoringRevisionId, setRestoringRevisionId] = useState(null);
+
+  // Two reviews of the selected property shown side by side: { earlier, later }
+  const [comparing, setComparing] = useState(null);
+
   // Lightbox state
   const [lightboxImages, setLightboxImages] = useState([]);
   const [lightboxIndex, setLightboxIndex] = useState(0);
   const [showLightbox, setShowLightbox] = useState(false);
+  // Review the lightbox photos belong to, for their EXIF details
+  const [lightboxReview, setLightboxReview] = useState(null);
+  // Annotated photos open marked up; this switches to the untouched original
+  const [showOriginal, setShowOriginal] = useState(false);
 
   // Report generation state
   const [generatingReport, setGeneratingReport] = useState(false);
+  const [documentPhotoLimit, setDocumentPhotoLimit] = useState(String(DOCUMENT_PHOTO_SETTINGS.perProperty));
+  // { format, done, total } while the Word document or PDF is generated
+  const [documentProgress, setDocumentProgress] = useState(null);
+  const [downloadingReviewPdf, setDownloadingReviewPdf] = useState(false);
+  const [generatingLetters, setGeneratingLetters] = useState(false);
+  const [letterNotice, setLetterNotice] = useState('');
+  // 'auto' picks each property's template from its enforcement stage
+  const [letterStage, setLetterStage] = useState('auto');
   const [reportSuccess, setReportSuccess] = useState(false);
   const [reportError, setReportError] = useState('');
 
@@ -58,7 +151,13 @@ function AdminViewer() {
   // Delete confirmation state
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [reviewToDelete, setReviewToDelete] = useState(null);
+  const [deleteMode, setDeleteMode] = useState('trash'); // 'trash' or 'purge'
   const [deleting, setDeleting] = useState(false);
+  const [untrashingId, setUntrashingId] = useState(null);
+
+  // Deleted reviews stay in Firestore until purged and only show in the Trash view
+  const activeReviews = allReviews.filter(r => !r.deleted);
+  const trashedReviews = allReviews.filter(r => r.deleted);
 
   // Load reviews on mount
   useEffect(() => {
@@ -68,7 +167,7 @@ function AdminViewer() {
   // Apply filters when they change
   useEffect(() => {
     applyFilters();
-  }, [filters, allReviews]);
+  }, [filters, allReviews, properties, cases]);
 
   // Keyboard navigation for lightbox
   useEffect(() => {
@@ -110,12 +209,16 @@ function AdminViewer() {
   };
 
   const applyFilters = () => {
-    let filtered = [...allReviews];
+    let filtered = filters.view === 'trash' ? [...trashedReviews] : [...activeReviews];
 
     if (filters.address) {
-      filtered = filtered.filter(r =>
-        r.propertyAddress?.toLowerCase().includes(filters.address.toLowerCase())
-      );
+      const search = filters.address.toLowerCase();
+      filtered = filtered.filter(r => {
+        const property = findReviewProperty(r, properties);
+        return r.propertyAddress?.toLowerCase().includes(search) ||
+          property?.lotNumber?.toLowerCase() === search ||
+          property?.ownerName?.toLowerCase().includes(search);
+      });
     }
 
     if (filters.team) {
@@ -136,8 +239,11 @@ function AdminViewer() {
       );
     }
 
-    if (filters.status) {
-      filtered = filtered.filter(r => r.complianceStatus === filters.status);
+    if (filters.caseState) {
+      filtered = filtered.filter(r => {
+        const states = casesForReview(cases, r.id).map(c => c.state);
+        return matchesCaseStateFilter(states, filters.caseState);
+      });
     }
 
     if (filters.hasImages === 'yes') {
@@ -160,16 +266,57 @@ function AdminViewer() {
   const openModal = (review) => {
     setSelectedReview(review);
     setShowModal(true);
+    loadHistory(review.id);
   };
 
   const closeModal = () => {
     setShowModal(false);
     setSelectedReview(null);
+    setComparing(null);
+    setRevisions([]);
+    setHistoryError('');
+  };
+
+  const loadHistory = async (reviewId) => {
+    setLoadingHistory(true);
+    setHistoryError('');
+
+    try {
+      setRevisions(await loadRevisions(reviewId));
+    } catch (error) {
+      console.error('Error loading revision history:', error);
+      setHistoryError('Error loading history: ' + error.message);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  const handleRestoreRevision = async (revision) => {
+    if (!canManageReviews || !selectedReview) return;
+
+    setRestoringRevisionId(revision.id);
+    setHistoryError('');
+
+    try {
+      const restored = await restoreRevision(selectedReview.id, revision, currentUser.email);
+      const updatedReview = { id: selectedReview.id, ...restored };
+
+      setAllReviews(prev => prev.map(r => (r.id === updatedReview.id ? updatedReview : r)));
+      setSelectedReview(updatedReview);
+      await loadHistory(updatedReview.id);
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      setHistoryError('Error restoring version: ' + error.message);
+    } finally {
+      setRestoringRevisionId(null);
+    }
   };
 
-  const openLightbox = (images, index) => {
+  const openLightbox = (images, index, review = null) => {
     setLightboxImages(images);
+    setLightboxReview(review);
     setLightboxIndex(index);
+    setShowOriginal(false);
     setShowLightbox(true);
   };
 
@@ -179,12 +326,17 @@ function AdminViewer() {
 
   const nextImage = () => {
     setLightboxIndex((prev) => (prev + 1) % lightboxImages.length);
+    setShowOriginal(false);
   };
 
   const prevImage = () => {
     setLightboxIndex((prev) => (prev - 1 + lightboxImages.length) % lightboxImages.length);
+    setShowOriginal(false);
   };
 
+  const lightboxRecord = lightboxReview &&
+    (lightboxReview.imageRecords || []).find(r => r.url === lightboxImages[lightboxIndex]);
+
   const handleSignOut = async () => {
     try {
       await signOut();
@@ -194,17 +346,24 @@ function AdminViewer() {
     }
   };
 
-  const handleViewSummary = () => {
-    const reportData = generateComplianceReport(allReviews);
-    setSummaryData(reportData);
-    setShowSummary(true);
+  const handleViewSummary = async () => {
+    try {
+      const citations = await loadCitations();
+      setSummaryData(generateComplianceReport(activeReviews, properties, citations));
+      setShowSummary(true);
+    } catch (error) {
+      console.error('Error loading CCR citations:', error);
+      setReportError('Error loading CCR citations: ' + error.message);
+      setTimeout(() => setReportError(''), 5000);
+    }
   };
 
   const handleCloseSummary = () => {
     setShowSummary(false);
+    setLetterNotice('');
   };
 
-  const handleDownloadDocument = async () => {
+  const handleDownloadDocument = async (format) => {
     if (summaryData.length === 0) {
       setReportError('No violations data to generate document');
       setTimeout(() => setReportError(''), 5000);
@@ -214,8 +373,13 @@ function AdminViewer() {
     try {
       setGeneratingReport(true);
       setReportError('');
+      setDocumentProgress({ format, done: 0, total: 0 });
 
-      await downloadViolationsDocument(summaryData);
+      const download = format === 'pdf' ? downloadSummaryPdf : downloadViolationsDocument;
+      await download(summaryData, {
+        photosPerProperty: documentPhotoLimit === 'all' ? Infinity : Number(documentPhotoLimit),
+        onProgress: (done, total) => setDocumentProgress({ format, done, total })
+      });
 
       setReportSuccess(true);
       setTimeout(() => setReportSuccess(false), 5000);
@@ -225,12 +389,82 @@ function AdminViewer() {
       setTimeout(() => setReportError(''), 5000);
     } finally {
       setGeneratingReport(false);
+      setDocumentProgress(null);
+    }
+  };
+
+  const documentProgressLabel = (icon) => (documentProgress.total > 0
+    ? `${icon} Embedding photos ${documentProgress.done}/${documentProgress.total}...`
+    : `${icon} Generating...`);
+
+  const handleDownloadReviewPdf = async () => {
+    setDownloadingReviewPdf(true);
+    try {
+      await downloadReviewPdf(selectedReview, {
+        property: selectedProperty,
+        cases: selectedPropertyCases,
+        parentReview: reviewById(selectedReview.parentReviewId)
+      });
+    } catch (error) {
+      console.error('Error generating review PDF:', error);
+      setReportError('Error generating PDF: ' + error.message);
+      setTimeout(() => setReportError(''), 5000);
+    } finally {
+      setDownloadingReviewPdf(false);
     }
   };
 
-  const handleDeleteClick = (e, review) => {
+  // Enforcement stage and case dates for a summary entry's letter
+  const letterContextFor = (property) => {
+    const review = reviewById(property.reviewId);
+    const context = letterContextForCases(
+      review ? cases.filter(c => c.propertyKey === propertyKeyFor(review)) : []
+    );
+    return letterStage === 'auto' ? context : { ...context, stage: letterStage };
+  };
+
+  const handleDownloadLetters = async (format) => {
+    try {
+      setGeneratingLetters(true);
+      setLetterNotice('');
+      setReportError('');
+
+      const templates = await loadLetterTemplates();
+      const letters = await downloadViolationLetters(summaryData, (property) => {
+        const context = letterContextFor(property);
+        return { ...context, template: templates[context.stage] };
+      }, format);
+
+      const records = await recordLetters(letters, format, currentUser.email);
+      setAllReviews(prev => prev.map(r => (
+        records[r.id] ? { ...r, letters: [...(r.letters || []), records[r.id]] } : r
+      )));
+
+      // Letters still go out with fallbacks, but the board should fix the registry
+      const byStage = LETTER_STAGE_ORDER
+        .map(stage => [stage, letters.filter(letter => letter.stage === stage).length])
+        .filter(([, count]) => count > 0)
+        .map(([stage, count]) => `${count} ${LETTER_STAGE_LABELS[stage]}`)
+        .join(', ');
+      const incomplete = letters.filter(letter => letter.missing.length > 0);
+      setLetterNotice(`${letters.length} letters generated and recorded (${byStage}).` + (incomplete.length === 0
+        ? ''
+        : ' Missing from the registry, review or case: ' +
+          incomplete.map(letter => `${letter.property.address} (${letter.missing.join(', ')})`).join('; ')));
+    } catch (error) {
+      console.error('Error generating letters:', error);
+      setReportError('Error generating letters: ' + error.message);
+      setTimeout(() => setReportError(''), 5000);
+    } finally {
+      setGeneratingLetters(false);
+    }
+  };
+
+  const handleDeleteClick = (e, review, mode = 'trash') => {
     e.stopPropagation();
+    if (!canManageReviews) return;
     setReviewToDelete(review);
+    setDeleteMode(mode);
     setShowDeleteConfirm(true);
   };
 
@@ -242,12 +476,24 @@ function AdminViewer() {
   const handleConfirmDelete = async () => {
     if (!reviewToDelete) return;
 
+    if (!canManageReviews) {
+      setReportError('You do not have permission to delete reviews.');
+      setTimeout(() => setReportError(''), 5000);
+      handleCancelDelete();
+      return;
+    }
+
     setDeleting(true);
     try {
-      await deleteDoc(doc(db, 'complianceReviews', reviewToDelete.id));
-
-      // Update local state
-      setAllReviews(prev => prev.filter(r => r.id !== reviewToDelete.id));
+      if (deleteMode === 'purge') {
+        await purgeReview(reviewToDelete);
+        setAllReviews(prev => prev.filter(r => r.id !== reviewToDelete.id));
+      } else {
+        const fields = await trashReview(reviewToDelete.id, currentUser.email);
+        setAllReviews(prev => prev.map(r =>
+          r.id === reviewToDelete.id ? { ...r, ...fields } : r
+        ));
+      }
 
       // Close any open modals
       setShowModal(false);
@@ -267,6 +513,26 @@ function AdminViewer() {
     }
   };
 
+  const handleRestoreFromTrash = async (e, review) => {
+    e.stopPropagation();
+    if (!canManageReviews) return;
+
+    setUntrashingId(review.id);
+    try {
+      const fields = await untrashReview(review.id, currentUser.email);
+      setAllReviews(prev => prev.map(r => (r.id === review.id ? { ...r, ...fields } : r)));
+
+      setShowModal(false);
+      setSelectedReview(null);
+    } catch (error) {
+      console.error('Error restoring review:', error);
+      setReportError('Error restoring review: ' + error.message);
+      setTimeout(() => setReportError(''), 5000);
+    } finally {
+      setUntrashingId(null);
+    }
+  };
+
   const handleGenerateReport = async () => {
     if (EMAILJS_PUBLIC_KEY === "YOUR_EMAILJS_PUBLIC_KEY") {
       setReportError('EmailJS is not configured. Please add your EmailJS credentials to .env file.');
@@ -280,7 +546,7 @@ function AdminViewer() {
 
     try {
       // Generate the report data
-      const reportData = generateComplianceReport(allReviews);
+      const reportData = generateComplianceReport(activeReviews, properties, await loadCitations());
 
       if (reportData.length === 0) {
         setReportError('No properties with violations found to report.');
@@ -319,10 +585,11 @@ function AdminViewer() {
   };
 
   // Statistics
-  const totalReviews = allReviews.length;
-  const reviewsWithImages = allReviews.filter(r => r.images && r.images.length > 0).length;
-  const totalImages = allReviews.reduce((sum, r) => sum + (r.imageCount || 0), 0);
+  const totalReviews = activeReviews.length;
+  const reviewsWithImages = activeReviews.filter(r => r.images && r.images.length > 0).length;
+  const totalImages = activeReviews.reduce((sum, r) => sum + (r.imageCount || 0), 0);
   const showingCount = filteredReviews.length;
+  const isTrashView = filters.view === 'trash';
 
   const formatStatus = (status) => {
     if (!status) return 'N/A';
@@ -333,6 +600,267 @@ function AdminViewer() {
     return new Date(dateString).toLocaleDateString();
   };
 
+  const handleSaveProperty = async (propertyId, fields) => {
+    await saveProperty(propertyId, fields);
+    setEditingPropertyId(null);
+  };
+
+  const selectedProperty = selectedReview ? findReviewProperty(selectedReview, properties) : null;
+  const selectedPropertyCases = selectedReview
+    ? cases.filter(c => c.propertyKey === propertyKeyFor(selectedReview))
+    : [];
+
+  const openReviewById = (id) => {
+    const review = reviewById(id);
+    if (review) openModal(review);
+  };
+
+  // Cases shown in the Violation Cases layout, narrowed by the search and case state filters
+  const filteredCases = cases.filter(c => {
+    if (filters.caseState && !matchesCaseStateFilter([c.state], filters.caseState)) return false;
+    if (!filters.address) return true;
+    const search = filters.address.toLowerCase();
+    const property = properties.find(p => p.id === c.propertyId);
+    return c.propertyAddress?.toLowerCase().includes(search) ||
+      property?.lotNumber?.toLowerCase() === search ||
+      property?.ownerName?.toLowerCase().includes(search);
+  });
+  const openCaseCount = cases.filter(c => OPEN_CASE_STATES.includes(c.state)).length;
+
+  const handleSyncCases = async () => {
+    if (!window.confirm('Open and resolve violation cases from every active review? Reviews already applied are skipped.')) {
+      return;
+    }
+    try {
+      const written = await syncReviews(activeReviews, (done, total) => setSyncProgress({ done, total }));
+      window.alert(`Violation cases are up to date (${written} case${written === 1 ? '' : 's'} changed).`);
+    } catch (error) {
+      console.error('Error syncing violation cases:', error);
+      window.alert('Error syncing violation cases: ' + error.message);
+    } finally {
+      setSyncProgress(null);
+    }
+  };
+
+  // Deadlines and re-inspections due, for the tracker panel and the card badges
+  const deadlines = collectDeadlines(activeReviews, cases);
+  const reinspectionsDue = collectReinspectionsDue(activeReviews);
+  const dueIndex = buildDueIndex(deadlines, reinspectionsDue);
+
+  // Apply the changes updateReview recorded to the loaded copy of a review
+  const applyReviewChanges = (reviewId, changes) => {
+    setAllReviews(prev => prev.map(r => {
+      if (r.id !== reviewId) return r;
+      const updated = { ...r };
+      changes.forEach(({ field, to }) => {
+        updated[field] = to;
+      });
+      return updated;
+    }));
+  };
+
+  const handleClaimReinspection = async (reviewId) => {
+    applyReviewChanges(reviewId, await claimReinspection(reviewId, currentUser.email));
+  };
+
+  const handleReleaseReinspection = async (reviewId) => {
+    applyReviewChanges(reviewId, await releaseReinspection(reviewId, currentUser.email));
+  };
+
+  // Badges for the states of a set of cases, one per state with its count
+  const renderCaseBadges = (caseList) => CASE_STATE_ORDER
+    .map(state => [state, caseList.filter(c => c.state === state).length])
+    .filter(([, count]) => count > 0)
+    .map(([state, count]) => (
+      <span key={state} className={`case-state-badge case-state-${state}`}>
+        {CASE_STATE_LABELS[state]}{count > 1 ? ` ×${count}` : ''}
+      </span>
+    ));
+
+  // Reviewers can follow up on any active review that found violations
+  const canReinspect = (review) => canUseForm && !review.deleted && countViolations(review) > 0;
+  const reviewById = (id) => allReviews.find(r => r.id === id);
+
+  // Every review of the selected review's property, newest first; a trashed
+  // review is shown with the active ones so its timeline still makes sense
+  const propertyReviews = selectedReview
+    ? groupReviewsByProperty(
+      allReviews.filter(r => !r.deleted || r.id === selectedReview.id),
+      properties
+    ).find(group => group.reviews.some(r => r.id === selectedReview.id)).reviews
+    : [];
+
+  const renderReviewCard = (review) => {
+    const due = review.deleted ? null : dueIndex[review.id];
+
+    return (
+      <div
+        key={review.id}
+        className={`review-card${due ? ` due-${due.bucket}` : ''}`}
+        onClick={() => openModal(review)}
+      >
+        <div className="review-header">
+          <div className="review-address">{review.propertyAddress || 'No address'}</div>
+          <div className="review-meta">
+            <span>📅 {formatDate(review.date)}</span>
+            <span>📷 {review.imageCount || 0} photos</span>
+          </div>
+          {due && (
+            <div className="due-badges">
+              {due.deadline && (
+                <span className={`due-badge due-${due.deadline}`}>
+                  ⏰ Deadline {DUE_BUCKET_LABELS[due.deadline].toLowerCase()}
+                </span>
+              )}
+              {due.reinspection && (
+                <span className={`due-badge due-${due.reinspection}`}>
+                  🔁 Re-inspection {DUE_BUCKET_LABELS[due.reinspection].toLowerCase()}
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+
+        {review.images && review.images.length > 0 && (
+          <div className="review-images">
+            {review.images.slice(0, 4).map((url, idx) => (
+              <div
+                key={idx}
+                className="review-image-thumb"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  openLightbox(review.images, idx, review);
+                }}
+              >
+                <img src={getThumbnailUrl(review, url)} alt={`Property ${idx + 1}`} loading="lazy" />
+                {idx === 3 && review.images.length > 4 && (
+                  <div className="image-count-badge">+{review.images.length - 4}</div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="review-info">
+          <div className="info-row">
+            <span className="info-label">Review Team</span>
+            <span className="info-value">{review.reviewTeam || 'N/A'}</span>
+          </div>
+          <div className="info-row">
+            <span className="info-label">Submitted</span>
+            <span className="info-value">
+              {formatDate(review.submittedAt)} by {review.submittedBy || 'Unknown'}
+            </span>
+          </div>
+          {review.complianceStatus && (
+            <div className="info-row">
+              <span className="info-label">Status</span>
+              <span className={`status-badge status-${review.complianceStatus}`}>
+                {formatStatus(review.complianceStatus)}
+              </span>
+            </div>
+          )}
+          {casesForReview(cases, review.id).length > 0 && (
+            <div className="info-row">
+              <span className="info-label">Cases</span>
+              <span className="case-counts">{renderCaseBadges(casesForReview(cases, review.id))}</span>
+            </div>
+          )}
+          {review.deleted && (
+            <div className="info-row">
+              <span className="info-label">Deleted</span>
+              <span className="info-value">
+                {formatDate(review.deletedAt)} by {review.deletedBy || 'Unknown'}
+              </span>
+            </div>
+          )}
+        </div>
+        {canManageReviews && !review.deleted && (
+          <button
+            className="delete-card-btn"
+            onClick={(e) => handleDeleteClick(e, review)}
+            title="Move this review to the trash"
+          >
+            🗑️ Delete
+          </button>
+        )}
+        {canManageReviews && review.deleted && (
+          <div className="trash-card-actions">
+            <button
+              className="restore-card-btn"
+              onClick={(e) => handleRestoreFromTrash(e, review)}
+              disabled={untrashingId === review.id}
+              title="Restore this review"
+            >
+              {untrashingId === review.id ? 'Restoring...' : '♻️ Restore'}
+            </button>
+            <button
+              className="delete-card-btn"
+              onClick={(e) => handleDeleteClick(e, review, 'purge')}
+              title="Permanently delete this review and its photos"
+            >
+              🔥 Purge Permanently
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderPropertyGroup = (group) => {
+    const latest = latestReview(group.reviews);
+    const { property } = group;
+
+    return (
+      <div key={group.key} className="property-group">
+        <div className="property-group-header">
+          <div>
+            <h2 className="property-group-address">{group.address}</h2>
+            <div className="property-group-meta">
+              {property ? (
+                <>
+                  {property.lotNumber && <span>Lot {property.lotNumber}</span>}
+                  {property.ownerName && <span>👤 {property.ownerName}</span>}
+                  {property.mailingAddress && <span>✉️ {property.mailingAddress}</span>}
+                  {property.ownerEmail && <span>📧 {property.ownerEmail}</span>}
+                </>
+              ) : (
+                <span className="property-unregistered">Not in the property registry</span>
+              )}
+            </div>
+          </div>
+          <div className="property-group-summary">
+            <span>{group.reviews.length} review{group.reviews.length > 1 ? 's' : ''}</span>
+            <span>Latest {formatDate(latest.date)}</span>
+            {renderCaseBadges(cases.filter(c => c.propertyKey === propertyKeyFor(latest)))}
+            {canReinspect(latest) && (
+              <button className="property-edit-btn" onClick={() => navigate(`/reinspect/${latest.id}`)}>
+                🔁 Re-inspect
+              </button>
+            )}
+            {canManageReviews && property && editingPropertyId !== property.id && (
+              <button className="property-edit-btn" onClick={() => setEditingPropertyId(property.id)}>
+                ✎ Edit Property
+              </button>
+            )}
+          </div>
+        </div>
+
+        {property && editingPropertyId === property.id && (
+          <PropertyForm
+            initial={property}
+            onSave={(fields) => handleSaveProperty(property.id, fields)}
+            onCancel={() => setEditingPropertyId(null)}
+          />
+        )}
+
+        <div className="reviews-grid">
+          {group.reviews.map(renderReviewCard)}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="admin-page">
       <div className="admin-container">
@@ -342,8 +870,29 @@ function AdminViewer() {
             <p>View and manage property inspection submissions</p>
           </div>
           <div className="user-section">
-            <button className="back-btn" onClick={() => navigate('/form')}>← Back to Form</button>
+            {canUseForm && (
+              <button className="back-btn" onClick={() => navigate('/form')}>← Back to Form</button>
+            )}
+            {canManageReviews && (
+              <button className="back-btn" onClick={() => navigate('/admin/checklist')}>🧩 Checklist Templates</button>
+            )}
+            {canManageReviews && (
+              <button className="back-btn" onClick={() => navigate('/admin/storage')}>🧹 Photo Storage</button>
+            )}
+            {canManageReviews && (
+              <button className="back-btn" onClick={() => navigate('/admin/properties/import')}>🏘️ Import Roster</button>
+            )}
+            {canManageReviews && (
+              <button className="back-btn" onClick={() => navigate('/admin/letters')}>✉️ Letter Templates</button>
+            )}
+            {canManageReviews && (
+              <button className="back-btn" onClick={() => navigate('/admin/citations')}>📜 CCR Citations</button>
+            )}
             <div className="user-email">{currentUser?.email}</div>
+            <div className="user-roles">
+              {userRoles.map(role => ROLE_LABELS[role] || role).join(', ')}
+              {!canManageReviews && ' (read-only)'}
+            </div>
             <button className="signout-btn" onClick={handleSignOut}>Sign Out</button>
           </div>
         </div>
@@ -352,14 +901,14 @@ function AdminViewer() {
         <div className="filters">
           <div className="filters-grid">
             <div className="filter-group">
-              <label className="filter-label">Search Address</label>
+              <label className="filter-label">Search Property</label>
               <input
                 type="text"
                 name="address"
                 value={filters.address}
                 onChange={handleFilterChange}
                 className="filter-input"
-                placeholder="Enter property address..."
+                placeholder="Address, lot number or owner..."
               />
             </div>
 
@@ -398,17 +947,19 @@ function AdminViewer() {
             </div>
 
             <div className="filter-group">
-              <label className="filter-label">Compliance Status</label>
+              <label className="filter-label">Case State</label>
               <select
-                name="status"
-                value={filters.status}
+                name="caseState"
+                value={filters.caseState}
                 onChange={handleFilterChange}
                 className="filter-select"
               >
-                <option value="">All Statuses</option>
-                <option value="resolved">Resolved</option>
-                <option value="in-progress">In Progress</option>
-                <option value="further-action">Further Action Required</option>
+                <option value="">All</option>
+                <option value="open">Any Open Case</option>
+                {CASE_STATE_ORDER.map(state => (
+                  <option key={state} value={state}>{CASE_STATE_LABELS[state]}</option>
+                ))}
+                <option value="none">No Cases</option>
               </select>
             </div>
 
@@ -425,6 +976,33 @@ function AdminViewer() {
                 <option value="no">No Images</option>
               </select>
             </div>
+
+            <div className="filter-group">
+              <label className="filter-label">Show</label>
+              <select
+                name="view"
+                value={filters.view}
+                onChange={handleFilterChange}
+                className="filter-select"
+              >
+                <option value="active">Active Reviews</option>
+                <option value="trash">🗑️ Trash ({trashedReviews.length})</option>
+              </select>
+            </div>
+
+            <div className="filter-group">
+              <label className="filter-label">Layout</label>
+              <select
+                name="layout"
+                value={filters.layout}
+                onChange={handleFilterChange}
+                className="filter-select"
+              >
+                <option value="reviews">Every Review</option>
+                <option value="property">Group by Property</option>
+                <option value="cases">⚖️ Violation Cases</option>
+              </select>
+            </div>
           </div>
 
           {/* Statistics Bar */}
@@ -441,6 +1019,14 @@ function AdminViewer() {
               <span className="stat-label">Total Images</span>
               <span className="stat-value">{totalImages}</span>
             </div>
+            <div className="stat-item">
+              <span className="stat-label">Open Cases</span>
+              <span className="stat-value">{openCaseCount}</span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-label">In Trash</span>
+              <span className="stat-value">{trashedReviews.length}</span>
+            </div>
             <div className="stat-item">
               <span className="stat-label">Showing</span>
               <span className="stat-value">{showingCount}</span>
@@ -448,6 +1034,22 @@ function AdminViewer() {
           </div>
         </div>
 
+        {/* Deadlines and re-inspections due */}
+        {!loading && !isTrashView && (
+          <DeadlineTracker
+            deadlines={deadlines}
+            reinspections={reinspectionsDue}
+            currentEmail={currentUser?.email}
+            canClaim={canUseForm}
+            canReleaseAny={canManageReviews}
+            canStart={canReinspect}
+            onOpenReview={openReviewById}
+            onClaim={handleClaimReinspection}
+            onRelease={handleReleaseReinspection}
+            onStart={(reviewId) => navigate(`/reinspect/${reviewId}`)}
+          />
+        )}
+
         {/* Report Generation Section */}
         <div className="report-section">
           <div className="report-buttons">
@@ -496,77 +1098,56 @@ function AdminViewer() {
           <div className="error-message">{error}</div>
         )}
 
+        {casesError && (
+          <div className="error-message">{casesError}</div>
+        )}
+
         {/* No Results */}
-        {!loading && filteredReviews.length === 0 && (
+        {!loading && filteredReviews.length === 0 && filters.layout !== 'cases' && (
           <div className="no-results">
             <div className="no-results-icon">📋</div>
-            <h3>No reviews found</h3>
-            <p>Try adjusting your filters or check back later</p>
+            <h3>{isTrashView ? 'Trash is empty' : 'No reviews found'}</h3>
+            <p>{isTrashView ? 'Deleted reviews will appear here' : 'Try adjusting your filters or check back later'}</p>
           </div>
         )}
 
         {/* Reviews Grid */}
-        {!loading && filteredReviews.length > 0 && (
+        {!loading && filteredReviews.length > 0 && filters.layout === 'reviews' && (
           <div className="reviews-grid">
-            {filteredReviews.map(review => (
-              <div key={review.id} className="review-card" onClick={() => openModal(review)}>
-                <div className="review-header">
-                  <div className="review-address">{review.propertyAddress || 'No address'}</div>
-                  <div className="review-meta">
-                    <span>📅 {formatDate(review.date)}</span>
-                    <span>📷 {review.imageCount || 0} photos</span>
-                  </div>
-                </div>
+            {filteredReviews.map(renderReviewCard)}
+          </div>
+        )}
 
-                {review.images && review.images.length > 0 && (
-                  <div className="review-images">
-                    {review.images.slice(0, 4).map((url, idx) => (
-                      <div
-                        key={idx}
-                        className="review-image-thumb"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          openLightbox(review.images, idx);
-                        }}
-                      >
-                        <img src={url} alt={`Property ${idx + 1}`} />
-                        {idx === 3 && review.images.length > 4 && (
-                          <div className="image-count-badge">+{review.images.length - 4}</div>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                )}
+        {/* Reviews grouped by property */}
+        {!loading && filteredReviews.length > 0 && filters.layout === 'property' && (
+          <div className="property-groups">
+            {groupReviewsByProperty(filteredReviews, properties).map(renderPropertyGroup)}
+          </div>
+        )}
 
-                <div className="review-info">
-                  <div className="info-row">
-                    <span className="info-label">Review Team</span>
-                    <span className="info-value">{review.reviewTeam || 'N/A'}</span>
-                  </div>
-                  <div className="info-row">
-                    <span className="info-label">Submitted</span>
-                    <span className="info-value">
-                      {formatDate(review.submittedAt)} by {review.submittedBy || 'Unknown'}
-                    </span>
-                  </div>
-                  {review.complianceStatus && (
-                    <div className="info-row">
-                      <span className="info-label">Status</span>
-                      <span className={`status-badge status-${review.complianceStatus}`}>
-                        {formatStatus(review.complianceStatus)}
-                      </span>
-                    </div>
-                  )}
-                </div>
-                <button
-                  className="delete-card-btn"
-                  onClick={(e) => handleDeleteClick(e, review)}
-                  title="Delete this review"
-                >
-                  🗑️ Delete
+        {/* Violation cases */}
+        {!loading && filters.layout === 'cases' && (
+          <div className="cases-layout">
+            <div className="case-toolbar">
+              <span className="case-counts">
+                {filteredCases.length} case{filteredCases.length === 1 ? '' : 's'}
+                {renderCaseBadges(filteredCases)}
+              </span>
+              {canManageReviews && (
+                <button className="property-edit-btn" onClick={handleSyncCases} disabled={!!syncProgress}>
+                  {syncProgress
+                    ? `Syncing ${syncProgress.done}/${syncProgress.total}...`
+                    : '🔄 Sync Cases from Reviews'}
                 </button>
-              </div>
-            ))}
+              )}
+            </div>
+            <ViolationCases
+              cases={filteredCases}
+              hasRole={hasRole}
+              onMove={moveCase}
+              onOpenReview={openReviewById}
+              emptyText="No violation cases match the filters."
+            />
           </div>
         )}
 
@@ -581,13 +1162,67 @@ function AdminViewer() {
                 <p className="modal-subtitle">
                   Reviewed by {selectedReview.reviewTeam || 'Unknown'} on {formatDate(selectedReview.date)}
                 </p>
-                <button
-                  className="delete-modal-btn"
-                  onClick={(e) => handleDeleteClick(e, selectedReview)}
-                  title="Delete this review"
-                >
-                  🗑️ Delete Review
-                </button>
+                {selectedReview.deleted && (
+                  <div className="trash-banner">
+                    🗑️ In Trash - deleted {formatDate(selectedReview.deletedAt)} by {selectedReview.deletedBy || 'Unknown'}
+                  </div>
+                )}
+                {canManageReviews && selectedReview.deleted && (
+                  <div className="modal-actions">
+                    <button
+                      className="edit-modal-btn"
+                      onClick={(e) => handleRestoreFromTrash(e, selectedReview)}
+                      disabled={untrashingId === selectedReview.id}
+                    >
+                      ♻️ Restore Review
+                    </button>
+                    <button
+                      className="delete-modal-btn"
+                      onClick={(e) => handleDeleteClick(e, selectedReview, 'purge')}
+                    >
+                      🔥 Purge Permanently
+                    </button>
+                  </div>
+                )}
+                {!selectedReview.deleted && (
+                  <div className="modal-actions">
+                    <button
+                      className="edit-modal-btn"
+                      onClick={handleDownloadReviewPdf}
+                      disabled={downloadingReviewPdf}
+                      title="Download this review as a PDF"
+                    >
+                      {downloadingReviewPdf ? '📕 Generating...' : '📕 Download PDF'}
+                    </button>
+                    {canReinspect(selectedReview) && (
+                      <button
+                        className="edit-modal-btn"
+                        onClick={() => navigate(`/reinspect/${selectedReview.id}`)}
+                        title="Re-inspect the items this review found in violation"
+                      >
+                        🔁 Re-inspect
+                      </button>
+                    )}
+                    {canManageReviews && (
+                      <button
+                        className="edit-modal-btn"
+                        onClick={() => navigate(`/form/${selectedReview.id}`)}
+                        title="Edit this review"
+                      >
+                        ✏️ Edit Review
+                      </button>
+                    )}
+                    {canManageReviews && (
+                      <button
+                        className="delete-modal-btn"
+                        onClick={(e) => handleDeleteClick(e, selectedReview)}
+                        title="Delete this review"
+                      >
+                        🗑️ Delete Review
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
 
               <div className="modal-body">
@@ -600,9 +1235,9 @@ function AdminViewer() {
                         <div
                           key={idx}
                           className="modal-image"
-                          onClick={() => openLightbox(selectedReview.images, idx)}
+                          onClick={() => openLightbox(selectedReview.images, idx, selectedReview)}
                         >
-                          <img src={url} alt={`Property ${idx + 1}`} />
+                          <img src={getThumbnailUrl(selectedReview, url)} alt={`Property ${idx + 1}`} />
                         </div>
                       ))}
                     </div>
@@ -614,41 +1249,82 @@ function AdminViewer() {
                   <h3 className="modal-section-title">📋 Basic Information</h3>
                   <div className="detail-grid">
                     <DetailItem label="Property Address" value={selectedReview.propertyAddress} />
+                    <DetailItem label="Lot Number" value={selectedProperty?.lotNumber} />
+                    <DetailItem label="Owner" value={selectedProperty?.ownerName} />
+                    <DetailItem label="Owner Mailing Address" value={selectedProperty?.mailingAddress} />
+                    <DetailItem label="Owner Email" value={selectedProperty?.ownerEmail} />
                     <DetailItem label="Review Date" value={formatDate(selectedReview.date)} />
                     <DetailItem label="Review Team" value={selectedReview.reviewTeam} />
                     <DetailItem label="Submitted By" value={selectedReview.submittedBy} />
+                    <DetailItem
+                      label="Checklist Version"
+                      value={`v${getChecklistForReview(selectedReview).version}`}
+                    />
+                    {selectedReview.parentReviewId && (
+                      <DetailItem
+                        label="Re-inspection Of"
+                        value={reviewById(selectedReview.parentReviewId)
+                          ? `Review of ${formatDate(reviewById(selectedReview.parentReviewId).date)}`
+                          : 'A deleted review'}
+                      />
+                    )}
+                    {selectedReview.lastReinspectedAt && (
+                      <DetailItem
+                        label="Last Re-inspected"
+                        value={formatDate(selectedReview.lastReinspectedAt)}
+                      />
+                    )}
+                    {selectedReview.updatedAt && (
+                      <DetailItem
+                        label="Last Edited"
+                        value={`${formatDate(selectedReview.updatedAt)} by ${selectedReview.updatedBy || 'Unknown'}`}
+                      />
+                    )}
                   </div>
                 </div>
 
+                {/* Property Timeline */}
+                <div className="modal-section">
+                  <h3 className="modal-section-title">🏠 Property Timeline ({propertyReviews.length})</h3>
+                  {propertyReviews.length > 1 ? (
+                    <PropertyTimeline
+                      reviews={propertyReviews}
+                      currentId={selectedReview.id}
+                      onOpen={openModal}
+                      onCompare={(review) => setComparing(orderReviews(selectedReview, review))}
+                    />
+                  ) : (
+                    <div className="history-empty">This is the only review of this property.</div>
+                  )}
+                </div>
+
+                {/* Violation Cases */}
+                <div className="modal-section">
+                  <h3 className="modal-section-title">⚖️ Violation Cases ({selectedPropertyCases.length})</h3>
+                  <ViolationCases
+                    cases={selectedPropertyCases}
+                    hasRole={hasRole}
+                    onMove={moveCase}
+                    onOpenReview={openReviewById}
+                    showAddress={false}
+                    emptyText="No violation cases for this property."
+                  />
+                </div>
+
                 {/* Inspection Results */}
                 <div className="modal-section">
                   <h3 className="modal-section-title">✅ Inspection Results</h3>
                   <div className="detail-grid">
-                    <InspectionItem label="Overall Appearance" value={selectedReview.overallAppearance} />
-                    <InspectionItem label="Paint/Stucco" value={selectedReview.paintStucco} />
-                    <InspectionItem label="Tile Roof" value={selectedReview.tileRoof} />
-                    <InspectionItem label="Gutters" value={selectedReview.gutters} />
-                    <InspectionItem label="Windows" value={selectedReview.windows} />
-                    <InspectionItem label="Doors" value={selectedReview.doors} />
-                    <InspectionItem label="Fencing" value={selectedReview.fencing} />
-                    <InspectionItem label="Driveway" value={selectedReview.driveway} />
-                    <InspectionItem label="Walkways" value={selectedReview.walkways} />
-                    <InspectionItem label="Landscape Overall" value={selectedReview.landscapeOverall} />
-                    <InspectionItem label="Ground Cover" value={selectedReview.groundCover} />
-                    <InspectionItem label="Trees & Shrubs" value={selectedReview.treesShrubs} />
-                    <InspectionItem label="Dead Plants" value={selectedReview.deadPlants} />
-                    <InspectionItem label="Mistletoe" value={selectedReview.mistletoe} />
-                    <InspectionItem label="Rocks/Gravel" value={selectedReview.rocksGravel} />
-                    <InspectionItem label="Mailbox" value={selectedReview.mailbox} />
-                    <InspectionItem label="Lamppost" value={selectedReview.lamppost} />
-                    <InspectionItem label="House Numbers" value={selectedReview.houseNumbers} />
-                    <InspectionItem label="Exterior Lighting" value={selectedReview.exteriorLighting} />
-                    <InspectionItem label="Trash/Debris" value={selectedReview.trashDebris} />
-                    <InspectionItem label="Trash Cans" value={selectedReview.trashCans} />
-                    <InspectionItem label="Unauthorized Structures" value={selectedReview.unauthorizedStructures} />
-                    <InspectionItem label="Inoperable Vehicles" value={selectedReview.inoperableVehicles} />
-                    <InspectionItem label="Commercial Vehicles" value={selectedReview.commercialVehicles} />
-                    <InspectionItem label="Approved Parking" value={selectedReview.approvedParking} />
+                    {getChecklistItems(getChecklistForReview(selectedReview)).map(item => (
+                      <InspectionItem
+                        key={item.key}
+                        label={item.shortLabel}
+                        value={selectedReview[item.key]}
+                        note={getItemNote(selectedReview.itemNotes, item.key)}
+                        onOpenPhoto={(idx, images) => openLightbox(images, idx, selectedReview)}
+                        thumbnailFor={(url) => getThumbnailUrl(selectedReview, url)}
+                      />
+                    ))}
                   </div>
                 </div>
 
@@ -686,6 +1362,20 @@ function AdminViewer() {
                         value={formatDate(selectedReview.reinspectionDate)}
                       />
                     )}
+                    {selectedReview.reinspectionClaimedBy && (
+                      <DetailItem
+                        label="Re-inspection Claimed By"
+                        value={selectedReview.reinspectionClaimedBy}
+                      />
+                    )}
+                    {(selectedReview.letters || []).map((letter, index) => (
+                      <DetailItem
+                        key={letter.generatedAt}
+                        label={`Letter ${index + 1}`}
+                        value={`${LETTER_STAGE_LABELS[letter.stage] || letter.stage} on ` +
+                          `${formatDate(letter.generatedAt)} by ${letter.generatedBy}, due ${letter.deadline}`}
+                      />
+                    ))}
                     {selectedReview.complianceStatus && (
                       <DetailItem
                         label="Compliance Status"
@@ -694,11 +1384,38 @@ function AdminViewer() {
                     )}
                   </div>
                 </div>
+
+                {/* Revision History */}
+                <div className="modal-section">
+                  <h3 className="modal-section-title">🕘 History</h3>
+                  {historyError && <div className="error-message">{historyError}</div>}
+                  {loadingHistory ? (
+                    <div className="history-empty">Loading history...</div>
+                  ) : (
+                    <RevisionHistory
+                      revisions={revisions}
+                      noticeDate={selectedReview.violationNoticeDate}
+                      canRestore={canManageReviews}
+                      restoringRevisionId={restoringRevisionId}
+                      onRestore={handleRestoreRevision}
+                    />
+                  )}
+                </div>
               </div>
             </div>
           </div>
         )}
 
+        {/* Re-inspection Comparison */}
+        {comparing && (
+          <ReviewComparison
+            earlier={comparing.earlier}
+            later={comparing.later}
+            onClose={() => setComparing(null)}
+            onOpenPhoto={openLightbox}
+          />
+        )}
+
         {/* Violations Summary Modal */}
         {showSummary && (
           <div className="modal summary-modal" onClick={(e) => e.target.className.includes('modal') && handleCloseSummary()}>
@@ -711,14 +1428,89 @@ function AdminViewer() {
                   Properties with non-compliant items - Generated {new Date().toLocaleDateString()}
                 </p>
                 {summaryData.length > 0 && (
-                  <button
-                    className="download-document-btn"
-                    onClick={handleDownloadDocument}
-                    disabled={generatingReport}
-                  >
-                    {generatingReport ? '📄 Generating...' : '📄 Download Word Document'}
-                  </button>
+                  <div className="document-buttons">
+                    <button
+                      className="download-document-btn"
+                      onClick={() => handleDownloadDocument('docx')}
+                      disabled={generatingReport}
+                    >
+                      {documentProgress?.format === 'docx'
+                        ? documentProgressLabel('📄')
+                        : '📄 Download Word Document'}
+                    </button>
+                    <button
+                      className="download-document-btn"
+                      onClick={() => handleDownloadDocument('pdf')}
+                      disabled={generatingReport}
+                    >
+                      {documentProgress?.format === 'pdf'
+                        ? documentProgressLabel('📕')
+                        : '📕 Download PDF'}
+                    </button>
+                    <select
+                      className="filter-select document-photo-select"
+                      value={documentPhotoLimit}
+                      onChange={(e) => setDocumentPhotoLimit(e.target.value)}
+                      disabled={generatingReport}
+                      title="Photos embedded in the Word document or PDF for each property"
+                    >
+                      {DOCUMENT_PHOTO_LIMITS.map(limit => (
+                        <option key={limit} value={String(limit)}>
+                          {limit === 0 ? 'No photos (links only)' : `${limit} photos per property`}
+                        </option>
+                      ))}
+                      <option value="all">All photos</option>
+                    </select>
+                  </div>
                 )}
+                {summaryData.length > 0 && canManageReviews && (
+                  <div className="letter-buttons">
+                    <select
+                      className="filter-select letter-stage-select"
+                      value={letterStage}
+                      onChange={(e) => setLetterStage(e.target.value)}
+                      title="Template used for the owner letters"
+                    >
+                      <option value="auto">Letter by enforcement stage</option>
+                      {LETTER_STAGE_ORDER.map(stage => (
+                        <option key={stage} value={stage}>{LETTER_STAGE_LABELS[stage]} for all</option>
+                      ))}
+                    </select>
+                    <button
+                      className="download-document-btn"
+                      onClick={() => handleDownloadLetters('docx')}
+                      disabled={generatingLetters}
+                      title="One letter per property in a single Word document"
+                    >
+                      {generatingLetters ? '✉️ Generating...' : '✉️ Owner Letters (Word)'}
+                    </button>
+                    <button
+                      className="download-document-btn"
+                      onClick={() => handleDownloadLetters('zip')}
+                      disabled={generatingLetters}
+                      title="A ZIP with a separate Word document for each property"
+                    >
+                      🗜️ Owner Letters (ZIP)
+                    </button>
+                    <button
+                      className="download-document-btn"
+                      onClick={() => handleDownloadLetters('pdf')}
+                      disabled={generatingLetters}
+                      title="One letter per property in a single PDF"
+                    >
+                      📕 Owner Letters (PDF)
+                    </button>
+                    <button
+                      className="download-document-btn"
+                      onClick={() => handleDownloadLetters('pdf-zip')}
+                      disabled={generatingLetters}
+                      title="A ZIP with a separate PDF for each property"
+                    >
+                      🗜️ Owner Letters (PDF ZIP)
+                    </button>
+                  </div>
+                )}
+                {letterNotice && <div className="letter-notice">{letterNotice}</div>}
               </div>
 
               <div className="modal-body">
@@ -769,12 +1561,27 @@ function AdminViewer() {
                                 {index + 1}. {property.address}
                               </h3>
                               <div className="summary-property-meta">
+                                {property.lotNumber && (
+                                  <span className="summary-meta-item">
+                                    Lot {property.lotNumber}
+                                  </span>
+                                )}
+                                {property.ownerName && (
+                                  <span className="summary-meta-item">
+                                    👤 {property.ownerName}
+                                  </span>
+                                )}
                                 <span className="summary-meta-item">
                                   📅 {formatDate(property.reviewDate)}
                                 </span>
                                 <span className="summary-meta-item">
                                   👥 {property.reviewTeam}
                                 </span>
+                                <span className="summary-meta-item">
+                                  ✉️ {LETTER_STAGE_LABELS[letterContextFor(property).stage]}
+                                  {reviewById(property.reviewId)?.letters?.length > 0 &&
+                                    ` (${reviewById(property.reviewId).letters.length} sent)`}
+                                </span>
                                 {property.imageCount > 0 && (
                                   <span className="summary-meta-item">
                                     📷 {property.imageCount} photo{property.imageCount > 1 ? 's' : ''}
@@ -809,6 +1616,11 @@ function AdminViewer() {
                                       {majorItems.map((item, idx) => (
                                         <li key={idx} className="violation-item major">
                                           {item.item}
+                                          {item.citations.length > 0 && (
+                                            <span className="violation-citation">
+                                              {item.citations.map(citation => citation.article).join('; ')}
+                                            </span>
+                                          )}
                                         </li>
                                       ))}
                                     </ul>
@@ -824,6 +1636,11 @@ function AdminViewer() {
                                       {minorItems.map((item, idx) => (
                                         <li key={idx} className="violation-item minor">
                                           {item.item}
+                                          {item.citations.length > 0 && (
+                                            <span className="violation-citation">
+                                              {item.citations.map(citation => citation.article).join('; ')}
+                                            </span>
+                                          )}
                                         </li>
                                       ))}
                                     </ul>
@@ -848,9 +1665,13 @@ function AdminViewer() {
                                       <div
                                         key={idx}
                                         className="summary-image-thumb"
-                                        onClick={() => openLightbox(property.images, idx)}
+                                        onClick={() => openLightbox(property.images, idx, {
+                                          imageRecords: property.imageRecords,
+                                          propertyAddress: property.address,
+                                          date: property.reviewDate
+                                        })}
                                       >
-                                        <img src={img} alt={`${property.address} - Photo ${idx + 1}`} />
+                                        <img src={getThumbnailUrl(property, img)} alt={`${property.address} - Photo ${idx + 1}`} />
                                       </div>
                                     ))}
                                     {property.images.length > 4 && (
@@ -901,15 +1722,21 @@ function AdminViewer() {
         {showDeleteConfirm && reviewToDelete && (
           <div className="modal delete-confirm-modal">
             <div className="modal-content delete-confirm-content">
-              <h2 className="delete-confirm-title">⚠️ Confirm Deletion</h2>
+              <h2 className="delete-confirm-title">
+                {deleteMode === 'purge' ? '⚠️ Confirm Permanent Deletion' : '⚠️ Confirm Deletion'}
+              </h2>
               <p className="delete-confirm-message">
-                Are you sure you want to delete the review for:
+                {deleteMode === 'purge'
+                  ? 'Are you sure you want to permanently delete the review for:'
+                  : 'Are you sure you want to delete the review for:'}
               </p>
               <p className="delete-confirm-address">
                 {reviewToDelete.propertyAddress || 'Unknown address'}
               </p>
               <p className="delete-confirm-warning">
-                This action cannot be undone. All associated data and images will be permanently removed.
+                {deleteMode === 'purge'
+                  ? 'This action cannot be undone. All associated data and images will be permanently removed.'
+                  : 'The review will be moved to the Trash. A board admin can restore it from there.'}
               </p>
               <div className="delete-confirm-buttons">
                 <button
@@ -924,7 +1751,7 @@ function AdminViewer() {
                   onClick={handleConfirmDelete}
                   disabled={deleting}
                 >
-                  {deleting ? 'Deleting...' : 'Delete Review'}
+                  {deleting ? 'Deleting...' : (deleteMode === 'purge' ? 'Purge Review' : 'Delete Review')}
                 </button>
               </div>
             </div>
@@ -942,11 +1769,19 @@ function AdminViewer() {
               ›
             </span>
             <img
-              src={lightboxImages[lightboxIndex]}
+              src={showOriginal && lightboxRecord?.originalUrl ? lightboxRecord.originalUrl : lightboxImages[lightboxIndex]}
               alt="Full size"
               className="lightbox-content"
               onClick={(e) => e.stopPropagation()}
             />
+            {lightboxReview && (
+              <PhotoDetails
+                record={lightboxRecord}
+                review={lightboxReview}
+                showOriginal={showOriginal}
+                onToggleOriginal={() => setShowOriginal(prev => !prev)}
+              />
+            )}
           </div>
         )}
       </div>
@@ -955,6 +1790,98 @@ function AdminViewer() {
 }
 
 // Helper Components
+
+// Where and when the photo in the lightbox was taken, from its EXIF data
+function PhotoDetails({ record, review, showOriginal, onToggleOriginal }) {
+  const [propertyLocation, setPropertyLocation] = useState(null);
+  const address = review.propertyAddress;
+  const located = hasLocation(record);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPropertyLocation(null);
+    if (located && address) {
+      geocodeAddress(address).then(location => {
+        if (!cancelled) setPropertyLocation(location);
+      });
+    }
+    return () => { cancelled = true; };
+  }, [address, located]);
+
+  const warnings = getPhotoWarnings(record, { reviewDate: review.date, propertyLocation });
+
+  return (
+    <div className="lightbox-details" onClick={(e) => e.stopPropagation()}>
+      <div>
+        📅 {record?.takenAt
+          ? `Taken on ${new Date(record.takenAt).toLocaleString()}`
+          : 'No capture time recorded'}
+      </div>
+      <div>
+        📍 {located ? (
+          <>
+            Taken at{' '}
+            <a href={mapLinkFor(record)} target="_blank" rel="noopener noreferrer">
+              {record.latitude.toFixed(5)}, {record.longitude.toFixed(5)}
+            </a>
+            {propertyLocation && ` (${formatDistance(distanceMeters(record, propertyLocation))} from the property)`}
+          </>
+        ) : 'No location recorded'}
+      </div>
+      {warnings.map(warning => (
+        <div key={warning} className="lightbox-warning">⚠️ {warning}</div>
+      ))}
+      {record?.originalUrl && (
+        <div>
+          ✏️ {showOriginal ? 'Showing the original photo' : 'Marked up by the reviewer'}{' '}
+          <button type="button" className="lightbox-toggle" onClick={onToggleOriginal}>
+            {showOriginal ? 'Show markup' : 'Show original'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Reviews of one property, newest first, with the open review highlighted
+function PropertyTimeline({ reviews, currentId, onOpen, onCompare }) {
+  return (
+    <ol className="property-timeline">
+      {reviews.map(review => {
+        const isCurrent = review.id === currentId;
+        const violations = countViolations(review);
+
+        return (
+          <li key={review.id} className={`timeline-entry${isCurrent ? ' current' : ''}`}>
+            <div className="timeline-date">{new Date(review.date).toLocaleDateString()}</div>
+            <div className="timeline-body">
+              <div>
+                👥 {review.reviewTeam || 'Unknown'} ·{' '}
+                {violations === 0 ? 'No violations' : `${violations} violation${violations > 1 ? 's' : ''}`}
+              </div>
+              {review.complianceStatus && (
+                <span className={`status-badge status-${review.complianceStatus}`}>
+                  {review.complianceStatus.replace(/-/g, ' ')}
+                </span>
+              )}
+            </div>
+            <div className="timeline-actions">
+              {isCurrent ? (
+                <span className="timeline-current">This review</span>
+              ) : (
+                <>
+                  <button type="button" className="timeline-btn" onClick={() => onOpen(review)}>Open</button>
+                  <button type="button" className="timeline-btn" onClick={() => onCompare(review)}>⇄ Compare</button>
+                </>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
 function DetailItem({ label, value }) {
   if (!value) return null;
   return (
@@ -965,21 +1892,165 @@ function DetailItem({ label, value }) {
   );
 }
 
-function InspectionItem({ label, value }) {
+function InspectionItem({ label, value, note, onOpenPhoto, thumbnailFor }) {
   if (!value) return null;
-  const isStatus = ['accept', 'minor', 'major', 'na'].includes(value);
+  const isStatus = Object.keys(RATINGS).includes(value);
+  const hasNote = note && (note.comment || note.images.length > 0);
   return (
-    <div className="detail-item">
+    <div className={`detail-item${hasNote ? ' has-note' : ''}`}>
       <div className="detail-label">{label}</div>
       <div className="detail-value">
         {isStatus ? (
           <span className={`status-badge status-${value}`}>
-            {value === 'na' ? 'N/A' : value.toUpperCase()}
+            {formatRating(value).toUpperCase()}
           </span>
         ) : (
           value
         )}
       </div>
+      {hasNote && (
+        <div className="item-note-detail">
+          {note.comment && <div className="item-note-text">{note.comment}</div>}
+          {note.images.length > 0 && (
+            <div className="item-note-thumbs">
+              {note.images.map((url, idx) => (
+                <img
+                  key={url}
+                  src={thumbnailFor(url)}
+                  alt={`${label} ${idx + 1}`}
+                  onClick={() => onOpenPhoto(idx, note.images)}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const REVISION_ACTION_LABELS = {
+  created: 'Created',
+  updated: 'Edited',
+  restored: 'Restored earlier version',
+  reinspected: 'Status updated by a re-inspection',
+  claimed: 'Re-inspection claimed',
+  released: 'Re-inspection released',
+  letter: 'Owner letter generated',
+  deleted: 'Moved to trash',
+  undeleted: 'Restored from trash'
+};
+
+function formatFieldName(field) {
+  const itemLabel = findItemLabel(field);
+  if (itemLabel) return itemLabel;
+
+  const spaced = field.replace(/([A-Z])/g, ' $1');
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+function formatHistoryValue(value, field) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'itemNotes') {
+    const notes = Object.keys(value).map(key => {
+      const { comment, images } = getItemNote(value, key);
+      return `${findItemLabel(key) || key}: ${comment || '(no note)'}${images.length ? ` [${images.length} photo(s)]` : ''}`;
+    });
+    return notes.length > 0 ? notes.join('; ') : '—';
+  }
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function RevisionHistory({ revisions, noticeDate, canRestore, restoringRevisionId, onRestore }) {
+  const [confirmingId, setConfirmingId] = useState(null);
+
+  if (revisions.length === 0) {
+    return <div className="history-empty">No history recorded for this review.</div>;
+  }
+
+  // Anything written after the notice went out is flagged for dispute hearings.
+  // Notice dates are whole days, so compare against the end of that day.
+  const noticeCutoff = noticeDate ? new Date(`${noticeDate}T23:59:59`) : null;
+  const changedAfterNotice = (revision) =>
+    noticeCutoff && revision.action !== 'created' && new Date(revision.changedAt) > noticeCutoff;
+  const anyAfterNotice = revisions.some(changedAfterNotice);
+  const latestId = revisions[revisions.length - 1].id;
+
+  return (
+    <div className="history-timeline">
+      {noticeCutoff && (
+        <div className={`history-notice ${anyAfterNotice ? 'altered' : 'unaltered'}`}>
+          {anyAfterNotice
+            ? `⚠️ This review was changed after the violation notice of ${new Date(noticeCutoff).toLocaleDateString()}.`
+            : `✅ No changes since the violation notice of ${new Date(noticeCutoff).toLocaleDateString()}.`}
+        </div>
+      )}
+
+      {[...revisions].reverse().map(revision => (
+        <div
+          key={revision.id}
+          className={`history-entry${changedAfterNotice(revision) ? ' after-notice' : ''}`}
+        >
+          <div className="history-entry-header">
+            <span className="history-action">
+              {REVISION_ACTION_LABELS[revision.action] || revision.action}
+            </span>
+            <span className="history-meta">
+              {new Date(revision.changedAt).toLocaleString()} by {revision.changedBy || 'Unknown'}
+            </span>
+          </div>
+
+          {revision.action !== 'created' && (
+            revision.changes?.length > 0 ? (
+              <ul className="history-changes">
+                {revision.changes.map(change => (
+                  <li key={change.field}>
+                    <strong>{formatFieldName(change.field)}:</strong>{' '}
+                    <span className="history-from">{formatHistoryValue(change.from, change.field)}</span>
+                    {' → '}
+                    <span className="history-to">{formatHistoryValue(change.to, change.field)}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="history-no-changes">No field changes</div>
+            )
+          )}
+
+          {canRestore && revision.id !== latestId && revision.snapshot && (
+            <div className="history-restore">
+              {confirmingId === revision.id ? (
+                <>
+                  <span>Replace the current review with this version?</span>
+                  <button
+                    className="history-restore-btn"
+                    onClick={() => { setConfirmingId(null); onRestore(revision); }}
+                    disabled={restoringRevisionId !== null}
+                  >
+                    Confirm Restore
+                  </button>
+                  <button
+                    className="history-cancel-btn"
+                    onClick={() => setConfirmingId(null)}
+                  >
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button
+                  className="history-restore-btn"
+                  onClick={() => setConfirmingId(revision.id)}
+                  disabled={restoringRevisionId !== null}
+                >
+                  {restoringRevisionId === revision.id ? 'Restoring...' : '↩️ Restore this version'}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
     </div>
   );
 }
@@ -0,0 +1,510 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useChecklists } from '../contexts/ChecklistContext';
+import {
+  DEFAULT_RATINGS,
+  RATINGS,
+  getChecklist,
+  getChecklistItems,
+  normalizeChecklist
+} from '../utils/checklistSchema';
+import {
+  loadTemplateDraft,
+  saveTemplateDraft,
+  discardTemplateDraft,
+  publishChecklist,
+  generateItemKey,
+  validateTemplate
+} from '../utils/checklistTemplates';
+import ChecklistFields from './ChecklistFields';
+import '../styles/AdminViewer.css';
+import '../styles/ChecklistEditor.css';
+
+/**
+ * Editable copy of a published checklist
+ * shortLabel is left blank when it only repeats the label.
+ * @param {Object} checklist - Checklist from getChecklist
+ * @returns {Array<Object>}
+ */
+function toEditableSections(checklist) {
+  return checklist.sections.map(section => ({
+    id: section.id,
+    title: section.title,
+    items: section.items.map(item => ({
+      key: item.key,
+      label: item.label,
+      shortLabel: item.shortLabel === item.label ? '' : item.shortLabel,
+      help: item.help || '',
+      ratings: item.ratings
+    }))
+  }));
+}
+
+function newSectionId() {
+  return `section-${Date.now().toString(36)}`;
+}
+
+// New items get a stable React key since their field key follows the label as it is typed
+function newItemUid() {
+  return `new-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Turn one rating on or off for an item, keeping the display order of RATINGS
+function toggleRating(ratings, rating) {
+  const selected = ratings.includes(rating)
+    ? ratings.filter(value => value !== rating)
+    : [...ratings, rating];
+  return Object.keys(RATINGS).filter(value => selected.includes(value));
+}
+
+// Move an element of a list up (-1) or down (+1)
+function moveInList(list, index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+function ChecklistEditor() {
+  const { currentUser, signOut } = useAuth();
+  const { currentVersion, reloadChecklists } = useChecklists();
+  const navigate = useNavigate();
+
+  const [sections, setSections] = useState([]);
+  const [draftInfo, setDraftInfo] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [problems, setProblems] = useState([]);
+  const [message, setMessage] = useState('');
+
+  // Preview state - ratings picked in the preview are never saved
+  const [showPreview, setShowPreview] = useState(false);
+  const [previewValues, setPreviewValues] = useState({});
+
+  const publishedChecklist = getChecklist(currentVersion);
+
+  useEffect(() => {
+    const loadTemplate = async () => {
+      setLoading(true);
+      try {
+        const draft = await loadTemplateDraft();
+        if (draft) {
+          setSections(toEditableSections(normalizeChecklist(draft)));
+          setDraftInfo(draft);
+        } else {
+          setSections(toEditableSections(getChecklist()));
+        }
+      } catch (error) {
+        console.error('Error loading checklist template:', error);
+        setError('Error loading checklist template: ' + error.message);
+        setSections(toEditableSections(getChecklist()));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTemplate();
+  }, []);
+
+  const editSections = (update) => {
+    setSections(update);
+    setDirty(true);
+    setProblems([]);
+    setMessage('');
+  };
+
+  // Section operations
+  const addSection = () => {
+    editSections(prev => [...prev, { id: newSectionId(), title: '', items: [] }]);
+  };
+
+  const updateSectionTitle = (sectionIndex, title) => {
+    editSections(prev => prev.map((section, i) => (i === sectionIndex ? { ...section, title } : section)));
+  };
+
+  const moveSection = (sectionIndex, direction) => {
+    editSections(prev => moveInList(prev, sectionIndex, direction));
+  };
+
+  const removeSection = (sectionIndex) => {
+    const section = sections[sectionIndex];
+    if (section.items.length > 0 && !window.confirm(
+      `Remove "${section.title || 'this section'}" and retire its ${section.items.length} item(s)? Existing reviews keep them.`
+    )) {
+      return;
+    }
+    editSections(prev => prev.filter((_, i) => i !== sectionIndex));
+  };
+
+  // Item operations
+  const addItem = (sectionIndex) => {
+    editSections(prev => prev.map((section, i) => (
+      i === sectionIndex
+        ? { ...section, items: [...section.items, { uid: newItemUid(), key: generateItemKey('', prev), label: '', shortLabel: '', help: '', ratings: DEFAULT_RATINGS, isNew: true }] }
+        : section
+    )));
+  };
+
+  const updateItem = (sectionIndex, itemIndex, changes) => {
+    editSections(prev => prev.map((section, i) => {
+      if (i !== sectionIndex) return section;
+
+      return {
+        ...section,
+        items: section.items.map((item, j) => {
+          if (j !== itemIndex) return item;
+
+          const updated = { ...item, ...changes };
+          // Keys of published items never change; new items follow their label
+          if (item.isNew && changes.label !== undefined) {
+            const others = prev.map(s => ({ ...s, items: s.items.filter(other => other !== item) }));
+            updated.key = generateItemKey(changes.label, others);
+          }
+          return updated;
+        })
+      };
+    }));
+  };
+
+  // Moving past the first or last item carries it into the neighbouring section
+  const moveItem = (sectionIndex, itemIndex, direction) => {
+    editSections(prev => {
+      const items = prev[sectionIndex].items;
+      const target = itemIndex + direction;
+
+      if (target >= 0 && target < items.length) {
+        return prev.map((section, i) => (
+          i === sectionIndex ? { ...section, items: moveInList(section.items, itemIndex, direction) } : section
+        ));
+      }
+
+      const targetSection = sectionIndex + direction;
+      if (targetSection < 0 || targetSection >= prev.length) return prev;
+
+      const item = items[itemIndex];
+      return prev.map((section, i) => {
+        if (i === sectionIndex) {
+          return { ...section, items: section.items.filter((_, j) => j !== itemIndex) };
+        }
+        if (i === targetSection) {
+          return {
+            ...section,
+            items: direction < 0 ? [...section.items, item] : [item, ...section.items]
+          };
+        }
+        return section;
+      });
+    });
+  };
+
+  const retireItem = (sectionIndex, itemIndex) => {
+    const item = sections[sectionIndex].items[itemIndex];
+    if (!item.isNew && !window.confirm(
+      `Retire "${item.label}"? It will not appear on new reviews. Existing reviews keep it.`
+    )) {
+      return;
+    }
+    editSections(prev => prev.map((section, i) => (
+      i === sectionIndex ? { ...section, items: section.items.filter((_, j) => j !== itemIndex) } : section
+    )));
+  };
+
+  // Items on the published version that this template no longer includes
+  const editedKeys = new Set(sections.flatMap(section => section.items.map(item => item.key)));
+  const retiredItems = getChecklistItems(publishedChecklist).filter(item => !editedKeys.has(item.key));
+
+  const restoreItem = (retired) => {
+    const { key, label, shortLabel, help, ratings } = retired;
+    const restored = { key, label, shortLabel: shortLabel === label ? '' : shortLabel, help, ratings };
+
+    editSections(prev => {
+      const homeIndex = prev.findIndex(section => section.title === retired.section);
+      const targetIndex = homeIndex >= 0 ? homeIndex : prev.length - 1;
+      if (targetIndex < 0) {
+        return [{ id: newSectionId(), title: retired.section, items: [restored] }];
+      }
+      return prev.map((section, i) => (
+        i === targetIndex ? { ...section, items: [...section.items, restored] } : section
+      ));
+    });
+  };
+
+  // Persistence
+  const handleSaveDraft = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      await saveTemplateDraft(sections, currentVersion, currentUser.email);
+      setDraftInfo({ baseVersion: currentVersion, updatedAt: new Date().toISOString(), updatedBy: currentUser.email });
+      setDirty(false);
+      setMessage('Draft saved. It is not used by the form until it is published.');
+    } catch (error) {
+      console.error('Error saving checklist draft:', error);
+      setError('Error saving draft: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDiscardDraft = async () => {
+    if (!window.confirm('Discard all unpublished changes and start again from the published checklist?')) {
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    try {
+      if (draftInfo) {
+        await discardTemplateDraft();
+      }
+      setSections(toEditableSections(getChecklist()));
+      setDraftInfo(null);
+      setDirty(false);
+      setProblems([]);
+      setMessage('Changes discarded.');
+    } catch (error) {
+      console.error('Error discarding checklist draft:', error);
+      setError('Error discarding draft: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    const found = validateTemplate(sections);
+    setProblems(found);
+    if (found.length > 0) return;
+
+    if (!window.confirm(
+      `Publish this checklist as version ${currentVersion + 1}? New reviews will use it immediately. Existing reviews keep the version they were captured on.`
+    )) {
+      return;
+    }
+
+    setBusy(true);
+    setError('');
+    try {
+      const version = await publishChecklist(sections, currentUser.email);
+      await reloadChecklists();
+      setSections(toEditableSections(getChecklist(version)));
+      setDraftInfo(null);
+      setDirty(false);
+      setMessage(`Version ${version} published.`);
+    } catch (error) {
+      console.error('Error publishing checklist:', error);
+      setError('Error publishing checklist: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreviewChange = (e) => {
+    const { name, value } = e.target;
+    setPreviewValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      navigate('/login');
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
+
+  const previewChecklist = normalizeChecklist({ version: currentVersion + 1, sections });
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <div className="header-left">
+            <h1>🧩 Checklist Templates</h1>
+            <p>Add, reorder, relabel and retire inspection items. Published version: v{currentVersion}</p>
+          </div>
+          <div className="user-section">
+            <button className="back-btn" onClick={() => navigate('/admin')}>← Back to Admin</button>
+            <div className="user-email">{currentUser?.email}</div>
+            <button className="signout-btn" onClick={handleSignOut}>Sign Out</button>
+          </div>
+        </div>
+
+        {error && <div className="template-error">{error}</div>}
+        {message && <div className="template-message">{message}</div>}
+
+        {problems.length > 0 && (
+          <div className="template-error">
+            Fix these before publishing:
+            <ul>
+              {problems.map(problem => <li key={problem}>{problem}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="loading">Loading checklist...</div>
+        ) : (
+          <>
+            <div className="template-toolbar">
+              <div className="template-status">
+                {draftInfo
+                  ? `Unpublished draft${draftInfo.updatedBy ? ` saved by ${draftInfo.updatedBy}` : ''}${draftInfo.updatedAt ? ` on ${new Date(draftInfo.updatedAt).toLocaleString()}` : ''}`
+                  : 'No unpublished changes saved'}
+                {dirty && ' · unsaved edits'}
+                {draftInfo?.baseVersion && draftInfo.baseVersion < currentVersion && (
+                  <div className="template-warning">
+                    This draft was started from v{draftInfo.baseVersion}; v{currentVersion} has been published since.
+                  </div>
+                )}
+              </div>
+              <div className="template-actions">
+                <button type="button" className="template-btn" onClick={() => setShowPreview(prev => !prev)}>
+                  {showPreview ? 'Hide Preview' : '👁 Preview Form'}
+                </button>
+                <button type="button" className="template-btn" onClick={handleSaveDraft} disabled={busy || !dirty}>
+                  Save Draft
+                </button>
+                <button type="button" className="template-btn" onClick={handleDiscardDraft} disabled={busy || (!draftInfo && !dirty)}>
+                  Discard Changes
+                </button>
+                <button type="button" className="template-btn primary" onClick={handlePublish} disabled={busy}>
+                  Publish v{currentVersion + 1}
+                </button>
+              </div>
+            </div>
+
+            <div className={`template-layout${showPreview ? ' with-preview' : ''}`}>
+              <div className="template-editor">
+                {sections.map((section, sectionIndex) => (
+                  <div key={section.id} className="template-section">
+                    <div className="template-section-header">
+                      <input
+                        type="text"
+                        className="template-section-title"
+                        value={section.title}
+                        onChange={(e) => updateSectionTitle(sectionIndex, e.target.value)}
+                        placeholder="Section title"
+                      />
+                      <div className="template-row-actions">
+                        <button type="button" onClick={() => moveSection(sectionIndex, -1)} disabled={sectionIndex === 0} title="Move section up">▲</button>
+                        <button type="button" onClick={() => moveSection(sectionIndex, 1)} disabled={sectionIndex === sections.length - 1} title="Move section down">▼</button>
+                        <button type="button" className="danger" onClick={() => removeSection(sectionIndex)} title="Remove section">✕</button>
+                      </div>
+                    </div>
+
+                    {section.items.map((item, itemIndex) => (
+                      <div key={item.uid || item.key} className="template-item">
+                        <div className="template-item-fields">
+                          <input
+                            type="text"
+                            value={item.label}
+                            onChange={(e) => updateItem(sectionIndex, itemIndex, { label: e.target.value })}
+                            placeholder="Item label shown on the form, e.g. Solar panel placement"
+                          />
+                          <div className="template-item-row">
+                            <input
+                              type="text"
+                              value={item.shortLabel}
+                              onChange={(e) => updateItem(sectionIndex, itemIndex, { shortLabel: e.target.value })}
+                              placeholder="Short label for reports (optional)"
+                            />
+                            <input
+                              type="text"
+                              value={item.help}
+                              onChange={(e) => updateItem(sectionIndex, itemIndex, { help: e.target.value })}
+                              placeholder="Help text for reviewers (optional)"
+                            />
+                          </div>
+                          <div className="template-item-ratings">
+                            Allowed ratings:
+                            {Object.entries(RATINGS).map(([rating, { label }]) => (
+                              <label key={rating}>
+                                <input
+                                  type="checkbox"
+                                  checked={item.ratings.includes(rating)}
+                                  onChange={() => updateItem(sectionIndex, itemIndex, { ratings: toggleRating(item.ratings, rating) })}
+                                />
+                                {label}
+                              </label>
+                            ))}
+                          </div>
+                          <div className="template-item-key">
+                            Field: <code>{item.key}</code>{item.isNew && ' (new)'}
+                          </div>
+                        </div>
+                        <div className="template-row-actions">
+                          <button
+                            type="button"
+                            onClick={() => moveItem(sectionIndex, itemIndex, -1)}
+                            disabled={sectionIndex === 0 && itemIndex === 0}
+                            title="Move item up"
+                          >
+                            ▲
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => moveItem(sectionIndex, itemIndex, 1)}
+                            disabled={sectionIndex === sections.length - 1 && itemIndex === section.items.length - 1}
+                            title="Move item down"
+                          >
+                            ▼
+                          </button>
+                          <button type="button" className="danger" onClick={() => retireItem(sectionIndex, itemIndex)} title="Retire item">
+                            ✕
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+
+                    <button type="button" className="template-add" onClick={() => addItem(sectionIndex)}>
+                      ➕ Add Item
+                    </button>
+                  </div>
+                ))}
+
+                <button type="button" className="template-add section" onClick={addSection}>
+                  ➕ Add Section
+                </button>
+
+                {retiredItems.length > 0 && (
+                  <div className="template-retired">
+                    <div className="template-retired-title">Retired from v{currentVersion}</div>
+                    {retiredItems.map(item => (
+                      <div key={item.key} className="template-retired-item">
+                        <span>{item.label} <small>({item.section})</small></span>
+                        <button type="button" onClick={() => restoreItem(item)}>Bring Back</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {showPreview && (
+                <div className="template-preview form-page">
+                  <div className="form-container">
+                    <div className="form-header">
+                      <h1 className="form-title">
+                        Sunrise Territory Village<br />
+                        CCR Compliance Review Checklist
+                      </h1>
+                      <p className="form-description">
+                        Preview of version {currentVersion + 1} - nothing entered here is saved
+                      </p>
+                    </div>
+                    <ChecklistFields checklist={previewChecklist} values={previewValues} onChange={handlePreviewChange} />
+                  </div>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ChecklistEditor;
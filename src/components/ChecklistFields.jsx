@@ -0,0 +1,185 @@
+import React from 'react';
+import { formatRating, VIOLATION_RATINGS } from '../utils/checklistSchema';
+import { getItemNote } from '../utils/itemNotes';
+import { getDisplayFile } from '../utils/annotations';
+import { getThumbnailUrl } from '../utils/photoUpload';
+import { OUTCOME_LABELS, REINSPECTION_OUTCOMES } from '../utils/reinspection';
+import FilePreview from './FilePreview';
+
+// Inspection checklist sections of the compliance form
+// Shared by ComplianceForm and the checklist template preview so a template
+// is previewed exactly as reviewers will see it. When onNoteChange is given,
+// items rated as a violation also get their own note and photos.
+// For a re-inspection ({ parent, outcomes, onOutcomeChange }) only the items
+// the parent review rated as a violation are shown, each with the earlier
+// finding and an outcome choice instead of the ratings.
+function ChecklistFields({
+  checklist,
+  values,
+  onChange,
+  itemPhotos = {},
+  onNoteChange,
+  onAddItemPhotos,
+  onRemoveItemPhoto,
+  onAnnotateItemPhoto,
+  reinspection
+}) {
+  const itemsOf = section => (reinspection
+    ? section.items.filter(item => VIOLATION_RATINGS.includes(reinspection.parent[item.key]))
+    : section.items);
+
+  return checklist.sections.filter(section => itemsOf(section).length > 0).map(section => (
+    <div className="form-section" key={section.id}>
+      <h2 className="section-title">{section.title}</h2>
+      {itemsOf(section).map(item => (
+        <div key={item.key}>
+          {reinspection ? (
+            <ReinspectionOutcome
+              item={item}
+              parent={reinspection.parent}
+              outcome={reinspection.outcomes[item.key]}
+              onChange={reinspection.onOutcomeChange}
+            />
+          ) : (
+            <RadioGroup item={item} value={values[item.key]} onChange={onChange} />
+          )}
+          {onNoteChange && VIOLATION_RATINGS.includes(values[item.key]) && (
+            <ItemNote
+              item={item}
+              note={getItemNote(values.itemNotes, item.key)}
+              photos={itemPhotos[item.key] || []}
+              onNoteChange={onNoteChange}
+              onAddPhotos={onAddItemPhotos}
+              onRemovePhoto={onRemoveItemPhoto}
+              onAnnotatePhoto={onAnnotateItemPhoto}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  ));
+}
+
+function RadioGroup({ item, value, onChange }) {
+  return (
+    <div className="question">
+      <div className="item-label">{item.label}</div>
+      {item.help && <div className="item-help">{item.help}</div>}
+      <div className="radio-group">
+        {item.ratings.map(rating => (
+          <div className="radio-option" key={rating}>
+            <input
+              type="radio"
+              id={`${item.key}-${rating}`}
+              name={item.key}
+              value={rating}
+              checked={value === rating}
+              onChange={onChange}
+            />
+            <label htmlFor={`${item.key}-${rating}`}>
+              {formatRating(rating)}
+            </label>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Outcome of a previously failing item, with what the earlier review found
+function ReinspectionOutcome({ item, parent, outcome, onChange }) {
+  const previous = getItemNote(parent.itemNotes, item.key);
+
+  return (
+    <div className="question">
+      <div className="item-label">{item.label}</div>
+      <div className="reinspection-previous">
+        <span className={`reinspection-previous-rating rating-${parent[item.key]}`}>
+          Previously {formatRating(parent[item.key])}
+        </span>
+        {previous.comment && <div className="reinspection-previous-note">{previous.comment}</div>}
+        {previous.images.length > 0 && (
+          <div className="reinspection-previous-photos">
+            {previous.images.map((url, idx) => (
+              <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                <img src={getThumbnailUrl(parent, url)} alt={`${item.shortLabel} before ${idx + 1}`} />
+              </a>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="radio-group">
+        {Object.values(REINSPECTION_OUTCOMES).map(value => (
+          <div className="radio-option" key={value}>
+            <input
+              type="radio"
+              id={`${item.key}-outcome-${value}`}
+              name={`${item.key}-outcome`}
+              value={value}
+              checked={outcome === value}
+              onChange={() => onChange(item.key, value)}
+            />
+            <label htmlFor={`${item.key}-outcome-${value}`}>
+              {OUTCOME_LABELS[value]}
+            </label>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Note and photos for one item rated as a violation
+function ItemNote({ item, note, photos, onNoteChange, onAddPhotos, onRemovePhoto, onAnnotatePhoto }) {
+  const inputId = `item-photos-${item.key}`;
+
+  return (
+    <div className="item-note">
+      <textarea
+        className="item-note-comment"
+        value={note.comment}
+        onChange={(e) => onNoteChange(item.key, e.target.value)}
+        placeholder={`Describe the ${item.shortLabel.toLowerCase()} issue (location, size, etc.)`}
+      />
+
+      <div className="item-note-photos">
+        {note.images.map(url => (
+          <div key={url} className="item-note-photo existing">
+            <img src={url} alt={item.shortLabel} />
+            <button type="button" onClick={() => onRemovePhoto(item.key, { url })} title="Remove photo">×</button>
+          </div>
+        ))}
+        {photos.map((photo, index) => (
+          <div key={photo.id} className="item-note-photo">
+            <FilePreview file={getDisplayFile(photo)} alt={item.shortLabel} />
+            <button type="button" onClick={() => onRemovePhoto(item.key, { index })} title="Remove photo">×</button>
+            {onAnnotatePhoto && (
+              <button
+                type="button"
+                className="item-note-annotate"
+                onClick={() => onAnnotatePhoto(item.key, index)}
+                title="Mark up photo"
+              >
+                ✏️
+              </button>
+            )}
+          </div>
+        ))}
+        <label htmlFor={inputId} className="item-note-add">📷 Add Photo</label>
+        <input
+          type="file"
+          id={inputId}
+          accept="image/*,.heic,.heif"
+          multiple
+          onChange={(e) => {
+            onAddPhotos(item.key, Array.from(e.target.files));
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default ChecklistFields;
@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useChecklists } from '../contexts/ChecklistContext';
+import { findItemLabel, getChecklist, getChecklistItems } from '../utils/checklistSchema';
+import { citationsFor, loadCitations, saveItemCitations, validateCitations } from '../utils/ccrCitations';
+import '../styles/AdminViewer.css';
+import '../styles/ChecklistEditor.css';
+import '../styles/CitationEditor.css';
+
+const EMPTY_CITATION = { article: '', text: '' };
+
+// Label of an item on any checklist version, for citations of retired items
+const itemLabelFor = (itemKey) => findItemLabel(itemKey) || itemKey;
+
+// Board admin editor for the CCR citations of each checklist item
+function CitationEditor() {
+  const { currentUser, signOut } = useAuth();
+  const { currentVersion } = useChecklists();
+  const navigate = useNavigate();
+
+  const [citationsByItem, setCitationsByItem] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [savingKey, setSavingKey] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadCitations()
+      .then(setCitationsByItem)
+      .catch(error => {
+        console.error('Error loading citations:', error);
+        setError('Error loading citations: ' + error.message);
+      });
+  }, []);
+
+  const checklist = getChecklist(currentVersion);
+  const currentKeys = new Set(getChecklistItems(checklist).map(item => item.key));
+  // Citations kept for items no longer on the current checklist
+  const retiredKeys = citationsByItem
+    ? Object.keys(citationsByItem).filter(key => !currentKeys.has(key))
+    : [];
+
+  const citationsOf = (itemKey) => edits[itemKey] || citationsFor(citationsByItem, itemKey);
+
+  const editCitations = (itemKey, update) => {
+    setEdits(prev => ({ ...prev, [itemKey]: update(citationsOf(itemKey)) }));
+    setMessage('');
+  };
+
+  const handleChange = (itemKey, index, field, value) => {
+    editCitations(itemKey, citations => citations.map((citation, i) => (
+      i === index ? { ...citation, [field]: value } : citation
+    )));
+  };
+
+  const handleSave = async (itemKey) => {
+    setSavingKey(itemKey);
+    setError('');
+    setMessage('');
+    try {
+      const record = await saveItemCitations(itemKey, edits[itemKey], currentUser.email);
+      setCitationsByItem(prev => {
+        const { [itemKey]: previous, ...rest } = prev;
+        return record ? { ...rest, [itemKey]: record } : rest;
+      });
+      setEdits(prev => {
+        const { [itemKey]: saved, ...rest } = prev;
+        return rest;
+      });
+      setMessage(`Citations for ${itemLabelFor(itemKey)} saved.`);
+    } catch (error) {
+      console.error('Error saving citations:', error);
+      setError(error.message);
+    } finally {
+      setSavingKey('');
+    }
+  };
+
+  const handleDiscard = (itemKey) => {
+    setEdits(prev => {
+      const { [itemKey]: discarded, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      navigate('/login');
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
+
+  const renderItem = (itemKey, label) => {
+    const citations = citationsOf(itemKey);
+    const dirty = !!edits[itemKey];
+    const problems = dirty ? validateCitations(citations) : [];
+    const saved = citationsByItem[itemKey];
+
+    return (
+      <div key={itemKey} className="citation-item">
+        <div className="citation-item-header">
+          <div>
+            <div className="citation-item-label">{label}</div>
+            <div className="template-item-key">
+              {itemKey}
+              {saved && !dirty && ` · edited ${new Date(saved.updatedAt).toLocaleDateString()} by ${saved.updatedBy}`}
+            </div>
+          </div>
+          {dirty && (
+            <div className="template-actions">
+              <button className="template-btn" onClick={() => handleDiscard(itemKey)} disabled={savingKey === itemKey}>
+                Discard
+              </button>
+              <button
+                className="template-btn primary"
+                onClick={() => handleSave(itemKey)}
+                disabled={savingKey === itemKey || problems.length > 0}
+              >
+                {savingKey === itemKey ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {citations.map((citation, index) => (
+          <div key={index} className="citation-row">
+            <input
+              type="text"
+              placeholder="Article 7, Section 7.3"
+              value={citation.article}
+              onChange={(e) => handleChange(itemKey, index, 'article', e.target.value)}
+            />
+            <textarea
+              rows={2}
+              placeholder="Quoted text of the provision"
+              value={citation.text}
+              onChange={(e) => handleChange(itemKey, index, 'text', e.target.value)}
+            />
+            <div className="template-row-actions">
+              <button
+                type="button"
+                className="danger"
+                title="Remove citation"
+                onClick={() => editCitations(itemKey, list => list.filter((_, i) => i !== index))}
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        ))}
+        {problems.length > 0 && <div className="template-warning">{problems.join(' ')}</div>}
+
+        <button
+          type="button"
+          className="template-add"
+          onClick={() => editCitations(itemKey, list => [...list, { ...EMPTY_CITATION }])}
+        >
+          + Add citation
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <div className="header-left">
+            <h1>📜 CCR Citations</h1>
+            <p>Governing document sections cited for each checklist item in reports and owner letters</p>
+          </div>
+          <div className="user-section">
+            <button className="back-btn" onClick={() => navigate('/admin')}>← Back to Admin</button>
+            <div className="user-email">{currentUser?.email}</div>
+            <button className="signout-btn" onClick={handleSignOut}>Sign Out</button>
+          </div>
+        </div>
+
+        {error && <div className="template-error">{error}</div>}
+        {message && <div className="template-message">{message}</div>}
+        {!citationsByItem && !error && <div className="loading">Loading citations...</div>}
+
+        {citationsByItem && (
+          <>
+            {checklist.sections.map(section => (
+              <div key={section.id} className="template-section">
+                <div className="template-section-header">
+                  <span className="template-section-title">{section.title}</span>
+                </div>
+                {section.items.map(item => renderItem(item.key, item.shortLabel))}
+              </div>
+            ))}
+
+            {retiredKeys.length > 0 && (
+              <div className="template-section">
+                <div className="template-section-header">
+                  <span className="template-section-title">Items Not on the Current Checklist</span>
+                </div>
+                {retiredKeys.map(itemKey => renderItem(itemKey, itemLabelFor(itemKey)))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CitationEditor;
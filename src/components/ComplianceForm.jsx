@@ -1,72 +1,334 @@
-import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { db, storage } from '../firebase';
-import { collection, addDoc } from 'firebase/firestore';
-import { ref, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
-import emailjs from '@emailjs/browser';
+import { db } from '../firebase';
+import { doc, getDoc } from 'firebase/firestore';
 import useGoogleAutocomplete from '../hooks/useGoogleAutocomplete';
+import useSubmissionQueue from '../hooks/useSubmissionQueue';
+import useUploadManager from '../hooks/useUploadManager';
+import { ADMIN_PORTAL_ROLES } from '../utils/roles';
+import { updateReview } from '../utils/reviewStore';
+import { saveDraft, listDrafts, deleteDraft, newDraftId, hasDraftContent } from '../utils/draftStore';
+import { uploadPhotos, deleteUploadedPhotos, getImageRecords, getThumbnailUrl } from '../utils/photoUpload';
+import { isUploadCanceled } from '../utils/uploadManager';
+import { preparePhoto, toPhotoEntry, isImageFile, MAX_ORIGINAL_SIZE } from '../utils/imageProcessing';
+import { geocodeAddress, getPhotoWarnings, hasLocation } from '../utils/photoMetadata';
+import { enqueueSubmission, QUEUE_STATUS } from '../utils/submissionQueue';
+import { getChecklist, getChecklistForReview, createEmptyRatings } from '../utils/checklistSchema';
+import {
+  pruneItemNotes,
+  flattenItemPhotos,
+  countItemPhotos,
+  attachItemPhotoUrls,
+  getItemNote,
+  removePhotoFromNotes
+} from '../utils/itemNotes';
+import { getDisplayFile } from '../utils/annotations';
+import { matchProperty } from '../utils/propertyRegistry';
+import {
+  applyReinspectionOutcome,
+  buildReinspectionFields,
+  getReinspectionItems,
+  loadParentReview,
+  ratingForOutcome,
+  reinspectionStatus
+} from '../utils/reinspection';
+import { syncCasesFromReview } from '../utils/violationCases';
+import useProperties from '../hooks/useProperties';
+import useDueDates from '../hooks/useDueDates';
+import ChecklistFields from './ChecklistFields';
+import DeadlineTracker from './DeadlineTracker';
+import FilePreview from './FilePreview';
+import PhotoAnnotator from './PhotoAnnotator';
+import PropertyPicker from './PropertyPicker';
+import UploadProgress from './UploadProgress';
 import '../styles/ComplianceForm.css';
 
-// Initialize EmailJS
-const EMAILJS_PUBLIC_KEY = process.env.REACT_APP_EMAILJS_PUBLIC_KEY || "YOUR_EMAILJS_PUBLIC_KEY";
-const EMAILJS_SERVICE_ID = process.env.REACT_APP_EMAILJS_SERVICE_ID || "YOUR_EMAILJS_SERVICE_ID";
-const EMAILJS_TEMPLATE_ID = process.env.REACT_APP_EMAILJS_TEMPLATE_ID || "YOUR_EMAILJS_TEMPLATE_ID";
-
-if (EMAILJS_PUBLIC_KEY !== "YOUR_EMAILJS_PUBLIC_KEY") {
-  emailjs.init(EMAILJS_PUBLIC_KEY);
+const QUEUE_STATUS_LABELS = {
+  [QUEUE_STATUS.PENDING]: 'Pending',
+  [QUEUE_STATUS.SUBMITTING]: 'Submitting...',
+  [QUEUE_STATUS.FAILED]: 'Failed'
+};
+
+// Review fields that are not checklist ratings
+const BASE_FORM_DATA = {
+  date: '',
+  reviewTeam: '',
+  // Property registry id; propertyAddress is kept on the review for display
+  propertyId: '',
+  propertyAddress: '',
+  detailedComments: '',
+  violationNotice: '',
+  violationNoticeDate: '',
+  complianceDeadline: '',
+  reinspectionDate: '',
+  complianceStatus: '',
+  // Per-item note and photo URLs for items rated as a violation
+  itemNotes: {},
+  // Re-inspections: the review followed up on and the outcome by item key
+  parentReviewId: '',
+  reinspectionOutcomes: {}
+};
+
+// Blank form for a checklist - also used to reset after submit and as the base when loading a review
+function buildInitialFormData(checklist) {
+  return {
+    ...BASE_FORM_DATA,
+    ...createEmptyRatings(checklist)
+  };
 }
 
 function ComplianceForm() {
-  const { currentUser, signOut } = useAuth();
+  const { currentUser, hasRole, signOut } = useAuth();
   const navigate = useNavigate();
 
+  // Edit mode - /form/:id loads an existing review
+  // Re-inspection - /reinspect/:parentId starts a follow-up of an existing review
+  const { id: reviewId, parentId } = useParams();
+  const isEditMode = Boolean(reviewId);
+
+  // Checklist the form renders - the current version for new reviews,
+  // the review's own version when editing
+  const [checklist, setChecklist] = useState(() => getChecklist());
+
   // Form state
-  const [formData, setFormData] = useState({
-    date: '',
-    reviewTeam: '',
-    propertyAddress: '',
-    overallAppearance: '',
-    paintStucco: '',
-    tileRoof: '',
-    gutters: '',
-    windows: '',
-    doors: '',
-    fencing: '',
-    driveway: '',
-    walkways: '',
-    landscapeOverall: '',
-    groundCover: '',
-    treesShrubs: '',
-    deadPlants: '',
-    mistletoe: '',
-    rocksGravel: '',
-    mailbox: '',
-    lamppost: '',
-    houseNumbers: '',
-    exteriorLighting: '',
-    trashDebris: '',
-    trashCans: '',
-    unauthorizedStructures: '',
-    inoperableVehicles: '',
-    commercialVehicles: '',
-    approvedParking: '',
-    detailedComments: '',
-    violationNotice: '',
-    violationNoticeDate: '',
-    complianceDeadline: '',
-    reinspectionDate: '',
-    complianceStatus: ''
-  });
+  const [formData, setFormData] = useState(() => buildInitialFormData(getChecklist()));
+  const [loadingReview, setLoadingReview] = useState(isEditMode || Boolean(parentId));
+
+  // Review a re-inspection follows up on; also loaded when a re-inspection
+  // draft is resumed or edited. Ignored once the form moves to another review.
+  const [loadedParent, setLoadedParent] = useState(null);
+  const isReinspection = Boolean(formData.parentReviewId);
+  const parentReview = isReinspection && loadedParent?.id === formData.parentReviewId ? loadedParent : null;
+
+  // Photos already saved on the review being edited (download URLs)
+  const [existingImages, setExistingImages] = useState([]);
+  const [existingImageRecords, setExistingImageRecords] = useState([]);
 
   // Image upload state
-  const [selectedFiles, setSelectedFiles] = useState([]);
-  const [imagePreviews, setImagePreviews] = useState([]);
+  const [selectedPhotos, setSelectedPhotos] = useState([]);
+  // Photos attached to individual checklist items, by item key
+  const [itemPhotos, setItemPhotos] = useState({});
+  // Photo open in the annotation editor: { key, index }, key null for general photos
+  const [annotating, setAnnotating] = useState(null);
+  const [processingPhotos, setProcessingPhotos] = useState(false);
+  const [photoWarnings, setPhotoWarnings] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  // Per-photo progress, pause/resume and cancel for the current upload
+  const uploads = useUploadManager();
+  // Edit mode: photos uploaded by an attempt that did not save yet, by photo id
+  // ({ record, file }), so a retry only sends the rest and abandoning deletes them
+  const pendingUploadsRef = useRef({});
   const [success, setSuccess] = useState(false);
   const [error, setError] = useState('');
   const [submitting, setSubmitting] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  // Property registry the address is picked from
+  const { properties, addProperty } = useProperties(currentUser);
+
+  // Re-inspections reviewers can claim and start, with the deadlines behind them
+  const {
+    deadlines,
+    reinspections: reinspectionsDue,
+    loading: loadingDue,
+    error: dueError,
+    reload: reloadDue,
+    claim: claimDue,
+    release: releaseDue
+  } = useDueDates(currentUser);
+
+  // Offline submission queue - replays automatically when back online
+  const {
+    entries: queuedSubmissions,
+    isOnline,
+    submitNow,
+    retry: retrySubmission,
+    remove: removeSubmission
+  } = useSubmissionQueue(currentUser, (review) => {
+    setNotice(`Queued review for ${review.propertyAddress || 'a property'} was submitted.`);
+    setTimeout(() => setNotice(''), 5000);
+    if (review.parentReviewId) reloadDue();
+  });
+
+  // Draft state - new reviews are autosaved so a reload never loses work
+  const draftIdRef = useRef(null);
+  const [drafts, setDrafts] = useState([]);
+  const [showDrafts, setShowDrafts] = useState(false);
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+
+  // Offer to resume any saved drafts
+  useEffect(() => {
+    if (isEditMode) return;
+
+    listDrafts(currentUser)
+      .then(savedDrafts => {
+        setDrafts(savedDrafts);
+        setShowDrafts(savedDrafts.length > 0);
+      })
+      .catch(error => console.error('Error loading drafts:', error));
+  }, [isEditMode, currentUser]);
+
+  // Autosave the form and selected photos shortly after each change
+  useEffect(() => {
+    if (isEditMode || submitting) return;
+    if (!hasDraftContent(formData, selectedPhotos, itemPhotos)) return;
+
+    const timer = setTimeout(async () => {
+      if (!draftIdRef.current) {
+        draftIdRef.current = newDraftId();
+      }
+
+      try {
+        const saved = await saveDraft({
+          id: draftIdRef.current,
+          formData: { ...formData, schemaVersion: checklist.version },
+          photos: selectedPhotos,
+          itemPhotos
+        }, currentUser);
+
+        setDraftSavedAt(saved.updatedAt);
+        setDrafts(prev => [saved, ...prev.filter(d => d.id !== saved.id)]);
+      } catch (error) {
+        console.error('Error autosaving draft:', error);
+      }
+    }, 1000);
+
+    return () => clearTimeout(timer);
+  }, [formData, selectedPhotos, itemPhotos, checklist, isEditMode, submitting, currentUser]);
+
+  // Flag photos taken far from the property or long before the review date
+  useEffect(() => {
+    const photos = [
+      ...existingImageRecords
+        .filter(record => existingImages.includes(record.url))
+        .map((record, index) => ({ name: `Saved photo ${index + 1}`, metadata: record })),
+      ...selectedPhotos.map(photo => ({ name: photo.file.name, metadata: photo.metadata })),
+      ...flattenItemPhotos(itemPhotos).map(({ photo }) => ({ name: photo.file.name, metadata: photo.metadata }))
+    ];
+
+    let cancelled = false;
+    // Wait for typing to settle before geocoding the address
+    const timer = setTimeout(async () => {
+      const propertyLocation = photos.some(photo => hasLocation(photo.metadata))
+        ? await geocodeAddress(formData.propertyAddress)
+        : null;
+      if (cancelled) return;
+
+      setPhotoWarnings(photos
+        .map(photo => ({
+          name: photo.name,
+          warnings: getPhotoWarnings(photo.metadata, { reviewDate: formData.date, propertyLocation })
+        }))
+        .filter(photo => photo.warnings.length > 0));
+    }, 800);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.propertyAddress, formData.date, selectedPhotos, itemPhotos, existingImages, existingImageRecords]);
+
+  // Load the review when editing
+  useEffect(() => {
+    if (!reviewId) return;
+
+    const loadReview = async () => {
+      setLoadingReview(true);
+      setError('');
+
+      try {
+        const reviewSnap = await getDoc(doc(db, 'complianceReviews', reviewId));
+
+        if (!reviewSnap.exists()) {
+          setError('Review not found. It may have been deleted.');
+          return;
+        }
+
+        const review = reviewSnap.data();
+        const reviewChecklist = getChecklistForReview(review);
+
+        // Only pick known form fields so metadata is never written back as form input
+        const loaded = {};
+        Object.keys(buildInitialFormData(reviewChecklist)).forEach(key => {
+          loaded[key] = review[key] || '';
+        });
+        loaded.itemNotes = review.itemNotes || {};
+        loaded.reinspectionOutcomes = review.reinspectionOutcomes || {};
+
+        setChecklist(reviewChecklist);
+        setFormData(loaded);
+        setExistingImages(review.images || []);
+        setExistingImageRecords(getImageRecords(review));
+      } catch (error) {
+        console.error('Error loading review:', error);
+        setError('Error loading review: ' + error.message);
+      } finally {
+        setLoadingReview(false);
+      }
+    };
+
+    loadReview();
+  }, [reviewId]);
+
+  // Start a re-inspection from the review it follows up on
+  useEffect(() => {
+    if (!parentId || reviewId) return;
+
+    const startReinspection = async () => {
+      setLoadingReview(true);
+      setError('');
+
+      try {
+        const parent = await loadParentReview(parentId);
+        if (getReinspectionItems(parent).length === 0) {
+          setError('The review being re-inspected has no items rated Minor or Major.');
+          return;
+        }
+
+        const parentChecklist = getChecklistForReview(parent);
+        setChecklist(parentChecklist);
+        setLoadedParent(parent);
+        setFormData({ ...buildInitialFormData(parentChecklist), ...buildReinspectionFields(parent) });
+      } catch (error) {
+        console.error('Error starting re-inspection:', error);
+        setError('Error starting re-inspection: ' + error.message);
+      } finally {
+        setLoadingReview(false);
+      }
+    };
+
+    startReinspection();
+  }, [parentId, reviewId]);
+
+  // Load the parent of a re-inspection opened for editing or resumed from a draft
+  const parentReviewId = formData.parentReviewId;
+  const loadedParentId = loadedParent?.id;
+  useEffect(() => {
+    if (!parentReviewId || parentReviewId === loadedParentId) return;
+
+    loadParentReview(parentReviewId)
+      .then(setLoadedParent)
+      .catch(error => {
+        console.error('Error loading the re-inspected review:', error);
+        setError('Error loading the re-inspected review: ' + error.message);
+      });
+  }, [parentReviewId, loadedParentId]);
+
+  // Leaving an edit abandons its upload; photos it already uploaded are not on
+  // the review yet and would otherwise stay in Storage with nothing pointing at them.
+  // New reviews upload through the queue, which keeps going in the background.
+  const cancelUploads = uploads.cancel;
+  useEffect(() => {
+    if (!isEditMode) return;
+    const pendingUploads = pendingUploadsRef;
+    return () => {
+      cancelUploads();
+      const abandoned = Object.values(pendingUploads.current).map(upload => upload.record);
+      if (abandoned.length > 0) deleteUploadedPhotos(abandoned);
+    };
+  }, [isEditMode, cancelUploads]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -81,48 +343,181 @@ function ComplianceForm() {
     handleFiles(files);
   };
 
-  const handleFiles = (files) => {
+  const showPhotoError = (message) => {
+    setError(message);
+    setTimeout(() => setError(''), 5000);
+  };
+
+  // Validate newly picked photos against the per-review limits, then convert,
+  // orient and compress them so drafts, the queue and uploads all use the small copy
+  // Returns photo entries ({ id, file, metadata }), or null after showing an error
+  const preparePhotos = async (files) => {
     const maxFiles = 10;
-    const maxSize = 10 * 1024 * 1024; // 10MB
+    const maxUploadSize = 10 * 1024 * 1024; // 10MB, enforced by storage.rules
 
-    // Filter for images only
-    const imageFiles = files.filter(file => file.type.startsWith('image/'));
+    // Filter for images only (HEIC files often have no type)
+    const imageFiles = files.filter(isImageFile);
 
-    // Check total number
-    if (selectedFiles.length + imageFiles.length > maxFiles) {
-      setError(`Maximum ${maxFiles} images allowed`);
-      setTimeout(() => setError(''), 5000);
-      return;
+    // Check total number - item photos count towards the same limit
+    const photoCount = existingImages.length + selectedPhotos.length + countItemPhotos(itemPhotos);
+    if (photoCount + imageFiles.length > maxFiles) {
+      showPhotoError(`Maximum ${maxFiles} images allowed`);
+      return null;
     }
 
     // Check file sizes
-    const oversized = imageFiles.filter(file => file.size > maxSize);
+    const oversized = imageFiles.filter(file => file.size > MAX_ORIGINAL_SIZE);
     if (oversized.length > 0) {
-      setError('Some files are too large. Maximum size is 10MB per image.');
-      setTimeout(() => setError(''), 5000);
-      return;
+      showPhotoError(`Some files are too large. Maximum size is ${MAX_ORIGINAL_SIZE / 1024 / 1024}MB per image.`);
+      return null;
     }
 
+    setProcessingPhotos(true);
+    try {
+      // One at a time - decoding several full-size photos at once can exhaust phone memory
+      const processed = [];
+      for (const file of imageFiles) {
+        processed.push(await preparePhoto(file));
+      }
+
+      if (processed.some(photo => photo.file.size > maxUploadSize)) {
+        showPhotoError('Some photos are still larger than 10MB after compression.');
+        return null;
+      }
+
+      return processed;
+    } catch (error) {
+      console.error('Error processing photos:', error);
+      showPhotoError('Some photos could not be processed: ' + error.message);
+      return null;
+    } finally {
+      setProcessingPhotos(false);
+    }
+  };
+
+  const handleFiles = async (files) => {
+    const photos = await preparePhotos(files);
+    if (!photos) return;
+
     // Add new files
-    const newFiles = [...selectedFiles, ...imageFiles];
-    setSelectedFiles(newFiles);
-
-    // Create previews
-    imageFiles.forEach(file => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setImagePreviews(prev => [...prev, {
-          url: e.target.result,
-          name: file.name
-        }]);
-      };
-      reader.readAsDataURL(file);
-    });
+    setSelectedPhotos(prev => [...prev, ...photos]);
   };
 
   const removeImage = (index) => {
-    setSelectedFiles(prev => prev.filter((_, i) => i !== index));
-    setImagePreviews(prev => prev.filter((_, i) => i !== index));
+    setSelectedPhotos(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const annotatingPhoto = annotating && (annotating.key
+    ? itemPhotos[annotating.key]?.[annotating.index]
+    : selectedPhotos[annotating.index]);
+
+  // The original file is never replaced; the annotated copy rides alongside it
+  const saveAnnotation = (annotatedFile, annotations) => {
+    const { key, index } = annotating;
+    const annotate = (photo, i) => (i === index ? { ...photo, annotatedFile, annotations } : photo);
+
+    if (key) {
+      setItemPhotos(prev => ({ ...prev, [key]: prev[key].map(annotate) }));
+    } else {
+      setSelectedPhotos(prev => prev.map(annotate));
+    }
+    setAnnotating(null);
+  };
+
+  const removeExistingImage = (index) => {
+    const url = existingImages[index];
+    setExistingImages(prev => prev.filter((_, i) => i !== index));
+    setFormData(prev => ({ ...prev, itemNotes: removePhotoFromNotes(prev.itemNotes, url) }));
+  };
+
+  const handleItemNoteChange = (key, comment) => {
+    setFormData(prev => ({
+      ...prev,
+      itemNotes: {
+        ...prev.itemNotes,
+        [key]: { ...getItemNote(prev.itemNotes, key), comment }
+      }
+    }));
+  };
+
+  const addItemPhotos = async (key, files) => {
+    const photos = await preparePhotos(files);
+    if (!photos) return;
+
+    setItemPhotos(prev => ({ ...prev, [key]: [...(prev[key] || []), ...photos] }));
+  };
+
+  // Saved photos are removed from the review entirely; new ones are just dropped
+  const removeItemPhoto = (key, { url, index }) => {
+    if (url) {
+      setExistingImages(prev => prev.filter(image => image !== url));
+      setFormData(prev => ({ ...prev, itemNotes: removePhotoFromNotes(prev.itemNotes, url) }));
+      return;
+    }
+
+    setItemPhotos(prev => ({ ...prev, [key]: prev[key].filter((_, i) => i !== index) }));
+  };
+
+  // Record an outcome and the rating it stands for
+  const handleOutcomeChange = (key, outcome) => {
+    setFormData(prev => ({
+      ...prev,
+      [key]: ratingForOutcome(parentReview[key], outcome),
+      reinspectionOutcomes: { ...prev.reinspectionOutcomes, [key]: outcome }
+    }));
+  };
+
+  const resetForm = () => {
+    const currentChecklist = getChecklist();
+    setChecklist(currentChecklist);
+    setFormData(buildInitialFormData(currentChecklist));
+    setSelectedPhotos([]);
+    setItemPhotos({});
+    setDraftSavedAt(null);
+    draftIdRef.current = null;
+  };
+
+  const resumeDraft = (draft) => {
+    // The current form is already autosaved, so switching drafts loses nothing
+    const { schemaVersion, ...fields } = draft.formData;
+    const draftChecklist = getChecklist(schemaVersion);
+    setChecklist(draftChecklist);
+    setFormData({ ...buildInitialFormData(draftChecklist), ...fields });
+    const photos = (draft.photos || []).map(toPhotoEntry);
+    const draftItemPhotos = {};
+    Object.entries(draft.itemPhotos || {}).forEach(([key, entries]) => {
+      draftItemPhotos[key] = entries.map(toPhotoEntry);
+    });
+    setSelectedPhotos(photos);
+    setItemPhotos(draftItemPhotos);
+    setDraftSavedAt(draft.updatedAt);
+    draftIdRef.current = draft.id;
+    setShowDrafts(false);
+  };
+
+  const discardDraft = async (draft) => {
+    try {
+      await deleteDraft(draft.id);
+      setDrafts(prev => prev.filter(d => d.id !== draft.id));
+
+      if (draft.id === draftIdRef.current) {
+        resetForm();
+      }
+    } catch (error) {
+      console.error('Error discarding draft:', error);
+      setError('Error discarding draft: ' + error.message);
+    }
+  };
+
+  // The current form is already autosaved, so starting a re-inspection loses nothing
+  const startReinspectionOf = (reviewId) => {
+    resetForm();
+    navigate(`/reinspect/${reviewId}`);
+  };
+
+  const startNewInspection = () => {
+    resetForm();
+    setShowDrafts(false);
   };
 
   const handleDragOver = (e) => {
@@ -141,152 +536,206 @@ function ComplianceForm() {
     handleFiles(files);
   };
 
-  const uploadImages = async () => {
-    if (selectedFiles.length === 0) return [];
-
-    setUploading(true);
-    const urls = [];
+  // Upload the general photos and item photos together
+  // Returns image records for every new photo and the item notes with item photo URLs attached.
+  // Photos an earlier failed attempt uploaded are reused while unchanged; ones
+  // removed or marked up again since are deleted.
+  const uploadImages = async (itemNotes, keptItemPhotos) => {
+    const itemUploads = flattenItemPhotos(keptItemPhotos);
+    const photos = [...selectedPhotos, ...itemUploads.map(upload => upload.photo)];
+
+    const pending = pendingUploadsRef.current;
+    const stale = Object.keys(pending).filter(id =>
+      !photos.some(photo => photo.id === id && getDisplayFile(photo) === pending[id].file)
+    );
+    if (stale.length > 0) {
+      await deleteUploadedPhotos(stale.map(id => pending[id].record));
+      stale.forEach(id => delete pending[id]);
+    }
 
-    for (let i = 0; i < selectedFiles.length; i++) {
-      const file = selectedFiles[i];
-      const filename = `compliance-photos/${Date.now()}-${file.name}`;
-      const storageRef = ref(storage, filename);
+    if (photos.length === 0) return { imageRecords: [], itemNotes };
 
-      try {
-        const uploadTask = uploadBytesResumable(storageRef, file);
-
-        const url = await new Promise((resolve, reject) => {
-          uploadTask.on('state_changed',
-            (snapshot) => {
-              const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-              const overallProgress = ((i + (progress / 100)) / selectedFiles.length) * 100;
-              setUploadProgress(overallProgress);
-            },
-            (error) => reject(error),
-            async () => {
-              const downloadURL = await getDownloadURL(uploadTask.snapshot.ref);
-              resolve(downloadURL);
-            }
-          );
-        });
+    setUploading(true);
+    try {
+      const imageRecords = await uploadPhotos(photos, {
+        ...uploads.start(),
+        reviewId,
+        uploadedBy: currentUser.email,
+        uploaded: photos.map(photo => pending[photo.id]?.record),
+        onProgress: setUploadProgress,
+        onFileUploaded: (index, record) => {
+          pending[photos[index].id] = { record, file: getDisplayFile(photos[index]) };
+        }
+      });
 
-        urls.push(url);
-      } catch (error) {
-        console.error('Error uploading file:', file.name, error);
-        throw error;
-      }
+      const urls = imageRecords.map(record => record.url);
+      return {
+        imageRecords,
+        itemNotes: attachItemPhotoUrls(itemNotes, itemUploads, urls.slice(selectedPhotos.length))
+      };
+    } finally {
+      setUploading(false);
     }
-
-    setUploading(false);
-    return urls;
   };
 
-  const sendEmailNotification = async (reviewData) => {
-    if (EMAILJS_PUBLIC_KEY === "YOUR_EMAILJS_PUBLIC_KEY") {
-      console.log('EmailJS not configured');
-      return false;
-    }
+  // Delete the photos an abandoned edit uploaded
+  const discardPendingUploads = async () => {
+    const abandoned = Object.values(pendingUploadsRef.current).map(upload => upload.record);
+    pendingUploadsRef.current = {};
+    uploads.reset();
+    if (abandoned.length > 0) await deleteUploadedPhotos(abandoned);
+  };
 
+  // Send a queued submission again, showing per-photo progress
+  const retryQueued = async (entryId) => {
+    setUploading(true);
     try {
-      const emailParams = {
-        to_email: 'board@stvha.org',
-        property_address: reviewData.propertyAddress,
-        review_date: reviewData.date,
-        review_team: reviewData.reviewTeam,
-        submitted_by: reviewData.submittedBy,
-        image_count: reviewData.imageCount || 0,
-        compliance_status: reviewData.complianceStatus || 'Not specified',
-        has_violations: (reviewData.complianceStatus === 'further-action' || reviewData.complianceStatus === 'in-progress') ? 'Yes' : 'No',
-        comments: reviewData.detailedComments || 'No comments provided',
-        admin_link: window.location.origin + '/admin'
-      };
-
-      await emailjs.send(EMAILJS_SERVICE_ID, EMAILJS_TEMPLATE_ID, emailParams);
-      console.log('Email notification sent successfully');
-      return true;
-    } catch (error) {
-      console.error('Error sending email notification:', error);
-      return false;
+      await retrySubmission(entryId, { ...uploads.start(), onProgress: setUploadProgress });
+    } finally {
+      setUploading(false);
+      setUploadProgress(0);
     }
   };
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
+    submitReview();
+  };
+
+  const submitReview = async () => {
+    if (submitting) return;
+
     setSuccess(false);
     setError('');
+    setNotice('');
     setSubmitting(true);
 
-    try {
-      // Upload images
-      const imageUrls = await uploadImages();
-
-      // Prepare data
-      const submitData = {
-        ...formData,
-        images: imageUrls,
-        imageCount: imageUrls.length,
-        submittedAt: new Date().toISOString(),
-        submittedBy: currentUser.email
-      };
+    // Notes and photos only apply to items still rated as a violation
+    const { itemNotes, itemPhotos: keptItemPhotos } = pruneItemNotes(formData, itemPhotos);
 
-      // Save to Firestore
-      await addDoc(collection(db, 'complianceReviews'), submitData);
+    // A typed address that matches a registered property is linked to it.
+    // Offline, an unregistered address is linked when the queue submits it.
+    const property = formData.propertyId
+      ? { id: formData.propertyId }
+      : matchProperty(properties, formData.propertyAddress);
+    if (!property && navigator.onLine) {
+      setError('Pick the property from the registry, or add it as a new property.');
+      setSubmitting(false);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+    const reviewFields = { ...formData, propertyId: property?.id || '' };
 
-      // Send email notification
-      await sendEmailNotification(submitData);
+    if (isReinspection) {
+      if (!parentReview) {
+        setError('The review being re-inspected is still loading. Try again in a moment.');
+        setSubmitting(false);
+        return;
+      }
+      const unanswered = getReinspectionItems(parentReview)
+        .filter(item => !formData.reinspectionOutcomes[item.key]);
+      if (unanswered.length > 0) {
+        setError(`Choose Resolved, Still open or Worse for every item (${unanswered.map(item => item.shortLabel).join(', ')}).`);
+        setSubmitting(false);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        return;
+      }
+      reviewFields.complianceStatus = reviewFields.complianceStatus ||
+        reinspectionStatus(formData.reinspectionOutcomes);
+    }
 
-      // Show success
-      setSuccess(true);
+    try {
+      if (isEditMode) {
+        // Upload images
+        const uploaded = await uploadImages(itemNotes, keptItemPhotos);
+        const allImageRecords = [
+          ...existingImageRecords.filter(record => existingImages.includes(record.url)),
+          ...uploaded.imageRecords
+        ];
+        const allImages = allImageRecords.map(record => record.url);
+
+        await updateReview(reviewId, {
+          ...reviewFields,
+          itemNotes: uploaded.itemNotes,
+          schemaVersion: checklist.version,
+          images: allImages,
+          imageRecords: allImageRecords,
+          imageCount: allImages.length
+        }, currentUser.email);
+
+        // The photos are on the review now
+        pendingUploadsRef.current = {};
+
+        if (reviewFields.parentReviewId) {
+          await applyReinspectionOutcome(reviewFields, reviewId, currentUser.email);
+        }
+        await syncCasesFromReview(
+          { ...reviewFields, schemaVersion: checklist.version },
+          reviewId,
+          currentUser.email
+        );
+        navigate('/admin');
+        return;
+      }
 
-      // Reset form
-      setFormData({
-        date: '',
-        reviewTeam: '',
-        propertyAddress: '',
-        overallAppearance: '',
-        paintStucco: '',
-        tileRoof: '',
-        gutters: '',
-        windows: '',
-        doors: '',
-        fencing: '',
-        driveway: '',
-        walkways: '',
-        landscapeOverall: '',
-        groundCover: '',
-        treesShrubs: '',
-        deadPlants: '',
-        mistletoe: '',
-        rocksGravel: '',
-        mailbox: '',
-        lamppost: '',
-        houseNumbers: '',
-        exteriorLighting: '',
-        trashDebris: '',
-        trashCans: '',
-        unauthorizedStructures: '',
-        inoperableVehicles: '',
-        commercialVehicles: '',
-        approvedParking: '',
-        detailedComments: '',
-        violationNotice: '',
-        violationNoticeDate: '',
-        complianceDeadline: '',
-        reinspectionDate: '',
-        complianceStatus: ''
-      });
-      setSelectedFiles([]);
-      setImagePreviews([]);
+      // Queue the submission on the device first so nothing is lost if the
+      // network drops. The draft id doubles as the submission id, so submitting
+      // the same draft twice replaces the queued entry instead of duplicating it.
+      const submissionId = draftIdRef.current || newDraftId();
+      await enqueueSubmission({
+        id: submissionId,
+        formData: { ...reviewFields, itemNotes, schemaVersion: checklist.version },
+        photos: selectedPhotos,
+        itemPhotos: keptItemPhotos
+      }, currentUser);
+
+      // The draft now lives in the queue, so it is no longer needed
+      if (draftIdRef.current) {
+        await deleteDraft(submissionId).catch(error =>
+          console.error('Error removing submitted draft:', error)
+        );
+        setDrafts(prev => prev.filter(d => d.id !== submissionId));
+      }
 
-      // Scroll to top
+      // Reset form
+      resetForm();
       window.scrollTo({ top: 0, behavior: 'smooth' });
 
-      // Hide success message after 5 seconds
-      setTimeout(() => setSuccess(false), 5000);
+      if (!navigator.onLine) {
+        setNotice('You are offline. The review was saved on this device and will be submitted automatically when the connection returns.');
+        return;
+      }
+
+      try {
+        setUploading(true);
+        await submitNow(submissionId, { ...uploads.start(), onProgress: setUploadProgress });
+
+        // Show success
+        setSuccess(true);
+        if (reviewFields.parentReviewId) reloadDue();
 
+        // Hide success message after 5 seconds
+        setTimeout(() => setSuccess(false), 5000);
+      } catch (error) {
+        if (isUploadCanceled(error)) {
+          setNotice('Upload canceled. The review is still saved on this device; retry or discard it below.');
+        } else {
+          console.error('Error submitting queued review:', error);
+          setNotice(`The review was saved on this device but could not be submitted yet (${error.message}). It will be retried automatically, or you can retry it below.`);
+        }
+      } finally {
+        setUploading(false);
+      }
     } catch (error) {
-      console.error('Error submitting form:', error);
-      setError('Error submitting form: ' + error.message);
+      if (isUploadCanceled(error)) {
+        // Nothing was saved, so the photos this edit already uploaded are abandoned
+        await discardPendingUploads();
+        setError('Upload canceled. No changes were saved.');
+      } else {
+        console.error('Error submitting form:', error);
+        setError('Error submitting form: ' + error.message +
+          (error.failedCount ? '. Photos that uploaded are kept; save again to retry the rest.' : ''));
+      }
       window.scrollTo({ top: 0, behavior: 'smooth' });
     } finally {
       setSubmitting(false);
@@ -314,29 +763,6 @@ function ComplianceForm() {
   // Initialize Google Autocomplete
   const addressInputRef = useGoogleAutocomplete(handleAddressSelected);
 
-  const RadioGroup = ({ name, label }) => (
-    <div className="question">
-      <div className="item-label">{label}</div>
-      <div className="radio-group">
-        {['accept', 'minor', 'major', 'na'].map(value => (
-          <div className="radio-option" key={value}>
-            <input
-              type="radio"
-              id={`${name}-${value}`}
-              name={name}
-              value={value}
-              checked={formData[name] === value}
-              onChange={handleInputChange}
-            />
-            <label htmlFor={`${name}-${value}`}>
-              {value === 'na' ? 'N/A' : value.charAt(0).toUpperCase() + value.slice(1)}
-            </label>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-
   return (
     <div className="form-page">
       <div className="form-container">
@@ -350,6 +776,66 @@ function ComplianceForm() {
           <div className="error-message">{error}</div>
         )}
 
+        {notice && (
+          <div className="info-message">{notice}</div>
+        )}
+
+        {!isOnline && (
+          <div className="offline-banner">
+            📴 You are offline. Reviews you submit are saved on this device and sent when the connection returns.
+          </div>
+        )}
+
+        {queuedSubmissions.length > 0 && (
+          <div className="queue-panel">
+            <div className="queue-title">📤 Waiting to Submit ({queuedSubmissions.length})</div>
+            {queuedSubmissions.map(entry => (
+              <div key={entry.id} className="queue-item">
+                <div className="queue-info">
+                  <div className="queue-address">
+                    {entry.formData.propertyAddress || 'No address'}
+                  </div>
+                  <div className="queue-meta">
+                    <span className={`queue-status queue-status-${entry.status}`}>
+                      {QUEUE_STATUS_LABELS[entry.status] || entry.status}
+                    </span>
+                    {' · '}
+                    {entry.photos.length + countItemPhotos(entry.itemPhotos)} photo(s) · queued {new Date(entry.queuedAt).toLocaleString()}
+                  </div>
+                  {entry.lastError && (
+                    <div className="queue-error">{entry.lastError}</div>
+                  )}
+                </div>
+                {entry.status !== QUEUE_STATUS.SUBMITTING && (
+                  <div className="queue-actions">
+                    <button
+                      type="button"
+                      className="queue-retry"
+                      onClick={() => retryQueued(entry.id)}
+                      disabled={!isOnline}
+                    >
+                      Retry
+                    </button>
+                    <button
+                      type="button"
+                      className="queue-remove"
+                      onClick={() => {
+                        if (window.confirm('Discard this review? It has not been submitted and will be lost.')) {
+                          removeSubmission(entry.id).catch(error =>
+                            setError('Error discarding review: ' + error.message)
+                          );
+                        }
+                      }}
+                    >
+                      Discard
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         <div className="form-header">
           <h1 className="form-title">
             Sunrise Territory Village<br />
@@ -361,309 +847,422 @@ function ComplianceForm() {
           </p>
         </div>
 
+        {isReinspection && (
+          <div className="edit-banner reinspection-banner">
+            <span>
+              🔁 Re-inspection{parentReview && ` of the ${new Date(parentReview.date).toLocaleDateString()} review`}
+              {formData.propertyAddress && ` for ${formData.propertyAddress}`}.
+              {' '}Only the items that review rated Minor or Major are listed.
+            </span>
+          </div>
+        )}
+
+        {isEditMode && (
+          <div className="edit-banner">
+            <span>✏️ Editing existing review{formData.propertyAddress && ` for ${formData.propertyAddress}`}</span>
+            <Link to="/admin">Cancel</Link>
+          </div>
+        )}
+
+        {loadingReview && (
+          <div className="loading-review">Loading review...</div>
+        )}
+
         <div className="user-info">
           <span className="user-email">{currentUser?.email}</span>
           <button className="signout-btn" onClick={handleSignOut}>Sign Out</button>
         </div>
 
-        <div className="admin-link">
-          <Link to="/admin">📊 Admin Portal - View All Submissions</Link>
-        </div>
-
-        <form onSubmit={handleSubmit}>
-          {/* Basic Information Section */}
-          <div className="form-section">
-            <div className="question">
-              <label className="question-label">
-                Date<span className="required">*</span>
-              </label>
-              <input
-                type="date"
-                name="date"
-                value={formData.date}
-                onChange={handleInputChange}
-                required
-              />
-            </div>
-
-            <div className="question">
-              <label className="question-label">
-                Review Team<span className="required">*</span>
-              </label>
-              <input
-                type="text"
-                name="reviewTeam"
-                value={formData.reviewTeam}
-                onChange={handleInputChange}
-                placeholder="Enter reviewer names"
-                required
-              />
-            </div>
-
-            <div className="question">
-              <label className="question-label">
-                Property Address<span className="required">*</span>
-              </label>
-              <input
-                // ref={addressInputRef}
-                type="text"
-                name="propertyAddress"
-                value={formData.propertyAddress}
-                onChange={handleInputChange}
-                placeholder="Start typing to search addresses..."
-                required
-                autoComplete="off"
-              />
-            </div>
-          </div>
-
-          {/* Photo Upload Section */}
-          <div className="form-section">
-            <h2 className="section-title">Property Photos</h2>
-            <div className="question">
-              <label className="question-label">Upload Photos (Optional)</label>
-              <p className="file-upload-hint">Add photos to document violations or property condition</p>
-
-              <div
-                className="file-upload-area"
-                onClick={() => document.getElementById('fileInput').click()}
-                onDragOver={handleDragOver}
-                onDragLeave={handleDragLeave}
-                onDrop={handleDrop}
+        {!isEditMode && (
+          <div className="drafts-panel">
+            <div className="drafts-header">
+              <button
+                type="button"
+                className="drafts-toggle"
+                onClick={() => setShowDrafts(prev => !prev)}
               >
-                <div className="file-upload-icon">📷</div>
-                <div className="file-upload-text">Click to upload or drag and drop</div>
-                <div className="file-upload-hint">PNG, JPG, HEIC up to 10MB each (Max 10 photos)</div>
-              </div>
-
-              <input
-                type="file"
-                id="fileInput"
-                accept="image/*"
-                multiple
-                onChange={handleFileSelect}
-                style={{ display: 'none' }}
-              />
+                📝 My Drafts ({drafts.length}) {showDrafts ? '▲' : '▼'}
+              </button>
+              <span className="draft-status">
+                {draftSavedAt
+                  ? `Draft saved ${new Date(draftSavedAt).toLocaleTimeString()}`
+                  : 'Changes are saved as a draft automatically'}
+              </span>
+            </div>
 
-              {imagePreviews.length > 0 && (
-                <div className="image-preview-container">
-                  {imagePreviews.map((preview, index) => (
-                    <div key={index} className="image-preview">
-                      <img src={preview.url} alt={`Preview ${index + 1}`} />
-                      <button
-                        type="button"
-                        className="image-preview-remove"
-                        onClick={() => removeImage(index)}
-                      >
-                        ×
+            {showDrafts && (
+              <div className="drafts-list">
+                {drafts.length === 0 && (
+                  <div className="drafts-empty">No saved drafts</div>
+                )}
+                {drafts.map(draft => (
+                  <div
+                    key={draft.id}
+                    className={`draft-item${draft.id === draftIdRef.current ? ' current' : ''}`}
+                  >
+                    <div className="draft-info">
+                      <div className="draft-address">
+                        {draft.formData?.parentReviewId && '🔁 '}
+                        {draft.formData?.propertyAddress || 'No address yet'}
+                        {draft.id === draftIdRef.current && ' (current)'}
+                      </div>
+                      <div className="draft-meta">
+                        Saved {new Date(draft.updatedAt).toLocaleString()}
+                        {' · '}
+                        {draft.remoteOnly
+                          ? `${draft.photoCount || 0} photo(s) on another device`
+                          : `${draft.photos.length + countItemPhotos(draft.itemPhotos)} photo(s)`}
+                      </div>
+                    </div>
+                    <div className="draft-actions">
+                      {draft.id !== draftIdRef.current && (
+                        <button type="button" className="draft-resume" onClick={() => resumeDraft(draft)}>
+                          Resume
+                        </button>
+                      )}
+                      <button type="button" className="draft-discard" onClick={() => discardDraft(draft)}>
+                        Discard
                       </button>
                     </div>
-                  ))}
-                </div>
-              )}
-
-              {uploading && (
-                <div className="upload-progress">
-                  <div className="upload-progress-text">
-                    Uploading images... {Math.round(uploadProgress)}%
-                  </div>
-                  <div className="upload-progress-bar">
-                    <div
-                      className="upload-progress-fill"
-                      style={{ width: `${uploadProgress}%` }}
-                    />
                   </div>
-                </div>
-              )}
-            </div>
-          </div>
-
-          {/* Overall Property Appearance */}
-          <div className="form-section">
-            <h2 className="section-title">Overall Property Appearance</h2>
-            <RadioGroup name="overallAppearance" label="General appearance and curb appeal" />
-          </div>
-
-          {/* Exterior Structures */}
-          <div className="form-section">
-            <h2 className="section-title">Exterior Structures</h2>
-            <RadioGroup name="paintStucco" label="Paint and/or stucco condition" />
-            <RadioGroup name="tileRoof" label="Tile roof condition" />
-            <RadioGroup name="gutters" label="Gutters and downspouts" />
-            <RadioGroup name="windows" label="Windows and screens" />
-            <RadioGroup name="doors" label="Doors and garage doors" />
-            <RadioGroup name="fencing" label="Fencing condition and appearance" />
+                ))}
+                <button type="button" className="draft-new" onClick={startNewInspection}>
+                  ➕ Start a New Inspection
+                </button>
+              </div>
+            )}
           </div>
+        )}
 
-          {/* Hardscape */}
-          <div className="form-section">
-            <h2 className="section-title">Hardscape</h2>
-            <RadioGroup name="driveway" label="Driveway condition (cracks, stains, etc.)" />
-            <RadioGroup name="walkways" label="Walkways and patios" />
+        {hasRole(ADMIN_PORTAL_ROLES) && (
+          <div className="admin-link">
+            <Link to="/admin">📊 Admin Portal - View All Submissions</Link>
           </div>
+        )}
 
-          {/* Landscaping */}
-          <div className="form-section">
-            <h2 className="section-title">Landscaping</h2>
-            <RadioGroup name="landscapeOverall" label="Overall landscaping condition" />
-            <RadioGroup name="groundCover" label="Ground cover/xeriscape maintained" />
-            <RadioGroup name="treesShrubs" label="Trees and shrubs (trimmed, healthy)" />
-            <RadioGroup name="deadPlants" label="Dead/dying trees, shrubs, cacti, succulents" />
-            <RadioGroup name="mistletoe" label="Mistletoe present in trees" />
-            <RadioGroup name="rocksGravel" label="Landscape rocks/gravel maintained" />
-          </div>
+        {!isEditMode && !isReinspection && dueError && isOnline && (
+          <div className="info-message">{dueError}</div>
+        )}
 
-          {/* Fixtures & Amenities */}
-          <div className="form-section">
-            <h2 className="section-title">Fixtures & Amenities</h2>
-            <RadioGroup name="mailbox" label="Mailbox condition" />
-            <RadioGroup name="lamppost" label="Lamppost condition" />
-            <RadioGroup name="houseNumbers" label="House numbers visible/condition" />
-            <RadioGroup name="exteriorLighting" label="Exterior lighting functional" />
-          </div>
+        {!isEditMode && !isReinspection && !loadingDue && !dueError && (
+          <DeadlineTracker
+            deadlines={deadlines}
+            reinspections={reinspectionsDue}
+            currentEmail={currentUser?.email}
+            canClaim={isOnline}
+            canReleaseAny={false}
+            canStart={(review) => getReinspectionItems(review).length > 0}
+            onClaim={claimDue}
+            onRelease={releaseDue}
+            onStart={startReinspectionOf}
+          />
+        )}
 
-          {/* Storage & Cleanliness */}
-          <div className="form-section">
-            <h2 className="section-title">Storage & Cleanliness</h2>
-            <RadioGroup name="trashDebris" label="No visible trash/debris" />
-            <RadioGroup name="trashCans" label="Trash cans properly stored" />
-            <RadioGroup name="unauthorizedStructures" label="No unauthorized structures/storage" />
-          </div>
+        {!loadingReview && (
+          <form onSubmit={handleSubmit}>
+            {/* Basic Information Section */}
+            <div className="form-section">
+              <div className="question">
+                <label className="question-label">
+                  Date<span className="required">*</span>
+                </label>
+                <input
+                  type="date"
+                  name="date"
+                  value={formData.date}
+                  onChange={handleInputChange}
+                  required
+                />
+              </div>
 
-          {/* Vehicles & Parking */}
-          <div className="form-section">
-            <h2 className="section-title">Vehicles & Parking</h2>
-            <RadioGroup name="inoperableVehicles" label="No inoperable vehicles visible" />
-            <RadioGroup name="commercialVehicles" label="No commercial vehicles/trailers/RVs" />
-            <RadioGroup name="approvedParking" label="Vehicles parked in approved areas" />
-          </div>
+              <div className="question">
+                <label className="question-label">
+                  Review Team<span className="required">*</span>
+                </label>
+                <input
+                  type="text"
+                  name="reviewTeam"
+                  value={formData.reviewTeam}
+                  onChange={handleInputChange}
+                  placeholder="Enter reviewer names"
+                  required
+                />
+              </div>
 
-          {/* Detailed Comments */}
-          <div className="form-section">
-            <h2 className="section-title">Detailed Comments / Violation Specifics</h2>
-            <div className="question">
-              <label className="question-label">
-                Include specific locations, measurements, or descriptions as needed
-              </label>
-              <textarea
-                name="detailedComments"
-                value={formData.detailedComments}
-                onChange={handleInputChange}
-                placeholder="Enter detailed comments here..."
-              />
+              <div className="question">
+                <label className="question-label">
+                  Property Address<span className="required">*</span>
+                </label>
+                <PropertyPicker
+                  properties={properties}
+                  propertyId={formData.propertyId}
+                  address={formData.propertyAddress}
+                  onChange={(selection) => setFormData(prev => ({ ...prev, ...selection }))}
+                  onAddProperty={addProperty}
+                  isOnline={isOnline}
+                />
+              </div>
             </div>
-          </div>
 
-          {/* Follow-up Actions */}
-          <div className="form-section">
-            <h2 className="section-title">Follow-up Actions</h2>
-
-            <div className="question">
-              <label className="question-label">Violation Notice Sent?</label>
-              <div className="radio-group">
-                <div className="radio-option">
-                  <input
-                    type="radio"
-                    id="notice-yes"
-                    name="violationNotice"
-                    value="yes"
-                    checked={formData.violationNotice === 'yes'}
-                    onChange={handleInputChange}
-                  />
-                  <label htmlFor="notice-yes">Yes</label>
-                </div>
-                <div className="radio-option">
-                  <input
-                    type="radio"
-                    id="notice-no"
-                    name="violationNotice"
-                    value="no"
-                    checked={formData.violationNotice === 'no'}
-                    onChange={handleInputChange}
-                  />
-                  <label htmlFor="notice-no">No</label>
+            {/* Photo Upload Section */}
+            <div className="form-section">
+              <h2 className="section-title">Property Photos</h2>
+              <div className="question">
+                <label className="question-label">Upload Photos (Optional)</label>
+                <p className="file-upload-hint">Add photos to document violations or property condition</p>
+
+                <div
+                  className="file-upload-area"
+                  onClick={() => document.getElementById('fileInput').click()}
+                  onDragOver={handleDragOver}
+                  onDragLeave={handleDragLeave}
+                  onDrop={handleDrop}
+                >
+                  <div className="file-upload-icon">📷</div>
+                  <div className="file-upload-text">Click to upload or drag and drop</div>
+                  <div className="file-upload-hint">PNG, JPG, HEIC up to 40MB each, compressed before upload (Max 10 photos)</div>
                 </div>
+
+                {processingPhotos && (
+                  <div className="upload-progress-text">Preparing photos...</div>
+                )}
+
+                {existingImages.length > 0 && (
+                  <div className="image-preview-container">
+                    {existingImages.map((url, index) => (
+                      <div key={url} className="image-preview existing">
+                        <img
+                          src={getThumbnailUrl({ imageRecords: existingImageRecords }, url)}
+                          alt={`Saved ${index + 1}`}
+                        />
+                        <button
+                          type="button"
+                          className="image-preview-remove"
+                          onClick={() => removeExistingImage(index)}
+                          title="Remove this photo from the review"
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <input
+                  type="file"
+                  id="fileInput"
+                  accept="image/*,.heic,.heif"
+                  multiple
+                  onChange={handleFileSelect}
+                  style={{ display: 'none' }}
+                />
+
+                {selectedPhotos.length > 0 && (
+                  <div className="image-preview-container">
+                    {selectedPhotos.map((photo, index) => (
+                      <div key={photo.id} className="image-preview">
+                        <FilePreview file={getDisplayFile(photo)} alt={`Preview ${index + 1}`} />
+                        <button
+                          type="button"
+                          className="image-preview-remove"
+                          onClick={() => removeImage(index)}
+                        >
+                          ×
+                        </button>
+                        <button
+                          type="button"
+                          className="image-preview-annotate"
+                          onClick={() => setAnnotating({ key: null, index })}
+                          title="Mark up this photo with arrows, circles and labels"
+                        >
+                          ✏️ {photo.annotatedFile ? 'Edit markup' : 'Mark up'}
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {photoWarnings.length > 0 && (
+                  <div className="photo-warnings">
+                    {photoWarnings.map((photo, index) => (
+                      <div key={index} className="photo-warning">
+                        ⚠️ <strong>{photo.name}</strong>: {photo.warnings.join('; ')}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <UploadProgress
+                  files={uploads.files}
+                  progress={uploadProgress}
+                  uploading={uploading}
+                  paused={uploads.paused}
+                  onPause={uploads.pause}
+                  onResume={uploads.resume}
+                  onCancel={uploads.cancel}
+                  onRetry={isEditMode ? submitReview : null}
+                />
               </div>
             </div>
 
-            <div className="question">
-              <label className="question-label">Violation Notice Date (if applicable)</label>
-              <input
-                type="date"
-                name="violationNoticeDate"
-                value={formData.violationNoticeDate}
+            {/* Inspection Checklist */}
+            {isReinspection && !parentReview ? (
+              <div className="loading-review">Loading the re-inspected review...</div>
+            ) : (
+              <ChecklistFields
+                checklist={checklist}
+                values={formData}
                 onChange={handleInputChange}
+                itemPhotos={itemPhotos}
+                onNoteChange={handleItemNoteChange}
+                onAddItemPhotos={addItemPhotos}
+                onRemoveItemPhoto={removeItemPhoto}
+                onAnnotateItemPhoto={(key, index) => setAnnotating({ key, index })}
+                reinspection={parentReview && {
+                  parent: parentReview,
+                  outcomes: formData.reinspectionOutcomes,
+                  onOutcomeChange: handleOutcomeChange
+                }}
               />
+            )}
+
+            {/* Detailed Comments */}
+            <div className="form-section">
+              <h2 className="section-title">Detailed Comments / Violation Specifics</h2>
+              <div className="question">
+                <label className="question-label">
+                  Include specific locations, measurements, or descriptions as needed
+                </label>
+                <textarea
+                  name="detailedComments"
+                  value={formData.detailedComments}
+                  onChange={handleInputChange}
+                  placeholder="Enter detailed comments here..."
+                />
+              </div>
             </div>
 
-            <div className="question">
-              <label className="question-label">Compliance Deadline</label>
-              <input
-                type="date"
-                name="complianceDeadline"
-                value={formData.complianceDeadline}
-                onChange={handleInputChange}
-              />
-            </div>
+            {/* Follow-up Actions */}
+            <div className="form-section">
+              <h2 className="section-title">Follow-up Actions</h2>
+
+              <div className="question">
+                <label className="question-label">Violation Notice Sent?</label>
+                <div className="radio-group">
+                  <div className="radio-option">
+                    <input
+                      type="radio"
+                      id="notice-yes"
+                      name="violationNotice"
+                      value="yes"
+                      checked={formData.violationNotice === 'yes'}
+                      onChange={handleInputChange}
+                    />
+                    <label htmlFor="notice-yes">Yes</label>
+                  </div>
+                  <div className="radio-option">
+                    <input
+                      type="radio"
+                      id="notice-no"
+                      name="violationNotice"
+                      value="no"
+                      checked={formData.violationNotice === 'no'}
+                      onChange={handleInputChange}
+                    />
+                    <label htmlFor="notice-no">No</label>
+                  </div>
+                </div>
+              </div>
 
-            <div className="question">
-              <label className="question-label">Re-inspection Date</label>
-              <input
-                type="date"
-                name="reinspectionDate"
-                value={formData.reinspectionDate}
-                onChange={handleInputChange}
-              />
-            </div>
+              <div className="question">
+                <label className="question-label">Violation Notice Date (if applicable)</label>
+                <input
+                  type="date"
+                  name="violationNoticeDate"
+                  value={formData.violationNoticeDate}
+                  onChange={handleInputChange}
+                />
+              </div>
 
-            <div className="question">
-              <label className="question-label">Compliance Status</label>
-              <div className="radio-group">
-                <div className="radio-option">
-                  <input
-                    type="radio"
-                    id="status-resolved"
-                    name="complianceStatus"
-                    value="resolved"
-                    checked={formData.complianceStatus === 'resolved'}
-                    onChange={handleInputChange}
-                  />
-                  <label htmlFor="status-resolved">Resolved</label>
-                </div>
-                <div className="radio-option">
-                  <input
-                    type="radio"
-                    id="status-progress"
-                    name="complianceStatus"
-                    value="in-progress"
-                    checked={formData.complianceStatus === 'in-progress'}
-                    onChange={handleInputChange}
-                  />
-                  <label htmlFor="status-progress">In Progress</label>
-                </div>
-                <div className="radio-option">
-                  <input
-                    type="radio"
-                    id="status-action"
-                    name="complianceStatus"
-                    value="further-action"
-                    checked={formData.complianceStatus === 'further-action'}
-                    onChange={handleInputChange}
-                  />
-                  <label htmlFor="status-action">Further Action Required</label>
+              <div className="question">
+                <label className="question-label">Compliance Deadline</label>
+                <input
+                  type="date"
+                  name="complianceDeadline"
+                  value={formData.complianceDeadline}
+                  onChange={handleInputChange}
+                />
+              </div>
+
+              <div className="question">
+                <label className="question-label">Re-inspection Date</label>
+                <input
+                  type="date"
+                  name="reinspectionDate"
+                  value={formData.reinspectionDate}
+                  onChange={handleInputChange}
+                />
+              </div>
+
+              <div className="question">
+                <label className="question-label">Compliance Status</label>
+                <div className="radio-group">
+                  <div className="radio-option">
+                    <input
+                      type="radio"
+                      id="status-resolved"
+                      name="complianceStatus"
+                      value="resolved"
+                      checked={formData.complianceStatus === 'resolved'}
+                      onChange={handleInputChange}
+                    />
+                    <label htmlFor="status-resolved">Resolved</label>
+                  </div>
+                  <div className="radio-option">
+                    <input
+                      type="radio"
+                      id="status-progress"
+                      name="complianceStatus"
+                      value="in-progress"
+                      checked={formData.complianceStatus === 'in-progress'}
+                      onChange={handleInputChange}
+                    />
+                    <label htmlFor="status-progress">In Progress</label>
+                  </div>
+                  <div className="radio-option">
+                    <input
+                      type="radio"
+                      id="status-action"
+                      name="complianceStatus"
+                      value="further-action"
+                      checked={formData.complianceStatus === 'further-action'}
+                      onChange={handleInputChange}
+                    />
+                    <label htmlFor="status-action">Further Action Required</label>
+                  </div>
                 </div>
               </div>
             </div>
-          </div>
 
-          {/* Submit Button */}
-          <div className="form-section">
-            <button type="submit" className="submit-btn" disabled={submitting}>
-              {submitting ? (uploading ? 'Uploading Images...' : 'Submitting...') : 'Submit'}
-            </button>
-          </div>
-        </form>
+            {/* Submit Button */}
+            <div className="form-section">
+              <button type="submit" className="submit-btn" disabled={submitting || processingPhotos}>
+                {submitting
+                  ? (uploading ? 'Uploading Images...' : (isEditMode ? 'Saving...' : 'Submitting...'))
+                  : (isEditMode ? 'Save Changes' : 'Submit')}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
+
+      {annotatingPhoto && (
+        <PhotoAnnotator
+          photo={annotatingPhoto}
+          onSave={saveAnnotation}
+          onCancel={() => setAnnotating(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { DUE_BUCKETS, DUE_BUCKET_LABELS } from '../utils/deadlineTracker';
+import { parseLocalDate } from '../utils/dates';
+import '../styles/DeadlineTracker.css';
+
+// Entries shown per bucket before "Show more"
+const COLLAPSED_COUNT = 5;
+
+const formatDate = (dateString) => parseLocalDate(dateString).toLocaleDateString();
+
+// Panel of compliance deadlines and re-inspections that are due, with a claim
+// button so reviewers can split up the re-inspections. Shown on the admin
+// dashboard and, read-only apart from the claims, on the review form.
+function DeadlineTracker({
+  deadlines,
+  reinspections,
+  currentEmail,
+  canClaim,
+  canReleaseAny,
+  canStart,
+  onOpenReview,
+  onClaim,
+  onRelease,
+  onStart
+}) {
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const runClaimAction = async (entry, action) => {
+    setBusyId(entry.reviewId);
+    setError('');
+    try {
+      await action(entry.reviewId);
+    } catch (error) {
+      console.error('Error updating re-inspection claim:', error);
+      setError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Without onOpenReview (the review form, where reviews cannot be opened)
+  // the address is plain text
+  const renderAddress = (entry) => (onOpenReview ? (
+    <button type="button" className="deadline-open" onClick={() => onOpenReview(entry.reviewId)}>
+      {entry.address || 'No address'}
+    </button>
+  ) : (
+    <span className="deadline-address">{entry.address || 'No address'}</span>
+  ));
+
+  return (
+    <div className="deadline-tracker">
+      {error && <div className="error-message">{error}</div>}
+      <div className="deadline-columns">
+        <section>
+          <h2 className="deadline-heading">⏰ Compliance Deadlines</h2>
+          <BucketedList
+            entries={deadlines}
+            emptyText="No open compliance deadlines."
+            renderEntry={entry => (
+              <>
+                {renderAddress(entry)}
+                <span className="deadline-detail">{entry.detail}</span>
+              </>
+            )}
+          />
+        </section>
+
+        <section>
+          <h2 className="deadline-heading">🔁 Re-inspections Due</h2>
+          <BucketedList
+            entries={reinspections}
+            emptyText="No re-inspections scheduled."
+            renderEntry={entry => {
+              const claimedByMe = entry.claimedBy === currentEmail;
+              const busy = busyId === entry.reviewId;
+              return (
+                <>
+                  {renderAddress(entry)}
+                  <span className="deadline-detail">
+                    {entry.claimedBy ? `Claimed by ${claimedByMe ? 'you' : entry.claimedBy}` : 'Unclaimed'}
+                  </span>
+                  <span className="deadline-actions">
+                    {canClaim && !entry.claimedBy && (
+                      <button type="button" disabled={busy} onClick={() => runClaimAction(entry, onClaim)}>
+                        {busy ? 'Claiming...' : '✋ Claim'}
+                      </button>
+                    )}
+                    {entry.claimedBy && (claimedByMe || canReleaseAny) && (
+                      <button type="button" disabled={busy} onClick={() => runClaimAction(entry, onRelease)}>
+                        {busy ? 'Releasing...' : 'Release'}
+                      </button>
+                    )}
+                    {canStart(entry.review) && (!entry.claimedBy || claimedByMe) && (
+                      <button type="button" className="primary" onClick={() => onStart(entry.reviewId)}>
+                        Start
+                      </button>
+                    )}
+                  </span>
+                </>
+              );
+            }}
+          />
+        </section>
+      </div>
+    </div>
+  );
+}
+
+// Entries split into overdue, this week and upcoming
+function BucketedList({ entries, emptyText, renderEntry }) {
+  const [expanded, setExpanded] = useState({});
+
+  if (entries.length === 0) {
+    return <div className="history-empty">{emptyText}</div>;
+  }
+
+  return Object.values(DUE_BUCKETS).map(bucket => {
+    const bucketEntries = entries.filter(entry => entry.bucket === bucket);
+    if (bucketEntries.length === 0) return null;
+    const shown = expanded[bucket] ? bucketEntries : bucketEntries.slice(0, COLLAPSED_COUNT);
+
+    return (
+      <div key={bucket} className={`deadline-bucket due-${bucket}`}>
+        <h3>{DUE_BUCKET_LABELS[bucket]} ({bucketEntries.length})</h3>
+        <ul>
+          {shown.map(entry => (
+            <li key={entry.key}>
+              <span className="deadline-date">{formatDate(entry.date)}</span>
+              {renderEntry(entry)}
+            </li>
+          ))}
+        </ul>
+        {bucketEntries.length > COLLAPSED_COUNT && (
+          <button
+            type="button"
+            className="deadline-more"
+            onClick={() => setExpanded(prev => ({ ...prev, [bucket]: !prev[bucket] }))}
+          >
+            {expanded[bucket] ? 'Show fewer' : `Show ${bucketEntries.length - COLLAPSED_COUNT} more`}
+          </button>
+        )}
+      </div>
+    );
+  });
+}
+
+export default DeadlineTracker;
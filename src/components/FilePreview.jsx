@@ -0,0 +1,16 @@
+import React, { useEffect, useState } from 'react';
+
+// Preview of a photo that has not been uploaded yet
+function FilePreview({ file, alt }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setSrc(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  return src ? <img src={src} alt={alt} /> : null;
+}
+
+export default FilePreview;
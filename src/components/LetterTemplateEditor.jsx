@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  LETTER_STAGES,
+  LETTER_STAGE_LABELS,
+  LETTER_STAGE_ORDER,
+  PLACEHOLDERS,
+  fillPlaceholders,
+  findUnknownPlaceholders,
+  loadLetterTemplates,
+  resetLetterTemplate,
+  saveLetterTemplate,
+  templateParagraphs
+} from '../utils/letterTemplates';
+import { LETTERHEAD } from '../utils/letterGenerator';
+import '../styles/AdminViewer.css';
+import '../styles/ChecklistEditor.css';
+import '../styles/LetterTemplateEditor.css';
+
+// Values shown in the preview
+const SAMPLE_VALUES = {
+  owner: 'Pat Homeowner',
+  address: '123 Saguaro Way',
+  lot: '42',
+  date: 'March 3, 2025',
+  reviewDate: 'March 1, 2025',
+  deadline: 'April 2, 2025',
+  hearingDate: 'April 15, 2025',
+  items: 'Paint/Stucco, Dead Plants',
+  hoa: LETTERHEAD.name
+};
+
+const SAMPLE_ITEMS = ['1. Paint/Stucco (Minor)', '2. Dead Plants (Major)'];
+
+// Board admin editor for the wording of each stage's owner letter
+function LetterTemplateEditor() {
+  const { currentUser, signOut } = useAuth();
+  const navigate = useNavigate();
+
+  const [templates, setTemplates] = useState(null);
+  const [stage, setStage] = useState(LETTER_STAGES.COURTESY);
+  const [edits, setEdits] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadLetterTemplates()
+      .then(setTemplates)
+      .catch(error => {
+        console.error('Error loading letter templates:', error);
+        setError('Error loading letter templates: ' + error.message);
+      });
+  }, []);
+
+  const saved = templates?.[stage];
+  const current = edits[stage] || saved;
+  const dirty = !!edits[stage];
+  const unknown = current ? findUnknownPlaceholders(current) : [];
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setEdits(prev => ({ ...prev, [stage]: { ...current, [name]: value } }));
+    setMessage('');
+  };
+
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      const template = await action();
+      setTemplates(prev => ({ ...prev, [stage]: template }));
+      setEdits(prev => {
+        const { [stage]: discarded, ...rest } = prev;
+        return rest;
+      });
+      setMessage(successMessage);
+    } catch (error) {
+      console.error('Error saving letter template:', error);
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => runAction(
+    () => saveLetterTemplate(stage, current, currentUser.email),
+    `${LETTER_STAGE_LABELS[stage]} template saved.`
+  );
+
+  const handleReset = () => {
+    if (!window.confirm(`Replace the ${LETTER_STAGE_LABELS[stage]} wording with the built-in template?`)) return;
+    runAction(() => resetLetterTemplate(stage), `${LETTER_STAGE_LABELS[stage]} template reset to the built-in wording.`);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      navigate('/login');
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <div className="header-left">
+            <h1>✉️ Letter Templates</h1>
+            <p>Wording of the owner letters at each stage of enforcement</p>
+          </div>
+          <div className="user-section">
+            <button className="back-btn" onClick={() => navigate('/admin')}>← Back to Admin</button>
+            <div className="user-email">{currentUser?.email}</div>
+            <button className="signout-btn" onClick={handleSignOut}>Sign Out</button>
+          </div>
+        </div>
+
+        {error && <div className="template-error">{error}</div>}
+        {message && <div className="template-message">{message}</div>}
+        {!templates && !error && <div className="loading">Loading letter templates...</div>}
+
+        {templates && (
+          <>
+            <div className="letter-stage-tabs">
+              {LETTER_STAGE_ORDER.map(tabStage => (
+                <button
+                  key={tabStage}
+                  type="button"
+                  className={`letter-stage-tab${tabStage === stage ? ' active' : ''}`}
+                  onClick={() => setStage(tabStage)}
+                >
+                  {LETTER_STAGE_LABELS[tabStage]}
+                  {edits[tabStage] && ' •'}
+                </button>
+              ))}
+            </div>
+
+            <div className="template-toolbar">
+              <div className="template-status">
+                {saved.custom
+                  ? `Edited ${new Date(saved.updatedAt).toLocaleString()} by ${saved.updatedBy}`
+                  : 'Built-in wording'}
+                {unknown.length > 0 && (
+                  <div className="template-warning">
+                    Unknown placeholders: {unknown.map(name => `{{${name}}}`).join(', ')}
+                  </div>
+                )}
+              </div>
+              <div className="template-actions">
+                <button className="template-btn" onClick={handleReset} disabled={busy || !saved.custom}>
+                  Reset to Built-in
+                </button>
+                <button className="template-btn primary" onClick={handleSave} disabled={busy || !dirty}>
+                  {busy ? 'Saving...' : 'Save Template'}
+                </button>
+              </div>
+            </div>
+
+            <div className="letter-template-layout">
+              <div className="letter-template-fields">
+                <label>
+                  Subject (the RE: line)
+                  <input type="text" name="subject" value={current.subject} onChange={handleChange} />
+                </label>
+                <label>
+                  Body
+                  <textarea name="body" rows={18} value={current.body} onChange={handleChange} />
+                </label>
+                <p className="letter-template-hint">
+                  Separate paragraphs with a blank line. The letterhead, recipient address and signature
+                  are added around this text.
+                </p>
+                <table className="letter-placeholders">
+                  <tbody>
+                    {Object.entries(PLACEHOLDERS).map(([name, description]) => (
+                      <tr key={name}>
+                        <td><code>{`{{${name}}}`}</code></td>
+                        <td>{description}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="letter-preview">
+                <div className="letter-preview-head">{LETTERHEAD.name}</div>
+                <p><strong>RE: {fillPlaceholders(current.subject, SAMPLE_VALUES)}</strong></p>
+                {templateParagraphs(current.body).map((paragraph, index) => (
+                  /^{{\s*items\s*}}$/.test(paragraph) ? (
+                    <ul key={index} className="letter-preview-items">
+                      {SAMPLE_ITEMS.map(item => <li key={item}>{item}</li>)}
+                    </ul>
+                  ) : (
+                    <p key={index}>{fillPlaceholders(paragraph, SAMPLE_VALUES)}</p>
+                  )
+                ))}
+                <p>Sincerely,</p>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LetterTemplateEditor;
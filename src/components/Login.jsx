@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { ROLES, ADMIN_PORTAL_ROLES } from '../utils/roles';
 import '../styles/Login.css';
 
 function Login() {
@@ -8,9 +9,23 @@ function Login() {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { signIn } = useAuth();
+  const { currentUser, hasRole, signIn } = useAuth();
   const navigate = useNavigate();
 
+  // Send signed-in users to the first page their roles allow. Runs once the
+  // auth context has resolved the user's roles, not when signIn resolves.
+  useEffect(() => {
+    if (!currentUser) return;
+
+    if (hasRole(ROLES.REVIEWER)) {
+      navigate('/form');
+    } else if (hasRole(ADMIN_PORTAL_ROLES)) {
+      navigate('/admin');
+    } else {
+      navigate('/unauthorized');
+    }
+  }, [currentUser, hasRole, navigate]);
+
   async function handleSubmit(e) {
     e.preventDefault();
 
@@ -22,7 +37,6 @@ function Login() {
       setError('');
       setLoading(true);
       await signIn(email, password);
-      navigate('/form');
     } catch (error) {
       let errorMsg = 'Failed to sign in. ';
       switch (error.code) {
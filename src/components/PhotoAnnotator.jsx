@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { decodeImage } from '../utils/imageProcessing';
+import {
+  ANNOTATION_TOOLS,
+  ANNOTATION_COLORS,
+  drawAnnotations,
+  renderAnnotatedPhoto,
+  strokeWidthFor
+} from '../utils/annotations';
+import '../styles/PhotoAnnotator.css';
+
+// Full-screen editor for marking up a photo before it is submitted
+// Shapes are drawn over the untouched original; saving renders an annotated
+// copy and hands back the shapes so the markup can be edited again later.
+function PhotoAnnotator({ photo, onSave, onCancel }) {
+  const canvasRef = useRef(null);
+  const imageRef = useRef(null);
+  const [loaded, setLoaded] = useState(false);
+  const [tool, setTool] = useState('arrow');
+  const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+  const [shapes, setShapes] = useState(photo.annotations || []);
+  // Shape being dragged out; only committed to shapes on pointer up
+  const [drawing, setDrawing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Decode the original at full size; the canvas shows it scaled down by CSS
+  useEffect(() => {
+    let cancelled = false;
+    decodeImage(photo.file)
+      .then(image => {
+        if (cancelled) {
+          image.close?.();
+          return;
+        }
+        imageRef.current = image;
+        const canvas = canvasRef.current;
+        canvas.width = image.width;
+        canvas.height = image.height;
+        setLoaded(true);
+      })
+      .catch(error => {
+        console.error('Error opening photo for annotation:', error);
+        if (!cancelled) setError('This photo could not be opened: ' + error.message);
+      });
+
+    return () => {
+      cancelled = true;
+      imageRef.current?.close?.();
+      imageRef.current = null;
+    };
+  }, [photo.file]);
+
+  // Redraw the photo and every shape whenever the markup changes
+  useEffect(() => {
+    if (!loaded) return;
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(imageRef.current, 0, 0);
+    drawAnnotations(ctx, drawing ? [...shapes, drawing] : shapes);
+  }, [loaded, shapes, drawing]);
+
+  // Escape closes without saving
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  // Pointer position in photo pixels
+  const pointFor = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (!loaded || saving) return;
+    const point = pointFor(e);
+    const width = strokeWidthFor(canvasRef.current.width);
+
+    if (tool === 'text') {
+      const text = window.prompt('Label text');
+      if (text && text.trim()) {
+        setShapes(prev => [...prev, { type: 'text', at: point, text: text.trim(), color, width }]);
+      }
+      return;
+    }
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrawing(tool === 'freehand'
+      ? { type: 'freehand', points: [point], color, width }
+      : { type: tool, from: point, to: point, color, width });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawing) return;
+    const point = pointFor(e);
+    setDrawing(prev => (prev.type === 'freehand'
+      ? { ...prev, points: [...prev.points, point] }
+      : { ...prev, to: point }));
+  };
+
+  const handlePointerUp = () => {
+    if (!drawing) return;
+    // A click without a drag leaves nothing worth keeping
+    const moved = drawing.type === 'freehand'
+      ? drawing.points.length > 1
+      : Math.hypot(drawing.to.x - drawing.from.x, drawing.to.y - drawing.from.y) > drawing.width;
+    if (moved) setShapes(prev => [...prev, drawing]);
+    setDrawing(null);
+  };
+
+  const undo = () => setShapes(prev => prev.slice(0, -1));
+
+  const clearAll = () => setShapes([]);
+
+  const save = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      // Removing every shape goes back to the original alone
+      const annotatedFile = shapes.length > 0 ? await renderAnnotatedPhoto(photo.file, shapes) : null;
+      onSave(annotatedFile, shapes);
+    } catch (error) {
+      console.error('Error saving annotated photo:', error);
+      setError('The annotated photo could not be saved: ' + error.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="annotator-overlay">
+      <div className="annotator">
+        <div className="annotator-toolbar">
+          <div className="annotator-group">
+            {Object.entries(ANNOTATION_TOOLS).map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                className={`annotator-tool ${tool === value ? 'active' : ''}`}
+                onClick={() => setTool(value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="annotator-group">
+            {ANNOTATION_COLORS.map(value => (
+              <button
+                key={value}
+                type="button"
+                className={`annotator-color ${color === value ? 'active' : ''}`}
+                style={{ background: value }}
+                onClick={() => setColor(value)}
+                title={value}
+              />
+            ))}
+          </div>
+          <div className="annotator-group">
+            <button type="button" className="annotator-tool" onClick={undo} disabled={shapes.length === 0}>
+              Undo
+            </button>
+            <button type="button" className="annotator-tool" onClick={clearAll} disabled={shapes.length === 0}>
+              Clear
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="annotator-error">{error}</div>}
+
+        <div className="annotator-canvas-wrap">
+          {!loaded && !error && <div className="annotator-loading">Opening photo...</div>}
+          <canvas
+            ref={canvasRef}
+            className={`annotator-canvas tool-${tool}`}
+            style={{ display: loaded ? 'block' : 'none' }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          />
+        </div>
+
+        <div className="annotator-actions">
+          <span className="annotator-hint">The original photo is kept alongside the marked-up copy.</span>
+          <button type="button" className="annotator-cancel" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+          <button type="button" className="annotator-save" onClick={save} disabled={!loaded || saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PhotoAnnotator;
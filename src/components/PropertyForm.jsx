@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { validateProperty } from '../utils/propertyRegistry';
+import '../styles/PropertyForm.css';
+
+const EMPTY_PROPERTY = { address: '', lotNumber: '', ownerName: '', mailingAddress: '', ownerEmail: '' };
+
+// Fields of a property registry entry, used to add a property from the
+// compliance form and to correct one from the admin portal
+function PropertyForm({ initial, onSave, onCancel, saveLabel = 'Save Property' }) {
+  const [fields, setFields] = useState({ ...EMPTY_PROPERTY, ...initial });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFields(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Not a <form>: it is rendered inside the compliance form, and forms cannot nest
+  const save = async () => {
+    const problems = validateProperty(fields);
+    if (problems.length > 0) {
+      setError(problems.join(' '));
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(fields);
+    } catch (error) {
+      console.error('Error saving property:', error);
+      setError(error.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="property-form">
+      {error && <div className="property-form-error">{error}</div>}
+      <label>
+        Property address
+        <input type="text" name="address" value={fields.address} onChange={handleChange} placeholder="123 Main St" />
+      </label>
+      <div className="property-form-row">
+        <label>
+          Lot number
+          <input type="text" name="lotNumber" value={fields.lotNumber} onChange={handleChange} />
+        </label>
+        <label>
+          Owner name
+          <input type="text" name="ownerName" value={fields.ownerName} onChange={handleChange} />
+        </label>
+      </div>
+      <div className="property-form-row">
+        <label>
+          Owner mailing address (if different)
+          <input type="text" name="mailingAddress" value={fields.mailingAddress} onChange={handleChange} />
+        </label>
+        <label>
+          Owner email
+          <input type="email" name="ownerEmail" value={fields.ownerEmail} onChange={handleChange} />
+        </label>
+      </div>
+      <div className="property-form-actions">
+        <button type="button" className="property-form-cancel" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button type="button" className="property-form-save" onClick={save} disabled={saving}>
+          {saving ? 'Saving...' : saveLabel}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default PropertyForm;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { matchProperty, searchProperties } from '../utils/propertyRegistry';
+import PropertyForm from './PropertyForm';
+import '../styles/PropertyForm.css';
+
+// Property field of the compliance form
+// Reviewers search the registry by address, lot or owner and pick a property;
+// an address that is not registered yet can be added on the spot. Offline, an
+// unregistered address can still be typed and is linked when it is submitted.
+function PropertyPicker({ properties, propertyId, address, onChange, onAddProperty, isOnline }) {
+  const [focused, setFocused] = useState(false);
+  const [adding, setAdding] = useState(false);
+
+  const selected = propertyId ? properties.find(property => property.id === propertyId) : null;
+
+  if (selected) {
+    return (
+      <div className="property-selected">
+        <div>
+          <div className="property-selected-address">✓ {selected.address}</div>
+          <div className="property-selected-meta">
+            {[
+              selected.lotNumber && `Lot ${selected.lotNumber}`,
+              selected.ownerName && `Owner: ${selected.ownerName}`
+            ].filter(Boolean).join(' · ') || 'Registered property'}
+          </div>
+        </div>
+        <button
+          type="button"
+          className="property-change"
+          onClick={() => onChange({ propertyId: '', propertyAddress: '' })}
+        >
+          Change
+        </button>
+      </div>
+    );
+  }
+
+  if (adding) {
+    return (
+      <PropertyForm
+        initial={{ address }}
+        saveLabel="Add Property"
+        onCancel={() => setAdding(false)}
+        onSave={async (fields) => {
+          const property = await onAddProperty(fields);
+          setAdding(false);
+          onChange({ propertyId: property.id, propertyAddress: property.address });
+        }}
+      />
+    );
+  }
+
+  const matches = searchProperties(properties, address);
+  const exact = matchProperty(properties, address);
+
+  return (
+    <div className="property-picker">
+      <input
+        type="text"
+        name="propertyAddress"
+        value={address}
+        onChange={(e) => onChange({ propertyId: '', propertyAddress: e.target.value })}
+        onFocus={() => setFocused(true)}
+        // Delay so a click on a suggestion lands before the list closes
+        onBlur={() => setTimeout(() => setFocused(false), 150)}
+        placeholder="Search by address, lot number or owner..."
+        required
+        autoComplete="off"
+      />
+
+      {focused && matches.length > 0 && (
+        <ul className="property-suggestions">
+          {matches.map(property => (
+            <li key={property.id}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => onChange({ propertyId: property.id, propertyAddress: property.address })}
+              >
+                <span>{property.address}</span>
+                <span className="property-suggestion-meta">
+                  {[property.lotNumber && `Lot ${property.lotNumber}`, property.ownerName].filter(Boolean).join(' · ')}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {address.trim() && !exact && (
+        <div className="property-not-found">
+          {isOnline ? (
+            <>
+              Not in the property registry.{' '}
+              <button type="button" className="property-add" onClick={() => setAdding(true)}>
+                ➕ Add it as a new property
+              </button>
+            </>
+          ) : (
+            'Not in the property registry. You are offline, so it will be linked when the review is submitted.'
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PropertyPicker;
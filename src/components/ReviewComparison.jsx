@@ -0,0 +1,145 @@
+import React from 'react';
+import { formatRating } from '../utils/checklistSchema';
+import { getThumbnailUrl } from '../utils/photoUpload';
+import { CHANGE_LABELS, CHANGE_TYPES, compareReviews } from '../utils/reviewComparison';
+
+// Changes listed in the comparison, in this order; items compliant both times are left out
+const LISTED_CHANGES = [
+  CHANGE_TYPES.NEW,
+  CHANGE_TYPES.STILL_OPEN,
+  CHANGE_TYPES.RESOLVED,
+  CHANGE_TYPES.NOT_CHECKED
+];
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+// Side-by-side comparison of two reviews of one property, earlier on the left
+function ReviewComparison({ earlier, later, onClose, onOpenPhoto }) {
+  const { items, counts } = compareReviews(earlier, later);
+  const listed = LISTED_CHANGES.filter(type => counts[type] > 0);
+
+  return (
+    <div className="modal comparison-modal" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal-content">
+        <span className="modal-close" onClick={onClose}>&times;</span>
+
+        <div className="modal-header">
+          <h2 className="modal-title">Re-inspection Comparison</h2>
+          <p className="modal-subtitle">{later.propertyAddress || earlier.propertyAddress}</p>
+          <div className="comparison-counts">
+            {LISTED_CHANGES.map(type => (
+              <span key={type} className={`comparison-count change-${type}`}>
+                {CHANGE_LABELS[type]}: {counts[type]}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="modal-body">
+          <div className="comparison-columns comparison-dates">
+            {[earlier, later].map(review => (
+              <div key={review.id}>
+                <div className="comparison-date">📅 {formatDate(review.date)}</div>
+                <div className="comparison-team">👥 {review.reviewTeam || 'Unknown'}</div>
+                {review.complianceStatus && (
+                  <span className={`status-badge status-${review.complianceStatus}`}>
+                    {review.complianceStatus.replace(/-/g, ' ')}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {listed.length === 0 && (
+            <div className="history-empty">Neither review found a violation.</div>
+          )}
+
+          {listed.map(type => (
+            <div key={type} className="modal-section">
+              <h3 className="modal-section-title">{CHANGE_LABELS[type]} ({counts[type]})</h3>
+              {items.filter(item => item.change === type).map(item => (
+                <div key={item.key} className={`comparison-item change-${type}`}>
+                  <div className="comparison-item-label">
+                    {item.label}
+                    <span className="comparison-item-section">{item.section}</span>
+                    {item.severity === 'worse' && <span className="comparison-severity worse">▲ Worse</span>}
+                    {item.severity === 'better' && <span className="comparison-severity better">▼ Less severe</span>}
+                  </div>
+                  <div className="comparison-columns">
+                    <ComparisonSide
+                      review={earlier}
+                      rating={item.before}
+                      note={item.beforeNote}
+                      label={item.label}
+                      onOpenPhoto={onOpenPhoto}
+                    />
+                    <ComparisonSide
+                      review={later}
+                      rating={item.after}
+                      note={item.afterNote}
+                      label={item.label}
+                      onOpenPhoto={onOpenPhoto}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+
+          <div className="modal-section">
+            <h3 className="modal-section-title">📷 Photos</h3>
+            <div className="comparison-columns">
+              {[earlier, later].map(review => (
+                <div key={review.id}>
+                  <div className="comparison-date">{formatDate(review.date)}</div>
+                  {(review.images || []).length === 0 ? (
+                    <div className="history-empty">No photos</div>
+                  ) : (
+                    <div className="comparison-photos">
+                      {review.images.map((url, idx) => (
+                        <img
+                          key={url}
+                          src={getThumbnailUrl(review, url)}
+                          alt={`${formatDate(review.date)} ${idx + 1}`}
+                          onClick={() => onOpenPhoto(review.images, idx, review)}
+                        />
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// One review's rating, note and photos for an item
+function ComparisonSide({ review, rating, note, label, onOpenPhoto }) {
+  return (
+    <div className="comparison-side">
+      {rating ? (
+        <span className={`status-badge status-${rating}`}>{formatRating(rating)}</span>
+      ) : (
+        <span className="comparison-unrated">Not rated</span>
+      )}
+      {note.comment && <div className="item-note-text">{note.comment}</div>}
+      {note.images.length > 0 && (
+        <div className="item-note-thumbs">
+          {note.images.map((url, idx) => (
+            <img
+              key={url}
+              src={getThumbnailUrl(review, url)}
+              alt={`${label} ${idx + 1}`}
+              onClick={() => onOpenPhoto(note.images, idx, review)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReviewComparison;
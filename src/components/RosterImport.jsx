@@ -0,0 +1,277 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import useProperties from '../hooks/useProperties';
+import { readCsvFile } from '../utils/csv';
+import { ROSTER_FIELDS, buildImportPlan, guessColumnMapping } from '../utils/rosterImport';
+import { saveProperties } from '../utils/propertyRegistry';
+import '../styles/AdminViewer.css';
+import '../styles/RosterImport.css';
+
+// Board admin import of the management company's owner/property roster:
+// choose a CSV, map its columns, review the dry run, then write the changes
+function RosterImport() {
+  const { currentUser, signOut } = useAuth();
+  const navigate = useNavigate();
+  const { properties, loading, error: registryError, fromCache, reload } = useProperties(currentUser);
+
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const plan = useMemo(() => (
+    rows && mapping.address >= 0 ? buildImportPlan(rows, mapping, properties) : null
+  ), [rows, mapping, properties]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setMessage('');
+
+    try {
+      const [headerRow, ...dataRows] = await readCsvFile(file);
+      if (!headerRow || dataRows.length === 0) {
+        setError(`${file.name} has no rows below the header row.`);
+        return;
+      }
+      setFileName(file.name);
+      setHeaders(headerRow);
+      setRows(dataRows);
+      setMapping(guessColumnMapping(headerRow));
+    } catch (error) {
+      console.error('Error reading roster:', error);
+      setError('Error reading the file: ' + error.message);
+    }
+  };
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping(prev => ({ ...prev, [fieldKey]: Number(value) }));
+  };
+
+  const handleImport = async () => {
+    const { creates, updates } = plan;
+    if (!window.confirm(`Add ${creates.length} and update ${updates.length} properties in the registry?`)) {
+      return;
+    }
+
+    setImporting(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const result = await saveProperties({
+        creates: creates.map(create => create.fields),
+        updates: updates.map(({ property, fields }) => ({ property, fields }))
+      }, properties, currentUser.email, (written, total) => setProgress({ written, total }));
+
+      setMessage(`Imported ${fileName}: ${result.created} properties added, ${result.updated} updated.`);
+      await reload();
+    } catch (error) {
+      console.error('Error importing roster:', error);
+      setError('Error importing roster: ' + error.message +
+        '. Changes already written are kept; import the file again to finish.');
+      await reload();
+    } finally {
+      setImporting(false);
+      setProgress(null);
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      navigate('/login');
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
+
+  const sampleRow = rows?.[0] || [];
+  const ownerChanges = plan
+    ? plan.updates.filter(update => update.changes.some(change => change.field === 'ownerName')).length
+    : 0;
+  const canImport = plan && !fromCache && !importing && plan.creates.length + plan.updates.length > 0;
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <div className="header-left">
+            <h1>🏘️ Import Property Roster</h1>
+            <p>Add and update properties from the management company's spreadsheet</p>
+          </div>
+          <div className="user-section">
+            <button className="back-btn" onClick={() => navigate('/admin')}>← Back to Admin</button>
+            <div className="user-email">{currentUser?.email}</div>
+            <button className="signout-btn" onClick={handleSignOut}>Sign Out</button>
+          </div>
+        </div>
+
+        {(error || registryError) && <div className="roster-error">{error || registryError}</div>}
+        {fromCache && (
+          <div className="roster-error">
+            The property registry could not be loaded from the server, so the import is disabled. Check the connection and reload.
+          </div>
+        )}
+        {message && <div className="roster-message">{message}</div>}
+
+        <section className="roster-step">
+          <h2>1. Choose the roster</h2>
+          <p className="roster-hint">
+            A CSV file with a header row. Export it from Excel or Google Sheets with "Save as CSV".
+          </p>
+          <label className="roster-btn">
+            📄 {fileName ? 'Choose Another File' : 'Choose CSV File'}
+            <input type="file" accept=".csv,text/csv" onChange={handleFile} hidden />
+          </label>
+          {rows && <span className="roster-file">{fileName} · {rows.length} rows</span>}
+        </section>
+
+        {rows && (
+          <section className="roster-step">
+            <h2>2. Match the columns</h2>
+            <div className="roster-mapping">
+              {ROSTER_FIELDS.map(field => (
+                <label key={field.key} className="roster-mapping-row">
+                  <span>
+                    {field.label}{field.required && <span className="required">*</span>}
+                  </span>
+                  <select
+                    value={mapping[field.key] ?? -1}
+                    onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  >
+                    <option value={-1}>— Not in the file —</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                    ))}
+                  </select>
+                  <span className="roster-sample">
+                    {mapping[field.key] >= 0 ? sampleRow[mapping[field.key]] || '(blank)' : ''}
+                  </span>
+                </label>
+              ))}
+            </div>
+            <p className="roster-hint">
+              Fields not in the file are left as they are. A blank cell in a matched column clears that value.
+            </p>
+          </section>
+        )}
+
+        {rows && !plan && (
+          <div className="roster-error">Match the street address column to preview the import.</div>
+        )}
+
+        {plan && (
+          <section className="roster-step">
+            <h2>3. Review the changes</h2>
+            {loading && <p className="roster-hint">Loading the property registry...</p>}
+            <div className="roster-summary">
+              <span className="roster-count create">{plan.creates.length} new</span>
+              <span className="roster-count update">
+                {plan.updates.length} updated{ownerChanges > 0 && ` (${ownerChanges} owner changes)`}
+              </span>
+              <span className="roster-count">{plan.unchanged.length} unchanged</span>
+              <span className="roster-count warn">{plan.duplicates.length} duplicates</span>
+              <span className="roster-count warn">{plan.invalid.length} invalid</span>
+            </div>
+
+            {plan.updates.length > 0 && (
+              <RosterTable title="Updated properties" headings={['Row', 'Property', 'Changes']}>
+                {plan.updates.map(update => (
+                  <tr key={update.rowNumber}>
+                    <td>{update.rowNumber}</td>
+                    <td>{update.property.address}</td>
+                    <td>
+                      {update.changes.map(change => (
+                        <div key={change.field} className="roster-change">
+                          <strong>{change.label}:</strong>{' '}
+                          <del>{change.from || '(blank)'}</del> → <ins>{change.to || '(blank)'}</ins>
+                          {change.field === 'ownerName' && change.from && (
+                            <span className="roster-note"> · previous owner kept in the property history</span>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </RosterTable>
+            )}
+
+            {plan.creates.length > 0 && (
+              <RosterTable title="New properties" headings={['Row', 'Lot', 'Address', 'Owner', 'Mailing address', 'Email']}>
+                {plan.creates.map(({ rowNumber, fields }) => (
+                  <tr key={rowNumber}>
+                    <td>{rowNumber}</td>
+                    <td>{fields.lotNumber}</td>
+                    <td>{fields.address}</td>
+                    <td>{fields.ownerName}</td>
+                    <td>{fields.mailingAddress}</td>
+                    <td>{fields.ownerEmail}</td>
+                  </tr>
+                ))}
+              </RosterTable>
+            )}
+
+            {plan.duplicates.length > 0 && (
+              <RosterTable title="Duplicate rows (skipped)" headings={['Row', 'Address', 'Reason']}>
+                {plan.duplicates.map(({ rowNumber, fields, reason }) => (
+                  <tr key={rowNumber}>
+                    <td>{rowNumber}</td>
+                    <td>{fields.address}</td>
+                    <td>{reason}</td>
+                  </tr>
+                ))}
+              </RosterTable>
+            )}
+
+            {plan.invalid.length > 0 && (
+              <RosterTable title="Invalid rows (skipped)" headings={['Row', 'Address', 'Problem']}>
+                {plan.invalid.map(({ rowNumber, fields, problems }) => (
+                  <tr key={rowNumber}>
+                    <td>{rowNumber}</td>
+                    <td>{fields.address || '—'}</td>
+                    <td>{problems.join(' ')}</td>
+                  </tr>
+                ))}
+              </RosterTable>
+            )}
+
+            <div className="roster-actions">
+              <button type="button" className="roster-btn primary" onClick={handleImport} disabled={!canImport}>
+                {importing
+                  ? `Importing${progress ? ` ${progress.written}/${progress.total}` : ''}...`
+                  : `Import ${plan.creates.length} New and ${plan.updates.length} Updated`}
+              </button>
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function RosterTable({ title, headings, children }) {
+  return (
+    <div className="roster-table-wrap">
+      <h3>{title}</h3>
+      <table className="roster-table">
+        <thead>
+          <tr>
+            {headings.map(heading => <th key={heading}>{heading}</th>)}
+          </tr>
+        </thead>
+        <tbody>{children}</tbody>
+      </table>
+    </div>
+  );
+}
+
+export default RosterImport;
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { findOrphanedPhotos, deleteOrphanedPhotos, ORPHAN_GRACE_DAYS } from '../utils/storageMaintenance';
+import '../styles/AdminViewer.css';
+import '../styles/StorageCleanup.css';
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+// Board admin tool for photos in Storage that no review references
+function StorageCleanup() {
+  const { currentUser, signOut } = useAuth();
+  const navigate = useNavigate();
+
+  const [orphans, setOrphans] = useState(null);
+  const [references, setReferences] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [scanning, setScanning] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const scan = async () => {
+    setScanning(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const found = await findOrphanedPhotos();
+      setOrphans(found.orphans);
+      setReferences(found.references);
+      setSelected(new Set(found.orphans.filter(orphan => !orphan.recent).map(orphan => orphan.path)));
+    } catch (error) {
+      console.error('Error scanning Storage:', error);
+      setError('Error scanning Storage: ' + error.message);
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const toggle = (path) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(prev => (prev.size === orphans.length
+      ? new Set()
+      : new Set(orphans.map(orphan => orphan.path))));
+  };
+
+  const handleDelete = async () => {
+    const paths = [...selected];
+    if (!window.confirm(`Permanently delete ${paths.length} photo(s) from Storage? This cannot be undone.`)) {
+      return;
+    }
+
+    setDeleting(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const { deleted, skipped, failed } = await deleteOrphanedPhotos(paths, references);
+      const gone = new Set([...deleted, ...skipped]);
+      setOrphans(prev => prev.filter(orphan => !gone.has(orphan.path)));
+      setSelected(new Set(failed.map(failure => failure.path)));
+
+      setMessage([
+        `Deleted ${deleted.length} photo(s).`,
+        skipped.length > 0 && `${skipped.length} photo(s) are now used by a review and were kept.`
+      ].filter(Boolean).join(' '));
+      if (failed.length > 0) {
+        setError(`${failed.length} photo(s) could not be deleted: ${failed[0].error}`);
+      }
+    } catch (error) {
+      console.error('Error deleting orphaned photos:', error);
+      setError('Error deleting photos: ' + error.message);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      navigate('/login');
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
+
+  const selectedSize = (orphans || [])
+    .filter(orphan => selected.has(orphan.path))
+    .reduce((total, orphan) => total + orphan.size, 0);
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <div className="header-left">
+            <h1>🧹 Photo Storage Cleanup</h1>
+            <p>Find and delete photos that no review uses</p>
+          </div>
+          <div className="user-section">
+            <button className="back-btn" onClick={() => navigate('/admin')}>← Back to Admin</button>
+            <div className="user-email">{currentUser?.email}</div>
+            <button className="signout-btn" onClick={handleSignOut}>Sign Out</button>
+          </div>
+        </div>
+
+        {error && <div className="cleanup-error">{error}</div>}
+        {message && <div className="cleanup-message">{message}</div>}
+
+        <div className="cleanup-toolbar">
+          <div className="cleanup-status">
+            {orphans === null
+              ? 'Scan compares every photo in Storage with the photos used by reviews, trashed reviews and their history.'
+              : `${orphans.length} unused photo(s) found · ${selected.size} selected (${formatSize(selectedSize)})`}
+          </div>
+          <div className="cleanup-actions">
+            <button type="button" className="cleanup-btn" onClick={scan} disabled={scanning || deleting}>
+              {scanning ? 'Scanning...' : (orphans === null ? '🔍 Scan Storage' : '🔄 Scan Again')}
+            </button>
+            {orphans?.length > 0 && (
+              <button
+                type="button"
+                className="cleanup-btn danger"
+                onClick={handleDelete}
+                disabled={deleting || selected.size === 0}
+              >
+                {deleting ? 'Deleting...' : `Delete ${selected.size} Selected`}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {orphans?.length === 0 && (
+          <div className="no-results">No unused photos. Storage is clean.</div>
+        )}
+
+        {orphans?.length > 0 && (
+          <div className="cleanup-table-wrap">
+            <table className="cleanup-table">
+              <thead>
+                <tr>
+                  <th>
+                    <input
+                      type="checkbox"
+                      checked={selected.size === orphans.length}
+                      onChange={toggleAll}
+                      title="Select all"
+                    />
+                  </th>
+                  <th>Photo</th>
+                  <th>Uploaded</th>
+                  <th>By</th>
+                  <th>Review</th>
+                  <th>Size</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orphans.map(orphan => (
+                  <tr key={orphan.path} className={orphan.recent ? 'recent' : ''}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={selected.has(orphan.path)}
+                        onChange={() => toggle(orphan.path)}
+                      />
+                    </td>
+                    <td>
+                      <div>{orphan.name}</div>
+                      <div className="cleanup-path">{orphan.path}</div>
+                    </td>
+                    <td>
+                      {new Date(orphan.createdAt).toLocaleString()}
+                      {orphan.recent && (
+                        <div className="cleanup-recent">
+                          Less than {ORPHAN_GRACE_DAYS} days old - may belong to a submission still in a reviewer's offline queue
+                        </div>
+                      )}
+                    </td>
+                    <td>{orphan.uploadedBy || '—'}</td>
+                    <td className="cleanup-path">{orphan.reviewId || '—'}</td>
+                    <td>{formatSize(orphan.size)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StorageCleanup;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { FILE_STATUS } from '../utils/uploadManager';
+
+const STATUS_LABELS = {
+  [FILE_STATUS.QUEUED]: 'Waiting',
+  [FILE_STATUS.UPLOADING]: 'Uploading',
+  [FILE_STATUS.DONE]: 'Uploaded',
+  [FILE_STATUS.FAILED]: 'Failed',
+  [FILE_STATUS.CANCELED]: 'Canceled'
+};
+
+// Overall and per-photo upload progress with pause, cancel and retry
+function UploadProgress({ files, progress, uploading, paused, onPause, onResume, onCancel, onRetry }) {
+  const failed = files.filter(file => file?.status === FILE_STATUS.FAILED).length;
+  if (!uploading && failed === 0) return null;
+
+  return (
+    <div className="upload-progress">
+      <div className="upload-progress-header">
+        <div className="upload-progress-text">
+          {uploading
+            ? `${paused ? 'Paused' : 'Uploading images...'} ${Math.round(progress)}%`
+            : `${failed} photo(s) failed to upload`}
+        </div>
+        <div className="upload-progress-actions">
+          {uploading && (
+            <>
+              <button type="button" onClick={paused ? onResume : onPause}>
+                {paused ? '▶ Resume' : '⏸ Pause'}
+              </button>
+              <button type="button" onClick={onCancel}>Cancel</button>
+            </>
+          )}
+          {!uploading && failed > 0 && onRetry && (
+            <button type="button" onClick={onRetry}>Retry failed photos</button>
+          )}
+        </div>
+      </div>
+
+      {uploading && (
+        <div className="upload-progress-bar">
+          <div className="upload-progress-fill" style={{ width: `${progress}%` }} />
+        </div>
+      )}
+
+      <ul className="upload-files">
+        {files.map((file, index) => file && (
+          <li key={index} className={`upload-file upload-file-${file.status}`}>
+            <span className="upload-file-name">{file.name}</span>
+            <span className="upload-file-status">
+              {file.status === FILE_STATUS.UPLOADING
+                ? `${Math.round(file.progress || 0)}%`
+                : STATUS_LABELS[file.status]}
+            </span>
+            <div className="upload-file-bar">
+              <div className="upload-file-fill" style={{ width: `${file.progress || 0}%` }} />
+            </div>
+            {file.error && <div className="upload-file-error">{file.error}</div>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default UploadProgress;
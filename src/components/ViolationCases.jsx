@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { formatRating } from '../utils/checklistSchema';
+import {
+  CASE_DATE_LABELS,
+  CASE_STATE_LABELS,
+  compareCases,
+  getAvailableTransitions,
+  validateTransition
+} from '../utils/violationCases';
+import { parseLocalDate, toLocalDateString } from '../utils/dates';
+import '../styles/PropertyForm.css';
+import '../styles/ViolationCases.css';
+
+const formatDate = (dateString) => (dateString ? parseLocalDate(dateString).toLocaleDateString() : '');
+
+// Dates shown on a case, in lifecycle order
+const SHOWN_DATES = ['observedDate', ...Object.keys(CASE_DATE_LABELS)];
+const DATE_LABELS = { observedDate: 'Observed', ...CASE_DATE_LABELS };
+
+// List of violation cases with the steps the signed-in user may take on each
+function ViolationCases({ cases, hasRole, onMove, onOpenReview, showAddress = true, emptyText }) {
+  if (cases.length === 0) {
+    return <div className="history-empty">{emptyText || 'No violation cases.'}</div>;
+  }
+
+  return (
+    <ul className="case-list">
+      {[...cases].sort(compareCases).map(violationCase => (
+        <CaseRow
+          key={violationCase.id}
+          violationCase={violationCase}
+          transitions={getAvailableTransitions(violationCase, hasRole)}
+          onMove={onMove}
+          onOpenReview={onOpenReview}
+          showAddress={showAddress}
+        />
+      ))}
+    </ul>
+  );
+}
+
+function CaseRow({ violationCase, transitions, onMove, onOpenReview, showAddress }) {
+  const [activeTransition, setActiveTransition] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const dates = violationCase.dates || {};
+
+  return (
+    <li className={`case-row case-${violationCase.state}`}>
+      <div className="case-summary">
+        <div className="case-title">
+          {showAddress && <span className="case-address">{violationCase.propertyAddress}</span>}
+          <span className="case-item">{violationCase.itemLabel}</span>
+          <span className={`status-badge status-${violationCase.severity}`}>
+            {formatRating(violationCase.severity)}
+          </span>
+        </div>
+        <span className={`case-state-badge case-state-${violationCase.state}`}>
+          {CASE_STATE_LABELS[violationCase.state]}
+        </span>
+      </div>
+
+      <div className="case-dates">
+        {SHOWN_DATES.filter(field => dates[field]).map(field => (
+          <span key={field}>{DATE_LABELS[field]}: {formatDate(dates[field])}</span>
+        ))}
+        {violationCase.fineAmount > 0 && <span>Fine: ${violationCase.fineAmount.toFixed(2)}</span>}
+      </div>
+
+      <div className="case-actions">
+        {transitions.map(transition => (
+          <button
+            key={transition.to}
+            type="button"
+            className={`case-action-btn${activeTransition === transition ? ' active' : ''}`}
+            onClick={() => setActiveTransition(activeTransition === transition ? null : transition)}
+          >
+            {transition.label}
+          </button>
+        ))}
+        <button type="button" className="case-link-btn" onClick={() => setShowHistory(!showHistory)}>
+          {showHistory ? 'Hide History' : `History (${(violationCase.history || []).length})`}
+        </button>
+        {onOpenReview && violationCase.latestReviewId && (
+          <button type="button" className="case-link-btn" onClick={() => onOpenReview(violationCase.latestReviewId)}>
+            Latest Review
+          </button>
+        )}
+      </div>
+
+      {activeTransition && (
+        <TransitionForm
+          transition={activeTransition}
+          onCancel={() => setActiveTransition(null)}
+          onSubmit={async (input) => {
+            await onMove(violationCase, activeTransition, input);
+            setActiveTransition(null);
+          }}
+        />
+      )}
+
+      {showHistory && (
+        <ol className="case-history">
+          {(violationCase.history || []).map((entry, index) => (
+            <li key={index}>
+              <span className="case-history-when">{formatDate(entry.at)}</span>
+              <span>
+                {entry.from ? `${CASE_STATE_LABELS[entry.from]} → ` : 'Opened as '}
+                {CASE_STATE_LABELS[entry.to]} by {entry.by || 'Unknown'}
+                {entry.note && <span className="case-history-note"> · {entry.note}</span>}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </li>
+  );
+}
+
+// Inputs a transition requires; dates other than deadlines default to today
+function TransitionForm({ transition, onSubmit, onCancel }) {
+  const today = toLocalDateString();
+  const [dates, setDates] = useState(() => Object.fromEntries(
+    transition.dates.map(field => [field, field === 'complianceDeadline' ? '' : today])
+  ));
+  const [note, setNote] = useState('');
+  const [fineAmount, setFineAmount] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async () => {
+    const input = { dates, note, fineAmount };
+    const problems = validateTransition(transition, input);
+    if (problems.length > 0) {
+      setError(problems.join(' '));
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSubmit(input);
+    } catch (error) {
+      console.error('Error updating violation case:', error);
+      setError(error.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="case-transition-form">
+      {error && <div className="property-form-error">{error}</div>}
+      <div className="case-transition-fields">
+        {transition.dates.map(field => (
+          <label key={field}>
+            {CASE_DATE_LABELS[field]}<span className="required">*</span>
+            <input
+              type="date"
+              value={dates[field]}
+              onChange={(e) => setDates(prev => ({ ...prev, [field]: e.target.value }))}
+            />
+          </label>
+        ))}
+        {transition.requiresFine && (
+          <label>
+            Fine amount ($)<span className="required">*</span>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={fineAmount}
+              onChange={(e) => setFineAmount(e.target.value)}
+            />
+          </label>
+        )}
+      </div>
+      <label className="case-transition-note">
+        Note{transition.requiresNote && <span className="required">*</span>}
+        <textarea rows={2} value={note} onChange={(e) => setNote(e.target.value)} />
+      </label>
+      <div className="property-form-actions">
+        <button type="button" className="property-form-cancel" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button type="button" className="property-form-save" onClick={submit} disabled={saving}>
+          {saving ? 'Saving...' : transition.label}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ViolationCases;
@@ -1,11 +1,13 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
 import {
   signInWithEmailAndPassword,
   signInWithPopup,
   signOut as firebaseSignOut,
   onAuthStateChanged
 } from 'firebase/auth';
-import { auth, googleProvider } from '../firebase';
+import { doc, getDoc } from 'firebase/firestore';
+import { auth, db, googleProvider } from '../firebase';
+import { rolesSatisfy } from '../utils/roles';
 
 const AuthContext = createContext();
 
@@ -13,8 +15,25 @@ export function useAuth() {
   return useContext(AuthContext);
 }
 
+/**
+ * Load the roles granted to a user from users/{uid}
+ * @param {string} uid - Firebase Auth user id
+ * @returns {Promise<Array<string>>}
+ */
+async function loadUserRoles(uid) {
+  try {
+    const snapshot = await getDoc(doc(db, 'users', uid));
+    const roles = snapshot.exists() ? snapshot.data().roles : [];
+    return Array.isArray(roles) ? roles : [];
+  } catch (error) {
+    console.error('Error loading user roles:', error);
+    return [];
+  }
+}
+
 export function AuthProvider({ children }) {
   const [currentUser, setCurrentUser] = useState(null);
+  const [userRoles, setUserRoles] = useState([]);
   const [loading, setLoading] = useState(true);
 
   function signIn(email, password) {
@@ -29,8 +48,17 @@ export function AuthProvider({ children }) {
     return firebaseSignOut(auth);
   }
 
+  const hasRole = useCallback(
+    (required) => rolesSatisfy(userRoles, required),
+    [userRoles]
+  );
+
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      // Resolve roles before exposing the user so routes never see a
+      // signed-in user without their roles
+      const roles = user ? await loadUserRoles(user.uid) : [];
+      setUserRoles(roles);
       setCurrentUser(user);
       setLoading(false);
     });
@@ -40,6 +68,8 @@ export function AuthProvider({ children }) {
 
   const value = {
     currentUser,
+    userRoles,
+    hasRole,
     signIn,
     // signInWithGoogle,
     signOut
@@ -0,0 +1,53 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { loadPublishedChecklists } from '../utils/checklistTemplates';
+import { getCurrentChecklistVersion } from '../utils/checklistSchema';
+
+const ChecklistContext = createContext();
+
+export function useChecklists() {
+  return useContext(ChecklistContext);
+}
+
+// Registers the published checklist versions once a user signs in, and holds
+// back the signed-in pages until they are available so every review renders
+// against the version it was captured with
+export function ChecklistProvider({ children }) {
+  const { currentUser } = useAuth();
+  const [loadedForUid, setLoadedForUid] = useState(null);
+  const [currentVersion, setCurrentVersion] = useState(getCurrentChecklistVersion());
+
+  const reloadChecklists = useCallback(async () => {
+    try {
+      await loadPublishedChecklists();
+    } catch (error) {
+      // Built-in and cached versions are still registered
+      console.error('Error loading checklist templates:', error);
+    }
+    setCurrentVersion(getCurrentChecklistVersion());
+  }, []);
+
+  useEffect(() => {
+    if (!currentUser) return;
+
+    let cancelled = false;
+    reloadChecklists().then(() => {
+      if (!cancelled) setLoadedForUid(currentUser.uid);
+    });
+
+    return () => { cancelled = true; };
+  }, [currentUser, reloadChecklists]);
+
+  const ready = !currentUser || loadedForUid === currentUser.uid;
+
+  const value = {
+    currentVersion,
+    reloadChecklists
+  };
+
+  return (
+    <ChecklistContext.Provider value={value}>
+      {ready && children}
+    </ChecklistContext.Provider>
+  );
+}
@@ -0,0 +1,346 @@
+/**
+ * @jest-environment node
+ */
+// firestore.rules, per role, against the Firestore emulator. Skipped unless
+// the emulator is running; see `npm run test:rules`.
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+  Timestamp, collection, collectionGroup, deleteDoc, doc, getDoc, getDocs, serverTimestamp, setDoc, updateDoc,
+  writeBatch
+} from 'firebase/firestore';
+
+// "none" is a signed-in account without a users/{uid} profile
+const USERS = {
+  none: { uid: 'none-uid', email: 'none@example.com' },
+  reviewer: { uid: 'reviewer-uid', email: 'reviewer@example.com', roles: ['reviewer'] },
+  auditor: { uid: 'auditor-uid', email: 'auditor@example.com', roles: ['auditor'] },
+  'board-admin': { uid: 'admin-uid', email: 'admin@example.com', roles: ['board-admin'] }
+};
+const ROLES = Object.keys(USERS);
+
+// Review r1 as seeded before each test
+const REVIEW = {
+  propertyAddress: '123 Main St',
+  complianceStatus: 'non-compliant',
+  submittedBy: USERS.reviewer.email,
+  revisionId: 'rev1'
+};
+
+const caseStep = (from, to, by) => ({ from, to, at: '2026-01-05T00:00:00.000Z', by });
+
+// Violation cases seeded before each test, by id
+const CASES = (() => {
+  const opened = {
+    itemLabel: 'Paint',
+    openedBy: USERS.reviewer.email,
+    latestReviewId: 'r1',
+    dates: { observedDate: '2026-01-05' },
+    history: [caseStep(null, 'observed', USERS.reviewer.email)]
+  };
+  const movedTo = (state, dates, by) => ({
+    ...opened,
+    state,
+    dates: { ...opened.dates, ...dates },
+    history: [...opened.history, caseStep('observed', state, by)]
+  });
+
+  return {
+    observed: { ...opened, state: 'observed' },
+    'formal-notice': movedTo('formal-notice',
+      { formalNoticeDate: '2026-02-01', complianceDeadline: '2026-03-01' }, USERS['board-admin'].email),
+    resolved: movedTo('resolved', { resolvedDate: '2026-02-01' }, USERS.reviewer.email),
+    closed: movedTo('closed', { closedDate: '2026-02-01' }, USERS['board-admin'].email)
+  };
+})();
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+describeWithEmulator('firestore.rules', () => {
+  let testEnv;
+
+  const firestoreAs = (role) => testEnv
+    .authenticatedContext(USERS[role].uid, { email: USERS[role].email })
+    .firestore();
+
+  const expectAccess = (role, allowedRoles, operation) => (
+    allowedRoles.includes(role) ? assertSucceeds(operation) : assertFails(operation)
+  );
+
+  // Writes a review change together with its revision, as reviewStore.js
+  // does; before is the review's stored data, for the revision's snapshot
+  function writeReview(db, role, reviewId, fields, { create = false, before = REVIEW, revisionId, revision = {} } = {}) {
+    const reviewRef = doc(db, 'complianceReviews', reviewId);
+    const revisionRef = revisionId
+      ? doc(reviewRef, 'revisions', revisionId)
+      : doc(collection(reviewRef, 'revisions'));
+    const data = create
+      ? { ...fields, revisionId: revisionRef.id }
+      : { ...fields, updatedBy: USERS[role].email, revisionId: revisionRef.id };
+
+    const batch = writeBatch(db);
+    if (create) {
+      batch.set(reviewRef, data);
+    } else {
+      batch.update(reviewRef, data);
+    }
+    batch.set(revisionRef, {
+      action: create ? 'created' : 'updated',
+      snapshot: create ? data : { ...before, ...data },
+      changedBy: USERS[role].email,
+      changedAt: serverTimestamp(),
+      ...revision
+    });
+    return batch.commit();
+  }
+
+  const caseUpdate = (role, fields) => ({ ...fields, updatedBy: USERS[role].email });
+
+  // Moves a seeded case to another state, as violationCases.js does
+  const stepCase = (role, caseId, to, dates = {}) => updateDoc(doc(firestoreAs(role), 'violationCases', caseId),
+    caseUpdate(role, {
+      state: to,
+      dates: { ...CASES[caseId].dates, ...dates },
+      history: [...CASES[caseId].history, caseStep(CASES[caseId].state, to, USERS[role].email)]
+    }));
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-ccr',
+      firestore: { rules: readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8') }
+    });
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      for (const { uid, email, roles } of Object.values(USERS)) {
+        if (roles) await setDoc(doc(db, 'users', uid), { email, roles });
+      }
+
+      await setDoc(doc(db, 'complianceReviews', 'r1'), REVIEW);
+      await setDoc(doc(db, 'complianceReviews', 'r1', 'revisions', 'rev1'), {
+        action: 'created',
+        snapshot: REVIEW,
+        changedBy: USERS.reviewer.email,
+        changedAt: serverTimestamp()
+      });
+
+      for (const [caseId, violationCase] of Object.entries(CASES)) {
+        await setDoc(doc(db, 'violationCases', caseId), violationCase);
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  it('denies everything to signed-out visitors', async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(getDoc(doc(db, 'users', USERS.reviewer.uid)));
+    await assertFails(getDoc(doc(db, 'complianceReviews', 'r1')));
+    await assertFails(getDoc(doc(db, 'violationCases', 'observed')));
+  });
+
+  describe('users', () => {
+    it.each(ROLES)('lets %s read their own profile', (role) =>
+      assertSucceeds(getDoc(doc(firestoreAs(role), 'users', USERS[role].uid)))
+    );
+
+    it.each(ROLES)('read of another profile as %s', (role) =>
+      expectAccess(role, ['board-admin'], getDoc(doc(firestoreAs(role), 'users', 'someone-else')))
+    );
+
+    it.each(ROLES)('create as %s', (role) =>
+      expectAccess(role, ['board-admin'],
+        setDoc(doc(firestoreAs(role), 'users', 'new-uid'), { email: 'new@example.com', roles: ['reviewer'] }))
+    );
+
+    it.each(ROLES)('update as %s', (role) =>
+      expectAccess(role, ['board-admin'],
+        updateDoc(doc(firestoreAs(role), 'users', USERS.reviewer.uid), { roles: ['reviewer', 'board-admin'] }))
+    );
+
+    it.each(ROLES)('delete as %s', (role) =>
+      expectAccess(role, ['board-admin'], deleteDoc(doc(firestoreAs(role), 'users', USERS.auditor.uid)))
+    );
+  });
+
+  describe('complianceReviews', () => {
+    it.each(ROLES)('read as %s', (role) =>
+      expectAccess(role, ['reviewer', 'auditor', 'board-admin'], getDoc(doc(firestoreAs(role), 'complianceReviews', 'r1')))
+    );
+
+    it.each(ROLES)('create with its revision as %s', (role) =>
+      expectAccess(role, ['reviewer', 'board-admin'],
+        writeReview(firestoreAs(role), role, 'r2', { propertyAddress: '9 Elm St', submittedBy: USERS[role].email }, { create: true }))
+    );
+
+    it('rejects a review created without its revision', () =>
+      assertFails(setDoc(doc(firestoreAs('reviewer'), 'complianceReviews', 'r2'), {
+        propertyAddress: '9 Elm St',
+        submittedBy: USERS.reviewer.email,
+        revisionId: 'missing'
+      }))
+    );
+
+    it('rejects a review submitted in someone else\'s name', () =>
+      assertFails(writeReview(firestoreAs('reviewer'), 'reviewer', 'r2',
+        { propertyAddress: '9 Elm St', submittedBy: USERS['board-admin'].email }, { create: true }))
+    );
+
+    it.each(ROLES)('claiming the re-inspection as %s', (role) =>
+      expectAccess(role, ['reviewer', 'board-admin'],
+        writeReview(firestoreAs(role), role, 'r1', { reinspectionClaimedBy: USERS[role].email }))
+    );
+
+    it('rejects a reviewer taking over another reviewer\'s claim', async () => {
+      const claimed = { ...REVIEW, reinspectionClaimedBy: 'other@example.com' };
+      await testEnv.withSecurityRulesDisabled(context =>
+        setDoc(doc(context.firestore(), 'complianceReviews', 'r1'), claimed)
+      );
+      await assertFails(writeReview(firestoreAs('reviewer'), 'reviewer', 'r1',
+        { reinspectionClaimedBy: USERS.reviewer.email }, { before: claimed }));
+    });
+
+    it.each(ROLES)('editing the review as %s', (role) =>
+      expectAccess(role, ['board-admin'],
+        writeReview(firestoreAs(role), role, 'r1', { propertyAddress: '125 Main St' }))
+    );
+
+    it('rejects an update that records no revision', () =>
+      assertFails(updateDoc(doc(firestoreAs('board-admin'), 'complianceReviews', 'r1'), {
+        propertyAddress: '125 Main St',
+        updatedBy: USERS['board-admin'].email,
+        revisionId: 'rev2'
+      }))
+    );
+
+    it('rejects an update that reuses an existing revision id', () =>
+      assertFails(writeReview(firestoreAs('board-admin'), 'board-admin', 'r1',
+        { propertyAddress: '125 Main St' }, { revisionId: 'rev1' }))
+    );
+
+    it('rejects a revision with a backdated time', () =>
+      assertFails(writeReview(firestoreAs('reviewer'), 'reviewer', 'r1',
+        { reinspectionClaimedBy: USERS.reviewer.email },
+        { revision: { changedAt: Timestamp.fromDate(new Date('2020-01-01T00:00:00Z')) } }))
+    );
+
+    it('rejects a revision whose snapshot is not what was written', () =>
+      assertFails(writeReview(firestoreAs('reviewer'), 'reviewer', 'r1',
+        { reinspectionClaimedBy: USERS.reviewer.email },
+        { revision: { snapshot: { ...REVIEW, complianceStatus: 'compliant' } } }))
+    );
+
+    it.each(ROLES)('delete as %s', (role) =>
+      expectAccess(role, ['board-admin'], deleteDoc(doc(firestoreAs(role), 'complianceReviews', 'r1')))
+    );
+  });
+
+  describe('revisions', () => {
+    it.each(ROLES)('read as %s', (role) =>
+      expectAccess(role, ['reviewer', 'auditor', 'board-admin'],
+        getDoc(doc(firestoreAs(role), 'complianceReviews', 'r1', 'revisions', 'rev1')))
+    );
+
+    it.each(ROLES)('reading every review\'s revisions as %s', (role) =>
+      expectAccess(role, ['board-admin'], getDocs(collectionGroup(firestoreAs(role), 'revisions')))
+    );
+
+    it.each(ROLES)('create without changing the review as %s', (role) =>
+      assertFails(setDoc(doc(firestoreAs(role), 'complianceReviews', 'r1', 'revisions', 'rev2'), {
+        action: 'updated',
+        snapshot: REVIEW,
+        changedBy: USERS[role].email,
+        changedAt: serverTimestamp()
+      }))
+    );
+
+    it.each(ROLES)('update as %s', (role) =>
+      assertFails(updateDoc(doc(firestoreAs(role), 'complianceReviews', 'r1', 'revisions', 'rev1'), { action: 'restored' }))
+    );
+
+    it.each(ROLES)('delete as %s', (role) =>
+      assertFails(deleteDoc(doc(firestoreAs(role), 'complianceReviews', 'r1', 'revisions', 'rev1')))
+    );
+  });
+
+  describe('violationCases', () => {
+    it.each(ROLES)('read as %s', (role) =>
+      expectAccess(role, ['reviewer', 'auditor', 'board-admin'], getDoc(doc(firestoreAs(role), 'violationCases', 'observed')))
+    );
+
+    it.each(ROLES)('create as %s', (role) =>
+      expectAccess(role, ['reviewer', 'board-admin'],
+        setDoc(doc(firestoreAs(role), 'violationCases', 'new'), { state: 'observed', openedBy: USERS[role].email }))
+    );
+
+    it('rejects a case opened past the observed state', () =>
+      assertFails(setDoc(doc(firestoreAs('reviewer'), 'violationCases', 'new'),
+        { state: 'formal-notice', openedBy: USERS.reviewer.email }))
+    );
+
+    it.each(ROLES)('resolving an open case as %s', (role) =>
+      expectAccess(role, ['reviewer', 'board-admin'],
+        stepCase(role, 'formal-notice', 'resolved', { resolvedDate: '2026-04-01' }))
+    );
+
+    it.each(ROLES)('reopening a resolved case as %s', (role) =>
+      expectAccess(role, ['reviewer', 'board-admin'],
+        stepCase(role, 'resolved', 'observed'))
+    );
+
+    it.each(ROLES)('sending a notice as %s', (role) =>
+      expectAccess(role, ['board-admin'],
+        stepCase(role, 'observed', 'courtesy-notice', { courtesyNoticeDate: '2026-04-01', complianceDeadline: '2026-05-01' }))
+    );
+
+    it('rejects a reviewer changing what the case is about', () =>
+      assertFails(updateDoc(doc(firestoreAs('reviewer'), 'violationCases', 'observed'),
+        caseUpdate('reviewer', { itemLabel: 'Roof' })))
+    );
+
+    it('lets a reviewer add a later review to an open case', () =>
+      assertSucceeds(updateDoc(doc(firestoreAs('reviewer'), 'violationCases', 'formal-notice'),
+        caseUpdate('reviewer', { severity: 'major', reviewIds: ['r1', 'r2'], latestReviewId: 'r2' })))
+    );
+
+    it('rejects a reviewer rewriting the history while resolving a case', () => {
+      const violationCase = CASES['formal-notice'];
+      return assertFails(updateDoc(doc(firestoreAs('reviewer'), 'violationCases', 'formal-notice'),
+        caseUpdate('reviewer', {
+          state: 'resolved',
+          dates: { ...violationCase.dates, resolvedDate: '2026-04-01' },
+          history: [violationCase.history[0], caseStep('observed', 'resolved', USERS.reviewer.email)]
+        })));
+    });
+
+    it('rejects a reviewer clearing the history of a case', () =>
+      assertFails(updateDoc(doc(firestoreAs('reviewer'), 'violationCases', 'formal-notice'),
+        caseUpdate('reviewer', { history: [] })))
+    );
+
+    it('rejects a reviewer changing the board\'s dates while resolving a case', () =>
+      assertFails(stepCase('reviewer', 'formal-notice', 'resolved',
+        { formalNoticeDate: '2026-02-15', resolvedDate: '2026-04-01' }))
+    );
+
+    it('rejects a reviewer changing the board\'s dates of a case', () =>
+      assertFails(updateDoc(doc(firestoreAs('reviewer'), 'violationCases', 'formal-notice'),
+        caseUpdate('reviewer', { dates: { ...CASES['formal-notice'].dates, complianceDeadline: '2027-01-01' } })))
+    );
+
+    it.each(ROLES)('updating a closed case as %s', (role) =>
+      assertFails(stepCase(role, 'closed', 'observed'))
+    );
+
+    it.each(ROLES)('delete as %s', (role) =>
+      assertFails(deleteDoc(doc(firestoreAs(role), 'violationCases', 'observed')))
+    );
+  });
+});
@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useState } from 'react';
+import { loadScheduledReviews } from '../utils/reviewStore';
+import { loadCases } from '../utils/violationCases';
+import { collectDeadlines, collectReinspectionsDue } from '../utils/deadlineTracker';
+import { claimReinspection, releaseReinspection } from '../utils/reinspection';
+
+/**
+ * Custom hook exposing the compliance deadlines and re-inspections due, for
+ * screens that do not load every review
+ * @param {Object} user - Firebase Auth user; nothing loads until signed in
+ * @returns {Object} - { deadlines, reinspections, loading, error, reload, claim, release }
+ */
+const useDueDates = (user) => {
+  const [reviews, setReviews] = useState([]);
+  const [cases, setCases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    if (!user) return;
+    setLoading(true);
+    setError('');
+
+    try {
+      const [scheduled, loadedCases] = await Promise.all([loadScheduledReviews(), loadCases()]);
+      setReviews(scheduled);
+      setCases(loadedCases);
+    } catch (error) {
+      console.error('Error loading due dates:', error);
+      setError('Error loading deadlines and re-inspections: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Apply the changes updateReview recorded to the loaded copy of a review
+  const applyChanges = useCallback((reviewId, changes) => {
+    setReviews(prev => prev.map(review => {
+      if (review.id !== reviewId) return review;
+      const updated = { ...review };
+      changes.forEach(({ field, to }) => {
+        updated[field] = to;
+      });
+      return updated;
+    }));
+  }, []);
+
+  const claim = useCallback(async (reviewId) => {
+    applyChanges(reviewId, await claimReinspection(reviewId, user.email));
+  }, [user, applyChanges]);
+
+  const release = useCallback(async (reviewId) => {
+    applyChanges(reviewId, await releaseReinspection(reviewId, user.email));
+  }, [user, applyChanges]);
+
+  const activeReviews = reviews.filter(review => !review.deleted);
+
+  return {
+    deadlines: collectDeadlines(activeReviews, cases),
+    reinspections: collectReinspectionsDue(activeReviews),
+    loading,
+    error,
+    reload,
+    claim,
+    release
+  };
+};
+
+export default useDueDates;
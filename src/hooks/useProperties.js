@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useState } from 'react';
+import { createProperty, loadProperties, updateProperty } from '../utils/propertyRegistry';
+
+/**
+ * Custom hook exposing the property registry
+ * @param {Object} user - Firebase Auth user; nothing loads until signed in
+ * @returns {Object} - { properties, loading, error, fromCache, reload, addProperty, saveProperty }
+ */
+const useProperties = (user) => {
+  const [properties, setProperties] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [fromCache, setFromCache] = useState(false);
+
+  const reload = useCallback(async () => {
+    if (!user) return;
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await loadProperties();
+      setProperties(result.properties);
+      setFromCache(result.fromCache);
+    } catch (error) {
+      console.error('Error loading property registry:', error);
+      setError('Error loading property registry: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const addProperty = useCallback(async (fields) => {
+    const property = await createProperty(fields, user.email);
+    setProperties(prev => [...prev, property]);
+    return property;
+  }, [user]);
+
+  const saveProperty = useCallback(async (propertyId, fields) => {
+    const updates = await updateProperty(propertyId, fields, user.email);
+    setProperties(prev => prev.map(property =>
+      property.id === propertyId ? { ...property, ...updates } : property
+    ));
+    return updates;
+  }, [user]);
+
+  return { properties, loading, error, fromCache, reload, addProperty, saveProperty };
+};
+
+export default useProperties;
@@ -0,0 +1,90 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  flushQueue,
+  listQueuedSubmissions,
+  processSubmission,
+  removeQueuedSubmission
+} from '../utils/submissionQueue';
+
+/**
+ * Custom hook exposing the offline submission queue for the signed-in user
+ * Pending submissions are replayed on mount and whenever the browser comes back online.
+ * @param {Object} user - Firebase Auth user
+ * @param {Function} onSubmitted - Called with each review that a replay saved
+ * @returns {Object} - { entries, isOnline, submitNow, retry, remove, refresh }
+ */
+const useSubmissionQueue = (user, onSubmitted) => {
+  const [entries, setEntries] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  // Kept in a ref so an inline callback does not re-trigger the replay effects
+  const onSubmittedRef = useRef(onSubmitted);
+  onSubmittedRef.current = onSubmitted;
+
+  const refresh = useCallback(async () => {
+    if (!user) return;
+    try {
+      setEntries(await listQueuedSubmissions(user));
+    } catch (error) {
+      console.error('Error loading submission queue:', error);
+    }
+  }, [user]);
+
+  const flush = useCallback(async () => {
+    if (!user || !navigator.onLine) return;
+
+    try {
+      const { submitted } = await flushQueue(user);
+      submitted.forEach(review => onSubmittedRef.current?.(review));
+    } catch (error) {
+      console.error('Error replaying submission queue:', error);
+    }
+    await refresh();
+  }, [user, refresh]);
+
+  // Send one entry right away, e.g. straight after the form is submitted
+  const submitNow = useCallback(async (entryId, options = {}) => {
+    try {
+      return await processSubmission(entryId, { ...options, onStart: refresh });
+    } finally {
+      await refresh();
+    }
+  }, [refresh]);
+
+  const retry = useCallback(async (entryId, options = {}) => {
+    try {
+      const review = await submitNow(entryId, options);
+      if (review) onSubmittedRef.current?.(review);
+    } catch (error) {
+      console.error('Error retrying submission:', error);
+    }
+  }, [submitNow]);
+
+  const remove = useCallback(async (entryId) => {
+    await removeQueuedSubmission(entryId);
+    await refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    refresh().then(flush);
+  }, [refresh, flush]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      flush();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [flush]);
+
+  return { entries, isOnline, submitNow, retry, remove, refresh };
+};
+
+export default useSubmissionQueue;
@@ -0,0 +1,55 @@
+import { useCallback, useRef, useState } from 'react';
+import { createUploadManager } from '../utils/uploadManager';
+
+/**
+ * Custom hook tracking one run of photo uploads for display
+ * start() returns the options to hand to uploadPhotos or processSubmission;
+ * files then holds each photo's name, status and progress.
+ * @returns {Object} - { files, paused, start, pause, resume, cancel, reset }
+ */
+const useUploadManager = () => {
+  const [files, setFiles] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const managerRef = useRef(null);
+
+  const onFileProgress = useCallback((index, update) => {
+    setFiles(prev => {
+      const next = [...prev];
+      next[index] = { ...next[index], ...update };
+      return next;
+    });
+  }, []);
+
+  const start = useCallback(() => {
+    const manager = createUploadManager();
+    managerRef.current = manager;
+    setPaused(false);
+    setFiles([]);
+    return { manager, onFileProgress };
+  }, [onFileProgress]);
+
+  const pause = useCallback(() => {
+    managerRef.current?.pause();
+    setPaused(true);
+  }, []);
+
+  const resume = useCallback(() => {
+    managerRef.current?.resume();
+    setPaused(false);
+  }, []);
+
+  const cancel = useCallback(() => {
+    managerRef.current?.cancel();
+    setPaused(false);
+  }, []);
+
+  const reset = useCallback(() => {
+    managerRef.current = null;
+    setPaused(false);
+    setFiles([]);
+  }, []);
+
+  return { files, paused, start, pause, resume, cancel, reset };
+};
+
+export default useUploadManager;
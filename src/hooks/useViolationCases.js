@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from 'react';
+import { loadCases, syncCasesFromReviews, transitionCase } from '../utils/violationCases';
+
+/**
+ * Custom hook exposing the violation cases
+ * @param {Object} user - Firebase Auth user; nothing loads until signed in
+ * @returns {Object} - { cases, loading, error, reload, moveCase, syncReviews }
+ */
+const useViolationCases = (user) => {
+  const [cases, setCases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    if (!user) return;
+    setLoading(true);
+    setError('');
+
+    try {
+      setCases(await loadCases());
+    } catch (error) {
+      console.error('Error loading violation cases:', error);
+      setError('Error loading violation cases: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const moveCase = useCallback(async (violationCase, transition, input) => {
+    const updates = await transitionCase(violationCase, transition, input, user.email);
+    setCases(prev => prev.map(existing =>
+      existing.id === violationCase.id ? { ...existing, ...updates } : existing
+    ));
+    return updates;
+  }, [user]);
+
+  const syncReviews = useCallback(async (reviews, onProgress) => {
+    const written = await syncCasesFromReviews(reviews, user.email, onProgress);
+    await reload();
+    return written;
+  }, [user, reload]);
+
+  return { cases, loading, error, reload, moveCase, syncReviews };
+};
+
+export default useViolationCases;
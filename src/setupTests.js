@@ -0,0 +1,7 @@
+// Firebase's Node build, used by the suites that run against the emulators,
+// needs the web stream globals that Jest's node environment leaves out
+import { ReadableStream, TransformStream, WritableStream } from 'stream/web';
+
+if (typeof global.ReadableStream === 'undefined') {
+  Object.assign(global, { ReadableStream, TransformStream, WritableStream });
+}
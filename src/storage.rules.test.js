@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+// storage.rules for review photos, per role, against the Storage and
+// Firestore emulators (role checks read users/{uid} from Firestore). Skipped
+// unless the emulators are running; see `npm run test:rules`.
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { deleteObject, getMetadata, ref, updateMetadata, uploadBytes } from 'firebase/storage';
+
+// "none" is a signed-in account without a users/{uid} profile
+const USERS = {
+  none: { uid: 'none-uid', email: 'none@example.com' },
+  reviewer: { uid: 'reviewer-uid', email: 'reviewer@example.com', roles: ['reviewer'] },
+  auditor: { uid: 'auditor-uid', email: 'auditor@example.com', roles: ['auditor'] },
+  'board-admin': { uid: 'admin-uid', email: 'admin@example.com', roles: ['board-admin'] }
+};
+const ROLES = Object.keys(USERS);
+
+const JPEG_BYTES = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+
+const photoMetadata = (reviewId, uploadedBy) => ({
+  contentType: 'image/jpeg',
+  customMetadata: { reviewId, uploadedBy }
+});
+
+const describeWithEmulators = process.env.FIRESTORE_EMULATOR_HOST && process.env.FIREBASE_STORAGE_EMULATOR_HOST
+  ? describe
+  : describe.skip;
+
+describeWithEmulators('storage.rules reviews/{reviewId}/{fileName}', () => {
+  let testEnv;
+
+  const storageAs = (role) => testEnv
+    .authenticatedContext(USERS[role].uid, { email: USERS[role].email })
+    .storage();
+
+  const expectAccess = (role, allowedRoles, operation) => (
+    allowedRoles.includes(role) ? assertSucceeds(operation) : assertFails(operation)
+  );
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-ccr',
+      firestore: { rules: readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8') },
+      storage: { rules: readFileSync(path.resolve(__dirname, '../storage.rules'), 'utf8') }
+    });
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      for (const { uid, email, roles } of Object.values(USERS)) {
+        if (roles) await setDoc(doc(db, 'users', uid), { email, roles });
+      }
+      await setDoc(doc(db, 'complianceReviews', 'saved'), { submittedBy: USERS.reviewer.email });
+
+      // One photo of a saved review, one of a submission that never finished
+      const storage = context.storage();
+      const uploader = USERS.reviewer.email;
+      await uploadBytes(ref(storage, 'reviews/saved/front.jpg'), JPEG_BYTES, photoMetadata('saved', uploader));
+      await uploadBytes(ref(storage, 'reviews/abandoned/front.jpg'), JPEG_BYTES, photoMetadata('abandoned', uploader));
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  it('denies reading and uploading to signed-out visitors', async () => {
+    const storage = testEnv.unauthenticatedContext().storage();
+    await assertFails(getMetadata(ref(storage, 'reviews/saved/front.jpg')));
+    await assertFails(uploadBytes(ref(storage, 'reviews/new/front.jpg'), JPEG_BYTES,
+      photoMetadata('new', USERS.reviewer.email)));
+  });
+
+  it.each(ROLES)('read as %s', (role) =>
+    expectAccess(role, ['reviewer', 'auditor', 'board-admin'],
+      getMetadata(ref(storageAs(role), 'reviews/saved/front.jpg')))
+  );
+
+  it.each(ROLES)('create as %s', (role) =>
+    expectAccess(role, ['reviewer', 'board-admin'],
+      uploadBytes(ref(storageAs(role), 'reviews/new/front.jpg'), JPEG_BYTES, photoMetadata('new', USERS[role].email)))
+  );
+
+  it('rejects a photo whose metadata names another review', () =>
+    assertFails(uploadBytes(ref(storageAs('reviewer'), 'reviews/new/front.jpg'), JPEG_BYTES,
+      photoMetadata('saved', USERS.reviewer.email)))
+  );
+
+  it('rejects a photo uploaded in someone else\'s name', () =>
+    assertFails(uploadBytes(ref(storageAs('reviewer'), 'reviews/new/front.jpg'), JPEG_BYTES,
+      photoMetadata('new', USERS['board-admin'].email)))
+  );
+
+  it('rejects files that are not images', () =>
+    assertFails(uploadBytes(ref(storageAs('reviewer'), 'reviews/new/notes.txt'), JPEG_BYTES, {
+      ...photoMetadata('new', USERS.reviewer.email),
+      contentType: 'text/plain'
+    }))
+  );
+
+  it.each(ROLES)('update as %s', (role) =>
+    assertFails(updateMetadata(ref(storageAs(role), 'reviews/saved/front.jpg'),
+      { customMetadata: { reviewId: 'other' } }))
+  );
+
+  it.each(ROLES)('delete of a saved review\'s photo as %s', (role) =>
+    expectAccess(role, ['board-admin'], deleteObject(ref(storageAs(role), 'reviews/saved/front.jpg')))
+  );
+
+  it.each(ROLES)('delete of an abandoned submission\'s photo as %s', (role) =>
+    expectAccess(role, ['reviewer', 'board-admin'], deleteObject(ref(storageAs(role), 'reviews/abandoned/front.jpg')))
+  );
+});
@@ -0,0 +1,38 @@
+// In-memory stand-in for the IndexedDB wrapper, for tests that call
+// jest.mock('./localDb'). Records are copied in and out like IndexedDB does.
+
+export const STORES = {
+  DRAFTS: 'drafts',
+  SUBMISSION_QUEUE: 'submissionQueue'
+};
+
+let stores = {};
+
+const storeFor = (storeName) => {
+  stores[storeName] = stores[storeName] || new Map();
+  return stores[storeName];
+};
+
+const copy = (record) => (record === undefined ? undefined : { ...record });
+
+export async function getRecord(storeName, key) {
+  return copy(storeFor(storeName).get(key));
+}
+
+export async function getAllRecords(storeName) {
+  return [...storeFor(storeName).values()].map(copy);
+}
+
+export async function putRecord(storeName, record) {
+  storeFor(storeName).set(record.id, copy(record));
+  return record.id;
+}
+
+export async function deleteRecord(storeName, key) {
+  storeFor(storeName).delete(key);
+}
+
+// Empty every store between tests
+export function resetRecords() {
+  stores = {};
+}
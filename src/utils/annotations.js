@@ -0,0 +1,135 @@
+// Photo annotations: arrows, circles, freehand strokes and text labels
+// Shapes are kept as vectors on the photo entry so an annotation can be
+// reopened and edited; the annotated copy is rendered from them at full size.
+
+import { PHOTO_SETTINGS, decodeImage } from './imageProcessing';
+
+export const ANNOTATION_TOOLS = {
+  arrow: 'Arrow',
+  circle: 'Circle',
+  freehand: 'Freehand',
+  text: 'Text'
+};
+
+export const ANNOTATION_COLORS = ['#e53935', '#fdd835', '#ffffff', '#000000'];
+
+/**
+ * File to show and upload as a photo's main image - the annotated copy when there is one
+ * @param {Object} photo - Photo entry
+ * @returns {File}
+ */
+export function getDisplayFile(photo) {
+  return photo.annotatedFile || photo.file;
+}
+
+/**
+ * Stroke width that reads well at any photo size
+ * @param {number} width - Canvas width in pixels
+ * @returns {number}
+ */
+export function strokeWidthFor(width) {
+  return Math.max(3, Math.round(width / 200));
+}
+
+function drawArrow(ctx, { from, to }) {
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  const head = ctx.lineWidth * 4;
+
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.moveTo(to.x, to.y);
+  ctx.lineTo(to.x - head * Math.cos(angle - Math.PI / 6), to.y - head * Math.sin(angle - Math.PI / 6));
+  ctx.lineTo(to.x - head * Math.cos(angle + Math.PI / 6), to.y - head * Math.sin(angle + Math.PI / 6));
+  ctx.closePath();
+  ctx.fill();
+}
+
+function drawCircle(ctx, { from, to }) {
+  ctx.beginPath();
+  ctx.ellipse(
+    (from.x + to.x) / 2,
+    (from.y + to.y) / 2,
+    Math.abs(to.x - from.x) / 2,
+    Math.abs(to.y - from.y) / 2,
+    0, 0, Math.PI * 2
+  );
+  ctx.stroke();
+}
+
+function drawFreehand(ctx, { points }) {
+  if (points.length < 2) return;
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+  ctx.stroke();
+}
+
+function drawText(ctx, { at, text }) {
+  const size = ctx.lineWidth * 6;
+  ctx.font = `bold ${size}px sans-serif`;
+  ctx.textBaseline = 'top';
+  // Dark outline keeps light labels readable on bright photos and vice versa
+  ctx.lineWidth = Math.max(2, size / 8);
+  ctx.strokeStyle = ctx.fillStyle === '#000000' ? '#ffffff' : '#000000';
+  ctx.strokeText(text, at.x, at.y);
+  ctx.fillText(text, at.x, at.y);
+}
+
+const DRAWERS = {
+  arrow: drawArrow,
+  circle: drawCircle,
+  freehand: drawFreehand,
+  text: drawText
+};
+
+/**
+ * Draw shapes onto a canvas context already holding the photo
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Array<Object>} shapes - Annotation shapes
+ */
+export function drawAnnotations(ctx, shapes) {
+  shapes.forEach(shape => {
+    ctx.save();
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = shape.width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    DRAWERS[shape.type](ctx, shape);
+    ctx.restore();
+  });
+}
+
+/**
+ * Render an annotated copy of a photo
+ * @param {File} file - Untouched photo
+ * @param {Array<Object>} shapes - Annotation shapes in photo pixels
+ * @returns {Promise<File>}
+ */
+export async function renderAnnotatedPhoto(file, shapes) {
+  const image = await decodeImage(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  image.close?.();
+  drawAnnotations(ctx, shapes);
+
+  const { format, quality } = PHOTO_SETTINGS;
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(result => {
+      if (result) resolve(result);
+      else reject(new Error('The annotated photo could not be saved'));
+    }, format, quality);
+  });
+
+  const base = file.name.replace(/\.[^.]+$/, '');
+  const extension = format === 'image/webp' ? 'webp' : 'jpg';
+  return new File([blob], `${base}-annotated.${extension}`, { type: format });
+}
@@ -0,0 +1,96 @@
+// CCR and rules citations for checklist items
+// Violation notices have to cite the governing section, so each checklist
+// item can carry one or more citations: the article or section number and the
+// text it quotes. They are kept by item key at ccrCitations/{itemKey} rather
+// than in the checklist templates, because the governing documents are amended
+// on their own schedule and item keys never change meaning across checklist
+// versions. Board admins maintain them from the citation editor.
+
+import { db } from '../firebase';
+import { collection, deleteDoc, doc, getDocs, setDoc } from 'firebase/firestore';
+
+const CITATIONS_COLLECTION = 'ccrCitations';
+
+/**
+ * Load the citations of every item that has any
+ * @returns {Promise<Object>} By item key: { citations, updatedAt, updatedBy }
+ */
+export async function loadCitations() {
+  const snapshot = await getDocs(collection(db, CITATIONS_COLLECTION));
+  const byItem = {};
+  snapshot.docs.forEach(citationDoc => {
+    const { citations, updatedAt, updatedBy } = citationDoc.data();
+    byItem[citationDoc.id] = { citations: citations || [], updatedAt, updatedBy };
+  });
+  return byItem;
+}
+
+/**
+ * Citations for one item
+ * @param {Object} citationsByItem - From loadCitations
+ * @param {string} itemKey - Checklist item key
+ * @returns {Array<Object>} [{ article, text }]
+ */
+export function citationsFor(citationsByItem, itemKey) {
+  return citationsByItem?.[itemKey]?.citations || [];
+}
+
+/**
+ * Check an item's citations before they are saved
+ * @param {Array<Object>} citations - [{ article, text }] being edited
+ * @returns {Array<string>} Problems found; empty when they can be saved
+ */
+export function validateCitations(citations) {
+  const problems = [];
+  const seen = new Set();
+
+  citations.forEach((citation, index) => {
+    const article = citation.article.trim();
+    if (!article) {
+      problems.push(`Citation ${index + 1} needs an article or section number.`);
+      return;
+    }
+    if (seen.has(article.toLowerCase())) {
+      problems.push(`${article} is cited more than once.`);
+    }
+    seen.add(article.toLowerCase());
+  });
+
+  return problems;
+}
+
+/**
+ * Save an item's citations; an empty list removes them
+ * @param {string} itemKey - Checklist item key
+ * @param {Array<Object>} citations - [{ article, text }]
+ * @param {string} userEmail - Email of the board admin saving them
+ * @returns {Promise<Object|null>} The saved record, or null when removed
+ */
+export async function saveItemCitations(itemKey, citations, userEmail) {
+  const problems = validateCitations(citations);
+  if (problems.length > 0) {
+    throw new Error(problems.join(' '));
+  }
+
+  if (citations.length === 0) {
+    await deleteDoc(doc(db, CITATIONS_COLLECTION, itemKey));
+    return null;
+  }
+
+  const record = {
+    citations: citations.map(citation => ({ article: citation.article.trim(), text: citation.text.trim() })),
+    updatedAt: new Date().toISOString(),
+    updatedBy: userEmail
+  };
+  await setDoc(doc(db, CITATIONS_COLLECTION, itemKey), { itemKey, ...record });
+  return record;
+}
+
+/**
+ * One-line form of a citation, e.g. `Article 7.3: "No trailers..."`
+ * @param {Object} citation - { article, text }
+ * @returns {string}
+ */
+export function formatCitation(citation) {
+  return citation.text ? `${citation.article}: "${citation.text}"` : citation.article;
+}
@@ -0,0 +1,40 @@
+import { citationsFor, formatCitation, validateCitations } from './ccrCitations';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+describe('citationsFor', () => {
+  it("returns an item's citations, or none", () => {
+    const citations = [{ article: 'Article 7.3', text: 'No trailers' }];
+    expect(citationsFor({ parking: { citations } }, 'parking')).toBe(citations);
+    expect(citationsFor({ parking: { citations } }, 'fencing')).toEqual([]);
+    expect(citationsFor(null, 'parking')).toEqual([]);
+  });
+});
+
+describe('validateCitations', () => {
+  it('accepts distinct articles', () => {
+    expect(validateCitations([
+      { article: 'Article 7.3', text: '' },
+      { article: 'Rule 12', text: 'Trash cans out of sight' }
+    ])).toEqual([]);
+  });
+
+  it('requires an article for each citation', () => {
+    expect(validateCitations([{ article: ' ', text: 'Quoted text' }]))
+      .toEqual(['Citation 1 needs an article or section number.']);
+  });
+
+  it('rejects the same article cited twice, ignoring case and spaces', () => {
+    expect(validateCitations([
+      { article: 'Article 7.3', text: '' },
+      { article: ' article 7.3 ', text: '' }
+    ])).toEqual(['article 7.3 is cited more than once.']);
+  });
+});
+
+describe('formatCitation', () => {
+  it('quotes the text after the article when there is any', () => {
+    expect(formatCitation({ article: 'Article 7.3', text: 'No trailers' })).toBe('Article 7.3: "No trailers"');
+    expect(formatCitation({ article: 'Rule 12', text: '' })).toBe('Rule 12');
+  });
+});
@@ -0,0 +1,229 @@
+// Single definition of the inspection checklist
+// The form, the admin detail modal, the report generators and the Word export
+// all render from this. Every review stores the schemaVersion it was captured
+// with, so when items are added or retired a new version is published and
+// older reviews keep rendering against the version they were filled out on.
+// Version 1 is built in; later versions are published by board admins from the
+// checklist template editor and registered here at sign-in (checklistTemplates.js).
+
+// Possible ratings for a checklist item, in display order
+export const RATINGS = {
+  accept: { label: 'Accept' },
+  minor: { label: 'Minor' },
+  major: { label: 'Major' },
+  na: { label: 'N/A' }
+};
+
+export const DEFAULT_RATINGS = ['accept', 'minor', 'major', 'na'];
+
+// Ratings that count as a violation
+export const VIOLATION_RATINGS = ['minor', 'major'];
+
+const CHECKLIST_V1 = {
+  version: 1,
+  sections: [
+    {
+      id: 'overall',
+      title: 'Overall Property Appearance',
+      items: [
+        { key: 'overallAppearance', label: 'General appearance and curb appeal', shortLabel: 'Overall Appearance' }
+      ]
+    },
+    {
+      id: 'exterior',
+      title: 'Exterior Structures',
+      items: [
+        { key: 'paintStucco', label: 'Paint and/or stucco condition', shortLabel: 'Paint/Stucco', help: 'Peeling, fading, cracks or unapproved colors' },
+        { key: 'tileRoof', label: 'Tile roof condition', shortLabel: 'Tile Roof', help: 'Broken, missing or slipped tiles visible from the street' },
+        { key: 'gutters', label: 'Gutters and downspouts', shortLabel: 'Gutters' },
+        { key: 'windows', label: 'Windows and screens', shortLabel: 'Windows' },
+        { key: 'doors', label: 'Doors and garage doors', shortLabel: 'Doors' },
+        { key: 'fencing', label: 'Fencing condition and appearance', shortLabel: 'Fencing' }
+      ]
+    },
+    {
+      id: 'hardscape',
+      title: 'Hardscape',
+      items: [
+        { key: 'driveway', label: 'Driveway condition (cracks, stains, etc.)', shortLabel: 'Driveway' },
+        { key: 'walkways', label: 'Walkways and patios', shortLabel: 'Walkways' }
+      ]
+    },
+    {
+      id: 'landscaping',
+      title: 'Landscaping',
+      items: [
+        { key: 'landscapeOverall', label: 'Overall landscaping condition', shortLabel: 'Landscape Overall' },
+        { key: 'groundCover', label: 'Ground cover/xeriscape maintained', shortLabel: 'Ground Cover' },
+        { key: 'treesShrubs', label: 'Trees and shrubs (trimmed, healthy)', shortLabel: 'Trees & Shrubs' },
+        { key: 'deadPlants', label: 'Dead/dying trees, shrubs, cacti, succulents', shortLabel: 'Dead Plants' },
+        { key: 'mistletoe', label: 'Mistletoe present in trees', shortLabel: 'Mistletoe', help: 'Clumps of green growth in bare or thinning canopies' },
+        { key: 'rocksGravel', label: 'Landscape rocks/gravel maintained', shortLabel: 'Rocks/Gravel' }
+      ]
+    },
+    {
+      id: 'fixtures',
+      title: 'Fixtures & Amenities',
+      items: [
+        { key: 'mailbox', label: 'Mailbox condition', shortLabel: 'Mailbox' },
+        { key: 'lamppost', label: 'Lamppost condition', shortLabel: 'Lamppost' },
+        { key: 'houseNumbers', label: 'House numbers visible/condition', shortLabel: 'House Numbers' },
+        { key: 'exteriorLighting', label: 'Exterior lighting functional', shortLabel: 'Exterior Lighting' }
+      ]
+    },
+    {
+      id: 'storage',
+      title: 'Storage & Cleanliness',
+      items: [
+        { key: 'trashDebris', label: 'No visible trash/debris', shortLabel: 'Trash/Debris' },
+        { key: 'trashCans', label: 'Trash cans properly stored', shortLabel: 'Trash Cans', help: 'Cans out of view except on collection day' },
+        { key: 'unauthorizedStructures', label: 'No unauthorized structures/storage', shortLabel: 'Unauthorized Structures' }
+      ]
+    },
+    {
+      id: 'vehicles',
+      title: 'Vehicles & Parking',
+      items: [
+        { key: 'inoperableVehicles', label: 'No inoperable vehicles visible', shortLabel: 'Inoperable Vehicles' },
+        { key: 'commercialVehicles', label: 'No commercial vehicles/trailers/RVs', shortLabel: 'Commercial Vehicles' },
+        { key: 'approvedParking', label: 'Vehicles parked in approved areas', shortLabel: 'Approved Parking' }
+      ]
+    }
+  ]
+};
+
+const CHECKLIST_VERSIONS = {
+  [CHECKLIST_V1.version]: CHECKLIST_V1
+};
+
+let currentChecklistVersion = CHECKLIST_V1.version;
+
+// Reviews saved before versioning existed were captured on version 1
+const LEGACY_CHECKLIST_VERSION = 1;
+
+// Review fields that can never be used as item keys
+export const RESERVED_FIELD_KEYS = [
+  'date', 'reviewTeam', 'propertyAddress', 'detailedComments', 'violationNotice',
+  'violationNoticeDate', 'complianceDeadline', 'reinspectionDate', 'complianceStatus',
+  'schemaVersion', 'images', 'imageCount', 'submittedAt', 'submittedBy',
+  'updatedAt', 'updatedBy', 'deleted', 'deletedAt', 'deletedBy', 'id', 'itemNotes',
+  'imageRecords', 'propertyId', 'parentReviewId', 'reinspectionOutcomes',
+  'lastReinspectionId', 'lastReinspectedAt', 'reinspectionClaimedBy', 'reinspectionClaimedAt',
+  'letters', 'revisionId'
+];
+
+/**
+ * Add published checklist versions to the registry
+ * The highest registered version becomes the one new reviews are captured on.
+ * @param {Array<Object>} checklists - Checklists with version and sections
+ */
+export function registerChecklists(checklists) {
+  checklists.forEach(checklist => {
+    CHECKLIST_VERSIONS[checklist.version] = {
+      version: checklist.version,
+      sections: checklist.sections
+    };
+  });
+
+  currentChecklistVersion = Math.max(...Object.keys(CHECKLIST_VERSIONS).map(Number));
+}
+
+/**
+ * Version new reviews are captured on
+ * @returns {number}
+ */
+export function getCurrentChecklistVersion() {
+  return currentChecklistVersion;
+}
+
+/**
+ * Every registered version number, oldest first
+ * @returns {Array<number>}
+ */
+export function getChecklistVersions() {
+  return Object.keys(CHECKLIST_VERSIONS).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Get a checklist by version, filling in item defaults
+ * @param {number} [version] - Schema version; defaults to the current version
+ * @returns {Object} Checklist with sections and items
+ */
+export function getChecklist(version = currentChecklistVersion) {
+  const checklist = CHECKLIST_VERSIONS[version] || CHECKLIST_VERSIONS[LEGACY_CHECKLIST_VERSION];
+  return normalizeChecklist(checklist);
+}
+
+/**
+ * Get the checklist a review was captured with
+ * @param {Object} review - Review data
+ * @returns {Object}
+ */
+export function getChecklistForReview(review) {
+  return getChecklist(review?.schemaVersion || LEGACY_CHECKLIST_VERSION);
+}
+
+/**
+ * Fill in defaults so callers can rely on every item having ratings and labels
+ * @param {Object} checklist - Raw checklist definition
+ * @returns {Object}
+ */
+export function normalizeChecklist(checklist) {
+  return {
+    ...checklist,
+    sections: checklist.sections.map(section => ({
+      ...section,
+      items: section.items.map(item => ({
+        ratings: DEFAULT_RATINGS,
+        help: '',
+        shortLabel: item.label,
+        ...item,
+        section: section.title
+      }))
+    }))
+  };
+}
+
+/**
+ * Flatten a checklist into its items, in display order
+ * @param {Object} checklist - Checklist from getChecklist
+ * @returns {Array<Object>}
+ */
+export function getChecklistItems(checklist) {
+  return checklist.sections.flatMap(section => section.items);
+}
+
+/**
+ * Blank ratings for every item in a checklist
+ * @param {Object} checklist - Checklist from getChecklist
+ * @returns {Object} Map of item key to ''
+ */
+export function createEmptyRatings(checklist) {
+  const ratings = {};
+  getChecklistItems(checklist).forEach(item => {
+    ratings[item.key] = '';
+  });
+  return ratings;
+}
+
+/**
+ * Display label for a rating value
+ * @param {string} value - Rating value
+ * @returns {string}
+ */
+export function formatRating(value) {
+  return RATINGS[value]?.label || value;
+}
+
+/**
+ * Look up an item's short label in any known checklist version
+ * @param {string} key - Item key
+ * @returns {string|null}
+ */
+export function findItemLabel(key) {
+  for (const version of getChecklistVersions().reverse()) {
+    const item = getChecklistItems(getChecklist(version)).find(i => i.key === key);
+    if (item) return item.shortLabel;
+  }
+  return null;
+}
@@ -0,0 +1,217 @@
+// Checklist templates published by board admins
+// Published versions live at checklistTemplates/{version} and are never
+// changed once written, because reviews reference them by schemaVersion. The
+// work-in-progress template is a single shared doc at
+// checklistTemplateDrafts/current until it is published.
+// The last published set is cached on the device so reviewers working offline
+// still capture reviews on the current version.
+
+import { db } from '../firebase';
+import { collection, deleteDoc, doc, getDoc, getDocs, runTransaction, setDoc } from 'firebase/firestore';
+import {
+  RATINGS,
+  RESERVED_FIELD_KEYS,
+  getChecklist,
+  getChecklistItems,
+  getChecklistVersions,
+  getCurrentChecklistVersion,
+  registerChecklists
+} from './checklistSchema';
+
+const TEMPLATES_COLLECTION = 'checklistTemplates';
+const TEMPLATE_DRAFT_REF = ['checklistTemplateDrafts', 'current'];
+const CACHE_KEY = 'ccr-checklist-templates';
+
+function readCachedTemplates() {
+  try {
+    return JSON.parse(window.localStorage.getItem(CACHE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Strip editor-only fields so only the checklist definition is stored
+ * @param {Array<Object>} sections - Sections being edited
+ * @returns {Array<Object>}
+ */
+function cleanSections(sections) {
+  return sections.map(section => ({
+    id: section.id,
+    title: section.title.trim(),
+    items: section.items.map(item => {
+      const cleaned = { key: item.key, label: item.label.trim() };
+      if (item.shortLabel?.trim()) cleaned.shortLabel = item.shortLabel.trim();
+      if (item.help?.trim()) cleaned.help = item.help.trim();
+      if (item.ratings) cleaned.ratings = [...item.ratings];
+      return cleaned;
+    })
+  }));
+}
+
+/**
+ * Register published checklist versions from Firestore (falling back to the
+ * device cache) so reviews on any version can be rendered
+ * @returns {Promise<void>}
+ */
+export async function loadPublishedChecklists() {
+  registerChecklists(readCachedTemplates());
+
+  const snapshot = await getDocs(collection(db, TEMPLATES_COLLECTION));
+  const templates = snapshot.docs.map(templateDoc => {
+    const { version, sections } = templateDoc.data();
+    return { version, sections };
+  });
+
+  registerChecklists(templates);
+
+  try {
+    window.localStorage.setItem(CACHE_KEY, JSON.stringify(templates));
+  } catch (error) {
+    console.error('Error caching checklist templates:', error);
+  }
+}
+
+/**
+ * Load the unpublished template, if an admin has started one
+ * @returns {Promise<Object|null>} { sections, updatedAt, updatedBy, baseVersion }
+ */
+export async function loadTemplateDraft() {
+  const snapshot = await getDoc(doc(db, ...TEMPLATE_DRAFT_REF));
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
+/**
+ * Save the unpublished template
+ * @param {Array<Object>} sections - Sections being edited
+ * @param {number} baseVersion - Published version the edits started from
+ * @param {string} userEmail - Admin saving the draft
+ * @returns {Promise<void>}
+ */
+export function saveTemplateDraft(sections, baseVersion, userEmail) {
+  return setDoc(doc(db, ...TEMPLATE_DRAFT_REF), {
+    sections: cleanSections(sections),
+    baseVersion,
+    updatedAt: new Date().toISOString(),
+    updatedBy: userEmail
+  });
+}
+
+/**
+ * Throw away the unpublished template
+ * @returns {Promise<void>}
+ */
+export function discardTemplateDraft() {
+  return deleteDoc(doc(db, ...TEMPLATE_DRAFT_REF));
+}
+
+/**
+ * Publish a template as the next checklist version
+ * New reviews are captured on it from then on; existing reviews are unaffected.
+ * @param {Array<Object>} sections - Sections being edited
+ * @param {string} userEmail - Admin publishing
+ * @returns {Promise<number>} The new version number
+ */
+export async function publishChecklist(sections, userEmail) {
+  const version = getCurrentChecklistVersion() + 1;
+  const templateRef = doc(db, TEMPLATES_COLLECTION, String(version));
+  const template = {
+    version,
+    sections: cleanSections(sections),
+    publishedAt: new Date().toISOString(),
+    publishedBy: userEmail
+  };
+
+  await runTransaction(db, async (transaction) => {
+    const existing = await transaction.get(templateRef);
+    if (existing.exists()) {
+      throw new Error(`Version ${version} was just published by someone else. Reload to see it before publishing again.`);
+    }
+
+    transaction.set(templateRef, template);
+    transaction.delete(doc(db, ...TEMPLATE_DRAFT_REF));
+  });
+
+  registerChecklists([template]);
+  return version;
+}
+
+/**
+ * Every item key used by any checklist version
+ * Retired keys stay reserved so old reviews never change meaning.
+ * @returns {Set<string>}
+ */
+function allKnownItemKeys() {
+  const keys = new Set(RESERVED_FIELD_KEYS);
+  getChecklistVersions().forEach(version => {
+    getChecklistItems(getChecklist(version)).forEach(item => keys.add(item.key));
+  });
+  return keys;
+}
+
+/**
+ * Generate a stable field key for a new item from its label
+ * @param {string} label - Item label, e.g. "Solar panel placement"
+ * @param {Array<Object>} sections - Sections being edited, whose keys are also taken
+ * @returns {string} e.g. "solarPanelPlacement"
+ */
+export function generateItemKey(label, sections) {
+  const taken = allKnownItemKeys();
+  sections.forEach(section => section.items.forEach(item => taken.add(item.key)));
+
+  const words = label.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  let base = words
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('') || 'item';
+  if (/^[0-9]/.test(base)) base = `item${base}`;
+
+  let key = base;
+  for (let suffix = 2; taken.has(key); suffix++) {
+    key = `${base}${suffix}`;
+  }
+  return key;
+}
+
+/**
+ * Check a template before it is published
+ * @param {Array<Object>} sections - Sections being edited
+ * @returns {Array<string>} Problems found; empty when the template is valid
+ */
+export function validateTemplate(sections) {
+  const problems = [];
+  const seenKeys = new Set();
+
+  if (sections.length === 0) {
+    problems.push('The checklist needs at least one section.');
+  }
+
+  sections.forEach((section, index) => {
+    const sectionName = section.title.trim() || `Section ${index + 1}`;
+
+    if (!section.title.trim()) {
+      problems.push(`Section ${index + 1} needs a title.`);
+    }
+    if (section.items.length === 0) {
+      problems.push(`"${sectionName}" has no items. Add an item or remove the section.`);
+    }
+
+    section.items.forEach(item => {
+      if (!item.label.trim()) {
+        problems.push(`An item in "${sectionName}" has no label.`);
+      }
+      const itemName = item.label.trim() || item.key;
+      if (item.ratings?.length === 0) {
+        problems.push(`"${itemName}" needs at least one allowed rating.`);
+      }
+      (item.ratings || []).filter(rating => !RATINGS[rating]).forEach(rating => {
+        problems.push(`"${itemName}" allows an unknown rating "${rating}".`);
+      });
+      if (seenKeys.has(item.key)) {
+        problems.push(`The field key "${item.key}" is used more than once.`);
+      }
+      seenKeys.add(item.key);
+    });
+  });
+
+  return problems;
+}
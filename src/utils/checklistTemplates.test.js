@@ -0,0 +1,54 @@
+import { generateItemKey, validateTemplate } from './checklistTemplates';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const section = (title, items) => ({ id: title.toLowerCase(), title, items });
+
+describe('generateItemKey', () => {
+  it('camel-cases the label', () => {
+    expect(generateItemKey('Solar panel placement', [])).toBe('solarPanelPlacement');
+    expect(generateItemKey('3-car garage', [])).toBe('item3CarGarage');
+    expect(generateItemKey('!!!', [])).toBe('item');
+  });
+
+  it('never reuses a key from a published version, a review field or the draft', () => {
+    expect(generateItemKey('Gutters', [])).toBe('gutters2');
+    expect(generateItemKey('Date', [])).toBe('date2');
+    expect(generateItemKey('Solar panel placement', [
+      section('Roof', [{ key: 'solarPanelPlacement', label: 'Solar panel placement' }])
+    ])).toBe('solarPanelPlacement2');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('accepts a complete template', () => {
+    expect(validateTemplate([section('Roof', [{ key: 'tileRoof', label: 'Tile roof' }])])).toEqual([]);
+  });
+
+  it('reports empty templates, sections and labels and repeated keys', () => {
+    expect(validateTemplate([])).toEqual(['The checklist needs at least one section.']);
+    expect(validateTemplate([
+      section(' ', []),
+      section('Roof', [
+        { key: 'tileRoof', label: ' ' },
+        { key: 'tileRoof', label: 'Tile roof' }
+      ])
+    ])).toEqual([
+      'Section 1 needs a title.',
+      '"Section 1" has no items. Add an item or remove the section.',
+      'An item in "Roof" has no label.',
+      'The field key "tileRoof" is used more than once.'
+    ]);
+  });
+
+  it('reports items without allowed ratings or with unknown ones', () => {
+    expect(validateTemplate([section('Roof', [
+      { key: 'tileRoof', label: 'Tile roof', ratings: ['accept', 'major'] },
+      { key: 'solarPanels', label: 'Solar panels', ratings: [] },
+      { key: 'gutters', label: 'Gutters', ratings: ['accept', 'severe'] }
+    ])])).toEqual([
+      '"Solar panels" needs at least one allowed rating.',
+      '"Gutters" allows an unknown rating "severe".'
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+// Minimal CSV parsing for spreadsheet exports
+// Handles quoted fields with commas, doubled quotes and line breaks, CRLF or
+// LF line endings and the byte order mark Excel puts at the start of a file.
+
+/**
+ * Parse CSV text into rows of cells
+ * Blank lines are skipped.
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Read a CSV file chosen by the user
+ * @param {File} file - CSV file
+ * @returns {Promise<Array<Array<string>>>}
+ */
+export async function readCsvFile(file) {
+  return parseCsv(await file.text());
+}
@@ -0,0 +1,35 @@
+import { parseCsv } from './csv';
+
+describe('parseCsv', () => {
+  it('splits rows and cells', () => {
+    expect(parseCsv('lot,address\n12,123 Main St\n')).toEqual([
+      ['lot', 'address'],
+      ['12', '123 Main St']
+    ]);
+  });
+
+  it('keeps commas, doubled quotes and line breaks inside quoted cells', () => {
+    expect(parseCsv('"Smith, Jane","She said ""hi""","PO Box 1\nTucson"')).toEqual([
+      ['Smith, Jane', 'She said "hi"', 'PO Box 1\nTucson']
+    ]);
+  });
+
+  it('handles CRLF line endings and the Excel byte order mark', () => {
+    expect(parseCsv('\uFEFFlot,address\r\n12,123 Main St\r\n')).toEqual([
+      ['lot', 'address'],
+      ['12', '123 Main St']
+    ]);
+  });
+
+  it('skips blank lines but keeps empty cells', () => {
+    expect(parseCsv('a,,c\n\n , \n1,2,\n')).toEqual([
+      ['a', '', 'c'],
+      ['1', '2', '']
+    ]);
+  });
+
+  it('returns no rows for empty input', () => {
+    expect(parseCsv('')).toEqual([]);
+    expect(parseCsv(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,26 @@
+// Calendar dates
+// Review, deadline and notice dates are stored as YYYY-MM-DD and mean the day
+// on the association's calendar, so they are built from and read as local
+// dates. toISOString() and new Date('YYYY-MM-DD') both use UTC and are off by
+// a day in the evening or morning depending on the time zone.
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * A date as YYYY-MM-DD in local time
+ * @param {Date} [date] - Defaults to now
+ * @returns {string}
+ */
+export function toLocalDateString(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a stored date; YYYY-MM-DD is read as local midnight
+ * Full timestamps (updatedAt, generatedAt) are parsed as they are.
+ * @param {string} dateString - YYYY-MM-DD or an ISO timestamp
+ * @returns {Date}
+ */
+export function parseLocalDate(dateString) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? new Date(`${dateString}T00:00:00`) : new Date(dateString);
+}
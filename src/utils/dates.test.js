@@ -0,0 +1,19 @@
+import { parseLocalDate, toLocalDateString } from './dates';
+
+describe('toLocalDateString', () => {
+  it('uses the local calendar day, not the UTC one', () => {
+    expect(toLocalDateString(new Date(2024, 0, 5, 23, 30))).toBe('2024-01-05');
+    expect(toLocalDateString(new Date(2024, 11, 31, 0, 15))).toBe('2024-12-31');
+  });
+});
+
+describe('parseLocalDate', () => {
+  it('reads YYYY-MM-DD as local midnight', () => {
+    const date = parseLocalDate('2024-03-09');
+    expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2024, 2, 9, 0]);
+  });
+
+  it('parses full timestamps as they are', () => {
+    expect(parseLocalDate('2024-03-09T12:00:00.000Z').toISOString()).toBe('2024-03-09T12:00:00.000Z');
+  });
+});
@@ -0,0 +1,144 @@
+// Compliance deadlines and scheduled re-inspections
+// Collects the dates reviews and violation cases set for the future and sorts
+// them into overdue, due this week and upcoming, for the admin dashboard, the
+// review form's list of re-inspections to claim and the badges on review cards.
+
+import { OPEN_CASE_STATES, casesForReview } from './violationCases';
+import { toLocalDateString } from './dates';
+
+export const DUE_BUCKETS = {
+  OVERDUE: 'overdue',
+  THIS_WEEK: 'this-week',
+  UPCOMING: 'upcoming'
+};
+
+export const DUE_BUCKET_LABELS = {
+  [DUE_BUCKETS.OVERDUE]: 'Overdue',
+  [DUE_BUCKETS.THIS_WEEK]: 'Due This Week',
+  [DUE_BUCKETS.UPCOMING]: 'Upcoming'
+};
+
+// Most urgent first
+const BUCKET_ORDER = Object.values(DUE_BUCKETS);
+
+const moreUrgent = (a, b) => (!b || BUCKET_ORDER.indexOf(a) < BUCKET_ORDER.indexOf(b) ? a : b);
+
+/**
+ * Which bucket a due date falls in
+ * @param {string} date - Due date as YYYY-MM-DD
+ * @param {Date} [now] - Current time
+ * @returns {string} One of DUE_BUCKETS
+ */
+export function dueBucket(date, now = new Date()) {
+  const today = toLocalDateString(now);
+  const weekAhead = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 7);
+  if (date < today) return DUE_BUCKETS.OVERDUE;
+  if (date <= toLocalDateString(weekAhead)) return DUE_BUCKETS.THIS_WEEK;
+  return DUE_BUCKETS.UPCOMING;
+}
+
+const byDate = (a, b) => a.date.localeCompare(b.date) ||
+  (a.address || '').localeCompare(b.address || '', undefined, { numeric: true });
+
+/**
+ * Compliance deadlines still waiting on the owner
+ * A review's deadline counts until the review is resolved or every case it
+ * opened is; open cases add the deadlines set by their notices and fines.
+ * @param {Array<Object>} reviews - Reviews with their ids
+ * @param {Array<Object>} cases - Violation cases
+ * @param {Date} [now] - Current time
+ * @returns {Array<Object>} { key, date, bucket, reviewId, address, detail },
+ *   soonest first
+ */
+export function collectDeadlines(reviews, cases, now = new Date()) {
+  const entries = [];
+
+  reviews.forEach(review => {
+    if (review.deleted || !review.complianceDeadline || review.complianceStatus === 'resolved') return;
+
+    const reviewCases = casesForReview(cases, review.id);
+    if (reviewCases.length > 0 && !reviewCases.some(c => OPEN_CASE_STATES.includes(c.state))) return;
+
+    entries.push({
+      key: `review:${review.id}`,
+      date: review.complianceDeadline,
+      reviewId: review.id,
+      address: review.propertyAddress,
+      detail: 'Review deadline'
+    });
+  });
+
+  cases.forEach(violationCase => {
+    const date = violationCase.dates?.complianceDeadline;
+    if (!date || !OPEN_CASE_STATES.includes(violationCase.state)) return;
+
+    // Skip a case whose deadline is the one already listed for its review
+    const duplicate = entries.some(entry =>
+      entry.reviewId === violationCase.latestReviewId && entry.date === date
+    );
+    if (duplicate) return;
+
+    entries.push({
+      key: `case:${violationCase.id}`,
+      date,
+      reviewId: violationCase.latestReviewId,
+      address: violationCase.propertyAddress,
+      detail: violationCase.itemLabel
+    });
+  });
+
+  return entries
+    .map(entry => ({ ...entry, bucket: dueBucket(entry.date, now) }))
+    .sort(byDate);
+}
+
+/**
+ * Scheduled re-inspections not yet done
+ * A review's re-inspection is done once one has been saved for it; the
+ * re-inspection then schedules any further follow-up itself.
+ * @param {Array<Object>} reviews - Reviews with their ids
+ * @param {Date} [now] - Current time
+ * @returns {Array<Object>} { key, date, bucket, reviewId, address, claimedBy,
+ *   claimedAt, review }, soonest first
+ */
+export function collectReinspectionsDue(reviews, now = new Date()) {
+  return reviews
+    .filter(review => !review.deleted && review.reinspectionDate &&
+      !review.lastReinspectionId && review.complianceStatus !== 'resolved')
+    .map(review => ({
+      key: `reinspection:${review.id}`,
+      date: review.reinspectionDate,
+      bucket: dueBucket(review.reinspectionDate, now),
+      reviewId: review.id,
+      address: review.propertyAddress,
+      claimedBy: review.reinspectionClaimedBy || '',
+      claimedAt: review.reinspectionClaimedAt || '',
+      review
+    }))
+    .sort(byDate);
+}
+
+/**
+ * Most urgent due date of each review, for badges on the review cards
+ * Upcoming dates are left out; only overdue and this week's are flagged.
+ * @param {Array<Object>} deadlines - From collectDeadlines
+ * @param {Array<Object>} reinspections - From collectReinspectionsDue
+ * @returns {Object} { [reviewId]: { bucket, deadline, reinspection } } where
+ *   deadline and reinspection are the bucket of each kind, if flagged
+ */
+export function buildDueIndex(deadlines, reinspections) {
+  const index = {};
+  const flag = (entry, kind) => {
+    if (!entry.reviewId || entry.bucket === DUE_BUCKETS.UPCOMING) return;
+    const current = index[entry.reviewId] || {};
+    index[entry.reviewId] = {
+      ...current,
+      bucket: moreUrgent(entry.bucket, current.bucket),
+      [kind]: moreUrgent(entry.bucket, current[kind])
+    };
+  };
+
+  deadlines.forEach(entry => flag(entry, 'deadline'));
+  reinspections.forEach(entry => flag(entry, 'reinspection'));
+  return index;
+}
@@ -0,0 +1,81 @@
+import { DUE_BUCKETS, buildDueIndex, collectDeadlines, collectReinspectionsDue, dueBucket } from './deadlineTracker';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+// Late evening, when the UTC date is already the next day west of Greenwich
+const now = new Date(2024, 2, 10, 23, 30);
+
+describe('dueBucket', () => {
+  it('sorts dates into overdue, this week and upcoming by the local date', () => {
+    expect(dueBucket('2024-03-09', now)).toBe(DUE_BUCKETS.OVERDUE);
+    expect(dueBucket('2024-03-10', now)).toBe(DUE_BUCKETS.THIS_WEEK);
+    expect(dueBucket('2024-03-17', now)).toBe(DUE_BUCKETS.THIS_WEEK);
+    expect(dueBucket('2024-03-18', now)).toBe(DUE_BUCKETS.UPCOMING);
+  });
+
+  it('counts a week ahead in calendar days across month ends', () => {
+    const endOfMonth = new Date(2024, 0, 29, 9, 0);
+    expect(dueBucket('2024-02-05', endOfMonth)).toBe(DUE_BUCKETS.THIS_WEEK);
+    expect(dueBucket('2024-02-06', endOfMonth)).toBe(DUE_BUCKETS.UPCOMING);
+  });
+});
+
+describe('collectDeadlines', () => {
+  const reviews = [
+    { id: 'r1', propertyAddress: '10 Main St', complianceDeadline: '2024-03-20' },
+    { id: 'r2', propertyAddress: '2 Main St', complianceDeadline: '2024-03-01' },
+    { id: 'r3', propertyAddress: '3 Main St', complianceDeadline: '2024-03-05', complianceStatus: 'resolved' },
+    { id: 'r4', propertyAddress: '4 Main St', complianceDeadline: '2024-03-05', deleted: true },
+    { id: 'r5', propertyAddress: '5 Main St', complianceDeadline: '2024-03-05' }
+  ];
+  const cases = [
+    // Every case of r5 is resolved, so its deadline no longer counts; r2 has no cases
+    { id: 'c1', state: 'resolved', reviewIds: ['r5'], latestReviewId: 'r5', dates: {} },
+    // Same deadline as its review: listed once
+    { id: 'c2', state: 'courtesy-notice', reviewIds: ['r1'], latestReviewId: 'r1', dates: { complianceDeadline: '2024-03-20' } },
+    { id: 'c3', state: 'fine', reviewIds: ['r1'], latestReviewId: 'r1', propertyAddress: '10 Main St', itemLabel: 'Paint/Stucco', dates: { complianceDeadline: '2024-03-12' } },
+    { id: 'c4', state: 'closed', reviewIds: ['r1'], latestReviewId: 'r1', dates: { complianceDeadline: '2024-03-11' } }
+  ];
+
+  it('lists the deadlines still waiting on the owner, soonest first', () => {
+    expect(collectDeadlines(reviews, cases, now).map(entry => [entry.key, entry.bucket])).toEqual([
+      ['review:r2', DUE_BUCKETS.OVERDUE],
+      ['case:c3', DUE_BUCKETS.THIS_WEEK],
+      ['review:r1', DUE_BUCKETS.UPCOMING]
+    ]);
+  });
+});
+
+describe('collectReinspectionsDue', () => {
+  it('lists scheduled re-inspections not yet done, with their claims', () => {
+    const reviews = [
+      { id: 'r1', propertyAddress: '1 Main St', reinspectionDate: '2024-03-12', reinspectionClaimedBy: 'ann@example.com' },
+      { id: 'r2', propertyAddress: '2 Main St', reinspectionDate: '2024-03-01', lastReinspectionId: 'r9' },
+      { id: 'r3', propertyAddress: '3 Main St', reinspectionDate: '2024-03-01', complianceStatus: 'resolved' },
+      { id: 'r4', propertyAddress: '4 Main St' },
+      { id: 'r5', propertyAddress: '5 Main St', reinspectionDate: '2024-03-02' }
+    ];
+
+    const due = collectReinspectionsDue(reviews, now);
+
+    expect(due.map(entry => entry.reviewId)).toEqual(['r5', 'r1']);
+    expect(due[1]).toMatchObject({ bucket: DUE_BUCKETS.THIS_WEEK, claimedBy: 'ann@example.com' });
+    expect(due[0]).toMatchObject({ bucket: DUE_BUCKETS.OVERDUE, claimedBy: '' });
+  });
+});
+
+describe('buildDueIndex', () => {
+  it('flags each review with its most urgent overdue or this-week date', () => {
+    const index = buildDueIndex(
+      [
+        { reviewId: 'r1', bucket: DUE_BUCKETS.THIS_WEEK },
+        { reviewId: 'r2', bucket: DUE_BUCKETS.UPCOMING }
+      ],
+      [{ reviewId: 'r1', bucket: DUE_BUCKETS.OVERDUE }]
+    );
+
+    expect(index).toEqual({
+      r1: { bucket: DUE_BUCKETS.OVERDUE, deadline: DUE_BUCKETS.THIS_WEEK, reinspection: DUE_BUCKETS.OVERDUE }
+    });
+  });
+});
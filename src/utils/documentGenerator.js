@@ -1,95 +1,247 @@
-import { Document, Paragraph, TextRun, HeadingLevel, AlignmentType, BorderStyle, Table, TableCell, TableRow, WidthType, ExternalHyperlink } from 'docx';
+import { Document, Paragraph, TextRun, HeadingLevel, AlignmentType, BorderStyle, Table, TableCell, TableRow, WidthType, ExternalHyperlink, ImageRun } from 'docx';
 import { saveAs } from 'file-saver';
 
+const parseCount = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+// Photo embedding in the Word and PDF exports, configurable through .env; see .env.example
+export const DOCUMENT_PHOTO_SETTINGS = {
+  // Photos embedded per property; the rest are listed as links
+  perProperty: parseCount(process.env.REACT_APP_DOCX_PHOTOS_PER_PROPERTY, 6),
+  // Longest side of the embedded copy, so large phone photos don't bloat the file
+  maxPixels: 1600,
+  // Printed size in pixels (96 per inch), within the 7.5 inch text width
+  maxWidth: 600,
+  maxHeight: 450,
+  loadTimeoutMs: 20000
+};
+
 /**
- * Fetch image as array buffer for embedding in document
- * Uses canvas conversion to bypass CORS issues
- * @param {string} url - Image URL
- * @returns {Promise<ArrayBuffer>}
+ * Load a photo and re-encode it as a downscaled JPEG for embedding
+ * Never rejects: a photo that cannot be used resolves with the reason, so the
+ * document can say so instead of dropping it.
+ * @param {string} url - Photo download URL
+ * @returns {Promise<Object>} { data, width, height } or { error }
  */
-async function fetchImageAsBuffer(url) {
+export function loadImageForDocument(url) {
   return new Promise((resolve) => {
-    console.log('Loading image from:', url);
-
     const img = new Image();
-
-    // Enable CORS for the image
+    // Storage must send CORS headers or the canvas below can't be read
     img.crossOrigin = 'anonymous';
 
-    img.onload = () => {
-      try {
-        console.log('Image loaded successfully, converting to blob...');
-
-        // Create canvas and draw image
-        const canvas = document.createElement('canvas');
-        canvas.width = img.width;
-        canvas.height = img.height;
+    const timer = setTimeout(() => {
+      img.onload = null;
+      img.onerror = null;
+      img.src = '';
+      resolve({ error: 'it took too long to load' });
+    }, DOCUMENT_PHOTO_SETTINGS.loadTimeoutMs);
 
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
+    img.onload = () => {
+      clearTimeout(timer);
+      const scale = Math.min(1, DOCUMENT_PHOTO_SETTINGS.maxPixels / Math.max(img.naturalWidth, img.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+      const ctx = canvas.getContext('2d');
+      // JPEG has no transparency
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
-        // Convert canvas to blob
+      try {
         canvas.toBlob(async (blob) => {
-          if (blob) {
-            console.log('Image converted successfully. Type:', blob.type, 'Size:', blob.size);
-            const arrayBuffer = await blob.arrayBuffer();
-            resolve(arrayBuffer);
-          } else {
-            console.error('Failed to convert image to blob');
-            resolve(null);
+          if (!blob) {
+            resolve({ error: 'it could not be converted' });
+            return;
           }
-        }, 'image/jpeg', 0.95);
-
+          resolve({ data: await blob.arrayBuffer(), width: canvas.width, height: canvas.height });
+        }, 'image/jpeg', 0.85);
       } catch (error) {
-        console.error('Error converting image:', error);
-        resolve(null);
+        // A tainted canvas throws a SecurityError
+        console.error('Error converting image:', url, error);
+        resolve({ error: 'the storage server did not allow it to be copied (CORS)' });
       }
     };
 
-    img.onerror = (error) => {
-      console.error('Error loading image from URL:', url, error);
-      resolve(null);
+    img.onerror = () => {
+      clearTimeout(timer);
+      resolve({ error: 'it could not be loaded; it may have been deleted or blocked by the storage server' });
     };
 
-    // Start loading the image
     img.src = url;
   });
 }
 
 /**
- * Get image dimensions and format
- * @param {string} url - Image URL
- * @returns {Promise<{width: number, height: number}>}
+ * Printed size of a photo, fitted within the maximum width and height
+ * @param {number} width - Pixel width of the embedded copy
+ * @param {number} height - Pixel height of the embedded copy
+ * @returns {{width: number, height: number}}
  */
-function getImageDimensions(url) {
-  return new Promise((resolve) => {
-    const img = new Image();
-    img.onload = () => {
-      // Max width 600px (about 6 inches in the document)
-      const maxWidth = 600;
-      const scale = Math.min(1, maxWidth / img.width);
-      resolve({
-        width: img.width * scale,
-        height: img.height * scale
-      });
-    };
-    img.onerror = () => {
-      // Default dimensions if image fails to load
-      resolve({ width: 400, height: 300 });
-    };
-    img.src = url;
+function fitPhoto(width, height) {
+  const scale = Math.min(1, DOCUMENT_PHOTO_SETTINGS.maxWidth / width, DOCUMENT_PHOTO_SETTINGS.maxHeight / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+/**
+ * A property's photos, those attached to a violation first
+ * @param {Object} property - Entry from generateComplianceReport
+ * @returns {Array<string>} Photo URLs
+ */
+export function orderPhotos(property) {
+  const evidence = new Set(property.nonCompliantItems.flatMap(item => item.images || []));
+  return [
+    ...property.images.filter(url => evidence.has(url)),
+    ...property.images.filter(url => !evidence.has(url))
+  ];
+}
+
+/**
+ * Caption for a photo: its number, the violations it documents and when it was taken
+ * @param {Object} property - Entry from generateComplianceReport
+ * @param {string} url - Photo URL
+ * @param {number} number - 1-based photo number
+ * @returns {string}
+ */
+export function photoCaption(property, url, number) {
+  const items = property.nonCompliantItems
+    .filter(item => (item.images || []).includes(url))
+    .map(item => item.item);
+  const record = (property.imageRecords || []).find(r => r.url === url);
+
+  return [
+    `Photo ${number}`,
+    items.join(', '),
+    record?.takenAt && `taken ${new Date(record.takenAt).toLocaleString()}`
+  ].filter(Boolean).join(' · ');
+}
+
+function photoLink(url, text) {
+  return new ExternalHyperlink({
+    children: [
+      new TextRun({
+        text,
+        style: 'Hyperlink',
+        underline: { type: 'single' },
+        color: '0563C1'
+      })
+    ],
+    link: url
+  });
+}
+
+/**
+ * Paragraphs for a property's photos: up to the limit embedded with captions,
+ * a note in place of any that could not be loaded, and links to the rest
+ * @param {Object} property - Entry from generateComplianceReport
+ * @param {number} limit - Photos to embed
+ * @param {Function} onPhoto - Called after each photo is loaded or has failed
+ * @returns {Promise<Array<Paragraph>>}
+ */
+async function photoParagraphs(property, limit, onPhoto) {
+  const photos = orderPhotos(property);
+  const embedded = photos.slice(0, limit);
+  const linked = photos.slice(limit);
+  const paragraphs = [
+    new Paragraph({
+      text: `PROPERTY PHOTOS (${photos.length})`,
+      heading: HeadingLevel.HEADING_3,
+      spacing: { before: 200, after: 100 }
+    })
+  ];
+
+  if (linked.length > 0) {
+    paragraphs.push(new Paragraph({
+      children: [new TextRun({
+        text: embedded.length > 0
+          ? `Showing ${embedded.length} of ${photos.length} photos; the rest are linked below.`
+          : 'Click on any link below to view the photo in your browser:',
+        italics: true
+      })],
+      spacing: { after: 150 }
+    }));
+  }
+
+  for (let photoIndex = 0; photoIndex < embedded.length; photoIndex++) {
+    const url = embedded[photoIndex];
+    const caption = photoCaption(property, url, photoIndex + 1);
+    const image = await loadImageForDocument(url);
+    onPhoto();
+
+    if (image.error) {
+      paragraphs.push(new Paragraph({
+        children: [
+          new TextRun({ text: `⚠️ ${caption} could not be embedded: ${image.error}. `, italics: true, color: 'b06000' }),
+          photoLink(url, 'View it online')
+        ],
+        spacing: { after: 200 }
+      }));
+      continue;
+    }
+
+    paragraphs.push(
+      new Paragraph({
+        children: [
+          new ImageRun({
+            type: 'jpg',
+            data: image.data,
+            transformation: fitPhoto(image.width, image.height),
+            altText: { name: `Photo ${photoIndex + 1}`, title: caption, description: caption }
+          })
+        ],
+        alignment: AlignmentType.CENTER,
+        keepNext: true,
+        spacing: { before: 100, after: 50 }
+      }),
+      new Paragraph({
+        children: [new TextRun({ text: caption, italics: true, size: 18 })],
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 200 }
+      })
+    );
+  }
+
+  linked.forEach((url, linkIndex) => {
+    const number = embedded.length + linkIndex + 1;
+    paragraphs.push(new Paragraph({
+      children: [
+        new TextRun({ text: `${number}. `, bold: true }),
+        photoLink(url, photoCaption(property, url, number))
+      ],
+      spacing: { after: 80 }
+    }));
   });
+
+  paragraphs.push(new Paragraph({ text: '', spacing: { after: 200 } }));
+  return paragraphs;
 }
 
 /**
  * Generate a Word document for violation letters
  * @param {Array} reportData - Report data from generateComplianceReport
+ * @param {Object} [options]
+ * @param {number} [options.photosPerProperty] - Photos embedded per property;
+ *   defaults to DOCUMENT_PHOTO_SETTINGS.perProperty
+ * @param {Function} [options.onProgress] - Called with (photosDone, photosTotal)
+ *   as photos are loaded
  */
-export async function generateViolationLettersDocument(reportData) {
+export async function generateViolationLettersDocument(reportData, options = {}) {
   if (!reportData || reportData.length === 0) {
     throw new Error('No violation data to generate document');
   }
 
+  const { photosPerProperty = DOCUMENT_PHOTO_SETTINGS.perProperty, onProgress = () => {} } = options;
+  const photoLimit = Math.max(0, photosPerProperty);
+  const photosTotal = reportData.reduce((sum, p) => sum + Math.min(photoLimit, (p.images || []).length), 0);
+  let photosDone = 0;
+  const photoDone = () => {
+    photosDone += 1;
+    onProgress(photosDone, photosTotal);
+  };
+
   const children = [];
 
   // Title Page
@@ -314,7 +466,8 @@ export async function generateViolationLettersDocument(reportData) {
             text: `${idx + 1}. ${item.item}`,
             bullet: { level: 0 },
             spacing: { after: 50 }
-          })
+          }),
+          ...itemNoteParagraphs(item)
         );
       });
 
@@ -342,7 +495,8 @@ export async function generateViolationLettersDocument(reportData) {
             text: `${idx + 1}. ${item.item}`,
             bullet: { level: 0 },
             spacing: { after: 50 }
-          })
+          }),
+          ...itemNoteParagraphs(item)
         );
       });
 
@@ -365,60 +519,9 @@ export async function generateViolationLettersDocument(reportData) {
       );
     }
 
-    // Property Images Section - Include as clickable links
+    // Property Images Section - embedded up to the per-property limit
     if (property.images && property.images.length > 0) {
-      children.push(
-        new Paragraph({
-          text: `PROPERTY PHOTOS (${property.images.length})`,
-          heading: HeadingLevel.HEADING_3,
-          spacing: { before: 200, after: 100 }
-        }),
-        new Paragraph({
-          text: 'Click on any link below to view the photo in your browser:',
-          italics: true,
-          spacing: { after: 150 }
-        })
-      );
-
-      // Add clickable links for each image
-      property.images.forEach((imageUrl, imgIndex) => {
-        children.push(
-          new Paragraph({
-            children: [
-              new TextRun({
-                text: `${imgIndex + 1}. `,
-                bold: true
-              }),
-              new ExternalHyperlink({
-                children: [
-                  new TextRun({
-                    text: `Photo ${imgIndex + 1}`,
-                    style: 'Hyperlink',
-                    underline: {
-                      type: 'single'
-                    },
-                    color: '0563C1'
-                  })
-                ],
-                link: imageUrl
-              }),
-              new TextRun({
-                text: ` - Click to view`,
-                italics: true
-              })
-            ],
-            spacing: { after: 80 }
-          })
-        );
-      });
-
-      // Add spacing after images section
-      children.push(
-        new Paragraph({
-          text: '',
-          spacing: { after: 200 }
-        })
-      );
+      children.push(...await photoParagraphs(property, photoLimit, photoDone));
     }
 
     // Follow-up Information
@@ -545,10 +648,11 @@ export async function generateViolationLettersDocument(reportData) {
 /**
  * Download the violations document
  * @param {Array} reportData - Report data from generateComplianceReport
+ * @param {Object} [options] - See generateViolationLettersDocument
  */
-export async function downloadViolationsDocument(reportData) {
+export async function downloadViolationsDocument(reportData, options) {
   try {
-    const doc = await generateViolationLettersDocument(reportData);
+    const doc = await generateViolationLettersDocument(reportData, options);
 
     // Use docx's Packer to generate blob
     const { Packer } = await import('docx');
@@ -568,7 +672,70 @@ export async function downloadViolationsDocument(reportData) {
   }
 }
 
-// Helper function
+// Helper functions
+
+/**
+ * Paragraphs for the note, CCR citations and photo links on one violation item
+ * @param {Object} item - Entry from nonCompliantItems
+ * @returns {Array<Paragraph>}
+ */
+function itemNoteParagraphs(item) {
+  const paragraphs = [];
+
+  if (item.comment) {
+    paragraphs.push(
+      new Paragraph({
+        children: [new TextRun({ text: item.comment, italics: true })],
+        indent: { left: 720 },
+        spacing: { after: 50 }
+      })
+    );
+  }
+
+  (item.citations || []).forEach(citation => {
+    paragraphs.push(
+      new Paragraph({
+        children: [
+          new TextRun({ text: `${citation.article}: `, bold: true, size: 20 }),
+          new TextRun({ text: citation.text ? `"${citation.text}"` : '', size: 20 })
+        ],
+        indent: { left: 720 },
+        spacing: { after: 50 }
+      })
+    );
+  });
+
+  if (item.images && item.images.length > 0) {
+    const links = [new TextRun({ text: 'Photos: ' })];
+    item.images.forEach((imageUrl, imgIndex) => {
+      if (imgIndex > 0) links.push(new TextRun({ text: ', ' }));
+      links.push(
+        new ExternalHyperlink({
+          children: [
+            new TextRun({
+              text: `Photo ${imgIndex + 1}`,
+              style: 'Hyperlink',
+              underline: { type: 'single' },
+              color: '0563C1'
+            })
+          ],
+          link: imageUrl
+        })
+      );
+    });
+
+    paragraphs.push(
+      new Paragraph({
+        children: links,
+        indent: { left: 720 },
+        spacing: { after: 50 }
+      })
+    );
+  }
+
+  return paragraphs;
+}
+
 function formatStatus(status) {
   if (!status) return 'Not specified';
   return status.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
@@ -0,0 +1,133 @@
+// Autosaved drafts of in-progress compliance reviews
+// Drafts always live in IndexedDB on the device, photos included. When
+// REACT_APP_SYNC_DRAFTS_TO_FIRESTORE is "true" the form fields (not photos) are
+// also mirrored to complianceDrafts/{draftId} so a draft started on one device
+// can be resumed on another.
+
+import { db } from '../firebase';
+import { collection, deleteDoc, doc, getDocs, query, setDoc, where } from 'firebase/firestore';
+import { STORES, deleteRecord, getAllRecords, putRecord } from './localDb';
+import { countItemPhotos } from './itemNotes';
+
+const DRAFTS_COLLECTION = 'complianceDrafts';
+
+export const SYNC_DRAFTS_TO_FIRESTORE = process.env.REACT_APP_SYNC_DRAFTS_TO_FIRESTORE === 'true';
+
+/**
+ * Generate an id for a new draft
+ * @returns {string}
+ */
+export function newDraftId() {
+  return `draft-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Save a draft locally, and to Firestore when sync is enabled
+ * @param {Object} draft - { id, formData, photos, itemPhotos }
+ * @param {Object} user - Firebase Auth user that owns the draft
+ * @returns {Promise<Object>} The saved draft
+ */
+export async function saveDraft({ id, formData, photos, itemPhotos }, user) {
+  const draft = {
+    id,
+    ownerUid: user.uid,
+    ownerEmail: user.email,
+    formData,
+    photos: photos || [],
+    itemPhotos: itemPhotos || {},
+    updatedAt: new Date().toISOString()
+  };
+
+  await putRecord(STORES.DRAFTS, draft);
+
+  if (SYNC_DRAFTS_TO_FIRESTORE) {
+    try {
+      const { photos: localPhotos, itemPhotos: localItemPhotos, ...remoteDraft } = draft;
+      await setDoc(doc(db, DRAFTS_COLLECTION, id), {
+        ...remoteDraft,
+        photoCount: localPhotos.length + countItemPhotos(localItemPhotos)
+      });
+    } catch (error) {
+      // The local copy is what protects the reviewer; a failed sync is not fatal
+      console.error('Error syncing draft to Firestore:', error);
+    }
+  }
+
+  return draft;
+}
+
+/**
+ * List a user's drafts, newest first
+ * Remote drafts that are not on this device are included without photos.
+ * @param {Object} user - Firebase Auth user
+ * @returns {Promise<Array>}
+ */
+export async function listDrafts(user) {
+  const localDrafts = (await getAllRecords(STORES.DRAFTS))
+    .filter(draft => draft.ownerUid === user.uid);
+
+  let remoteDrafts = [];
+  if (SYNC_DRAFTS_TO_FIRESTORE) {
+    try {
+      const q = query(collection(db, DRAFTS_COLLECTION), where('ownerUid', '==', user.uid));
+      const snapshot = await getDocs(q);
+      remoteDrafts = snapshot.docs.map(draftDoc => ({
+        id: draftDoc.id,
+        ...draftDoc.data(),
+        photos: [],
+        itemPhotos: {},
+        remoteOnly: true
+      }));
+    } catch (error) {
+      console.error('Error loading drafts from Firestore:', error);
+    }
+  }
+
+  const byId = new Map();
+  [...remoteDrafts, ...localDrafts].forEach(draft => {
+    const existing = byId.get(draft.id);
+    // Prefer the newer copy; on a tie keep the local one since it has photos
+    if (
+      !existing ||
+      draft.updatedAt > existing.updatedAt ||
+      (draft.updatedAt === existing.updatedAt && !draft.remoteOnly)
+    ) {
+      byId.set(draft.id, draft);
+    }
+  });
+
+  return [...byId.values()].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Discard a draft everywhere it is stored
+ * @param {string} draftId - Draft id
+ * @returns {Promise<void>}
+ */
+export async function deleteDraft(draftId) {
+  await deleteRecord(STORES.DRAFTS, draftId);
+
+  if (SYNC_DRAFTS_TO_FIRESTORE) {
+    try {
+      await deleteDoc(doc(db, DRAFTS_COLLECTION, draftId));
+    } catch (error) {
+      console.error('Error deleting draft from Firestore:', error);
+    }
+  }
+}
+
+/**
+ * Whether a form has anything worth saving as a draft
+ * @param {Object} formData - Current form values
+ * @param {Array} photos - Selected photo files
+ * @param {Object} [itemPhotos] - Photos attached to checklist items
+ * @returns {boolean}
+ */
+export function hasDraftContent(formData, photos, itemPhotos = {}) {
+  if (photos.length > 0 || countItemPhotos(itemPhotos) > 0) return true;
+
+  // Object fields (itemNotes, reinspectionOutcomes) count once they have entries
+  return Object.entries(formData).some(([field, value]) => (
+    value && typeof value === 'object' ? Object.keys(value).length > 0 : Boolean(value)
+  ));
+}
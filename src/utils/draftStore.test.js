@@ -0,0 +1,64 @@
+import { deleteDraft, hasDraftContent, listDrafts, newDraftId, saveDraft } from './draftStore';
+import { resetRecords } from './localDb';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('./localDb');
+
+const reviewer = { uid: 'u1', email: 'reviewer@example.com' };
+const otherReviewer = { uid: 'u2', email: 'other@example.com' };
+
+beforeEach(() => {
+  resetRecords();
+});
+
+describe('newDraftId', () => {
+  it('generates distinct ids', () => {
+    const ids = new Set(Array.from({ length: 50 }, newDraftId));
+    expect(ids.size).toBe(50);
+    ids.forEach(id => expect(id).toMatch(/^draft-[a-z0-9]+-[a-z0-9]+$/));
+  });
+});
+
+describe('saveDraft and listDrafts', () => {
+  it("lists only the user's drafts, newest first", async () => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-03-01T10:00:00Z'));
+    await saveDraft({ id: 'a', formData: { propertyAddress: '1 Main St' } }, reviewer);
+    jest.setSystemTime(new Date('2024-03-01T11:00:00Z'));
+    await saveDraft({ id: 'b', formData: { propertyAddress: '2 Main St' } }, reviewer);
+    await saveDraft({ id: 'c', formData: {} }, otherReviewer);
+    jest.useRealTimers();
+
+    const drafts = await listDrafts(reviewer);
+
+    expect(drafts.map(draft => draft.id)).toEqual(['b', 'a']);
+    expect(drafts[0]).toMatchObject({ ownerUid: 'u1', photos: [], itemPhotos: {} });
+  });
+
+  it('replaces a draft saved again under the same id', async () => {
+    await saveDraft({ id: 'a', formData: { propertyAddress: '1 Main St' } }, reviewer);
+    await saveDraft({ id: 'a', formData: { propertyAddress: '1 Main Street' } }, reviewer);
+
+    const drafts = await listDrafts(reviewer);
+    expect(drafts).toHaveLength(1);
+    expect(drafts[0].formData.propertyAddress).toBe('1 Main Street');
+  });
+
+  it('deletes drafts', async () => {
+    await saveDraft({ id: 'a', formData: {} }, reviewer);
+    await deleteDraft('a');
+    expect(await listDrafts(reviewer)).toEqual([]);
+  });
+});
+
+describe('hasDraftContent', () => {
+  it('ignores an untouched form', () => {
+    expect(hasDraftContent({ date: '', paintStucco: '', itemNotes: {}, reinspectionOutcomes: {} }, [])).toBe(false);
+  });
+
+  it('counts any filled field, note, outcome or photo', () => {
+    expect(hasDraftContent({ propertyAddress: '1 Main St' }, [])).toBe(true);
+    expect(hasDraftContent({ itemNotes: { paintStucco: { comment: 'x' } } }, [])).toBe(true);
+    expect(hasDraftContent({}, [{ file: {} }])).toBe(true);
+    expect(hasDraftContent({}, [], { paintStucco: [{ file: {} }] })).toBe(true);
+  });
+});
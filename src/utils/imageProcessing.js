@@ -0,0 +1,204 @@
+// Client-side photo processing before upload
+// Phone photos are converted from HEIC, rotated upright from their EXIF
+// orientation, downscaled and re-encoded so uploads, the admin grids and the
+// Word export stay fast. Thumbnails for grids are made from the processed photo.
+// Picked photos travel through the form, drafts and the submission queue as
+// photo entries: { id, file, originalName, metadata }, plus annotatedFile and annotations
+// once the reviewer has drawn on the photo (see annotations.js).
+
+import { readPhotoMetadata } from './photoMetadata';
+
+const parseNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// Configurable through .env; see .env.example
+export const PHOTO_SETTINGS = {
+  maxDimension: parseNumber(process.env.REACT_APP_PHOTO_MAX_DIMENSION, 2048),
+  format: process.env.REACT_APP_PHOTO_FORMAT === 'webp' ? 'image/webp' : 'image/jpeg',
+  quality: parseNumber(process.env.REACT_APP_PHOTO_QUALITY, 0.82),
+  thumbnailDimension: parseNumber(process.env.REACT_APP_THUMBNAIL_DIMENSION, 320)
+};
+
+// Largest original accepted before processing; the processed photo must still fit storage.rules
+export const MAX_ORIGINAL_SIZE = 40 * 1024 * 1024;
+
+// Formats passed through untouched because re-encoding would lose animation or vectors
+const PASSTHROUGH_TYPES = ['image/gif', 'image/svg+xml'];
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp'
+};
+
+/**
+ * Whether a file is a HEIC/HEIF photo (iPhones often leave the type blank)
+ * @param {File} file - Selected file
+ * @returns {boolean}
+ */
+export function isHeic(file) {
+  return /image\/hei[cf]/i.test(file.type) || /\.hei[cf]$/i.test(file.name || '');
+}
+
+/**
+ * Whether a selected file is something the photo pipeline accepts
+ * @param {File} file - Selected file
+ * @returns {boolean}
+ */
+export function isImageFile(file) {
+  return file.type.startsWith('image/') || isHeic(file);
+}
+
+function renameWithExtension(name, type) {
+  const base = (name || 'photo').replace(/\.[^.]+$/, '');
+  return `${base}.${EXTENSIONS[type] || 'jpg'}`;
+}
+
+async function convertHeic(file) {
+  // Loaded on demand - the converter is large and only needed for iPhone photos
+  const { default: heic2any } = await import('heic2any');
+  const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: PHOTO_SETTINGS.quality });
+  return Array.isArray(converted) ? converted[0] : converted;
+}
+
+/**
+ * Decode an image with its EXIF orientation applied so a canvas gets it upright
+ * @param {Blob} blob - Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+export async function decodeImage(blob) {
+  if (window.createImageBitmap) {
+    try {
+      return await window.createImageBitmap(blob, { imageOrientation: 'from-image' });
+    } catch (error) {
+      // Fall back to an <img>, which also honours EXIF orientation
+    }
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    return await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('This photo could not be read'));
+      img.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function encodeCanvas(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob);
+      else reject(new Error('This photo could not be compressed'));
+    }, type, quality);
+  });
+}
+
+/**
+ * Draw an image scaled to fit within maxDimension and encode it
+ * @param {Blob} blob - Source image
+ * @param {number} maxDimension - Longest side in pixels
+ * @param {string} type - Output MIME type
+ * @param {number} quality - Encoder quality 0-1
+ * @returns {Promise<{blob: Blob, width: number, height: number, resized: boolean}>}
+ */
+async function resizeImage(blob, maxDimension, type, quality) {
+  const image = await decodeImage(blob);
+  const sourceWidth = image.width;
+  const sourceHeight = image.height;
+  const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+  const width = Math.round(sourceWidth * scale);
+  const height = Math.round(sourceHeight * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  // JPEG has no transparency; keep transparent PNGs from turning black
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(image, 0, 0, width, height);
+  image.close?.();
+
+  const encoded = await encodeCanvas(canvas, type, quality);
+  return { blob: encoded, width, height, resized: scale < 1 };
+}
+
+/**
+ * Convert, orient, downscale and re-encode a selected photo
+ * The original is kept when it is already small enough and in the output format.
+ * @param {File} file - Photo picked by the reviewer
+ * @returns {Promise<File>} Photo ready to upload
+ */
+export async function processPhoto(file) {
+  if (PASSTHROUGH_TYPES.includes(file.type)) return file;
+
+  const heic = isHeic(file);
+  const source = heic ? await convertHeic(file) : file;
+  const { format, maxDimension, quality } = PHOTO_SETTINGS;
+
+  const { blob, resized } = await resizeImage(source, maxDimension, format, quality);
+
+  // Re-encoding an already compact photo can make it bigger
+  if (!heic && !resized && file.type === format && file.size <= blob.size) {
+    return file;
+  }
+
+  return new File([blob], renameWithExtension(file.name, format), {
+    type: format,
+    lastModified: file.lastModified
+  });
+}
+
+/**
+ * Process a picked photo into a photo entry
+ * EXIF is read from the original first because re-encoding strips it.
+ * @param {File} file - Photo picked by the reviewer
+ * @returns {Promise<Object>} { id, file, originalName, metadata }
+ */
+export async function preparePhoto(file) {
+  const metadata = await readPhotoMetadata(file);
+  const processed = await processPhoto(file);
+  return { id: newPhotoId(), file: processed, originalName: file.name, metadata };
+}
+
+function newPhotoId() {
+  return `photo-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Photo entry for a stored photo
+ * Drafts and queued submissions saved before photo entries existed hold bare files.
+ * @param {Object|File} photo - Photo entry or file
+ * @returns {Object} { id, file, originalName, metadata }
+ */
+export function toPhotoEntry(photo) {
+  if (photo instanceof Blob) {
+    return { id: newPhotoId(), file: photo, originalName: photo.name, metadata: {} };
+  }
+  return photo;
+}
+
+/**
+ * Make a small grid thumbnail of a processed photo
+ * @param {Blob} file - Processed photo
+ * @returns {Promise<Blob>}
+ */
+export async function createThumbnail(file) {
+  const { format, thumbnailDimension } = PHOTO_SETTINGS;
+  const { blob } = await resizeImage(file, thumbnailDimension, format, 0.7);
+  return blob;
+}
+
+/**
+ * Storage path for a photo's thumbnail, next to the photo
+ * @param {string} path - Storage path of the photo
+ * @returns {string}
+ */
+export function thumbnailPathFor(path) {
+  return `${path.replace(/\.[^./]+$/, '')}-thumb.${EXTENSIONS[PHOTO_SETTINGS.format]}`;
+}
@@ -0,0 +1,104 @@
+// Per-item notes on checklist lines rated as a violation
+// A review stores them as itemNotes: { [itemKey]: { comment, images: [url] } }.
+// Item photos are also part of the review's flat images list, so the lightbox,
+// photo counts and purge keep working; itemNotes records which item each shows.
+// Until they are uploaded, item photos travel as itemPhotos: { [itemKey]: [photo entry] }.
+
+import { VIOLATION_RATINGS } from './checklistSchema';
+
+/**
+ * Note for one item, with defaults
+ * @param {Object} itemNotes - Review itemNotes
+ * @param {string} key - Item key
+ * @returns {{comment: string, images: Array<string>}}
+ */
+export function getItemNote(itemNotes, key) {
+  const note = itemNotes?.[key] || {};
+  return {
+    comment: note.comment || '',
+    images: note.images || []
+  };
+}
+
+/**
+ * Drop notes and photos for items that are no longer rated as a violation, and empty notes
+ * @param {Object} formData - Form values including ratings and itemNotes
+ * @param {Object} [itemPhotos] - Photos waiting to be uploaded by item key
+ * @returns {{itemNotes: Object, itemPhotos: Object}}
+ */
+export function pruneItemNotes(formData, itemPhotos = {}) {
+  const keptNotes = {};
+  const keptPhotos = {};
+
+  Object.entries(formData.itemNotes || {}).forEach(([key, note]) => {
+    if (!VIOLATION_RATINGS.includes(formData[key])) return;
+
+    const { comment, images } = getItemNote({ [key]: note }, key);
+    if (comment.trim() || images.length > 0) {
+      keptNotes[key] = { comment: comment.trim(), images };
+    }
+  });
+
+  Object.entries(itemPhotos).forEach(([key, files]) => {
+    if (VIOLATION_RATINGS.includes(formData[key]) && files.length > 0) {
+      keptPhotos[key] = files;
+    }
+  });
+
+  return { itemNotes: keptNotes, itemPhotos: keptPhotos };
+}
+
+/**
+ * Flatten item photos into one upload list
+ * @param {Object} itemPhotos - Photos by item key
+ * @returns {Array<{key: string, photo: Object}>}
+ */
+export function flattenItemPhotos(itemPhotos = {}) {
+  return Object.entries(itemPhotos).flatMap(([key, photos]) =>
+    photos.map(photo => ({ key, photo }))
+  );
+}
+
+/**
+ * Total number of item photos waiting to be uploaded
+ * @param {Object} itemPhotos - Photos by item key
+ * @returns {number}
+ */
+export function countItemPhotos(itemPhotos = {}) {
+  return flattenItemPhotos(itemPhotos).length;
+}
+
+/**
+ * Record uploaded item photo URLs on their notes
+ * @param {Object} itemNotes - Notes by item key
+ * @param {Array<{key: string}>} uploaded - Output of flattenItemPhotos
+ * @param {Array<string>} urls - Download URLs in the same order
+ * @returns {Object} New itemNotes
+ */
+export function attachItemPhotoUrls(itemNotes, uploaded, urls) {
+  const next = { ...itemNotes };
+
+  uploaded.forEach(({ key }, index) => {
+    const note = getItemNote(next, key);
+    next[key] = { ...note, images: [...note.images, urls[index]] };
+  });
+
+  return next;
+}
+
+/**
+ * Remove a photo URL from every note that references it
+ * @param {Object} itemNotes - Notes by item key
+ * @param {string} url - Photo download URL
+ * @returns {Object} New itemNotes
+ */
+export function removePhotoFromNotes(itemNotes, url) {
+  const next = {};
+
+  Object.entries(itemNotes || {}).forEach(([key, note]) => {
+    const { comment, images } = getItemNote({ [key]: note }, key);
+    next[key] = { comment, images: images.filter(image => image !== url) };
+  });
+
+  return next;
+}
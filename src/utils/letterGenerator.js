@@ -0,0 +1,325 @@
+// Violation letters to homeowners
+// One letter per property with violations, addressed to the owner on record in
+// the property registry: letterhead, the wording of the template for the
+// property's enforcement stage (letterTemplates.js) with the failing items and
+// their CCR citations, and a signature block. Letters are downloaded merged
+// into one Word document or PDF (each letter starting a page) or as a ZIP
+// holding a Word document or PDF per property, and each is recorded on the
+// review it was based on.
+
+import { Document, Packer, Paragraph, TextRun, AlignmentType, BorderStyle } from 'docx';
+import { saveAs } from 'file-saver';
+import JSZip from 'jszip';
+import { fillPlaceholders, templateParagraphs } from './letterTemplates';
+import { updateReview } from './reviewStore';
+import { formatCitation } from './ccrCitations';
+import { createPdfLayout } from './pdfGenerator';
+import { parseLocalDate } from './dates';
+
+// Letterhead and signature, overridable per deployment like the EmailJS settings
+export const LETTERHEAD = {
+  name: process.env.REACT_APP_HOA_NAME || 'Sunrise Territory Village Homeowners Association',
+  // Lines separated by "|", e.g. "PO Box 123|Tucson, AZ 85701"
+  addressLines: (process.env.REACT_APP_HOA_ADDRESS || '').split('|').filter(Boolean),
+  contact: process.env.REACT_APP_HOA_CONTACT || ''
+};
+
+export const SIGNATURE = {
+  name: process.env.REACT_APP_LETTER_SIGNER || '',
+  title: process.env.REACT_APP_LETTER_SIGNER_TITLE || 'Board of Directors'
+};
+
+// Cure period stated when the review did not set a compliance deadline
+export const DEFAULT_CURE_DAYS = 30;
+
+const LONG_DATE = { year: 'numeric', month: 'long', day: 'numeric' };
+
+const formatLongDate = (dateString) => parseLocalDate(dateString).toLocaleDateString('en-US', LONG_DATE);
+
+/**
+ * Everything one letter needs, from a violations summary entry
+ * @param {Object} property - Entry from generateComplianceReport
+ * @param {Object} context - { stage, template, hearingDate } for the property
+ * @param {Date} [now] - Letter date
+ * @returns {Object} { property, stage, template, recipientLines, values,
+ *   deadline, items, missing } where values fill the template's placeholders
+ *   and missing lists what the registry or review lacked
+ */
+export function buildLetter(property, context, now = new Date()) {
+  const { stage, template, hearingDate } = context;
+  const missing = [];
+  if (!property.ownerName) missing.push('owner name');
+  if (!property.complianceDeadline) missing.push('compliance deadline');
+  if (!hearingDate && /{{\s*hearingDate\s*}}/.test(template.body)) missing.push('hearing date');
+
+  const mailingLines = (property.mailingAddress || property.address).split(/\r?\n/).filter(Boolean);
+  const deadline = property.complianceDeadline
+    ? formatLongDate(property.complianceDeadline)
+    : formatLongDate(new Date(now.getTime() + DEFAULT_CURE_DAYS * 24 * 60 * 60 * 1000).toISOString());
+
+  return {
+    property,
+    stage,
+    template,
+    recipientLines: [property.ownerName || 'Current Resident', ...mailingLines],
+    values: {
+      owner: property.ownerName || 'Homeowner',
+      address: property.address,
+      lot: property.lotNumber,
+      date: now.toLocaleDateString('en-US', LONG_DATE),
+      reviewDate: formatLongDate(property.reviewDate),
+      deadline,
+      hearingDate: hearingDate ? formatLongDate(hearingDate) : '',
+      items: property.nonCompliantItems.map(item => item.item).join(', '),
+      hoa: LETTERHEAD.name
+    },
+    deadline,
+    items: property.nonCompliantItems,
+    missing
+  };
+}
+
+// Numbered failing items with their notes and citations
+function itemParagraphs(items) {
+  const paragraphs = [];
+
+  items.forEach((item, index) => {
+    paragraphs.push(new Paragraph({
+      children: [
+        new TextRun({ text: `${index + 1}. ${item.item}`, bold: true }),
+        new TextRun({ text: ` (${item.severity})` })
+      ],
+      indent: { left: 360 },
+      spacing: { before: 100, after: 50 }
+    }));
+
+    if (item.comment) {
+      paragraphs.push(new Paragraph({
+        children: [new TextRun({ text: item.comment, italics: true })],
+        indent: { left: 720 },
+        spacing: { after: 50 }
+      }));
+    }
+
+    (item.citations || []).forEach(citation => {
+      paragraphs.push(new Paragraph({
+        children: [
+          new TextRun({ text: `${citation.article}: `, bold: true, size: 20 }),
+          new TextRun({ text: citation.text ? `"${citation.text}"` : '', size: 20 })
+        ],
+        indent: { left: 720 },
+        spacing: { after: 50 }
+      }));
+    });
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Word paragraphs for one letter
+ * @param {Object} letter - From buildLetter
+ * @returns {Array<Paragraph>}
+ */
+export function letterParagraphs(letter) {
+  const paragraphs = [
+    new Paragraph({
+      children: [new TextRun({ text: LETTERHEAD.name, bold: true, size: 28 })],
+      alignment: AlignmentType.CENTER
+    }),
+    ...[...LETTERHEAD.addressLines, LETTERHEAD.contact].filter(Boolean).map(line => new Paragraph({
+      children: [new TextRun({ text: line, size: 20 })],
+      alignment: AlignmentType.CENTER
+    })),
+    new Paragraph({
+      text: '',
+      spacing: { after: 400 },
+      border: { bottom: { color: '7E5135', space: 1, style: BorderStyle.SINGLE, size: 8 } }
+    }),
+    new Paragraph({ text: letter.values.date, spacing: { after: 300 } }),
+    ...letter.recipientLines.map(line => new Paragraph({ text: line })),
+    new Paragraph({ text: '', spacing: { after: 200 } }),
+    new Paragraph({
+      children: [
+        new TextRun({ text: 'RE: ', bold: true }),
+        new TextRun({ text: fillPlaceholders(letter.template.subject, letter.values), bold: true })
+      ],
+      spacing: { after: 200 }
+    })
+  ];
+
+  templateParagraphs(letter.template.body).forEach(paragraph => {
+    if (/^{{\s*items\s*}}$/.test(paragraph)) {
+      paragraphs.push(...itemParagraphs(letter.items), new Paragraph({ text: '', spacing: { after: 100 } }));
+      return;
+    }
+    paragraphs.push(new Paragraph({
+      children: paragraph.split('\n').map((line, index) => new TextRun({
+        text: fillPlaceholders(line, letter.values),
+        break: index > 0 ? 1 : 0
+      })),
+      spacing: { after: 200 }
+    }));
+  });
+
+  paragraphs.push(
+    new Paragraph({ text: 'Sincerely,', spacing: { before: 100, after: 600 } }),
+    new Paragraph({ text: '______________________________' }),
+    ...[SIGNATURE.name, SIGNATURE.title, LETTERHEAD.name].filter(Boolean).map(line => new Paragraph({ text: line }))
+  );
+
+  return paragraphs;
+}
+
+/**
+ * Draw one letter on PDF pages, matching letterParagraphs
+ * @param {Object} layout - From createPdfLayout
+ * @param {Object} letter - From buildLetter
+ */
+function drawLetterPdf(layout, letter) {
+  layout.text(LETTERHEAD.name, { size: 14, bold: true, align: 'center', after: 0 });
+  [...LETTERHEAD.addressLines, LETTERHEAD.contact].filter(Boolean).forEach(line => {
+    layout.text(line, { size: 10, align: 'center', after: 0 });
+  });
+  layout.space(6);
+  layout.rule({ color: [126, 81, 53], after: 20 });
+
+  layout.text(letter.values.date, { after: 14 });
+  letter.recipientLines.forEach(line => layout.text(line, { after: 0 }));
+  layout.space(14);
+  layout.text(`RE: ${fillPlaceholders(letter.template.subject, letter.values)}`, { bold: true, after: 10 });
+
+  templateParagraphs(letter.template.body).forEach(paragraph => {
+    if (!/^{{\s*items\s*}}$/.test(paragraph)) {
+      layout.text(fillPlaceholders(paragraph, letter.values), { after: 10 });
+      return;
+    }
+    letter.items.forEach((item, index) => {
+      layout.text(`${index + 1}. ${item.item} (${item.severity})`, { bold: true, indent: 18, after: 1 });
+      if (item.comment) layout.text(item.comment, { italic: true, indent: 36, after: 1 });
+      (item.citations || []).forEach(citation => {
+        layout.text(formatCitation(citation), { size: 9, indent: 36, after: 1 });
+      });
+      layout.space(4);
+    });
+    layout.space(6);
+  });
+
+  layout.text('Sincerely,', { after: 30 });
+  layout.text('______________________________', { after: 0 });
+  [SIGNATURE.name, SIGNATURE.title, LETTERHEAD.name].filter(Boolean).forEach(line => {
+    layout.text(line, { after: 0 });
+  });
+}
+
+// Letters as one PDF, each starting a page
+function lettersPdfBlob(letters) {
+  const layout = createPdfLayout({ pageNumbers: false });
+  letters.forEach((letter, index) => {
+    if (index > 0) layout.newPage();
+    drawLetterPdf(layout, letter);
+  });
+  return layout.finish();
+}
+
+function letterSection(letter) {
+  return {
+    properties: {
+      page: {
+        margin: { top: 1080, right: 1080, bottom: 1080, left: 1080 } // 0.75 inch
+      }
+    },
+    children: letterParagraphs(letter)
+  };
+}
+
+function letterFileName(letter, taken, extension) {
+  const { property } = letter;
+  const base = [property.lotNumber && `Lot-${property.lotNumber}`, property.address]
+    .filter(Boolean)
+    .join('_')
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-+|-+$/g, '') || 'Letter';
+
+  let name = `${base}.${extension}`;
+  for (let n = 2; taken.has(name); n++) name = `${base}-${n}.${extension}`;
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Download one violation letter per property
+ * @param {Array} reportData - Report data from generateComplianceReport
+ * @param {Function} contextFor - Returns { stage, template, hearingDate } for a
+ *   report entry
+ * @param {string} [format='docx'] - 'docx' or 'pdf' for one merged file with
+ *   each letter on its own pages, 'zip' or 'pdf-zip' for a ZIP with a Word
+ *   document or PDF per property
+ * @returns {Promise<Array<Object>>} The letters, so callers can record them and
+ *   report missing fields
+ */
+export async function downloadViolationLetters(reportData, contextFor, format = 'docx') {
+  if (!reportData || reportData.length === 0) {
+    throw new Error('No violation data to generate letters');
+  }
+
+  const letters = reportData.map(property => buildLetter(property, contextFor(property)));
+  const date = new Date().toISOString().split('T')[0];
+
+  if (format === 'zip' || format === 'pdf-zip') {
+    const asPdf = format === 'pdf-zip';
+    const zip = new JSZip();
+    const taken = new Set();
+    for (const letter of letters) {
+      const blob = asPdf
+        ? lettersPdfBlob([letter])
+        : await Packer.toBlob(new Document({ sections: [letterSection(letter)] }));
+      zip.file(letterFileName(letter, taken, asPdf ? 'pdf' : 'docx'), blob);
+    }
+    saveAs(await zip.generateAsync({ type: 'blob' }), `CCR_Violation_Letters_${date}.zip`);
+  } else if (format === 'pdf') {
+    saveAs(lettersPdfBlob(letters), `CCR_Violation_Letters_${date}.pdf`);
+  } else {
+    // Each section starts on a new page
+    const blob = await Packer.toBlob(new Document({ sections: letters.map(letterSection) }));
+    saveAs(blob, `CCR_Violation_Letters_${date}.docx`);
+  }
+
+  return letters;
+}
+
+/**
+ * Record generated letters on the reviews they were based on
+ * Each review keeps a `letters` list of what was sent, at which stage and
+ * with which deadline; the change is also kept in the review's history.
+ * @param {Array<Object>} letters - From downloadViolationLetters
+ * @param {string} format - Format passed to downloadViolationLetters
+ * @param {string} userEmail - Email of the board admin who generated them
+ * @returns {Promise<Object>} Letter record by review id
+ */
+export async function recordLetters(letters, format, userEmail) {
+  const generatedAt = new Date().toISOString();
+  const records = {};
+
+  for (const letter of letters) {
+    const { reviewId } = letter.property;
+    if (!reviewId) continue;
+
+    const record = {
+      stage: letter.stage,
+      subject: fillPlaceholders(letter.template.subject, letter.values),
+      templateUpdatedAt: letter.template.updatedAt || '',
+      deadline: letter.deadline,
+      items: letter.items.map(item => item.key),
+      format,
+      generatedAt,
+      generatedBy: userEmail
+    };
+    await updateReview(reviewId, current => ({
+      letters: [...(current.letters || []), record]
+    }), userEmail, 'letter');
+    records[reviewId] = record;
+  }
+
+  return records;
+}
@@ -0,0 +1,215 @@
+// Letter templates for each stage of enforcement
+// The wording of owner letters lives here rather than in the generator: a
+// built-in template per stage, which board admins can override from the
+// letter template editor (saved at letterTemplates/{stage}). Templates use
+// {{placeholders}} filled in per property; a paragraph that is only {{items}}
+// becomes the list of failing items with their notes and citations.
+
+import { db } from '../firebase';
+import { collection, deleteDoc, doc, getDocs, setDoc } from 'firebase/firestore';
+import { CASE_STATES, OPEN_CASE_STATES } from './violationCases';
+
+const TEMPLATES_COLLECTION = 'letterTemplates';
+
+export const LETTER_STAGES = {
+  COURTESY: 'courtesy',
+  FIRST_NOTICE: 'first-notice',
+  FINAL_NOTICE: 'final-notice',
+  HEARING: 'hearing'
+};
+
+export const LETTER_STAGE_LABELS = {
+  [LETTER_STAGES.COURTESY]: 'Courtesy Letter',
+  [LETTER_STAGES.FIRST_NOTICE]: 'First Notice',
+  [LETTER_STAGES.FINAL_NOTICE]: 'Final Notice',
+  [LETTER_STAGES.HEARING]: 'Hearing Notice'
+};
+
+// Escalation order
+export const LETTER_STAGE_ORDER = Object.values(LETTER_STAGES);
+
+export const PLACEHOLDERS = {
+  owner: 'Owner name',
+  address: 'Property address',
+  lot: 'Lot number',
+  date: 'Date of the letter',
+  reviewDate: 'Date of the review',
+  deadline: 'Cure deadline',
+  hearingDate: 'Hearing date, if one is scheduled',
+  items: 'The failing items (on its own line: the full list with notes and citations)',
+  hoa: 'Association name'
+};
+
+export const DEFAULT_TEMPLATES = {
+  [LETTER_STAGES.COURTESY]: {
+    subject: 'Courtesy Reminder - {{address}}',
+    body: [
+      'Dear {{owner}},',
+      'During the community compliance review on {{reviewDate}}, we noticed a few items at {{address}} ' +
+        'that need attention under the Declaration of Covenants, Conditions and Restrictions (CCRs) and ' +
+        'the rules of the Association:',
+      '{{items}}',
+      'This is a friendly reminder, not a violation notice. We ask that these items be taken care of by ' +
+        '{{deadline}}. If you have already done so, or need more time, please let the Board know.',
+      'Thank you for helping keep our community a place we are all proud to live in.'
+    ].join('\n\n')
+  },
+  [LETTER_STAGES.FIRST_NOTICE]: {
+    subject: 'Notice of CCR Violation - {{address}}',
+    body: [
+      'Dear {{owner}},',
+      'This is formal notice that the following conditions at {{address}}, observed on {{reviewDate}}, ' +
+        'violate the CCRs and the rules of the Association:',
+      '{{items}}',
+      'Please correct these violations by {{deadline}}. A follow-up inspection will be made after that ' +
+        'date. If you believe this notice is in error, or need more time, please contact the Board in ' +
+        'writing before the deadline.'
+    ].join('\n\n')
+  },
+  [LETTER_STAGES.FINAL_NOTICE]: {
+    subject: 'FINAL NOTICE of CCR Violation - {{address}}',
+    body: [
+      'Dear {{owner}},',
+      'Despite earlier notices, the following violations of the CCRs remain at {{address}} as of ' +
+        '{{reviewDate}}:',
+      '{{items}}',
+      'This is your final notice. If these violations are not corrected by {{deadline}}, the Board may ' +
+        'schedule a hearing and impose fines or other remedies as provided in the CCRs. You may request ' +
+        'to be heard by the Board by contacting us in writing before that date.'
+    ].join('\n\n')
+  },
+  [LETTER_STAGES.HEARING]: {
+    subject: 'Notice of Hearing - {{address}}',
+    body: [
+      'Dear {{owner}},',
+      'The Board of Directors will hold a hearing on {{hearingDate}} regarding the following unresolved ' +
+        'violations of the CCRs at {{address}}:',
+      '{{items}}',
+      'You are entitled to attend and be heard, in person or in writing. Following the hearing, the Board ' +
+        'may impose fines as provided in the CCRs. Correcting the violations by {{deadline}} and notifying ' +
+        'the Board may resolve this matter without further action.'
+    ].join('\n\n')
+  }
+};
+
+/**
+ * Load the template for every stage, saved overrides taking the place of the
+ * built-in wording
+ * @returns {Promise<Object>} Template by stage: { subject, body, custom,
+ *   updatedAt, updatedBy }
+ */
+export async function loadLetterTemplates() {
+  const templates = {};
+  LETTER_STAGE_ORDER.forEach(stage => {
+    templates[stage] = { ...DEFAULT_TEMPLATES[stage], custom: false };
+  });
+
+  const snapshot = await getDocs(collection(db, TEMPLATES_COLLECTION));
+  snapshot.docs.forEach(templateDoc => {
+    if (!templates[templateDoc.id]) return;
+    const { subject, body, updatedAt, updatedBy } = templateDoc.data();
+    templates[templateDoc.id] = { subject, body, updatedAt, updatedBy, custom: true };
+  });
+
+  return templates;
+}
+
+/**
+ * Placeholders a template uses that do not exist
+ * @param {Object} template - { subject, body }
+ * @returns {Array<string>}
+ */
+export function findUnknownPlaceholders(template) {
+  const used = `${template.subject}\n${template.body}`.match(/{{\s*[\w]+\s*}}/g) || [];
+  return [...new Set(used.map(placeholder => placeholder.replace(/[{}\s]/g, '')))]
+    .filter(name => !PLACEHOLDERS[name]);
+}
+
+/**
+ * Save a stage's template
+ * @param {string} stage - One of LETTER_STAGES
+ * @param {Object} template - { subject, body }
+ * @param {string} userEmail - Email of the board admin saving it
+ * @returns {Promise<Object>} The saved template
+ */
+export async function saveLetterTemplate(stage, template, userEmail) {
+  const unknown = findUnknownPlaceholders(template);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+  }
+  if (!template.subject.trim() || !template.body.trim()) {
+    throw new Error('A template needs a subject and a body.');
+  }
+
+  const saved = {
+    subject: template.subject.trim(),
+    body: template.body.trim(),
+    updatedAt: new Date().toISOString(),
+    updatedBy: userEmail
+  };
+  await setDoc(doc(db, TEMPLATES_COLLECTION, stage), { stage, ...saved });
+  return { ...saved, custom: true };
+}
+
+/**
+ * Go back to the built-in wording for a stage
+ * @param {string} stage - One of LETTER_STAGES
+ * @returns {Promise<Object>} The built-in template
+ */
+export async function resetLetterTemplate(stage) {
+  await deleteDoc(doc(db, TEMPLATES_COLLECTION, stage));
+  return { ...DEFAULT_TEMPLATES[stage], custom: false };
+}
+
+// The letter that follows each case state: nothing sent yet calls for a
+// courtesy letter, a courtesy notice for a first notice, and so on
+const STAGE_AFTER_CASE_STATE = {
+  [CASE_STATES.OBSERVED]: LETTER_STAGES.COURTESY,
+  [CASE_STATES.COURTESY_NOTICE]: LETTER_STAGES.FIRST_NOTICE,
+  [CASE_STATES.FORMAL_NOTICE]: LETTER_STAGES.FINAL_NOTICE,
+  [CASE_STATES.HEARING]: LETTER_STAGES.HEARING,
+  [CASE_STATES.FINE]: LETTER_STAGES.HEARING
+};
+
+/**
+ * Letter stage for a property from its most advanced open case, and the case
+ * dates the letter may quote
+ * @param {Array<Object>} cases - The property's violation cases
+ * @returns {{stage: string, hearingDate: string}} A courtesy letter when no
+ *   case is open
+ */
+export function letterContextForCases(cases) {
+  const openCases = cases.filter(violationCase => OPEN_CASE_STATES.includes(violationCase.state));
+  const stage = openCases
+    .map(violationCase => STAGE_AFTER_CASE_STATE[violationCase.state])
+    .reduce((current, next) => (
+      LETTER_STAGE_ORDER.indexOf(next) > LETTER_STAGE_ORDER.indexOf(current) ? next : current
+    ), LETTER_STAGES.COURTESY);
+  const hearingDate = openCases
+    .map(violationCase => violationCase.dates?.hearingDate || '')
+    .sort()
+    .pop() || '';
+
+  return { stage, hearingDate };
+}
+
+/**
+ * Fill in a template's placeholders
+ * Placeholders without a value are left visible, so a missing value shows up
+ * when the letter is proofread instead of disappearing.
+ * @param {string} text - Template text
+ * @param {Object} values - Value by placeholder name
+ * @returns {string}
+ */
+export function fillPlaceholders(text, values) {
+  return text.replace(/{{\s*(\w+)\s*}}/g, (placeholder, name) => (values[name] ? values[name] : placeholder));
+}
+
+/**
+ * Split a template body into paragraphs
+ * @param {string} body - Template body; paragraphs are separated by blank lines
+ * @returns {Array<string>}
+ */
+export function templateParagraphs(body) {
+  return body.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
@@ -0,0 +1,61 @@
+import {
+  DEFAULT_TEMPLATES,
+  LETTER_STAGES,
+  LETTER_STAGE_ORDER,
+  fillPlaceholders,
+  findUnknownPlaceholders,
+  letterContextForCases,
+  templateParagraphs
+} from './letterTemplates';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+describe('fillPlaceholders', () => {
+  it('fills in values, allowing spaces inside the braces', () => {
+    expect(fillPlaceholders('Dear {{owner}}, re {{ address }}.', { owner: 'Jane Smith', address: '123 Main St' }))
+      .toBe('Dear Jane Smith, re 123 Main St.');
+  });
+
+  it('leaves placeholders without a value visible', () => {
+    expect(fillPlaceholders('Hearing on {{hearingDate}} at {{address}}', { hearingDate: '', address: '1 Oak Ln' }))
+      .toBe('Hearing on {{hearingDate}} at 1 Oak Ln');
+  });
+});
+
+describe('templateParagraphs', () => {
+  it('splits on blank lines and drops empty paragraphs', () => {
+    expect(templateParagraphs('Dear {{owner}},\n\n  \n\n{{items}}\n \nThank you.\nThe Board\n\n'))
+      .toEqual(['Dear {{owner}},', '{{items}}', 'Thank you.\nThe Board']);
+  });
+});
+
+describe('findUnknownPlaceholders', () => {
+  it('finds placeholders that are not defined, once each', () => {
+    expect(findUnknownPlaceholders({ subject: '{{adress}}', body: '{{owner}} {{adress}} {{ fee }}' }))
+      .toEqual(['adress', 'fee']);
+  });
+
+  it('accepts every built-in template', () => {
+    LETTER_STAGE_ORDER.forEach(stage => {
+      expect(findUnknownPlaceholders(DEFAULT_TEMPLATES[stage])).toEqual([]);
+      expect(templateParagraphs(DEFAULT_TEMPLATES[stage].body)).toContain('{{items}}');
+    });
+  });
+});
+
+describe('letterContextForCases', () => {
+  it('sends a courtesy letter when no case is open', () => {
+    expect(letterContextForCases([{ state: 'resolved' }])).toEqual({ stage: LETTER_STAGES.COURTESY, hearingDate: '' });
+  });
+
+  it('escalates from the most advanced open case and quotes its hearing date', () => {
+    expect(letterContextForCases([
+      { state: 'observed', dates: {} },
+      { state: 'hearing', dates: { hearingDate: '2024-05-01' } },
+      { state: 'closed', dates: { hearingDate: '2024-09-01' } }
+    ])).toEqual({ stage: LETTER_STAGES.HEARING, hearingDate: '2024-05-01' });
+
+    expect(letterContextForCases([{ state: 'courtesy-notice' }]).stage).toBe(LETTER_STAGES.FIRST_NOTICE);
+    expect(letterContextForCases([{ state: 'formal-notice' }]).stage).toBe(LETTER_STAGES.FINAL_NOTICE);
+  });
+});
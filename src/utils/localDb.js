@@ -0,0 +1,94 @@
+// Minimal promise wrapper around IndexedDB for data that must survive a
+// reload on the device (form drafts, queued submissions and their photo blobs).
+
+const DB_NAME = 'ccr-compliance';
+const DB_VERSION = 2;
+
+export const STORES = {
+  DRAFTS: 'drafts',
+  SUBMISSION_QUEUE: 'submissionQueue'
+};
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      Object.values(STORES).forEach(storeName => {
+        if (!database.objectStoreNames.contains(storeName)) {
+          database.createObjectStore(storeName, { keyPath: 'id' });
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+
+  return dbPromise;
+}
+
+async function runRequest(storeName, mode, operation) {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Read one record by key
+ * @param {string} storeName - One of STORES
+ * @param {string} key - Record key
+ * @returns {Promise<Object|undefined>}
+ */
+export function getRecord(storeName, key) {
+  return runRequest(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Read every record in a store
+ * @param {string} storeName - One of STORES
+ * @returns {Promise<Array>}
+ */
+export function getAllRecords(storeName) {
+  return runRequest(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - One of STORES
+ * @param {Object} record - Record including its key field
+ * @returns {Promise<string>} The record key
+ */
+export function putRecord(storeName, record) {
+  return runRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - One of STORES
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+  return runRequest(storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,44 @@
+import emailjs from '@emailjs/browser';
+
+// EmailJS configuration
+const EMAILJS_PUBLIC_KEY = process.env.REACT_APP_EMAILJS_PUBLIC_KEY || "YOUR_EMAILJS_PUBLIC_KEY";
+const EMAILJS_SERVICE_ID = process.env.REACT_APP_EMAILJS_SERVICE_ID || "YOUR_EMAILJS_SERVICE_ID";
+const EMAILJS_TEMPLATE_ID = process.env.REACT_APP_EMAILJS_TEMPLATE_ID || "YOUR_EMAILJS_TEMPLATE_ID";
+
+if (EMAILJS_PUBLIC_KEY !== "YOUR_EMAILJS_PUBLIC_KEY") {
+  emailjs.init(EMAILJS_PUBLIC_KEY);
+}
+
+/**
+ * Email the board about a newly submitted review
+ * @param {Object} reviewData - The saved review
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+export async function sendReviewNotification(reviewData) {
+  if (EMAILJS_PUBLIC_KEY === "YOUR_EMAILJS_PUBLIC_KEY") {
+    console.log('EmailJS not configured');
+    return false;
+  }
+
+  try {
+    const emailParams = {
+      to_email: 'board@stvha.org',
+      property_address: reviewData.propertyAddress,
+      review_date: reviewData.date,
+      review_team: reviewData.reviewTeam,
+      submitted_by: reviewData.submittedBy,
+      image_count: reviewData.imageCount || 0,
+      compliance_status: reviewData.complianceStatus || 'Not specified',
+      has_violations: (reviewData.complianceStatus === 'further-action' || reviewData.complianceStatus === 'in-progress') ? 'Yes' : 'No',
+      comments: reviewData.detailedComments || 'No comments provided',
+      admin_link: window.location.origin + '/admin'
+    };
+
+    await emailjs.send(EMAILJS_SERVICE_ID, EMAILJS_TEMPLATE_ID, emailParams);
+    console.log('Email notification sent successfully');
+    return true;
+  } catch (error) {
+    console.error('Error sending email notification:', error);
+    return false;
+  }
+}
@@ -0,0 +1,475 @@
+// PDF exports
+// Read-only counterparts of the Word exports, drawn on the device with jsPDF:
+// the violations summary, a single review as shown in the admin modal, and
+// (through letterGenerator.js) the owner letters. Everything is laid out by
+// createPdfLayout so every PDF has the same page size, margins, type and
+// running header/footer, and photos are embedded the way the Word document
+// embeds them.
+
+import { jsPDF } from 'jspdf';
+import { saveAs } from 'file-saver';
+import { DOCUMENT_PHOTO_SETTINGS, loadImageForDocument, orderPhotos, photoCaption } from './documentGenerator';
+import { formatRating, getChecklistForReview, VIOLATION_RATINGS } from './checklistSchema';
+import { getItemNote } from './itemNotes';
+import { formatCitation } from './ccrCitations';
+import { CASE_STATE_LABELS } from './violationCases';
+import { LETTER_STAGE_LABELS } from './letterTemplates';
+import { parseLocalDate, toLocalDateString } from './dates';
+
+const HOA_NAME = 'Sunrise Territory Village Homeowners Association';
+
+// US Letter in points, 0.75 inch margins
+const PAGE = {
+  format: 'letter',
+  margin: 54,
+  headerY: 28,
+  footerOffset: 30
+};
+
+const FONT_SIZES = {
+  title: 18,
+  heading: 13,
+  subheading: 11,
+  body: 10,
+  small: 8.5
+};
+
+const LINE_HEIGHT = 1.35;
+
+const COLORS = {
+  text: [32, 33, 36],
+  muted: [95, 99, 104],
+  accent: [44, 82, 130],
+  major: [198, 40, 40],
+  minor: [245, 124, 0],
+  warning: [176, 96, 0],
+  link: [5, 99, 193],
+  rule: [204, 204, 204]
+};
+
+// Printed photo size in points
+const PHOTO_MAX = { width: 396, height: 297 };
+
+// Width of the label column in label/value rows
+const FIELD_LABEL_WIDTH = 150;
+
+/**
+ * Page layout shared by every PDF export
+ * Content flows down the page and onto new pages as needed; the header and
+ * page numbers are added to every page by finish().
+ * @param {Object} [options]
+ * @param {string} [options.header] - Running header, left of the generated date
+ * @param {boolean} [options.pageNumbers=true] - Number the pages in the footer
+ * @returns {Object} Layout with text, heading, field, rule, space, link,
+ *   photo, newPage, ensureSpace and finish
+ */
+export function createPdfLayout({ header = '', pageNumbers = true } = {}) {
+  const pdf = new jsPDF({ unit: 'pt', format: PAGE.format });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE.margin * 2;
+  const bottom = pageHeight - PAGE.margin;
+  let y = PAGE.margin;
+
+  const setFont = ({ size = FONT_SIZES.body, bold = false, italic = false, color = COLORS.text } = {}) => {
+    const style = bold && italic ? 'bolditalic' : bold ? 'bold' : italic ? 'italic' : 'normal';
+    pdf.setFont('helvetica', style);
+    pdf.setFontSize(size);
+    pdf.setTextColor(...color);
+  };
+
+  const lineHeightFor = (size = FONT_SIZES.body) => size * LINE_HEIGHT;
+
+  const newPage = () => {
+    pdf.addPage();
+    y = PAGE.margin;
+  };
+
+  const ensureSpace = (height) => {
+    if (y + height > bottom) newPage();
+  };
+
+  /**
+   * Wrapped text
+   * @param {string} value - Text; newlines are kept
+   * @param {Object} [options] - size, bold, italic, color, indent, align
+   *   ('left' or 'center') and after (space below, in points)
+   */
+  const text = (value, options = {}) => {
+    const { indent = 0, align = 'left', after = 4 } = options;
+    const lineHeight = lineHeightFor(options.size);
+    setFont(options);
+
+    pdf.splitTextToSize(String(value), contentWidth - indent).forEach(line => {
+      ensureSpace(lineHeight);
+      const x = align === 'center' ? pageWidth / 2 : PAGE.margin + indent;
+      pdf.text(line, x, y, { align, baseline: 'top' });
+      y += lineHeight;
+    });
+    y += after;
+  };
+
+  // Headings are kept with at least a few lines of what follows
+  const heading = (value, { level = 1, color = COLORS.accent } = {}) => {
+    const size = level === 1 ? FONT_SIZES.heading : FONT_SIZES.subheading;
+    ensureSpace(lineHeightFor(size) + lineHeightFor() * 3);
+    y += level === 1 ? 10 : 6;
+    text(value, { size, bold: true, color, after: level === 1 ? 2 : 4 });
+    if (level === 1) rule({ after: 8 });
+  };
+
+  const rule = ({ color = COLORS.rule, after = 10 } = {}) => {
+    pdf.setDrawColor(...color);
+    pdf.setLineWidth(0.75);
+    pdf.line(PAGE.margin, y, pageWidth - PAGE.margin, y);
+    y += after;
+  };
+
+  const space = (height) => {
+    y += height;
+  };
+
+  // Label/value row; empty values are left out like the modal's DetailItem
+  const field = (label, value) => {
+    if (value === undefined || value === null || value === '') return;
+    const lineHeight = lineHeightFor();
+    setFont();
+    const lines = pdf.splitTextToSize(String(value), contentWidth - FIELD_LABEL_WIDTH);
+
+    ensureSpace(lineHeight * Math.min(lines.length, 3));
+    setFont({ bold: true, color: COLORS.muted });
+    pdf.text(`${label}:`, PAGE.margin, y, { baseline: 'top' });
+    setFont();
+    lines.forEach((line, index) => {
+      if (index > 0) ensureSpace(lineHeight);
+      pdf.text(line, PAGE.margin + FIELD_LABEL_WIDTH, y, { baseline: 'top' });
+      y += lineHeight;
+    });
+    y += 2;
+  };
+
+  const link = (label, url, { indent = 0, size = FONT_SIZES.body, after = 4 } = {}) => {
+    const lineHeight = lineHeightFor(size);
+    ensureSpace(lineHeight);
+    setFont({ size, color: COLORS.link });
+    const x = PAGE.margin + indent;
+    const line = pdf.splitTextToSize(label, contentWidth - indent)[0];
+    pdf.text(line, x, y, { baseline: 'top' });
+    pdf.link(x, y, pdf.getTextWidth(line), lineHeight, { url });
+    y += lineHeight + after;
+  };
+
+  /**
+   * Centered photo with its caption
+   * @param {Object} image - From loadImageForDocument: { data, width, height }
+   * @param {string} caption - Caption below the photo
+   */
+  const photo = (image, caption) => {
+    const scale = Math.min(1, PHOTO_MAX.width / image.width, PHOTO_MAX.height / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ensureSpace(height + lineHeightFor(FONT_SIZES.small) + 12);
+
+    pdf.addImage(new Uint8Array(image.data), 'JPEG', (pageWidth - width) / 2, y, width, height);
+    y += height + 4;
+    text(caption, { size: FONT_SIZES.small, italic: true, color: COLORS.muted, align: 'center', after: 12 });
+  };
+
+  /**
+   * Add the running header and page numbers, and return the file
+   * @returns {Blob}
+   */
+  const finish = () => {
+    const pageCount = pdf.getNumberOfPages();
+    const generated = `Generated ${new Date().toLocaleDateString()}`;
+
+    for (let page = 1; page <= pageCount; page++) {
+      pdf.setPage(page);
+      setFont({ size: FONT_SIZES.small, color: COLORS.muted });
+      if (header) {
+        pdf.text(header, PAGE.margin, PAGE.headerY, { baseline: 'top' });
+        pdf.text(generated, pageWidth - PAGE.margin, PAGE.headerY, { baseline: 'top', align: 'right' });
+      }
+      if (pageNumbers) {
+        pdf.text(`Page ${page} of ${pageCount}`, pageWidth / 2, pageHeight - PAGE.footerOffset, { align: 'center' });
+      }
+    }
+
+    return pdf.output('blob');
+  };
+
+  return {
+    text,
+    heading,
+    rule,
+    space,
+    field,
+    link,
+    photo,
+    newPage,
+    ensureSpace,
+    finish
+  };
+}
+
+function formatStatus(status) {
+  if (!status) return 'Not specified';
+  return status.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+function formatDate(dateString) {
+  return dateString ? parseLocalDate(dateString).toLocaleDateString() : '';
+}
+
+/**
+ * Numbered violations with their notes and CCR citations
+ * @param {Object} layout - From createPdfLayout
+ * @param {Array<Object>} items - Entries shaped like nonCompliantItems
+ */
+function violationItems(layout, items) {
+  items.forEach((item, index) => {
+    layout.text(`${index + 1}. ${item.item}`, { bold: true, indent: 12, after: 1 });
+    if (item.comment) {
+      layout.text(item.comment, { italic: true, indent: 26, after: 1 });
+    }
+    (item.citations || []).forEach(citation => {
+      layout.text(formatCitation(citation), { size: FONT_SIZES.small, color: COLORS.accent, indent: 26, after: 1 });
+    });
+    layout.space(3);
+  });
+}
+
+/**
+ * Major and minor violations under their headings
+ * @param {Object} layout - From createPdfLayout
+ * @param {Array<Object>} items - Entries shaped like nonCompliantItems
+ */
+function violationSections(layout, items) {
+  const majorItems = items.filter(item => item.status === 'major');
+  const minorItems = items.filter(item => item.status === 'minor');
+
+  if (majorItems.length > 0) {
+    layout.heading(`Major Issues (${majorItems.length})`, { level: 2, color: COLORS.major });
+    violationItems(layout, majorItems);
+  }
+  if (minorItems.length > 0) {
+    layout.heading(`Minor Issues (${minorItems.length})`, { level: 2, color: COLORS.minor });
+    violationItems(layout, minorItems);
+  }
+}
+
+/**
+ * Photos embedded up to the limit, a note in place of any that could not be
+ * loaded, and links to the rest
+ * @param {Object} layout - From createPdfLayout
+ * @param {Object} subject - { images, imageRecords, nonCompliantItems } for
+ *   ordering and captions
+ * @param {number} limit - Photos to embed
+ * @param {Function} onPhoto - Called after each photo is loaded or has failed
+ */
+async function photoSection(layout, subject, limit, onPhoto) {
+  const photos = orderPhotos(subject);
+  const embedded = photos.slice(0, limit);
+  const linked = photos.slice(limit);
+
+  layout.heading(`Photos (${photos.length})`);
+  if (linked.length > 0 && embedded.length > 0) {
+    layout.text(`Showing ${embedded.length} of ${photos.length} photos; the rest are linked below.`, {
+      italic: true,
+      color: COLORS.muted
+    });
+  }
+
+  for (let photoIndex = 0; photoIndex < embedded.length; photoIndex++) {
+    const url = embedded[photoIndex];
+    const caption = photoCaption(subject, url, photoIndex + 1);
+    const image = await loadImageForDocument(url);
+    onPhoto();
+
+    if (image.error) {
+      layout.text(`${caption} could not be embedded: ${image.error}.`, { italic: true, color: COLORS.warning, after: 1 });
+      layout.link('View it online', url, { after: 10 });
+    } else {
+      layout.photo(image, caption);
+    }
+  }
+
+  linked.forEach((url, linkIndex) => {
+    layout.link(photoCaption(subject, url, embedded.length + linkIndex + 1), url);
+  });
+}
+
+function saveBlob(blob, name) {
+  saveAs(blob, `${name}_${toLocalDateString()}.pdf`);
+}
+
+/**
+ * Download the violations summary as a PDF
+ * Same content as the Word document, with each property starting a page.
+ * @param {Array} reportData - Report data from generateComplianceReport
+ * @param {Object} [options]
+ * @param {number} [options.photosPerProperty] - Photos embedded per property;
+ *   defaults to DOCUMENT_PHOTO_SETTINGS.perProperty
+ * @param {Function} [options.onProgress] - Called with (photosDone, photosTotal)
+ * @returns {Promise<void>}
+ */
+export async function downloadSummaryPdf(reportData, options = {}) {
+  if (!reportData || reportData.length === 0) {
+    throw new Error('No violation data to generate PDF');
+  }
+
+  const { photosPerProperty = DOCUMENT_PHOTO_SETTINGS.perProperty, onProgress = () => {} } = options;
+  const photoLimit = Math.max(0, photosPerProperty);
+  const photosTotal = reportData.reduce((sum, p) => sum + Math.min(photoLimit, (p.images || []).length), 0);
+  let photosDone = 0;
+  const photoDone = () => {
+    photosDone += 1;
+    onProgress(photosDone, photosTotal);
+  };
+
+  const layout = createPdfLayout({ header: 'CCR Compliance Violations Report' });
+
+  layout.space(120);
+  layout.text('CCR COMPLIANCE VIOLATIONS REPORT', { size: FONT_SIZES.title, bold: true, align: 'center', after: 8 });
+  layout.text(HOA_NAME, { size: FONT_SIZES.subheading, align: 'center', after: 24 });
+  layout.rule();
+  layout.field('Properties with Violations', reportData.length);
+  layout.field('Total Violations Found', reportData.reduce((sum, p) => sum + p.nonCompliantItems.length, 0));
+  layout.field('Properties with Major Issues',
+    reportData.filter(p => p.nonCompliantItems.some(i => i.status === 'major')).length);
+  layout.field('Properties with Photos', reportData.filter(p => p.imageCount > 0).length);
+  layout.field('Violation Notices Sent', reportData.filter(p => p.violationNotice).length);
+
+  for (let index = 0; index < reportData.length; index++) {
+    const property = reportData[index];
+    layout.newPage();
+
+    layout.text(`PROPERTY ${index + 1} OF ${reportData.length}`, { size: FONT_SIZES.small, color: COLORS.muted, after: 2 });
+    layout.text(property.address, { size: FONT_SIZES.title, bold: true, after: 10 });
+
+    layout.field('Lot', property.lotNumber);
+    layout.field('Owner', property.ownerName);
+    layout.field('Review Date', formatDate(property.reviewDate));
+    layout.field('Review Team', property.reviewTeam);
+    layout.field('Submitted By', property.submittedBy);
+    layout.field('Compliance Status', formatStatus(property.complianceStatus));
+
+    layout.heading(`Violations Found (${property.nonCompliantItems.length})`);
+    violationSections(layout, property.nonCompliantItems);
+
+    if (property.comments) {
+      layout.heading('Inspector Comments');
+      layout.text(property.comments, { italic: true });
+    }
+
+    if (property.violationNotice) {
+      layout.heading('Follow-up Actions');
+      layout.text('Violation notice sent', { bold: true, color: COLORS.major });
+      layout.field('Notice Date', formatDate(property.violationNoticeDate));
+      layout.field('Compliance Deadline', formatDate(property.complianceDeadline));
+      layout.field('Re-inspection Date', formatDate(property.reinspectionDate));
+    }
+
+    if (property.images.length > 0) {
+      await photoSection(layout, property, photoLimit, photoDone);
+    }
+  }
+
+  saveBlob(layout.finish(), 'CCR_Violations_Report');
+}
+
+/**
+ * Download a single review as a PDF, laid out like the admin detail modal
+ * @param {Object} review - Review data
+ * @param {Object} [context]
+ * @param {Object} [context.property] - Registered property of the review
+ * @param {Array<Object>} [context.cases] - Violation cases of the property
+ * @param {Object} [context.parentReview] - Review this one re-inspected
+ * @param {Function} [context.onProgress] - Called with (photosDone, photosTotal)
+ * @returns {Promise<void>}
+ */
+export async function downloadReviewPdf(review, context = {}) {
+  const { property, cases = [], parentReview, onProgress = () => {} } = context;
+  const checklist = getChecklistForReview(review);
+  const address = review.propertyAddress || 'Property Review';
+  const layout = createPdfLayout({ header: `Compliance Review - ${address}` });
+
+  layout.text(address, { size: FONT_SIZES.title, bold: true, after: 2 });
+  layout.text(`Reviewed by ${review.reviewTeam || 'Unknown'} on ${formatDate(review.date)}`, {
+    color: COLORS.muted,
+    after: 6
+  });
+
+  layout.heading('Basic Information');
+  layout.field('Property Address', review.propertyAddress);
+  layout.field('Lot Number', property?.lotNumber);
+  layout.field('Owner', property?.ownerName);
+  layout.field('Owner Mailing Address', property?.mailingAddress);
+  layout.field('Review Date', formatDate(review.date));
+  layout.field('Review Team', review.reviewTeam);
+  layout.field('Submitted By', review.submittedBy);
+  layout.field('Checklist Version', `v${checklist.version}`);
+  if (review.parentReviewId) {
+    layout.field('Re-inspection Of', parentReview ? `Review of ${formatDate(parentReview.date)}` : 'A deleted review');
+  }
+  layout.field('Last Re-inspected', formatDate(review.lastReinspectedAt));
+  if (review.updatedAt) {
+    layout.field('Last Edited', `${formatDate(review.updatedAt)} by ${review.updatedBy || 'Unknown'}`);
+  }
+
+  // Every item with its rating, section by section; violations with their notes
+  const violations = [];
+  layout.heading('Inspection Results');
+  checklist.sections.forEach(section => {
+    layout.heading(section.title, { level: 2, color: COLORS.text });
+    section.items.forEach(item => {
+      const value = review[item.key];
+      const violation = VIOLATION_RATINGS.includes(value);
+      const note = getItemNote(review.itemNotes, item.key);
+      layout.field(item.shortLabel, value ? formatRating(value) : 'Not rated');
+      if (violation) {
+        violations.push({ item: item.shortLabel, images: note.images });
+        if (note.comment) layout.text(note.comment, { italic: true, indent: FIELD_LABEL_WIDTH, after: 3 });
+      }
+    });
+  });
+
+  if (review.detailedComments) {
+    layout.heading('Detailed Comments');
+    layout.text(review.detailedComments);
+  }
+
+  layout.heading('Follow-up Actions');
+  layout.field('Violation Notice Sent', review.violationNotice === 'yes' ? 'Yes' : 'No');
+  layout.field('Notice Date', formatDate(review.violationNoticeDate));
+  layout.field('Compliance Deadline', formatDate(review.complianceDeadline));
+  layout.field('Re-inspection Date', formatDate(review.reinspectionDate));
+  layout.field('Re-inspection Claimed By', review.reinspectionClaimedBy);
+  (review.letters || []).forEach((letter, index) => {
+    layout.field(`Letter ${index + 1}`, `${LETTER_STAGE_LABELS[letter.stage] || letter.stage} on ` +
+      `${formatDate(letter.generatedAt)} by ${letter.generatedBy}, due ${letter.deadline}`);
+  });
+  if (review.complianceStatus) {
+    layout.field('Compliance Status', formatStatus(review.complianceStatus));
+  }
+
+  if (cases.length > 0) {
+    layout.heading(`Violation Cases (${cases.length})`);
+    cases.forEach(violationCase => {
+      layout.field(violationCase.itemLabel, CASE_STATE_LABELS[violationCase.state] || violationCase.state);
+    });
+  }
+
+  const images = review.images || [];
+  if (images.length > 0) {
+    let photosDone = 0;
+    const subject = { images, imageRecords: review.imageRecords || [], nonCompliantItems: violations };
+    await photoSection(layout, subject, images.length, () => {
+      photosDone += 1;
+      onProgress(photosDone, images.length);
+    });
+  }
+
+  const fileName = address.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '') || 'Review';
+  saveBlob(layout.finish(), `CCR_Review_${fileName}`);
+}
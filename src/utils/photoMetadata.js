@@ -0,0 +1,143 @@
+// EXIF capture time and GPS position of inspection photos
+// Photos are evidence in CCR disputes, so where and when each was taken is read
+// from the original file (processing strips EXIF) and stored on its image
+// record. Photos taken far from the property or long before the review are flagged.
+
+// A photo further than this from the geocoded address is flagged
+export const PHOTO_DISTANCE_WARNING_METERS = 250;
+
+// A photo taken this many days before the review date is flagged
+export const PHOTO_AGE_WARNING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read capture time and GPS position from a photo
+ * Photos without EXIF (screenshots, edited images) resolve with nulls.
+ * @param {File} file - Original photo as picked
+ * @returns {Promise<{takenAt: string|null, latitude: number|null, longitude: number|null}>}
+ */
+export async function readPhotoMetadata(file) {
+  const empty = { takenAt: null, latitude: null, longitude: null };
+
+  try {
+    const { default: exifr } = await import('exifr');
+    const exif = await exifr.parse(file, { gps: true });
+    if (!exif) return empty;
+
+    const taken = exif.DateTimeOriginal || exif.CreateDate;
+    const hasGps = Number.isFinite(exif.latitude) && Number.isFinite(exif.longitude);
+
+    return {
+      takenAt: taken instanceof Date && !isNaN(taken) ? taken.toISOString() : null,
+      latitude: hasGps ? exif.latitude : null,
+      longitude: hasGps ? exif.longitude : null
+    };
+  } catch (error) {
+    console.error('Error reading photo metadata:', file.name, error);
+    return empty;
+  }
+}
+
+/**
+ * Whether metadata has a GPS position
+ * @param {Object} metadata - Photo metadata or image record
+ * @returns {boolean}
+ */
+export function hasLocation(metadata) {
+  return Number.isFinite(metadata?.latitude) && Number.isFinite(metadata?.longitude);
+}
+
+const geocodeCache = new Map();
+
+/**
+ * Look up the coordinates of a property address with the Google Maps geocoder
+ * Resolves with null when Maps is not configured or the address is not found.
+ * @param {string} address - Property address
+ * @returns {Promise<{latitude: number, longitude: number}|null>}
+ */
+export function geocodeAddress(address) {
+  const key = (address || '').trim().toLowerCase();
+  if (!key || !window.google?.maps?.Geocoder) return Promise.resolve(null);
+
+  if (!geocodeCache.has(key)) {
+    const lookup = new window.google.maps.Geocoder()
+      .geocode({ address })
+      .then(({ results }) => {
+        const location = results[0]?.geometry?.location;
+        return location ? { latitude: location.lat(), longitude: location.lng() } : null;
+      })
+      .catch(error => {
+        console.error('Error geocoding address:', address, error);
+        geocodeCache.delete(key);
+        return null;
+      });
+    geocodeCache.set(key, lookup);
+  }
+
+  return geocodeCache.get(key);
+}
+
+/**
+ * Great-circle distance between two positions
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Meters
+ */
+export function distanceMeters(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const earthRadius = 6371000;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * earthRadius * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Format a distance for display
+ * @param {number} meters - Distance in meters
+ * @returns {string}
+ */
+export function formatDistance(meters) {
+  return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+}
+
+/**
+ * Warnings about where and when a photo was taken
+ * @param {Object} metadata - Photo metadata or image record ({ takenAt, latitude, longitude })
+ * @param {Object} context
+ * @param {string} [context.reviewDate] - Review date (YYYY-MM-DD or an ISO timestamp)
+ * @param {Object} [context.propertyLocation] - Geocoded property address
+ * @returns {Array<string>}
+ */
+export function getPhotoWarnings(metadata, { reviewDate, propertyLocation } = {}) {
+  const warnings = [];
+
+  if (hasLocation(metadata) && propertyLocation) {
+    const distance = distanceMeters(metadata, propertyLocation);
+    if (distance > PHOTO_DISTANCE_WARNING_METERS) {
+      warnings.push(`Taken ${formatDistance(distance)} from the property address`);
+    }
+  }
+
+  if (metadata?.takenAt && reviewDate) {
+    // Compare against the start of the review day in local time
+    const reviewDay = new Date(`${String(reviewDate).slice(0, 10)}T00:00:00`);
+    const daysBefore = Math.floor((reviewDay - new Date(metadata.takenAt)) / DAY_MS);
+    if (daysBefore >= PHOTO_AGE_WARNING_DAYS) {
+      warnings.push(`Taken ${daysBefore} days before the review date`);
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Google Maps link for a photo's position
+ * @param {Object} metadata - { latitude, longitude }
+ * @returns {string}
+ */
+export function mapLinkFor(metadata) {
+  return `https://www.google.com/maps?q=${metadata.latitude},${metadata.longitude}`;
+}
@@ -0,0 +1,288 @@
+// Storage for review photos
+// Every photo of a review lives under reviews/{reviewId}/, named after the
+// photo entry id so the same photo always lands on the same path, and carries
+// custom metadata linking it back to its review and uploader. Reviews from
+// before this layout keep their photos under compliance-photos/.
+
+import { storage } from '../firebase';
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { createThumbnail, thumbnailPathFor, toPhotoEntry } from './imageProcessing';
+import { getDisplayFile } from './annotations';
+import { createUploadManager, isUploadCanceled, FILE_STATUS } from './uploadManager';
+
+export const REVIEW_PHOTOS_FOLDER = 'reviews';
+export const LEGACY_PHOTOS_FOLDER = 'compliance-photos';
+
+/**
+ * Storage path for a photo of a review
+ * @param {string} reviewId - Review document id
+ * @param {string} photoId - Photo entry id
+ * @param {File} file - File being uploaded
+ * @returns {string}
+ */
+export function reviewPhotoPath(reviewId, photoId, file) {
+  const safeName = (file.name || 'photo').replace(/[^\w.-]+/g, '_');
+  return `${REVIEW_PHOTOS_FOLDER}/${reviewId}/${photoId}-${safeName}`;
+}
+
+/**
+ * Every Storage location a review's photos use: photos, thumbnails and originals
+ * @param {Object} review - Review data or a revision snapshot
+ * @returns {Array<string>} Download URLs and paths
+ */
+export function getStoredPhotoLocations(review) {
+  const locations = [...(review?.images || [])];
+  (review?.imageRecords || []).forEach(record => {
+    locations.push(
+      record.url, record.path,
+      record.thumbnailUrl, record.thumbnailPath,
+      record.originalUrl, record.originalPath
+    );
+  });
+  return locations.filter(Boolean);
+}
+
+/**
+ * Upload a single file and resolve with its download URL
+ * @param {File|Blob} file - File to upload
+ * @param {string} path - Storage path
+ * @param {Object} upload - { manager, customMetadata } shared by the photo's files
+ * @param {Function} [onProgress] - Called with 0-100 as bytes are sent
+ * @returns {Promise<string>}
+ */
+function uploadFile(file, path, { manager, customMetadata }, onProgress = () => {}) {
+  const uploadTask = uploadBytesResumable(ref(storage, path), file, {
+    contentType: file.type,
+    customMetadata
+  });
+  const untrack = manager.track(uploadTask);
+
+  return new Promise((resolve, reject) => {
+    uploadTask.on('state_changed',
+      (snapshot) => {
+        onProgress((snapshot.bytesTransferred / snapshot.totalBytes) * 100);
+      },
+      (error) => {
+        untrack();
+        reject(error);
+      },
+      async () => {
+        untrack();
+        try {
+          resolve(await getDownloadURL(uploadTask.snapshot.ref));
+        } catch (error) {
+          reject(error);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Delete uploaded photos with their thumbnails and originals
+ * Used when a submission is abandoned so its photos are not left behind.
+ * Missing objects are ignored; other failures are logged and skipped.
+ * @param {Array<Object>} records - Image records (empty slots allowed)
+ * @returns {Promise<void>}
+ */
+export async function deleteUploadedPhotos(records) {
+  const targets = records.filter(Boolean).flatMap(record => [
+    record.path || record.url,
+    record.thumbnailPath || record.thumbnailUrl,
+    record.originalPath || record.originalUrl
+  ]).filter(Boolean);
+
+  const results = await Promise.allSettled(
+    targets.map(target => deleteObject(ref(storage, target)))
+  );
+  results.forEach((result, index) => {
+    if (result.status === 'rejected' && result.reason?.code !== 'storage/object-not-found') {
+      console.error('Error deleting abandoned upload:', targets[index], result.reason);
+    }
+  });
+}
+
+/**
+ * Upload a photo's grid thumbnail next to it
+ * A photo that cannot be thumbnailed is still uploaded; grids fall back to the full photo.
+ * @param {File} file - Processed photo
+ * @param {string} path - Storage path of the photo
+ * @param {Object} upload - { manager, customMetadata }
+ * @returns {Promise<{thumbnailUrl: string|null, thumbnailPath: string|null}>}
+ */
+async function uploadThumbnail(file, path, upload) {
+  let thumbnail;
+  try {
+    thumbnail = await createThumbnail(file);
+  } catch (error) {
+    console.error('Error creating thumbnail:', file.name, error);
+    return { thumbnailUrl: null, thumbnailPath: null };
+  }
+
+  const thumbnailPath = thumbnailPathFor(path);
+  const thumbnailUrl = await uploadFile(thumbnail, thumbnailPath, upload);
+  return { thumbnailUrl, thumbnailPath };
+}
+
+/**
+ * Image records saved on a review, one per photo in the same order as images
+ * Older reviews only have the URL list.
+ * @param {Object} review - Review data
+ * @returns {Array<Object>} Records with at least a url
+ */
+export function getImageRecords(review) {
+  const records = review?.imageRecords || [];
+  return (review?.images || []).map(url =>
+    records.find(record => record.url === url) || { url }
+  );
+}
+
+/**
+ * Grid thumbnail URL for a photo on a review, falling back to the photo itself
+ * @param {Object} review - Review data
+ * @param {string} url - Photo download URL
+ * @returns {string}
+ */
+export function getThumbnailUrl(review, url) {
+  const record = (review?.imageRecords || []).find(r => r.url === url);
+  return record?.thumbnailUrl || url;
+}
+
+/**
+ * Upload one photo with its thumbnail and, when annotated, its original
+ * If any part fails the parts already uploaded are deleted, so a failed photo
+ * leaves nothing behind and a retry starts clean.
+ * @param {Object} photo - Photo entry
+ * @param {string} path - Storage path of the photo
+ * @param {string|null} originalPath - Storage path of the original when annotated
+ * @param {Object} upload - { manager, customMetadata }
+ * @param {Function} onProgress - Called with 0-100 as the photo is sent
+ * @returns {Promise<Object>} Image record
+ */
+async function uploadPhoto(photo, path, originalPath, upload, onProgress) {
+  const { metadata } = photo;
+  const file = getDisplayFile(photo);
+  const record = {
+    url: null,
+    path,
+    thumbnailUrl: null,
+    thumbnailPath: null,
+    originalUrl: null,
+    originalPath: null,
+    originalName: upload.customMetadata.originalName,
+    contentType: file.type,
+    size: file.size,
+    takenAt: metadata?.takenAt || null,
+    latitude: metadata?.latitude ?? null,
+    longitude: metadata?.longitude ?? null
+  };
+
+  try {
+    record.url = await uploadFile(file, path, upload, onProgress);
+    Object.assign(record, await uploadThumbnail(file, path, upload));
+
+    if (photo.annotatedFile) {
+      record.originalUrl = await uploadFile(photo.file, originalPath, upload);
+      record.originalPath = originalPath;
+    }
+    return record;
+  } catch (error) {
+    if (record.url) await deleteUploadedPhotos([record]);
+    throw error;
+  }
+}
+
+/**
+ * Upload photos in parallel, each with a thumbnail
+ * An annotated photo uploads its annotated copy as the photo everyone sees
+ * (url, thumbnail) and the untouched original as originalUrl. A photo that
+ * fails does not stop the others; the call rejects once every photo has
+ * finished, and calling again with the records reported so far only retries
+ * the photos that failed.
+ * @param {Array<Object>} photos - Photo entries ({ id, file, metadata, annotatedFile }) to upload
+ * @param {Object} options
+ * @param {string} options.reviewId - Review the photos belong to; it need not exist yet
+ * @param {string} options.uploadedBy - Email of the uploader, stored in the Storage metadata
+ * @param {Array<Object>} [options.uploaded] - Records already uploaded by index; those photos are skipped
+ * @param {Object} [options.manager] - Upload manager from createUploadManager, to pause or cancel
+ * @param {Function} [options.onProgress] - Called with overall 0-100 progress
+ * @param {Function} [options.onFileProgress] - Called with (index, { name, status, progress, error })
+ * @param {Function} [options.onFileUploaded] - Called with (index, record) after each photo
+ * @returns {Promise<Array<Object>>} Image records ({ url, path, thumbnailUrl, thumbnailPath,
+ *   originalUrl, originalPath, originalName, contentType, size, takenAt, latitude, longitude })
+ *   in the same order as photos
+ */
+export async function uploadPhotos(photos, options) {
+  const {
+    reviewId,
+    uploadedBy,
+    uploaded = [],
+    manager = createUploadManager(),
+    onProgress = () => {},
+    onFileProgress = () => {},
+    onFileUploaded = () => {}
+  } = options;
+
+  const entries = photos.map(toPhotoEntry);
+  const records = entries.map((_, i) => uploaded[i] || null);
+  const progress = records.map(record => (record ? 100 : 0));
+
+  const report = (index, update) => {
+    if (update.progress !== undefined) {
+      progress[index] = update.progress;
+      onProgress(progress.reduce((sum, value) => sum + value, 0) / (entries.length || 1));
+    }
+    onFileProgress(index, { name: getDisplayFile(entries[index]).name, ...update });
+  };
+
+  entries.forEach((_, i) => report(i, records[i]
+    ? { status: FILE_STATUS.DONE, progress: 100 }
+    : { status: FILE_STATUS.QUEUED, progress: 0 }));
+
+  const errors = await manager.run(entries.length, async (i) => {
+    if (records[i]) return;
+
+    const photo = entries[i];
+    const file = getDisplayFile(photo);
+    report(i, { status: FILE_STATUS.UPLOADING, progress: 0 });
+
+    try {
+      const path = reviewPhotoPath(reviewId, photo.id, file);
+      const originalPath = photo.annotatedFile ? reviewPhotoPath(reviewId, photo.id, photo.file) : null;
+      const customMetadata = {
+        reviewId,
+        uploadedBy,
+        originalName: photo.originalName || photo.file.name
+      };
+      records[i] = await uploadPhoto(photo, path, originalPath, { manager, customMetadata }, (value) => {
+        report(i, { progress: value });
+      });
+      await onFileUploaded(i, records[i]);
+      report(i, { status: FILE_STATUS.DONE, progress: 100 });
+    } catch (error) {
+      const canceled = isUploadCanceled(error);
+      if (!canceled) console.error('Error uploading file:', file.name, error);
+      report(i, {
+        status: canceled ? FILE_STATUS.CANCELED : FILE_STATUS.FAILED,
+        progress: 0,
+        error: canceled ? '' : error.message
+      });
+      throw error;
+    }
+  });
+
+  if (manager.isCanceled()) {
+    throw errors.find(isUploadCanceled) || errors.find(Boolean) || new Error('Upload canceled');
+  }
+
+  const failed = errors.filter(Boolean);
+  if (failed.length > 0) {
+    const error = new Error(
+      `${failed.length} of ${entries.length} photo(s) failed to upload (${failed[0].message})`
+    );
+    error.failedCount = failed.length;
+    throw error;
+  }
+
+  return records;
+}
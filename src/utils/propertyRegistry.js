@@ -0,0 +1,390 @@
+// Property registry
+// Each property in the community is a document in properties/{id} with its
+// display address, a normalized address used for matching, lot number, owner
+// name, owner mailing address and owner email. When the owner changes, the
+// previous owner is kept in previousOwners. Reviews reference it by propertyId and keep
+// propertyAddress for display. Reviews from before the registry (or captured
+// offline for an unregistered address) are matched by normalized address.
+// The last loaded registry is cached on the device so the form works offline.
+
+import { db } from '../firebase';
+import { collection, doc, getDocs, query, runTransaction, where, writeBatch } from 'firebase/firestore';
+
+const PROPERTIES_COLLECTION = 'properties';
+const CACHE_KEY = 'ccr-properties';
+
+// Firestore allows at most 500 writes per batch
+const BATCH_LIMIT = 500;
+
+// Fields a user edits; the rest are derived or audit fields
+export const PROPERTY_FIELDS = ['address', 'lotNumber', 'ownerName', 'mailingAddress', 'ownerEmail'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// USPS standard abbreviations, so "Street" and "St" match
+const STREET_SUFFIXES = {
+  avenue: 'ave', boulevard: 'blvd', circle: 'cir', court: 'ct', drive: 'dr',
+  highway: 'hwy', lane: 'ln', parkway: 'pkwy', place: 'pl', road: 'rd',
+  square: 'sq', street: 'st', terrace: 'ter', trail: 'trl', way: 'way', loop: 'loop'
+};
+
+const DIRECTIONS = {
+  north: 'n', south: 's', east: 'e', west: 'w',
+  northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw'
+};
+
+const UNIT_WORDS = ['apartment', 'apt', 'unit', 'suite', 'ste'];
+
+/**
+ * Normalize an address for matching
+ * Only the street line is kept (the part before the first comma): the whole
+ * community shares one city, and Google adds city, state and country that a
+ * typed address usually leaves out.
+ * @param {string} address - Address as typed or formatted by Google
+ * @returns {string} e.g. "123 main st unit 4"
+ */
+export function normalizeAddress(address) {
+  const street = String(address || '').split(',')[0].toLowerCase();
+
+  return street
+    .replace(/#\s*/g, ' unit ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => {
+      if (STREET_SUFFIXES[word]) return STREET_SUFFIXES[word];
+      if (DIRECTIONS[word]) return DIRECTIONS[word];
+      if (UNIT_WORDS.includes(word)) return 'unit';
+      return word;
+    })
+    .join(' ');
+}
+
+/**
+ * Document id for a new property, derived from its normalized address
+ * @param {string} address - Property address
+ * @returns {string}
+ */
+function propertyIdFor(address) {
+  return normalizeAddress(address).replace(/\s+/g, '-');
+}
+
+function readCachedProperties() {
+  try {
+    return JSON.parse(window.localStorage.getItem(CACHE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function cacheProperties(properties) {
+  try {
+    window.localStorage.setItem(CACHE_KEY, JSON.stringify(properties));
+  } catch (error) {
+    console.error('Error caching property registry:', error);
+  }
+}
+
+function sortByAddress(properties) {
+  return [...properties].sort((a, b) =>
+    a.address.localeCompare(b.address, undefined, { numeric: true })
+  );
+}
+
+/**
+ * Load the property registry, falling back to the device cache when offline
+ * @returns {Promise<{properties: Array<Object>, fromCache: boolean}>}
+ */
+export async function loadProperties() {
+  try {
+    const snapshot = await getDocs(collection(db, PROPERTIES_COLLECTION));
+    const properties = sortByAddress(snapshot.docs.map(propertyDoc => ({
+      id: propertyDoc.id,
+      ...propertyDoc.data()
+    })));
+    cacheProperties(properties);
+    return { properties, fromCache: false };
+  } catch (error) {
+    const cached = readCachedProperties();
+    if (cached.length === 0) throw error;
+    console.error('Error loading property registry, using the device copy:', error);
+    return { properties: cached, fromCache: true };
+  }
+}
+
+/**
+ * Check property fields before saving
+ * @param {Object} fields - { address, lotNumber, ownerName, mailingAddress, ownerEmail }
+ * @returns {Array<string>} Problems, empty when valid
+ */
+export function validateProperty(fields) {
+  const problems = [];
+  if (!normalizeAddress(fields.address)) problems.push('Enter the property address.');
+  const email = (fields.ownerEmail || '').trim();
+  if (email && !EMAIL_PATTERN.test(email)) problems.push(`"${email}" is not a valid email address.`);
+  return problems;
+}
+
+/**
+ * Trimmed user-editable fields plus the normalized address
+ * @param {Object} fields - Property fields
+ * @returns {Object}
+ */
+export function cleanPropertyFields(fields) {
+  const cleaned = {};
+  PROPERTY_FIELDS.forEach(field => {
+    cleaned[field] = String(fields[field] || '').trim();
+  });
+  cleaned.normalizedAddress = normalizeAddress(cleaned.address);
+  return cleaned;
+}
+
+// When the owner changes, the outgoing owner is added to previousOwners so
+// letters and reviews sent to them can still be traced
+function ownerChangeFields(current, updates, changedAt) {
+  const previousOwner = (current.ownerName || '').trim();
+  if (!previousOwner || previousOwner.toLowerCase() === updates.ownerName.toLowerCase()) return {};
+
+  return {
+    previousOwners: [
+      ...(current.previousOwners || []),
+      {
+        ownerName: previousOwner,
+        mailingAddress: current.mailingAddress || '',
+        ownerEmail: current.ownerEmail || '',
+        until: changedAt
+      }
+    ]
+  };
+}
+
+/**
+ * Add a property to the registry
+ * Fails when the address is already registered, so two people adding the same
+ * property at once cannot create duplicates.
+ * @param {Object} fields - { address, lotNumber, ownerName, mailingAddress }
+ * @param {string} userEmail - Email of the user adding it
+ * @returns {Promise<Object>} The new property with its id
+ */
+export async function createProperty(fields, userEmail) {
+  const property = {
+    ...cleanPropertyFields(fields),
+    createdAt: new Date().toISOString(),
+    createdBy: userEmail
+  };
+  const propertyRef = doc(db, PROPERTIES_COLLECTION, propertyIdFor(property.address));
+
+  // A property whose address was corrected no longer sits at the id its address gives
+  const registered = await findPropertyByAddress(property.address);
+  if (registered) {
+    throw new Error(`${registered.address} is already in the property registry.`);
+  }
+
+  await runTransaction(db, async (transaction) => {
+    const existing = await transaction.get(propertyRef);
+    if (existing.exists()) {
+      throw new Error(`${existing.data().address} is already in the property registry.`);
+    }
+    transaction.set(propertyRef, property);
+  });
+
+  return { id: propertyRef.id, ...property };
+}
+
+/**
+ * Update a registered property
+ * The id stays the same when the address is corrected or the owner changes,
+ * so reviews keep pointing at it.
+ * @param {string} propertyId - Property document id
+ * @param {Object} fields - { address, lotNumber, ownerName, mailingAddress, ownerEmail }
+ * @param {string} userEmail - Email of the user making the change
+ * @returns {Promise<Object>} The saved fields
+ */
+export async function updateProperty(propertyId, fields, userEmail) {
+  let updates = {
+    ...cleanPropertyFields(fields),
+    updatedAt: new Date().toISOString(),
+    updatedBy: userEmail
+  };
+
+  const registered = await findPropertyByAddress(updates.address);
+  if (registered && registered.id !== propertyId) {
+    throw new Error(`${registered.address} is already in the property registry.`);
+  }
+
+  const propertyRef = doc(db, PROPERTIES_COLLECTION, propertyId);
+  await runTransaction(db, async (transaction) => {
+    const current = await transaction.get(propertyRef);
+    if (!current.exists()) throw new Error('This property is no longer in the registry.');
+    updates = { ...updates, ...ownerChangeFields(current.data(), updates, updates.updatedAt) };
+    transaction.update(propertyRef, updates);
+  });
+  return updates;
+}
+
+/**
+ * Create and update many properties at once, as a roster import does
+ * Writes are committed in batches, so a failure part way leaves the earlier
+ * batches saved; running the import again picks up where it stopped.
+ * @param {Object} changes
+ * @param {Array<Object>} changes.creates - Fields of new properties
+ * @param {Array<{property: Object, fields: Object}>} changes.updates - Registered
+ *   property and its new fields
+ * @param {Array<Object>} properties - Loaded registry, so new ids never reuse a taken one
+ * @param {string} userEmail - Email of the user importing
+ * @param {Function} [onProgress] - Called with (written, total)
+ * @returns {Promise<{created: number, updated: number}>}
+ */
+export async function saveProperties({ creates, updates }, properties, userEmail, onProgress) {
+  const now = new Date().toISOString();
+  const takenIds = new Set(properties.map(property => property.id));
+  const writes = [];
+
+  creates.forEach(fields => {
+    const cleaned = cleanPropertyFields(fields);
+    // An address-based id may already belong to a property whose address was corrected
+    const slug = propertyIdFor(cleaned.address);
+    const propertyRef = takenIds.has(slug)
+      ? doc(collection(db, PROPERTIES_COLLECTION))
+      : doc(db, PROPERTIES_COLLECTION, slug);
+    takenIds.add(propertyRef.id);
+    writes.push(batch => batch.set(propertyRef, { ...cleaned, createdAt: now, createdBy: userEmail }));
+  });
+
+  updates.forEach(({ property, fields }) => {
+    const cleaned = cleanPropertyFields(fields);
+    writes.push(batch => batch.update(doc(db, PROPERTIES_COLLECTION, property.id), {
+      ...cleaned,
+      ...ownerChangeFields(property, cleaned, now),
+      updatedAt: now,
+      updatedBy: userEmail
+    }));
+  });
+
+  for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(start, start + BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+    onProgress?.(Math.min(start + BATCH_LIMIT, writes.length), writes.length);
+  }
+
+  return { created: creates.length, updated: updates.length };
+}
+
+/**
+ * Look up a registered property by address in Firestore
+ * @param {string} address - Address as typed
+ * @returns {Promise<Object|null>}
+ */
+export async function findPropertyByAddress(address) {
+  const normalized = normalizeAddress(address);
+  if (!normalized) return null;
+
+  const snapshot = await getDocs(query(
+    collection(db, PROPERTIES_COLLECTION),
+    where('normalizedAddress', '==', normalized)
+  ));
+  const match = snapshot.docs[0];
+  return match ? { id: match.id, ...match.data() } : null;
+}
+
+/**
+ * Registered property with the same normalized address
+ * @param {Array<Object>} properties - Loaded registry
+ * @param {string} address - Address as typed
+ * @returns {Object|null}
+ */
+export function matchProperty(properties, address) {
+  const normalized = normalizeAddress(address);
+  if (!normalized) return null;
+  return properties.find(property => property.normalizedAddress === normalized) || null;
+}
+
+/**
+ * Registry entries matching a search by address, lot number or owner
+ * @param {Array<Object>} properties - Loaded registry
+ * @param {string} text - Search text
+ * @param {number} [limit] - Most results returned
+ * @returns {Array<Object>}
+ */
+export function searchProperties(properties, text, limit = 8) {
+  const normalized = normalizeAddress(text);
+  const lower = String(text || '').trim().toLowerCase();
+  if (!lower) return [];
+
+  return properties.filter(property =>
+    (normalized && property.normalizedAddress.includes(normalized)) ||
+    property.lotNumber?.toLowerCase() === lower ||
+    property.ownerName?.toLowerCase().includes(lower)
+  ).slice(0, limit);
+}
+
+/**
+ * Registry entry a review belongs to
+ * @param {Object} review - Review data
+ * @param {Array<Object>} properties - Loaded registry
+ * @returns {Object|null}
+ */
+export function findReviewProperty(review, properties) {
+  if (review.propertyId) {
+    const linked = properties.find(property => property.id === review.propertyId);
+    if (linked) return linked;
+  }
+  return matchProperty(properties, review.propertyAddress);
+}
+
+/**
+ * Sort comparator ordering reviews newest first, by review date then submission time
+ * @param {Object} a - Review
+ * @param {Object} b - Review
+ * @returns {number}
+ */
+export function compareNewestFirst(a, b) {
+  const timeOf = review => `${review.date || ''}|${review.submittedAt || ''}`;
+  return timeOf(b).localeCompare(timeOf(a));
+}
+
+/**
+ * Most recent review in a list, by review date then submission time
+ * @param {Array<Object>} reviews - Reviews of one property
+ * @returns {Object|undefined}
+ */
+export function latestReview(reviews) {
+  return [...reviews].sort(compareNewestFirst)[0];
+}
+
+/**
+ * Group reviews by the property they belong to
+ * Reviews that match no registry entry are grouped by normalized address.
+ * @param {Array<Object>} reviews - Reviews
+ * @param {Array<Object>} properties - Loaded registry
+ * @returns {Array<{key: string, property: Object|null, address: string, reviews: Array<Object>}>}
+ *   Sorted by address, each group's reviews newest first
+ */
+export function groupReviewsByProperty(reviews, properties) {
+  const groups = new Map();
+
+  reviews.forEach(review => {
+    const property = findReviewProperty(review, properties);
+    const key = property
+      ? property.id
+      : `address:${normalizeAddress(review.propertyAddress) || review.id}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        property,
+        address: property?.address || review.propertyAddress || 'Address not provided',
+        reviews: []
+      });
+    }
+    groups.get(key).reviews.push(review);
+  });
+
+  const sorted = [...groups.values()].map(group => ({
+    ...group,
+    reviews: [...group.reviews].sort(compareNewestFirst)
+  }));
+
+  return sorted.sort((a, b) => a.address.localeCompare(b.address, undefined, { numeric: true }));
+}
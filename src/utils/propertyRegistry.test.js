@@ -0,0 +1,84 @@
+import {
+  groupReviewsByProperty,
+  matchProperty,
+  normalizeAddress,
+  searchProperties,
+  validateProperty
+} from './propertyRegistry';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const properties = [
+  { id: 'a', address: '123 Main Street', normalizedAddress: '123 main st', lotNumber: '12', ownerName: 'Jane Smith' },
+  { id: 'b', address: '9 N Oak Ave #4', normalizedAddress: '9 n oak ave unit 4', lotNumber: '7B', ownerName: 'Ann Lee' }
+];
+
+describe('normalizeAddress', () => {
+  it('abbreviates street suffixes and directions', () => {
+    expect(normalizeAddress('123 North Main Street')).toBe('123 n main st');
+    expect(normalizeAddress('45 Sunrise Boulevard')).toBe('45 sunrise blvd');
+  });
+
+  it('keeps only the street line', () => {
+    expect(normalizeAddress('123 Main St, Tucson, AZ 85701, USA')).toBe('123 main st');
+  });
+
+  it('writes every unit designator the same way', () => {
+    expect(normalizeAddress('9 Oak Ave #4')).toBe('9 oak ave unit 4');
+    expect(normalizeAddress('9 Oak Ave Apt. 4')).toBe('9 oak ave unit 4');
+    expect(normalizeAddress('9 Oak Ave Suite 4')).toBe('9 oak ave unit 4');
+  });
+
+  it('ignores case, punctuation and extra spaces', () => {
+    expect(normalizeAddress('  123   MAIN st.  ')).toBe('123 main st');
+  });
+
+  it('returns an empty string for a missing address', () => {
+    expect(normalizeAddress('')).toBe('');
+    expect(normalizeAddress(undefined)).toBe('');
+  });
+});
+
+describe('matchProperty', () => {
+  it('finds a property however the address is written', () => {
+    expect(matchProperty(properties, '123 Main St, Tucson, AZ')).toBe(properties[0]);
+    expect(matchProperty(properties, '9 North Oak Avenue Unit 4')).toBe(properties[1]);
+  });
+
+  it('returns null for an unknown or empty address', () => {
+    expect(matchProperty(properties, '125 Main St')).toBeNull();
+    expect(matchProperty(properties, '')).toBeNull();
+  });
+});
+
+describe('searchProperties', () => {
+  it('searches by address, lot number and owner', () => {
+    expect(searchProperties(properties, 'main')).toEqual([properties[0]]);
+    expect(searchProperties(properties, '7b')).toEqual([properties[1]]);
+    expect(searchProperties(properties, 'lee')).toEqual([properties[1]]);
+    expect(searchProperties(properties, '  ')).toEqual([]);
+  });
+});
+
+describe('validateProperty', () => {
+  it('requires an address and a valid owner email', () => {
+    expect(validateProperty({ address: '123 Main St', ownerEmail: '' })).toEqual([]);
+    expect(validateProperty({ address: ' , ', ownerEmail: 'nope' })).toHaveLength(2);
+  });
+});
+
+describe('groupReviewsByProperty', () => {
+  it('groups linked and matching reviews under their property, newest first', () => {
+    const reviews = [
+      { id: 'r1', propertyId: 'a', propertyAddress: '123 Main St', date: '2024-01-10' },
+      { id: 'r2', propertyAddress: '123 Main Street, Tucson', date: '2024-03-02' },
+      { id: 'r3', propertyAddress: '500 Unregistered Rd', date: '2024-02-01' }
+    ];
+
+    const groups = groupReviewsByProperty(reviews, properties);
+
+    expect(groups.map(group => group.key)).toEqual(['a', 'address:500 unregistered rd']);
+    expect(groups[0].reviews.map(review => review.id)).toEqual(['r2', 'r1']);
+    expect(groups[1].property).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+// Guided re-inspections
+// A re-inspection is a review linked to the review it follows up on
+// (parentReviewId). It only checks the items the parent rated as a violation;
+// each gets an outcome, stored in reinspectionOutcomes and turned into a
+// rating so reports and comparisons treat it like any other review. Once it is
+// saved, the parent's complianceStatus is updated from the outcomes.
+
+import { db } from '../firebase';
+import { doc, getDoc } from 'firebase/firestore';
+import { getChecklistForReview, getChecklistItems, VIOLATION_RATINGS } from './checklistSchema';
+import { updateReview } from './reviewStore';
+import { toLocalDateString } from './dates';
+
+export const REINSPECTION_OUTCOMES = {
+  RESOLVED: 'resolved',
+  STILL_OPEN: 'still-open',
+  WORSE: 'worse'
+};
+
+export const OUTCOME_LABELS = {
+  [REINSPECTION_OUTCOMES.RESOLVED]: 'Resolved',
+  [REINSPECTION_OUTCOMES.STILL_OPEN]: 'Still open',
+  [REINSPECTION_OUTCOMES.WORSE]: 'Worse'
+};
+
+/**
+ * Checklist items a re-inspection of this review checks
+ * @param {Object} parent - Review being followed up
+ * @returns {Array<Object>} Items the parent rated as a violation
+ */
+export function getReinspectionItems(parent) {
+  return getChecklistItems(getChecklistForReview(parent))
+    .filter(item => VIOLATION_RATINGS.includes(parent[item.key]));
+}
+
+/**
+ * Rating recorded for an item from its re-inspection outcome
+ * @param {string} previousRating - The parent's rating, 'minor' or 'major'
+ * @param {string} outcome - One of REINSPECTION_OUTCOMES
+ * @returns {string}
+ */
+export function ratingForOutcome(previousRating, outcome) {
+  if (outcome === REINSPECTION_OUTCOMES.RESOLVED) return 'accept';
+  if (outcome === REINSPECTION_OUTCOMES.WORSE) return 'major';
+  return previousRating;
+}
+
+/**
+ * Compliance status that follows from a set of outcomes
+ * @param {Object} outcomes - Outcome by item key
+ * @returns {string} 'resolved' when everything was fixed, 'further-action'
+ *   when anything got worse, otherwise 'in-progress'
+ */
+export function reinspectionStatus(outcomes) {
+  const values = Object.values(outcomes || {});
+  if (values.includes(REINSPECTION_OUTCOMES.WORSE)) return 'further-action';
+  if (values.length > 0 && values.every(value => value === REINSPECTION_OUTCOMES.RESOLVED)) return 'resolved';
+  return 'in-progress';
+}
+
+/**
+ * Form fields a new re-inspection starts with
+ * @param {Object} parent - Review being followed up, with its id
+ * @returns {Object}
+ */
+export function buildReinspectionFields(parent) {
+  return {
+    parentReviewId: parent.id,
+    propertyId: parent.propertyId || '',
+    propertyAddress: parent.propertyAddress || '',
+    date: toLocalDateString(),
+    reinspectionOutcomes: {}
+  };
+}
+
+/**
+ * Load the review a re-inspection follows up on
+ * @param {string} reviewId - Parent review id
+ * @returns {Promise<Object>} Review data with its id
+ */
+export async function loadParentReview(reviewId) {
+  const parentSnap = await getDoc(doc(db, 'complianceReviews', reviewId));
+  if (!parentSnap.exists()) {
+    throw new Error('The review being re-inspected was not found. It may have been deleted.');
+  }
+  return { id: parentSnap.id, ...parentSnap.data() };
+}
+
+/**
+ * Update the parent review's compliance status from a saved re-inspection
+ * Safe to repeat (the submission queue may replay it), and an older
+ * re-inspection never overrides a newer one.
+ * @param {Object} review - Saved re-inspection data
+ * @param {string} reviewId - Re-inspection review id
+ * @param {string} userEmail - Email of the reviewer
+ * @returns {Promise<boolean>} Whether the parent was changed
+ */
+export async function applyReinspectionOutcome(review, reviewId, userEmail) {
+  const parentSnap = await getDoc(doc(db, 'complianceReviews', review.parentReviewId));
+  if (!parentSnap.exists()) return false;
+
+  const parent = parentSnap.data();
+  const complianceStatus = reinspectionStatus(review.reinspectionOutcomes);
+  const isLatest = !parent.lastReinspectionId ||
+    parent.lastReinspectionId === reviewId ||
+    (parent.lastReinspectedAt || '') <= review.date;
+
+  if (!isLatest) return false;
+  if (parent.lastReinspectionId === reviewId && parent.complianceStatus === complianceStatus) return false;
+
+  await updateReview(review.parentReviewId, {
+    complianceStatus,
+    lastReinspectionId: reviewId,
+    lastReinspectedAt: review.date
+  }, userEmail, 'reinspected');
+  return true;
+}
+
+/**
+ * Claim a review's scheduled re-inspection so other reviewers know it is taken
+ * @param {string} reviewId - Review to re-inspect
+ * @param {string} userEmail - Email of the reviewer claiming it
+ * @returns {Promise<Array>} The recorded changes
+ */
+export async function claimReinspection(reviewId, userEmail) {
+  return updateReview(reviewId, (current) => {
+    if (current.reinspectionClaimedBy && current.reinspectionClaimedBy !== userEmail) {
+      throw new Error(`${current.reinspectionClaimedBy} has already claimed this re-inspection.`);
+    }
+    return { reinspectionClaimedBy: userEmail, reinspectionClaimedAt: new Date().toISOString() };
+  }, userEmail, 'claimed');
+}
+
+/**
+ * Give up a claimed re-inspection so someone else can take it
+ * @param {string} reviewId - Review whose re-inspection was claimed
+ * @param {string} userEmail - Email of the user releasing it
+ * @returns {Promise<Array>} The recorded changes
+ */
+export async function releaseReinspection(reviewId, userEmail) {
+  return updateReview(reviewId, {
+    reinspectionClaimedBy: '',
+    reinspectionClaimedAt: ''
+  }, userEmail, 'released');
+}
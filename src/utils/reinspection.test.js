@@ -0,0 +1,56 @@
+import {
+  REINSPECTION_OUTCOMES,
+  buildReinspectionFields,
+  getReinspectionItems,
+  ratingForOutcome,
+  reinspectionStatus
+} from './reinspection';
+import { toLocalDateString } from './dates';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('./reviewStore', () => ({ updateReview: jest.fn() }));
+
+const { RESOLVED, STILL_OPEN, WORSE } = REINSPECTION_OUTCOMES;
+
+describe('reinspectionStatus', () => {
+  it('is resolved only when every item was fixed', () => {
+    expect(reinspectionStatus({ paintStucco: RESOLVED, tileRoof: RESOLVED })).toBe('resolved');
+    expect(reinspectionStatus({ paintStucco: RESOLVED, tileRoof: STILL_OPEN })).toBe('in-progress');
+  });
+
+  it('needs further action when anything got worse', () => {
+    expect(reinspectionStatus({ paintStucco: RESOLVED, tileRoof: WORSE })).toBe('further-action');
+  });
+
+  it('stays in progress with no outcomes', () => {
+    expect(reinspectionStatus({})).toBe('in-progress');
+    expect(reinspectionStatus(undefined)).toBe('in-progress');
+  });
+});
+
+describe('ratingForOutcome', () => {
+  it('turns each outcome into a rating', () => {
+    expect(ratingForOutcome('minor', RESOLVED)).toBe('accept');
+    expect(ratingForOutcome('minor', STILL_OPEN)).toBe('minor');
+    expect(ratingForOutcome('minor', WORSE)).toBe('major');
+  });
+});
+
+describe('getReinspectionItems', () => {
+  it('lists only the items the parent rated as a violation', () => {
+    const parent = { paintStucco: 'minor', tileRoof: 'major', gutters: 'accept', windows: 'na' };
+    expect(getReinspectionItems(parent).map(item => item.key)).toEqual(['paintStucco', 'tileRoof']);
+  });
+});
+
+describe('buildReinspectionFields', () => {
+  it('links the parent and starts on the local date', () => {
+    expect(buildReinspectionFields({ id: 'r1', propertyId: 'p1', propertyAddress: '123 Main St' })).toEqual({
+      parentReviewId: 'r1',
+      propertyId: 'p1',
+      propertyAddress: '123 Main St',
+      date: toLocalDateString(),
+      reinspectionOutcomes: {}
+    });
+  });
+});
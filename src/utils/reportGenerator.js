@@ -1,54 +1,41 @@
 // Utility for generating compliance reports from Firebase submissions
 
-// All inspection items to check
-const INSPECTION_ITEMS = [
-  { key: 'overallAppearance', label: 'Overall Appearance' },
-  { key: 'paintStucco', label: 'Paint/Stucco' },
-  { key: 'tileRoof', label: 'Tile Roof' },
-  { key: 'gutters', label: 'Gutters' },
-  { key: 'windows', label: 'Windows' },
-  { key: 'doors', label: 'Doors' },
-  { key: 'fencing', label: 'Fencing' },
-  { key: 'driveway', label: 'Driveway' },
-  { key: 'walkways', label: 'Walkways' },
-  { key: 'landscapeOverall', label: 'Landscape Overall' },
-  { key: 'groundCover', label: 'Ground Cover' },
-  { key: 'treesShrubs', label: 'Trees & Shrubs' },
-  { key: 'deadPlants', label: 'Dead Plants' },
-  { key: 'mistletoe', label: 'Mistletoe' },
-  { key: 'rocksGravel', label: 'Rocks/Gravel' },
-  { key: 'mailbox', label: 'Mailbox' },
-  { key: 'lamppost', label: 'Lamppost' },
-  { key: 'houseNumbers', label: 'House Numbers' },
-  { key: 'exteriorLighting', label: 'Exterior Lighting' },
-  { key: 'trashDebris', label: 'Trash/Debris' },
-  { key: 'trashCans', label: 'Trash Cans' },
-  { key: 'unauthorizedStructures', label: 'Unauthorized Structures' },
-  { key: 'inoperableVehicles', label: 'Inoperable Vehicles' },
-  { key: 'commercialVehicles', label: 'Commercial Vehicles' },
-  { key: 'approvedParking', label: 'Approved Parking' }
-];
+import { getChecklistForReview, getChecklistItems, VIOLATION_RATINGS } from './checklistSchema';
+import { getItemNote } from './itemNotes';
+import { citationsFor, formatCitation } from './ccrCitations';
+import { groupReviewsByProperty, latestReview } from './propertyRegistry';
 
 /**
  * Generate a compliance report from all Firebase submissions
+ * Reviews are grouped by registered property, so "123 Main St" and
+ * "123 Main Street" are one property, and each property is reported from its
+ * most recent review.
  * @param {Array} allReviews - All compliance reviews from Firebase
- * @returns {Array} Array of report items grouped by address
+ * @param {Array} [properties] - Property registry
+ * @param {Object} [citationsByItem] - CCR citations from loadCitations
+ * @returns {Array} Array of report items, one per property with violations
  */
-export function generateComplianceReport(allReviews) {
+export function generateComplianceReport(allReviews, properties = [], citationsByItem = {}) {
   const reportData = [];
 
-  allReviews.forEach(review => {
+  groupReviewsByProperty(allReviews, properties).forEach(group => {
+    const review = latestReview(group.reviews);
     const nonCompliantItems = [];
 
-    // Check each inspection item for non-accept values
-    INSPECTION_ITEMS.forEach(item => {
+    // Check each item on the checklist the review was captured with
+    getChecklistItems(getChecklistForReview(review)).forEach(item => {
       const value = review[item.key];
-      // If the value exists and is NOT "accept" or "na", it's a violation
-      if (value && value !== 'accept' && value !== 'na') {
+      if (VIOLATION_RATINGS.includes(value)) {
+        const note = getItemNote(review.itemNotes, item.key);
         nonCompliantItems.push({
-          item: item.label,
+          key: item.key,
+          item: item.shortLabel,
+          section: item.section,
           status: value, // 'minor' or 'major'
-          severity: value === 'major' ? 'Major' : 'Minor'
+          severity: value === 'major' ? 'Major' : 'Minor',
+          comment: note.comment,
+          images: note.images,
+          citations: citationsFor(citationsByItem, item.key)
         });
       }
     });
@@ -56,13 +43,20 @@ export function generateComplianceReport(allReviews) {
     // Only include in report if there are non-compliant items
     if (nonCompliantItems.length > 0) {
       reportData.push({
-        address: review.propertyAddress || 'Address not provided',
+        reviewId: review.id,
+        propertyId: group.property?.id || '',
+        address: group.address,
+        lotNumber: group.property?.lotNumber || '',
+        ownerName: group.property?.ownerName || '',
+        mailingAddress: group.property?.mailingAddress || '',
+        reviewCount: group.reviews.length,
         reviewTeam: review.reviewTeam || 'Unknown',
         reviewDate: review.date || review.submittedAt,
         submittedBy: review.submittedBy || 'Unknown',
         complianceStatus: review.complianceStatus || 'Not specified',
         nonCompliantItems: nonCompliantItems,
         images: review.images || [],
+        imageRecords: review.imageRecords || [],
         imageCount: review.imageCount || 0,
         comments: review.detailedComments || '',
         violationNotice: review.violationNotice === 'yes',
@@ -73,9 +67,6 @@ export function generateComplianceReport(allReviews) {
     }
   });
 
-  // Sort by address for easier reading
-  reportData.sort((a, b) => a.address.localeCompare(b.address));
-
   return reportData;
 }
 
@@ -118,6 +109,8 @@ export function formatReportAsHTML(reportData) {
         </h2>
 
         <div style="background: #f7fafc; padding: 15px; border-radius: 5px; margin: 15px 0;">
+          ${property.lotNumber ? `<p style="margin: 5px 0;"><strong>Lot:</strong> ${property.lotNumber}</p>` : ''}
+          ${property.ownerName ? `<p style="margin: 5px 0;"><strong>Owner:</strong> ${property.ownerName}</p>` : ''}
           <p style="margin: 5px 0;"><strong>Review Team:</strong> ${property.reviewTeam}</p>
           <p style="margin: 5px 0;"><strong>Review Date:</strong> ${new Date(property.reviewDate).toLocaleDateString()}</p>
           <p style="margin: 5px 0;"><strong>Submitted By:</strong> ${property.submittedBy}</p>
@@ -135,7 +128,7 @@ export function formatReportAsHTML(reportData) {
           <div style="margin: 15px 0;">
             <h4 style="color: #c53030; margin-bottom: 10px;">🔴 Major Issues (${majorItems.length}):</h4>
             <ul style="color: #2d3748;">
-              ${majorItems.map(item => `<li style="margin: 5px 0;"><strong>${item.item}</strong></li>`).join('')}
+              ${majorItems.map(item => `<li style="margin: 5px 0;"><strong>${item.item}</strong>${formatItemNoteHTML(item)}</li>`).join('')}
             </ul>
           </div>
         ` : ''}
@@ -144,7 +137,7 @@ export function formatReportAsHTML(reportData) {
           <div style="margin: 15px 0;">
             <h4 style="color: #d69e2e; margin-bottom: 10px;">🟡 Minor Issues (${minorItems.length}):</h4>
             <ul style="color: #2d3748;">
-              ${minorItems.map(item => `<li style="margin: 5px 0;">${item.item}</li>`).join('')}
+              ${minorItems.map(item => `<li style="margin: 5px 0;">${item.item}${formatItemNoteHTML(item)}</li>`).join('')}
             </ul>
           </div>
         ` : ''}
@@ -229,6 +222,12 @@ export function formatReportAsText(reportData) {
   reportData.forEach((property, index) => {
     text += `\n${index + 1}. ${property.address}\n`;
     text += '-'.repeat(60) + '\n';
+    if (property.lotNumber) {
+      text += `Lot: ${property.lotNumber}\n`;
+    }
+    if (property.ownerName) {
+      text += `Owner: ${property.ownerName}\n`;
+    }
     text += `Review Team: ${property.reviewTeam}\n`;
     text += `Review Date: ${new Date(property.reviewDate).toLocaleDateString()}\n`;
     text += `Submitted By: ${property.submittedBy}\n`;
@@ -247,6 +246,7 @@ export function formatReportAsText(reportData) {
       text += `\n  MAJOR ISSUES (${majorItems.length}):\n`;
       majorItems.forEach(item => {
         text += `    • ${item.item}\n`;
+        text += formatItemNoteText(item);
       });
     }
 
@@ -254,6 +254,7 @@ export function formatReportAsText(reportData) {
       text += `\n  MINOR ISSUES (${minorItems.length}):\n`;
       minorItems.forEach(item => {
         text += `    • ${item.item}\n`;
+        text += formatItemNoteText(item);
       });
     }
 
@@ -290,6 +291,40 @@ export function formatReportAsText(reportData) {
 }
 
 // Helper functions
+function formatItemNoteHTML(item) {
+  if (!item.comment && item.images.length === 0 && item.citations.length === 0) return '';
+
+  const photos = item.images.map((url, idx) =>
+    `<a href="${url}" target="_blank">photo ${idx + 1}</a>`
+  ).join(', ');
+
+  return `
+    <div style="color: #4a5568; font-size: 13px; margin: 3px 0 0 0;">
+      ${item.comment ? `<em>${item.comment}</em>` : ''}
+      ${item.citations.map(citation => `
+        <div style="color: #2c5282; margin-top: 2px;">
+          📜 <strong>${citation.article}</strong>${citation.text ? `: &ldquo;${citation.text}&rdquo;` : ''}
+        </div>
+      `).join('')}
+      ${photos ? `<div>📷 ${photos}</div>` : ''}
+    </div>
+  `;
+}
+
+function formatItemNoteText(item) {
+  let text = '';
+  if (item.comment) {
+    text += `      Note: ${item.comment}\n`;
+  }
+  item.citations.forEach(citation => {
+    text += `      Cites ${formatCitation(citation)}\n`;
+  });
+  item.images.forEach((url, idx) => {
+    text += `      Photo ${idx + 1}: ${url}\n`;
+  });
+  return text;
+}
+
 function formatStatus(status) {
   if (!status) return 'Not specified';
   return status.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
@@ -0,0 +1,101 @@
+// Comparison of two reviews of the same property
+// Used to check a re-inspection against the review that found the violations:
+// each checklist item is classified by how its rating changed between the two.
+
+import { getChecklistForReview, getChecklistItems, VIOLATION_RATINGS } from './checklistSchema';
+import { getItemNote } from './itemNotes';
+import { compareNewestFirst } from './propertyRegistry';
+
+export const CHANGE_TYPES = {
+  RESOLVED: 'resolved',
+  NEW: 'new',
+  STILL_OPEN: 'still-open',
+  NOT_CHECKED: 'not-checked',
+  COMPLIANT: 'compliant'
+};
+
+export const CHANGE_LABELS = {
+  [CHANGE_TYPES.RESOLVED]: 'Resolved',
+  [CHANGE_TYPES.NEW]: 'Newly failing',
+  [CHANGE_TYPES.STILL_OPEN]: 'Still open',
+  [CHANGE_TYPES.NOT_CHECKED]: 'Not re-checked',
+  [CHANGE_TYPES.COMPLIANT]: 'Compliant both times'
+};
+
+const isViolation = value => VIOLATION_RATINGS.includes(value);
+
+function classify(before, after) {
+  if (isViolation(before)) {
+    if (isViolation(after)) return CHANGE_TYPES.STILL_OPEN;
+    return after ? CHANGE_TYPES.RESOLVED : CHANGE_TYPES.NOT_CHECKED;
+  }
+  return isViolation(after) ? CHANGE_TYPES.NEW : CHANGE_TYPES.COMPLIANT;
+}
+
+/**
+ * Order two reviews oldest first, by review date then submission time
+ * @param {Object} a - Review
+ * @param {Object} b - Review
+ * @returns {{earlier: Object, later: Object}}
+ */
+export function orderReviews(a, b) {
+  return compareNewestFirst(a, b) > 0 ? { earlier: a, later: b } : { earlier: b, later: a };
+}
+
+/**
+ * Compare each checklist item of two reviews
+ * Items come from the later review's checklist, followed by any that only the
+ * earlier review's checklist version had.
+ * @param {Object} earlier - Earlier review
+ * @param {Object} later - Later review
+ * @returns {{items: Array<Object>, counts: Object}} items carry key, label,
+ *   section, before, after, change, severity ('worse' | 'better' | '') and
+ *   both item notes; counts are by change type
+ */
+export function compareReviews(earlier, later) {
+  const laterItems = getChecklistItems(getChecklistForReview(later));
+  const laterKeys = new Set(laterItems.map(item => item.key));
+  const checklistItems = [
+    ...laterItems,
+    ...getChecklistItems(getChecklistForReview(earlier)).filter(item => !laterKeys.has(item.key))
+  ];
+
+  const counts = Object.fromEntries(Object.values(CHANGE_TYPES).map(type => [type, 0]));
+
+  const items = checklistItems.map(item => {
+    const before = earlier[item.key] || '';
+    const after = later[item.key] || '';
+    const change = classify(before, after);
+    counts[change] += 1;
+
+    let severity = '';
+    if (change === CHANGE_TYPES.STILL_OPEN && before !== after) {
+      severity = after === 'major' ? 'worse' : 'better';
+    }
+
+    return {
+      key: item.key,
+      label: item.shortLabel,
+      section: item.section,
+      before,
+      after,
+      change,
+      severity,
+      beforeNote: getItemNote(earlier.itemNotes, item.key),
+      afterNote: getItemNote(later.itemNotes, item.key)
+    };
+  });
+
+  return { items, counts };
+}
+
+/**
+ * Number of checklist items rated as a violation in a review
+ * @param {Object} review - Review data
+ * @returns {number}
+ */
+export function countViolations(review) {
+  return getChecklistItems(getChecklistForReview(review))
+    .filter(item => isViolation(review[item.key]))
+    .length;
+}
@@ -0,0 +1,76 @@
+import { CHANGE_TYPES, compareReviews, countViolations, orderReviews } from './reviewComparison';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const earlier = {
+  date: '2024-01-10',
+  submittedAt: '2024-01-10T18:00:00.000Z',
+  paintStucco: 'minor',
+  tileRoof: 'major',
+  gutters: 'minor',
+  windows: 'accept',
+  doors: 'accept',
+  itemNotes: { paintStucco: { comment: 'Peeling by the garage', images: [] } }
+};
+
+const later = {
+  date: '2024-03-02',
+  submittedAt: '2024-03-02T17:00:00.000Z',
+  paintStucco: 'accept',
+  tileRoof: 'minor',
+  gutters: '',
+  windows: 'major',
+  doors: 'accept'
+};
+
+const itemFor = (items, key) => items.find(item => item.key === key);
+
+describe('orderReviews', () => {
+  it('puts the older review first whichever order they are passed in', () => {
+    expect(orderReviews(later, earlier)).toEqual({ earlier, later });
+    expect(orderReviews(earlier, later)).toEqual({ earlier, later });
+  });
+
+  it('orders reviews of the same day by submission time', () => {
+    const morning = { date: '2024-03-02', submittedAt: '2024-03-02T15:00:00.000Z' };
+    expect(orderReviews(later, morning)).toEqual({ earlier: morning, later });
+  });
+});
+
+describe('compareReviews', () => {
+  const { items, counts } = compareReviews(earlier, later);
+
+  it('classifies how each item changed', () => {
+    expect(itemFor(items, 'paintStucco').change).toBe(CHANGE_TYPES.RESOLVED);
+    expect(itemFor(items, 'tileRoof').change).toBe(CHANGE_TYPES.STILL_OPEN);
+    expect(itemFor(items, 'gutters').change).toBe(CHANGE_TYPES.NOT_CHECKED);
+    expect(itemFor(items, 'windows').change).toBe(CHANGE_TYPES.NEW);
+    expect(itemFor(items, 'doors').change).toBe(CHANGE_TYPES.COMPLIANT);
+  });
+
+  it('flags open items whose severity changed', () => {
+    expect(itemFor(items, 'tileRoof').severity).toBe('better');
+    expect(compareReviews({ tileRoof: 'minor' }, { tileRoof: 'major' }).items
+      .find(item => item.key === 'tileRoof').severity).toBe('worse');
+  });
+
+  it('carries both item notes', () => {
+    expect(itemFor(items, 'paintStucco').beforeNote.comment).toBe('Peeling by the garage');
+    expect(itemFor(items, 'paintStucco').afterNote).toEqual({ comment: '', images: [] });
+  });
+
+  it('counts every item once', () => {
+    expect(counts[CHANGE_TYPES.RESOLVED]).toBe(1);
+    expect(counts[CHANGE_TYPES.STILL_OPEN]).toBe(1);
+    expect(counts[CHANGE_TYPES.NOT_CHECKED]).toBe(1);
+    expect(counts[CHANGE_TYPES.NEW]).toBe(1);
+    expect(Object.values(counts).reduce((total, count) => total + count, 0)).toBe(items.length);
+  });
+});
+
+describe('countViolations', () => {
+  it('counts items rated minor or major', () => {
+    expect(countViolations(earlier)).toBe(3);
+    expect(countViolations({})).toBe(0);
+  });
+});
@@ -0,0 +1,269 @@
+// Firestore access for compliance reviews
+// Every write also appends an immutable revision to
+// complianceReviews/{id}/revisions so the full history of a review can be shown
+// and restored. The review records the id of the revision written with it in
+// revisionId, which firestore.rules uses to require one on every write.
+
+import { db, storage } from '../firebase';
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  where,
+  writeBatch
+} from 'firebase/firestore';
+import { ref, deleteObject, listAll } from 'firebase/storage';
+import { getStoredPhotoLocations, REVIEW_PHOTOS_FOLDER } from './photoUpload';
+
+const REVIEWS_COLLECTION = 'complianceReviews';
+const REVISIONS_COLLECTION = 'revisions';
+
+// Bookkeeping fields that change on every write and are not worth diffing
+const UNTRACKED_FIELDS = ['updatedAt', 'updatedBy', 'revisionId'];
+
+/**
+ * Compare two versions of a review field by field
+ * @param {Object} before - Previous document data ({} for a new review)
+ * @param {Object} after - New document data
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields
+ */
+export function diffReviewFields(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (UNTRACKED_FIELDS.includes(field)) return;
+
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+}
+
+function buildRevision(action, changes, snapshot, userEmail, extra = {}) {
+  return {
+    action,
+    changes,
+    snapshot,
+    // Server time, which firestore.rules enforces, so revisions order correctly
+    // whatever the writing device's clock says
+    changedAt: serverTimestamp(),
+    changedBy: userEmail,
+    ...extra
+  };
+}
+
+/**
+ * Create a new review together with its first revision
+ * @param {Object} data - Review data to save
+ * @param {string} userEmail - Email of the user creating the review
+ * @param {string} [reviewId] - Id to create the review under; generated when omitted.
+ *   Passing a stable id makes replaying the same submission idempotent.
+ * @returns {Promise<string>} The new review id
+ */
+export async function createReview(data, userEmail, reviewId) {
+  const reviewRef = reviewId
+    ? doc(db, REVIEWS_COLLECTION, reviewId)
+    : doc(collection(db, REVIEWS_COLLECTION));
+  const revisionRef = doc(collection(reviewRef, REVISIONS_COLLECTION));
+  const saved = { ...data, revisionId: revisionRef.id };
+
+  const batch = writeBatch(db);
+  batch.set(reviewRef, saved);
+  batch.set(revisionRef, buildRevision('created', diffReviewFields({}, saved), saved, userEmail));
+  await batch.commit();
+
+  return reviewRef.id;
+}
+
+/**
+ * Update fields on a review and record what changed
+ * @param {string} reviewId - Review document id
+ * @param {Object|Function} updates - Fields to change, or a function of the
+ *   current data returning them; it may throw to abort the update
+ * @param {string} userEmail - Email of the user making the change
+ * @param {string} [action='updated'] - Revision action to record
+ * @returns {Promise<Array>} The field-level changes that were recorded
+ */
+export async function updateReview(reviewId, updates, userEmail, action = 'updated') {
+  const reviewRef = doc(db, REVIEWS_COLLECTION, reviewId);
+
+  return runTransaction(db, async (transaction) => {
+    const current = await transaction.get(reviewRef);
+    if (!current.exists()) {
+      throw new Error('Review not found. It may have been deleted.');
+    }
+
+    const revisionRef = doc(collection(reviewRef, REVISIONS_COLLECTION));
+    const before = current.data();
+    const after = {
+      ...before,
+      ...(typeof updates === 'function' ? updates(before) : updates),
+      updatedAt: new Date().toISOString(),
+      updatedBy: userEmail,
+      revisionId: revisionRef.id
+    };
+    const changes = diffReviewFields(before, after);
+
+    transaction.update(reviewRef, after);
+    transaction.set(revisionRef, buildRevision(action, changes, after, userEmail));
+
+    return changes;
+  });
+}
+
+/**
+ * Replace a review with the snapshot saved in an earlier revision
+ * The restore itself is recorded as a new revision, so nothing is lost.
+ * @param {string} reviewId - Review document id
+ * @param {Object} revision - Revision from loadRevisions
+ * @param {string} userEmail - Email of the user restoring
+ * @returns {Promise<Object>} The restored document data
+ */
+export async function restoreRevision(reviewId, revision, userEmail) {
+  const reviewRef = doc(db, REVIEWS_COLLECTION, reviewId);
+
+  return runTransaction(db, async (transaction) => {
+    const current = await transaction.get(reviewRef);
+    if (!current.exists()) {
+      throw new Error('Review not found. It may have been deleted.');
+    }
+
+    const revisionRef = doc(collection(reviewRef, REVISIONS_COLLECTION));
+    const restored = {
+      ...revision.snapshot,
+      updatedAt: new Date().toISOString(),
+      updatedBy: userEmail,
+      revisionId: revisionRef.id
+    };
+    const changes = diffReviewFields(current.data(), restored);
+
+    transaction.set(reviewRef, restored);
+    transaction.set(
+      revisionRef,
+      buildRevision('restored', changes, restored, userEmail, { restoredFrom: revision.id })
+    );
+
+    return restored;
+  });
+}
+
+/**
+ * Move a review to the trash. It stays in Firestore and can be restored.
+ * @param {string} reviewId - Review document id
+ * @param {string} userEmail - Email of the user deleting
+ * @returns {Promise<Object>} The fields that were set
+ */
+export async function trashReview(reviewId, userEmail) {
+  const fields = {
+    deleted: true,
+    deletedAt: new Date().toISOString(),
+    deletedBy: userEmail
+  };
+  await updateReview(reviewId, fields, userEmail, 'deleted');
+  return fields;
+}
+
+/**
+ * Take a review back out of the trash
+ * @param {string} reviewId - Review document id
+ * @param {string} userEmail - Email of the user restoring
+ * @returns {Promise<Object>} The fields that were set
+ */
+export async function untrashReview(reviewId, userEmail) {
+  const fields = {
+    deleted: false,
+    deletedAt: null,
+    deletedBy: null
+  };
+  await updateReview(reviewId, fields, userEmail, 'undeleted');
+  return fields;
+}
+
+/**
+ * Permanently remove a review and its photos from Storage
+ * Photos that were removed in earlier edits are deleted too, as is anything
+ * else left in the review's Storage folder. The revisions subcollection is
+ * append-only and is kept as the audit record.
+ * @param {Object} review - Review with id and images
+ * @returns {Promise<void>}
+ */
+export async function purgeReview(review) {
+  const revisions = await loadRevisions(review.id);
+  // Thumbnails and the originals of annotated photos are stored alongside each
+  // photo and go with it; URLs and paths of one object collapse to one full path
+  const photoPaths = new Set();
+  [review, ...revisions.map(revision => revision.snapshot)].forEach(data => {
+    getStoredPhotoLocations(data).forEach(location => {
+      photoPaths.add(ref(storage, location).fullPath);
+    });
+  });
+
+  const folder = await listAll(ref(storage, `${REVIEW_PHOTOS_FOLDER}/${review.id}`));
+  folder.items.forEach(item => photoPaths.add(item.fullPath));
+
+  const results = await Promise.allSettled(
+    [...photoPaths].map(path => deleteObject(ref(storage, path)))
+  );
+
+  // A photo that is already gone is fine; anything else stops the purge so
+  // the review is not removed while its photos are left behind
+  const failed = results.filter(result =>
+    result.status === 'rejected' && result.reason?.code !== 'storage/object-not-found'
+  );
+  if (failed.length > 0) {
+    throw new Error(`Could not delete ${failed.length} photo(s): ${failed[0].reason.message}`);
+  }
+
+  await deleteDoc(doc(db, REVIEWS_COLLECTION, review.id));
+}
+
+/**
+ * Load the revision history of a review, oldest first
+ * @param {string} reviewId - Review document id
+ * @returns {Promise<Array>} Revisions with their ids, changedAt as an ISO string
+ */
+export async function loadRevisions(reviewId) {
+  const q = query(
+    collection(db, REVIEWS_COLLECTION, reviewId, REVISIONS_COLLECTION),
+    orderBy('changedAt', 'asc')
+  );
+  const snapshot = await getDocs(q);
+
+  return snapshot.docs.map(revisionDoc => {
+    // A revision still being written has no server time yet; use the estimate
+    const data = revisionDoc.data({ serverTimestamps: 'estimate' });
+    return {
+      id: revisionDoc.id,
+      ...data,
+      changedAt: data.changedAt.toDate().toISOString()
+    };
+  });
+}
+
+/**
+ * Load the reviews that set a compliance deadline or a re-inspection date
+ * Lets reviewers see what is due without loading every review.
+ * @returns {Promise<Array>} Reviews with their ids
+ */
+export async function loadScheduledReviews() {
+  const snapshots = await Promise.all(['complianceDeadline', 'reinspectionDate'].map(field =>
+    getDocs(query(collection(db, REVIEWS_COLLECTION), where(field, '>', '')))
+  ));
+
+  const byId = new Map();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(reviewDoc => {
+    byId.set(reviewDoc.id, { id: reviewDoc.id, ...reviewDoc.data() });
+  }));
+  return [...byId.values()];
+}
@@ -0,0 +1,33 @@
+// Role definitions shared by the auth context, routes and admin views.
+// Roles are stored per user in Firestore at users/{uid} as { roles: [...] }
+// and enforced server-side by firestore.rules / storage.rules.
+
+export const ROLES = {
+  REVIEWER: 'reviewer',
+  BOARD_ADMIN: 'board-admin',
+  AUDITOR: 'auditor'
+};
+
+export const ROLE_LABELS = {
+  [ROLES.REVIEWER]: 'Reviewer',
+  [ROLES.BOARD_ADMIN]: 'Board Admin',
+  [ROLES.AUDITOR]: 'Read-only Auditor'
+};
+
+// Roles allowed to open the admin portal
+export const ADMIN_PORTAL_ROLES = [ROLES.BOARD_ADMIN, ROLES.AUDITOR];
+
+/**
+ * Check whether a list of granted roles satisfies a requirement.
+ * Board admins satisfy every requirement.
+ * @param {Array<string>} userRoles - Roles granted to the user
+ * @param {string|Array<string>} required - A role, or a list of acceptable roles
+ * @returns {boolean}
+ */
+export function rolesSatisfy(userRoles, required) {
+  if (!userRoles || userRoles.length === 0) return false;
+  if (userRoles.includes(ROLES.BOARD_ADMIN)) return true;
+
+  const accepted = Array.isArray(required) ? required : [required];
+  return accepted.some(role => userRoles.includes(role));
+}
@@ -0,0 +1,152 @@
+// Owner/property roster import
+// The management company's spreadsheet (lot, street address, owner names,
+// mailing address, email) is mapped column by column onto property fields and
+// compared with the registry before anything is written. Rows are matched to
+// registered properties by address, then by lot number, so re-importing after
+// an ownership change updates the existing property - its id, and with it the
+// review history, stays the same.
+
+import { PROPERTY_FIELDS, matchProperty, normalizeAddress, validateProperty } from './propertyRegistry';
+
+export const ROSTER_FIELDS = [
+  { key: 'lotNumber', label: 'Lot number', aliases: ['lot', 'lot no', 'lot number', 'lot num'] },
+  {
+    key: 'address',
+    label: 'Street address',
+    required: true,
+    aliases: ['address', 'street address', 'property address', 'site address', 'street']
+  },
+  { key: 'ownerName', label: 'Owner name(s)', aliases: ['owner', 'owners', 'owner name', 'owner names', 'homeowner', 'name'] },
+  { key: 'mailingAddress', label: 'Mailing address', aliases: ['mailing address', 'mailing', 'mail address', 'owner address'] },
+  { key: 'ownerEmail', label: 'Owner email', aliases: ['email', 'e mail', 'owner email', 'email address'] }
+];
+
+const FIELD_LABELS = Object.fromEntries(ROSTER_FIELDS.map(field => [field.key, field.label]));
+
+function simplifyHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Guess which spreadsheet column holds each property field from the header row
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Column index by field key, -1 when no column matches
+ */
+export function guessColumnMapping(headers) {
+  const simplified = headers.map(simplifyHeader);
+  const used = new Set();
+  const mapping = {};
+
+  ROSTER_FIELDS.forEach(field => {
+    const index = simplified.findIndex((header, i) => !used.has(i) && field.aliases.includes(header));
+    mapping[field.key] = index;
+    if (index !== -1) used.add(index);
+  });
+
+  return mapping;
+}
+
+// Registered property matched by lot number, ignoring case
+function matchLot(properties, lotNumber) {
+  const lot = lotNumber.toLowerCase();
+  return properties.find(property => property.lotNumber && property.lotNumber.toLowerCase() === lot) || null;
+}
+
+// Fields that differ between a registered property and a roster row
+function diffProperty(property, fields) {
+  return PROPERTY_FIELDS
+    .filter(field => {
+      // The same address written differently ("Street" vs "St") is not a change
+      if (field === 'address') return normalizeAddress(fields.address) !== property.normalizedAddress;
+      return (fields[field] || '') !== (property[field] || '');
+    })
+    .map(field => ({
+      field,
+      label: FIELD_LABELS[field],
+      from: property[field] || '',
+      to: fields[field] || ''
+    }));
+}
+
+/**
+ * Dry run of an import: what would be created, updated or skipped
+ * Only mapped columns are compared; a blank cell in a mapped column clears the
+ * value, since the roster is the source of truth for the fields it has.
+ * @param {Array<Array<string>>} rows - Data rows, header row excluded
+ * @param {Object} mapping - Column index by field key (-1 for not in the file)
+ * @param {Array<Object>} properties - Loaded registry
+ * @returns {{creates: Array, updates: Array, unchanged: Array, duplicates: Array, invalid: Array}}
+ *   Each entry carries rowNumber, the spreadsheet line (the header is line 1)
+ */
+export function buildImportPlan(rows, mapping, properties) {
+  const plan = { creates: [], updates: [], unchanged: [], duplicates: [], invalid: [] };
+  const rowByAddress = new Map();
+  const rowByLot = new Map();
+  const rowByProperty = new Map();
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const fields = {};
+    ROSTER_FIELDS.forEach(field => {
+      if (mapping[field.key] >= 0) fields[field.key] = (row[mapping[field.key]] || '').trim();
+    });
+
+    const problems = validateProperty(fields);
+    if (problems.length > 0) {
+      plan.invalid.push({ rowNumber, fields, problems });
+      return;
+    }
+
+    const normalized = normalizeAddress(fields.address);
+    const lot = (fields.lotNumber || '').toLowerCase();
+    const earlierRow = rowByAddress.get(normalized) || (lot && rowByLot.get(lot));
+    if (earlierRow) {
+      plan.duplicates.push({
+        rowNumber,
+        fields,
+        reason: rowByAddress.has(normalized)
+          ? `Same address as row ${earlierRow}`
+          : `Same lot number as row ${earlierRow}`
+      });
+      return;
+    }
+
+    // A row whose address was corrected still finds its property by lot number
+    const property = matchProperty(properties, fields.address) ||
+      (lot ? matchLot(properties, fields.lotNumber) : null);
+
+    if (property && rowByProperty.has(property.id)) {
+      plan.duplicates.push({
+        rowNumber,
+        fields,
+        reason: `Matches ${property.address}, already updated by row ${rowByProperty.get(property.id)}`
+      });
+      return;
+    }
+
+    rowByAddress.set(normalized, rowNumber);
+    if (lot) rowByLot.set(lot, rowNumber);
+
+    if (!property) {
+      plan.creates.push({ rowNumber, fields });
+      return;
+    }
+
+    rowByProperty.set(property.id, rowNumber);
+    const merged = {};
+    PROPERTY_FIELDS.forEach(field => {
+      merged[field] = field in fields ? fields[field] : (property[field] || '');
+    });
+    const changes = diffProperty(property, merged);
+
+    if (changes.length === 0) {
+      plan.unchanged.push({ rowNumber, property });
+    } else {
+      // Keep the registered spelling when only the formatting of the address differs
+      if (!changes.some(change => change.field === 'address')) merged.address = property.address;
+      plan.updates.push({ rowNumber, property, fields: merged, changes });
+    }
+  });
+
+  return plan;
+}
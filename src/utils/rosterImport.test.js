@@ -0,0 +1,76 @@
+import { buildImportPlan, guessColumnMapping } from './rosterImport';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const registered = {
+  id: '123-main-st',
+  address: '123 Main Street',
+  normalizedAddress: '123 main st',
+  lotNumber: '12',
+  ownerName: 'Jane Smith',
+  mailingAddress: '',
+  ownerEmail: 'jane@example.com'
+};
+
+const mapping = guessColumnMapping(['Lot #', 'Property Address', 'Owner Names', 'E-mail']);
+
+describe('guessColumnMapping', () => {
+  it('matches headers by their aliases, ignoring case and punctuation', () => {
+    expect(mapping).toEqual({
+      lotNumber: 0,
+      address: 1,
+      ownerName: 2,
+      mailingAddress: -1,
+      ownerEmail: 3
+    });
+  });
+
+  it('uses each column for one field only', () => {
+    const result = guessColumnMapping(['Address', 'Address']);
+    expect(result.address).toBe(0);
+    expect(result.mailingAddress).toBe(-1);
+  });
+});
+
+describe('buildImportPlan', () => {
+  it('creates properties that are not registered', () => {
+    const plan = buildImportPlan([['14', '125 Main St', 'Ann Lee', '']], mapping, [registered]);
+    expect(plan.creates).toEqual([{
+      rowNumber: 2,
+      fields: { lotNumber: '14', address: '125 Main St', ownerName: 'Ann Lee', ownerEmail: '' }
+    }]);
+  });
+
+  it('treats a differently written address as the same property', () => {
+    const plan = buildImportPlan([['12', '123 Main St.', 'Jane Smith', 'jane@example.com']], mapping, [registered]);
+    expect(plan.unchanged).toEqual([{ rowNumber: 2, property: registered }]);
+  });
+
+  it('updates the owner and keeps the registered spelling of the address', () => {
+    const plan = buildImportPlan([['12', '123 Main St', 'Bob Jones', 'bob@example.com']], mapping, [registered]);
+    expect(plan.updates).toHaveLength(1);
+    expect(plan.updates[0].fields.address).toBe('123 Main Street');
+    expect(plan.updates[0].changes.map(change => change.field)).toEqual(['ownerName', 'ownerEmail']);
+  });
+
+  it('finds a property by lot number when its address was corrected', () => {
+    const plan = buildImportPlan([['12', '123 Main Ave', 'Jane Smith', 'jane@example.com']], mapping, [registered]);
+    expect(plan.updates[0].property).toBe(registered);
+    expect(plan.updates[0].changes.map(change => change.field)).toEqual(['address']);
+  });
+
+  it('reports duplicate rows and invalid rows', () => {
+    const plan = buildImportPlan([
+      ['14', '125 Main St', 'Ann Lee', ''],
+      ['15', '125 Main Street', 'Ann Lee', ''],
+      ['16', '', 'No Address', ''],
+      ['17', '127 Main St', 'Bad Email', 'not-an-email']
+    ], mapping, []);
+
+    expect(plan.creates.map(entry => entry.rowNumber)).toEqual([2]);
+    expect(plan.duplicates).toEqual([
+      expect.objectContaining({ rowNumber: 3, reason: 'Same address as row 2' })
+    ]);
+    expect(plan.invalid.map(entry => entry.rowNumber)).toEqual([4, 5]);
+  });
+});
@@ -0,0 +1,144 @@
+// Maintenance of the photo Storage bucket
+// Finds Storage objects that no review (or earlier revision of one) points
+// at - left over from abandoned uploads, or from before reviews were purged
+// with their photos - so a board admin can delete them.
+
+import { db, storage } from '../firebase';
+import { collection, collectionGroup, getDocs, query, where } from 'firebase/firestore';
+import { ref, listAll, getMetadata, deleteObject } from 'firebase/storage';
+import { getStoredPhotoLocations, REVIEW_PHOTOS_FOLDER, LEGACY_PHOTOS_FOLDER } from './photoUpload';
+
+// Newer unreferenced photos may belong to a submission still waiting in a
+// reviewer's offline queue, so they are listed but not selected by default
+export const ORPHAN_GRACE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function listAllRecursive(folderRef) {
+  const { items, prefixes } = await listAll(folderRef);
+  const nested = await Promise.all(prefixes.map(listAllRecursive));
+  return [...items, ...nested.flat()];
+}
+
+function addReferencedLocations(referenced, data) {
+  getStoredPhotoLocations(data).forEach(location => {
+    try {
+      referenced.add(ref(storage, location).fullPath);
+    } catch (error) {
+      console.error('Ignoring unrecognised photo location:', location, error);
+    }
+  });
+}
+
+/**
+ * Full Storage paths referenced by any review, trashed ones and past revisions included
+ * Every review write appends a revision holding the full review, stamped with
+ * the server's time, so the references added after a scan are found in the
+ * revisions stamped since the newest one it read.
+ * @returns {Promise<Object>} { paths: Set<string>, latestRevisionAt }, to pass
+ *   to deleteOrphanedPhotos
+ */
+async function loadReferencedPaths() {
+  const [reviews, revisions] = await Promise.all([
+    getDocs(collection(db, 'complianceReviews')),
+    // Revisions keep photos that later edits removed, so those are still in use
+    getDocs(collectionGroup(db, 'revisions'))
+  ]);
+
+  const paths = new Set();
+  let latestRevisionAt = null;
+  reviews.docs.forEach(reviewDoc => addReferencedLocations(paths, reviewDoc.data()));
+  revisions.docs.forEach(revisionDoc => {
+    const { snapshot, changedAt } = revisionDoc.data();
+    addReferencedLocations(paths, snapshot);
+    if (!latestRevisionAt || changedAt.toMillis() > latestRevisionAt.toMillis()) {
+      latestRevisionAt = changedAt;
+    }
+  });
+
+  return { paths, latestRevisionAt };
+}
+
+/**
+ * Add the references of the revisions written since a scan
+ * @param {Object} references - From loadReferencedPaths
+ * @returns {Promise<Set<string>>} The scan's paths and the new ones
+ */
+async function refreshReferencedPaths({ paths, latestRevisionAt }) {
+  const revisionsQuery = latestRevisionAt
+    ? query(collectionGroup(db, 'revisions'), where('changedAt', '>=', latestRevisionAt))
+    : collectionGroup(db, 'revisions');
+  const revisions = await getDocs(revisionsQuery);
+
+  const refreshed = new Set(paths);
+  revisions.docs.forEach(revisionDoc => addReferencedLocations(refreshed, revisionDoc.data().snapshot));
+  return refreshed;
+}
+
+/**
+ * Find photos in Storage that no review references
+ * @returns {Promise<Object>} { orphans, references } where orphans are
+ *   { path, name, size, contentType, createdAt, uploadedBy, reviewId, recent },
+ *   oldest first, and references is what the scan found referenced
+ */
+export async function findOrphanedPhotos() {
+  const [references, reviewItems, legacyItems] = await Promise.all([
+    loadReferencedPaths(),
+    listAllRecursive(ref(storage, REVIEW_PHOTOS_FOLDER)),
+    listAllRecursive(ref(storage, LEGACY_PHOTOS_FOLDER))
+  ]);
+
+  const orphans = [...reviewItems, ...legacyItems].filter(item => !references.paths.has(item.fullPath));
+
+  const details = await Promise.all(orphans.map(async item => {
+    const metadata = await getMetadata(item);
+    const custom = metadata.customMetadata || {};
+    return {
+      path: item.fullPath,
+      name: custom.originalName || item.name,
+      size: metadata.size,
+      contentType: metadata.contentType || '',
+      createdAt: metadata.timeCreated,
+      uploadedBy: custom.uploadedBy || '',
+      // Legacy photos carry no metadata; review-scoped ones also have it in the path
+      reviewId: custom.reviewId || '',
+      recent: Date.now() - new Date(metadata.timeCreated) < ORPHAN_GRACE_DAYS * DAY_MS
+    };
+  }));
+
+  return {
+    orphans: details.sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+    references
+  };
+}
+
+/**
+ * Delete orphaned photos
+ * The revisions written since the scan are checked first, so a photo a review
+ * started using in the meantime is skipped rather than deleted.
+ * @param {Array<string>} paths - Full Storage paths from findOrphanedPhotos
+ * @param {Object} references - The references findOrphanedPhotos returned
+ * @returns {Promise<{deleted: Array<string>, skipped: Array<string>,
+ *   failed: Array<{path: string, error: string}>}>}
+ */
+export async function deleteOrphanedPhotos(paths, references) {
+  const referenced = await refreshReferencedPaths(references);
+  const skipped = paths.filter(path => referenced.has(path));
+  const targets = paths.filter(path => !referenced.has(path));
+
+  const results = await Promise.allSettled(
+    targets.map(path => deleteObject(ref(storage, path)))
+  );
+
+  const deleted = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled' || result.reason?.code === 'storage/object-not-found') {
+      deleted.push(targets[index]);
+    } else {
+      failed.push({ path: targets[index], error: result.reason.message });
+    }
+  });
+
+  return { deleted, skipped, failed };
+}
@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+// Replays queued submissions against the Firebase emulators, security rules
+// included. Skipped unless the emulators are running; see `npm run test:emulator`.
+
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { createUserWithEmailAndPassword, signOut } from 'firebase/auth';
+import {
+  collection, disableNetwork, doc, enableNetwork, getDoc, getDocs, setDoc, terminate
+} from 'firebase/firestore';
+import { auth, db } from '../firebase';
+import { enqueueSubmission, flushQueue, listQueuedSubmissions, processSubmission } from './submissionQueue';
+import { resetRecords } from './localDb';
+
+jest.mock('./localDb');
+jest.mock('./photoUpload', () => ({ uploadPhotos: jest.fn(), deleteUploadedPhotos: jest.fn() }));
+jest.mock('./notifications', () => ({ sendReviewNotification: jest.fn() }));
+
+const describeWithEmulators = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+describeWithEmulators('submission queue against the emulators', () => {
+  let testEnv;
+  let reviewer;
+  let online = true;
+
+  const queueReview = (id) => enqueueSubmission({
+    id,
+    formData: { propertyAddress: '123 Main St', propertyId: 'p1', complianceStatus: 'compliant' },
+    photos: []
+  }, reviewer);
+
+  const revisionsOf = async (id) => (await getDocs(collection(db, 'complianceReviews', id, 'revisions'))).docs;
+
+  beforeAll(async () => {
+    // Node has no navigator; the queue reads navigator.onLine
+    global.navigator = { get onLine() { return online; } };
+
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    testEnv = await initializeTestEnvironment({
+      projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
+      firestore: { host, port: Number(port) }
+    });
+
+    const email = `reviewer-${Date.now()}@example.com`;
+    reviewer = (await createUserWithEmailAndPassword(auth, email, 'password')).user;
+    await testEnv.withSecurityRulesDisabled(context =>
+      setDoc(doc(context.firestore(), 'users', reviewer.uid), { email, roles: ['reviewer'] })
+    );
+  });
+
+  beforeEach(() => {
+    resetRecords();
+    online = true;
+  });
+
+  afterAll(async () => {
+    await signOut(auth);
+    await terminate(db);
+    await testEnv?.cleanup();
+    delete global.navigator;
+  });
+
+  it('holds a review queued offline and sends it once back online', async () => {
+    const id = `queued-${Date.now()}`;
+    online = false;
+    await disableNetwork(db);
+    await queueReview(id);
+
+    expect(await flushQueue(reviewer)).toEqual({ submitted: [], failed: 0 });
+
+    online = true;
+    await enableNetwork(db);
+    const { submitted, failed } = await flushQueue(reviewer);
+
+    expect(failed).toBe(0);
+    expect(submitted).toHaveLength(1);
+    const saved = await getDoc(doc(db, 'complianceReviews', id));
+    expect(saved.data()).toMatchObject({ propertyAddress: '123 Main St', submittedBy: reviewer.email });
+    expect((await revisionsOf(id)).map(revision => revision.id)).toEqual([saved.data().revisionId]);
+    expect(await listQueuedSubmissions(reviewer)).toEqual([]);
+  });
+
+  it('does not save a second copy when an entry is replayed after it was saved', async () => {
+    const id = `replayed-${Date.now()}`;
+    await queueReview(id);
+    await processSubmission(id);
+
+    // The tab closed before the queue was cleared
+    await queueReview(id);
+    await processSubmission(id);
+
+    expect(await revisionsOf(id)).toHaveLength(1);
+    expect(await listQueuedSubmissions(reviewer)).toEqual([]);
+  });
+});
@@ -0,0 +1,254 @@
+// Offline-first queue for new review submissions
+// A submitted review is written to IndexedDB (photos included) before anything
+// touches the network, then replayed until Firebase accepts it. Each entry's id
+// is used as the review document id and in its photo paths, so replaying an
+// entry that partly succeeded never creates a second review or photo set.
+
+import { db } from '../firebase';
+import { doc, getDoc } from 'firebase/firestore';
+import { STORES, deleteRecord, getAllRecords, getRecord, putRecord } from './localDb';
+import { createReview } from './reviewStore';
+import { uploadPhotos, deleteUploadedPhotos } from './photoUpload';
+import { attachItemPhotoUrls, flattenItemPhotos } from './itemNotes';
+import { sendReviewNotification } from './notifications';
+import { findPropertyByAddress } from './propertyRegistry';
+import { applyReinspectionOutcome } from './reinspection';
+import { syncCasesFromReview } from './violationCases';
+
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  SUBMITTING: 'submitting',
+  FAILED: 'failed'
+};
+
+// Firestore writes wait indefinitely while offline; give up and retry later instead
+const NETWORK_TIMEOUT_MS = 30000;
+
+// Entries being sent by this tab, so a double click or an "online" event
+// arriving mid-submit cannot send the same entry twice
+const inFlight = new Set();
+
+function withTimeout(promise, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), NETWORK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Store a submission on the device before it is sent
+ * Queuing the same id twice replaces the earlier entry.
+ * @param {Object} submission - { id, formData, photos, itemPhotos }
+ * @param {Object} user - Firebase Auth user submitting the review
+ * @returns {Promise<Object>} The queued entry
+ */
+export async function enqueueSubmission({ id, formData, photos, itemPhotos }, user) {
+  const entry = {
+    id,
+    ownerUid: user.uid,
+    ownerEmail: user.email,
+    formData,
+    photos: photos || [],
+    itemPhotos: itemPhotos || {},
+    uploadedImages: [],
+    status: QUEUE_STATUS.PENDING,
+    attempts: 0,
+    lastError: '',
+    queuedAt: new Date().toISOString()
+  };
+
+  await putRecord(STORES.SUBMISSION_QUEUE, entry);
+  return entry;
+}
+
+/**
+ * List a user's queued submissions, oldest first
+ * @param {Object} user - Firebase Auth user
+ * @returns {Promise<Array>}
+ */
+export async function listQueuedSubmissions(user) {
+  const entries = await getAllRecords(STORES.SUBMISSION_QUEUE);
+  return entries
+    .filter(entry => entry.ownerUid === user.uid)
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+/**
+ * Drop a queued submission without sending it
+ * Photos an earlier attempt already uploaded are deleted from Storage, unless
+ * that attempt also saved the review. When the server cannot be reached they
+ * are left for the orphaned photo cleanup.
+ * @param {string} entryId - Queue entry id
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedSubmission(entryId) {
+  if (inFlight.has(entryId)) {
+    throw new Error('This review is being submitted. Cancel the upload first.');
+  }
+
+  const entry = await getRecord(STORES.SUBMISSION_QUEUE, entryId);
+  await deleteRecord(STORES.SUBMISSION_QUEUE, entryId);
+
+  const uploaded = (entry?.uploadedImages || []).filter(Boolean);
+  if (uploaded.length === 0 || !navigator.onLine) return;
+
+  try {
+    const existing = await withTimeout(
+      getDoc(doc(db, 'complianceReviews', entryId)),
+      'Timed out contacting the server'
+    );
+    if (!existing.exists()) await deleteUploadedPhotos(uploaded);
+  } catch (error) {
+    console.error('Error cleaning up photos of a discarded submission:', entryId, error);
+  }
+}
+
+/**
+ * Send one queued submission: upload its photos, create the review and email the board
+ * On failure the entry stays queued as pending (offline) or failed (anything else).
+ * @param {string} entryId - Queue entry id
+ * @param {Object} [options]
+ * @param {Object} [options.manager] - Upload manager, to pause or cancel the photo uploads
+ * @param {Function} [options.onProgress] - Called with overall 0-100 upload progress
+ * @param {Function} [options.onFileProgress] - Called with per-photo progress (see uploadPhotos)
+ * @param {Function} [options.onStart] - Called once the entry is marked as submitting
+ * @returns {Promise<Object|null>} The saved review data, or null if the entry was already sent
+ */
+export async function processSubmission(entryId, { manager, onProgress, onFileProgress, onStart } = {}) {
+  if (inFlight.has(entryId)) {
+    throw new Error('This review is already being submitted');
+  }
+  inFlight.add(entryId);
+
+  let entry = await getRecord(STORES.SUBMISSION_QUEUE, entryId);
+
+  try {
+    if (!entry) return null;
+
+    entry = {
+      ...entry,
+      status: QUEUE_STATUS.SUBMITTING,
+      attempts: entry.attempts + 1,
+      lastError: ''
+    };
+    await putRecord(STORES.SUBMISSION_QUEUE, entry);
+    onStart?.();
+
+    // A previous attempt may have saved the review but not cleared the queue
+    const existing = await withTimeout(
+      getDoc(doc(db, 'complianceReviews', entry.id)),
+      'Timed out contacting the server'
+    );
+
+    let submitData = existing.exists() ? existing.data() : null;
+
+    if (!submitData) {
+      // General photos first, then item photos; the order is stable across
+      // retries so uploadedImages lines up by index
+      const itemUploads = flattenItemPhotos(entry.itemPhotos);
+      const photos = [...entry.photos, ...itemUploads.map(upload => upload.photo)];
+
+      // Photos that uploaded before a failure or cancel are kept in
+      // uploadedImages, so a retry only sends the rest
+      const imageRecords = await uploadPhotos(photos, {
+        reviewId: entry.id,
+        uploadedBy: entry.ownerEmail,
+        uploaded: entry.uploadedImages,
+        manager,
+        onProgress,
+        onFileProgress,
+        onFileUploaded: async (index, record) => {
+          entry.uploadedImages[index] = record;
+          await putRecord(STORES.SUBMISSION_QUEUE, entry);
+        }
+      });
+      const imageUrls = imageRecords.map(record => record.url);
+
+      // Reviews captured offline for an address missing from the device copy
+      // of the registry are linked now if someone has registered it since
+      const property = entry.formData.propertyId
+        ? null
+        : await findPropertyByAddress(entry.formData.propertyAddress).catch(error => {
+          console.error('Error looking up the property:', error);
+          return null;
+        });
+
+      submitData = {
+        ...entry.formData,
+        ...(property && { propertyId: property.id }),
+        itemNotes: attachItemPhotoUrls(
+          entry.formData.itemNotes || {},
+          itemUploads,
+          imageUrls.slice(entry.photos.length)
+        ),
+        images: imageUrls,
+        imageRecords,
+        imageCount: imageUrls.length,
+        submittedAt: entry.queuedAt,
+        submittedBy: entry.ownerEmail
+      };
+
+      await withTimeout(
+        createReview(submitData, entry.ownerEmail, entry.id),
+        'Timed out saving the review'
+      );
+
+      await sendReviewNotification(submitData);
+    }
+
+    // Also run when an earlier attempt saved the review but stopped before this
+    if (submitData.parentReviewId) {
+      await withTimeout(
+        applyReinspectionOutcome(submitData, entry.id, entry.ownerEmail),
+        'Timed out updating the re-inspected review'
+      );
+    }
+
+    await withTimeout(
+      syncCasesFromReview(submitData, entry.id, entry.ownerEmail),
+      'Timed out updating the violation cases'
+    );
+
+    await deleteRecord(STORES.SUBMISSION_QUEUE, entry.id);
+    return submitData;
+  } catch (error) {
+    if (entry) {
+      await putRecord(STORES.SUBMISSION_QUEUE, {
+        ...entry,
+        status: navigator.onLine ? QUEUE_STATUS.FAILED : QUEUE_STATUS.PENDING,
+        lastError: error.message
+      });
+    }
+    throw error;
+  } finally {
+    inFlight.delete(entryId);
+  }
+}
+
+/**
+ * Send every pending submission for a user, one at a time
+ * Failed entries are left for a manual retry.
+ * @param {Object} user - Firebase Auth user
+ * @returns {Promise<{submitted: Array, failed: number}>}
+ */
+export async function flushQueue(user) {
+  const entries = await listQueuedSubmissions(user);
+  const submitted = [];
+  let failed = 0;
+
+  for (const entry of entries) {
+    if (entry.status === QUEUE_STATUS.FAILED || inFlight.has(entry.id)) continue;
+    if (!navigator.onLine) break;
+
+    try {
+      const review = await processSubmission(entry.id);
+      if (review) submitted.push(review);
+    } catch (error) {
+      console.error('Error replaying queued submission:', entry.id, error);
+      failed++;
+    }
+  }
+
+  return { submitted, failed };
+}
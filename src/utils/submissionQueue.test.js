@@ -0,0 +1,219 @@
+import {
+  QUEUE_STATUS,
+  enqueueSubmission,
+  flushQueue,
+  listQueuedSubmissions,
+  processSubmission,
+  removeQueuedSubmission
+} from './submissionQueue';
+import { resetRecords } from './localDb';
+import { getDoc } from 'firebase/firestore';
+import { createReview } from './reviewStore';
+import { deleteUploadedPhotos, uploadPhotos } from './photoUpload';
+import { sendReviewNotification } from './notifications';
+import { findPropertyByAddress } from './propertyRegistry';
+import { applyReinspectionOutcome } from './reinspection';
+import { syncCasesFromReview } from './violationCases';
+
+jest.mock('../firebase', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => ({
+  doc: (db, collectionName, id) => ({ collectionName, id }),
+  getDoc: jest.fn()
+}));
+jest.mock('./localDb');
+jest.mock('./reviewStore', () => ({ createReview: jest.fn() }));
+jest.mock('./photoUpload', () => ({ uploadPhotos: jest.fn(), deleteUploadedPhotos: jest.fn() }));
+jest.mock('./notifications', () => ({ sendReviewNotification: jest.fn() }));
+jest.mock('./propertyRegistry', () => ({ findPropertyByAddress: jest.fn() }));
+jest.mock('./reinspection', () => ({ applyReinspectionOutcome: jest.fn() }));
+jest.mock('./violationCases', () => ({ syncCasesFromReview: jest.fn() }));
+
+const reviewer = { uid: 'u1', email: 'reviewer@example.com' };
+const photo = (name) => ({ file: { name }, metadata: {} });
+
+// Reviews "saved in Firestore", by id
+let savedReviews;
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(res => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+const setOnline = (online) => jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(online);
+
+const queueReview = (id, fields = {}, photos = []) => enqueueSubmission({
+  id,
+  formData: { propertyAddress: '123 Main St', propertyId: 'p1', ...fields },
+  photos
+}, reviewer);
+
+beforeEach(() => {
+  resetRecords();
+  savedReviews = new Map();
+
+  getDoc.mockImplementation(async ({ id }) => ({
+    exists: () => savedReviews.has(id),
+    data: () => savedReviews.get(id)
+  }));
+  createReview.mockImplementation(async (data, userEmail, reviewId) => {
+    savedReviews.set(reviewId, data);
+    return reviewId;
+  });
+  uploadPhotos.mockImplementation(async (photos) => photos.map(p => ({ url: `https://storage/${p.file.name}` })));
+  deleteUploadedPhotos.mockResolvedValue();
+  sendReviewNotification.mockResolvedValue();
+  findPropertyByAddress.mockResolvedValue(null);
+  applyReinspectionOutcome.mockResolvedValue(true);
+  syncCasesFromReview.mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('enqueueSubmission', () => {
+  it('replaces an entry queued again under the same id', async () => {
+    await queueReview('draft-1', { propertyAddress: '1 Main St' });
+    await queueReview('draft-1', { propertyAddress: '1 Main Street' });
+
+    const entries = await listQueuedSubmissions(reviewer);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ status: QUEUE_STATUS.PENDING, attempts: 0 });
+    expect(entries[0].formData.propertyAddress).toBe('1 Main Street');
+  });
+});
+
+describe('processSubmission', () => {
+  it('saves the review under the entry id and clears the queue', async () => {
+    await queueReview('draft-1', {}, [photo('a.jpg')]);
+
+    const review = await processSubmission('draft-1');
+
+    expect(uploadPhotos).toHaveBeenCalledWith([expect.objectContaining({ file: { name: 'a.jpg' } })],
+      expect.objectContaining({ reviewId: 'draft-1', uploadedBy: reviewer.email }));
+    expect(createReview).toHaveBeenCalledWith(review, reviewer.email, 'draft-1');
+    expect(review).toMatchObject({ images: ['https://storage/a.jpg'], imageCount: 1, submittedBy: reviewer.email });
+    expect(sendReviewNotification).toHaveBeenCalledTimes(1);
+    expect(syncCasesFromReview).toHaveBeenCalledWith(review, 'draft-1', reviewer.email);
+    expect(await listQueuedSubmissions(reviewer)).toEqual([]);
+  });
+
+  it('does not save or upload again when an earlier attempt already saved the review', async () => {
+    await queueReview('draft-1', { parentReviewId: 'r0' }, [photo('a.jpg')]);
+    const saved = { propertyAddress: '123 Main St', parentReviewId: 'r0', images: ['https://storage/a.jpg'] };
+    savedReviews.set('draft-1', saved);
+
+    expect(await processSubmission('draft-1')).toBe(saved);
+
+    expect(uploadPhotos).not.toHaveBeenCalled();
+    expect(createReview).not.toHaveBeenCalled();
+    expect(sendReviewNotification).not.toHaveBeenCalled();
+    // The steps after saving still run, since they may be what failed
+    expect(applyReinspectionOutcome).toHaveBeenCalledWith(saved, 'draft-1', reviewer.email);
+    expect(syncCasesFromReview).toHaveBeenCalledWith(saved, 'draft-1', reviewer.email);
+    expect(await listQueuedSubmissions(reviewer)).toEqual([]);
+  });
+
+  it('returns null for an entry that is no longer queued', async () => {
+    expect(await processSubmission('missing')).toBeNull();
+  });
+
+  it('refuses to send or discard an entry while it is being sent', async () => {
+    await queueReview('draft-1', {}, [photo('a.jpg')]);
+    const upload = deferred();
+    uploadPhotos.mockReturnValueOnce(upload.promise);
+
+    const first = processSubmission('draft-1');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    await expect(processSubmission('draft-1')).rejects.toThrow('already being submitted');
+    await expect(removeQueuedSubmission('draft-1')).rejects.toThrow('being submitted');
+    expect((await listQueuedSubmissions(reviewer))[0].status).toBe(QUEUE_STATUS.SUBMITTING);
+
+    upload.resolve([{ url: 'https://storage/a.jpg' }]);
+    await first;
+    expect(createReview).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks the entry failed when online, and a retry only sends the photos still missing', async () => {
+    await queueReview('draft-1', {}, [photo('a.jpg'), photo('b.jpg')]);
+    uploadPhotos.mockImplementationOnce(async (photos, { onFileUploaded }) => {
+      await onFileUploaded(0, { url: 'https://storage/a.jpg' });
+      throw new Error('b.jpg failed to upload');
+    });
+
+    await expect(processSubmission('draft-1')).rejects.toThrow('b.jpg failed to upload');
+
+    const [failed] = await listQueuedSubmissions(reviewer);
+    expect(failed).toMatchObject({ status: QUEUE_STATUS.FAILED, attempts: 1, lastError: 'b.jpg failed to upload' });
+    expect(failed.uploadedImages).toEqual([{ url: 'https://storage/a.jpg' }]);
+    expect(createReview).not.toHaveBeenCalled();
+
+    await processSubmission('draft-1');
+
+    expect(uploadPhotos).toHaveBeenLastCalledWith(expect.any(Array),
+      expect.objectContaining({ uploaded: [{ url: 'https://storage/a.jpg' }] }));
+    expect(createReview).toHaveBeenCalledTimes(1);
+    expect(await listQueuedSubmissions(reviewer)).toEqual([]);
+  });
+
+  it('leaves the entry pending when the failure came from being offline', async () => {
+    await queueReview('draft-1');
+    getDoc.mockRejectedValueOnce(new Error('Failed to get document because the client is offline.'));
+    setOnline(false);
+
+    await expect(processSubmission('draft-1')).rejects.toThrow('offline');
+
+    expect((await listQueuedSubmissions(reviewer))[0]).toMatchObject({ status: QUEUE_STATUS.PENDING, attempts: 1 });
+  });
+});
+
+describe('flushQueue', () => {
+  it('sends nothing while offline and everything pending once back online', async () => {
+    await queueReview('draft-1');
+    await queueReview('draft-2');
+
+    const onlineSpy = setOnline(false);
+    expect(await flushQueue(reviewer)).toEqual({ submitted: [], failed: 0 });
+    expect(createReview).not.toHaveBeenCalled();
+
+    onlineSpy.mockReturnValue(true);
+    const { submitted, failed } = await flushQueue(reviewer);
+
+    expect(submitted).toHaveLength(2);
+    expect(failed).toBe(0);
+    expect([...savedReviews.keys()].sort()).toEqual(['draft-1', 'draft-2']);
+  });
+
+  it('leaves failed entries for a manual retry', async () => {
+    await queueReview('draft-1');
+    createReview.mockRejectedValueOnce(new Error('permission-denied'));
+    await expect(processSubmission('draft-1')).rejects.toThrow('permission-denied');
+    await queueReview('draft-2');
+
+    const { submitted } = await flushQueue(reviewer);
+
+    expect(submitted).toHaveLength(1);
+    expect(savedReviews.has('draft-2')).toBe(true);
+    expect((await listQueuedSubmissions(reviewer)).map(entry => entry.id)).toEqual(['draft-1']);
+  });
+});
+
+describe('removeQueuedSubmission', () => {
+  it('deletes photos an earlier attempt uploaded unless the review was saved', async () => {
+    await queueReview('draft-1', {}, [photo('a.jpg')]);
+    uploadPhotos.mockImplementationOnce(async (photos, { onFileUploaded }) => {
+      await onFileUploaded(0, { url: 'https://storage/a.jpg' });
+      throw new Error('createReview never ran');
+    });
+    await expect(processSubmission('draft-1')).rejects.toThrow();
+
+    await removeQueuedSubmission('draft-1');
+
+    expect(deleteUploadedPhotos).toHaveBeenCalledWith([{ url: 'https://storage/a.jpg' }]);
+    expect(await listQueuedSubmissions(reviewer)).toEqual([]);
+  });
+});
@@ -0,0 +1,123 @@
+// Bounded-concurrency runner for Storage uploads
+// One manager drives the uploads of one submission: it starts at most
+// UPLOAD_CONCURRENCY files at a time and can pause, resume or cancel every
+// resumable upload task it has started.
+
+// Phones on a weak connection do worse with more parallel uploads than this
+export const UPLOAD_CONCURRENCY = 3;
+
+export const FILE_STATUS = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELED: 'canceled'
+};
+
+// Same code Firebase gives a canceled upload task, so callers check one thing
+export const UPLOAD_CANCELED = 'storage/canceled';
+
+/**
+ * Whether an error came from canceling uploads
+ * @param {Error} error - Upload error
+ * @returns {boolean}
+ */
+export function isUploadCanceled(error) {
+  return error?.code === UPLOAD_CANCELED;
+}
+
+function canceledError() {
+  const error = new Error('Upload canceled');
+  error.code = UPLOAD_CANCELED;
+  return error;
+}
+
+/**
+ * Create an upload manager
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Files uploaded at the same time
+ * @returns {Object} { run, track, pause, resume, cancel, isPaused, isCanceled }
+ */
+export function createUploadManager({ concurrency = UPLOAD_CONCURRENCY } = {}) {
+  const tasks = new Set();
+  let paused = false;
+  let canceled = false;
+  // Workers waiting for a resume before starting their next file
+  const waiting = [];
+
+  const release = () => {
+    waiting.splice(0).forEach(resolve => resolve());
+  };
+
+  const waitForResume = () => new Promise(resolve => waiting.push(resolve));
+
+  const waitUntilRunnable = async () => {
+    while (paused && !canceled) {
+      await waitForResume();
+    }
+    if (canceled) throw canceledError();
+  };
+
+  return {
+    /**
+     * Register a resumable upload task so pause, resume and cancel reach it
+     * @param {Object} task - Firebase UploadTask
+     * @returns {Function} Call once the task has finished
+     */
+    track(task) {
+      if (canceled) task.cancel();
+      else if (paused) task.pause();
+      tasks.add(task);
+      return () => tasks.delete(task);
+    },
+
+    /**
+     * Run worker(index) for every index, at most `concurrency` at a time
+     * A failing worker does not stop the others.
+     * @param {number} count - Number of files
+     * @param {Function} worker - async (index) => void
+     * @returns {Promise<Array<Error|null>>} Error per index, null when it succeeded
+     */
+    async run(count, worker) {
+      const errors = new Array(count).fill(null);
+      let next = 0;
+
+      const runWorker = async () => {
+        while (next < count) {
+          const index = next++;
+          try {
+            await waitUntilRunnable();
+            await worker(index);
+          } catch (error) {
+            errors[index] = error;
+          }
+        }
+      };
+
+      await Promise.all(
+        Array.from({ length: Math.min(concurrency, count) }, runWorker)
+      );
+      return errors;
+    },
+
+    pause() {
+      paused = true;
+      tasks.forEach(task => task.pause());
+    },
+
+    resume() {
+      paused = false;
+      tasks.forEach(task => task.resume());
+      release();
+    },
+
+    cancel() {
+      canceled = true;
+      tasks.forEach(task => task.cancel());
+      release();
+    },
+
+    isPaused: () => paused,
+    isCanceled: () => canceled
+  };
+}
@@ -0,0 +1,123 @@
+import { createUploadManager, isUploadCanceled } from './uploadManager';
+
+// A promise with its resolve/reject exposed, to finish workers one at a time
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const fakeTask = () => ({ pause: jest.fn(), resume: jest.fn(), cancel: jest.fn() });
+
+describe('createUploadManager', () => {
+  it('runs at most `concurrency` workers at a time', async () => {
+    const manager = createUploadManager({ concurrency: 2 });
+    const pending = Array.from({ length: 5 }, deferred);
+    let running = 0;
+    let mostRunning = 0;
+
+    const done = manager.run(5, async (index) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await pending[index].promise;
+      running--;
+    });
+
+    for (const item of pending) {
+      await flush();
+      item.resolve();
+    }
+
+    expect(await done).toEqual([null, null, null, null, null]);
+    expect(mostRunning).toBe(2);
+  });
+
+  it('keeps going after a failure and reports the error by index', async () => {
+    const manager = createUploadManager();
+    const failure = new Error('network');
+
+    const errors = await manager.run(3, async (index) => {
+      if (index === 1) throw failure;
+    });
+
+    expect(errors).toEqual([null, failure, null]);
+  });
+
+  it('holds queued files while paused and starts them on resume', async () => {
+    const manager = createUploadManager({ concurrency: 1 });
+    const started = [];
+
+    manager.pause();
+    const done = manager.run(2, async (index) => {
+      started.push(index);
+    });
+
+    await flush();
+    expect(started).toEqual([]);
+    expect(manager.isPaused()).toBe(true);
+
+    manager.resume();
+    await done;
+    expect(started).toEqual([0, 1]);
+  });
+
+  it('cancels running tasks and fails the files not yet started', async () => {
+    const manager = createUploadManager({ concurrency: 1 });
+    const task = fakeTask();
+    const first = deferred();
+
+    const done = manager.run(3, async (index) => {
+      if (index === 0) {
+        manager.track(task);
+        await first.promise;
+      }
+    });
+
+    await flush();
+    manager.cancel();
+    first.resolve();
+    const errors = await done;
+
+    expect(task.cancel).toHaveBeenCalled();
+    expect(errors[0]).toBeNull();
+    expect(isUploadCanceled(errors[1])).toBe(true);
+    expect(isUploadCanceled(errors[2])).toBe(true);
+  });
+
+  it('pauses, resumes and cancels tracked tasks, including ones tracked afterwards', () => {
+    const manager = createUploadManager();
+    const running = fakeTask();
+    manager.track(running);
+
+    manager.pause();
+    expect(running.pause).toHaveBeenCalled();
+    const late = fakeTask();
+    manager.track(late);
+    expect(late.pause).toHaveBeenCalled();
+
+    manager.resume();
+    expect(running.resume).toHaveBeenCalled();
+
+    manager.cancel();
+    expect(running.cancel).toHaveBeenCalled();
+    const afterCancel = fakeTask();
+    manager.track(afterCancel);
+    expect(afterCancel.cancel).toHaveBeenCalled();
+  });
+
+  it('stops sending pause and cancel to finished tasks', () => {
+    const manager = createUploadManager();
+    const task = fakeTask();
+    const finished = manager.track(task);
+
+    finished();
+    manager.cancel();
+    expect(task.cancel).not.toHaveBeenCalled();
+  });
+});
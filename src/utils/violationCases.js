@@ -0,0 +1,403 @@
+// Violation cases
+// A case follows one checklist item at one property from the review that
+// observed the violation until it is resolved or closed, through the
+// enforcement steps in between. Cases live at violationCases/{id}; the
+// transitions below define which steps may follow which, the dates each step
+// requires and who may take it. firestore.rules mirrors the role checks.
+// Reviews feed cases: a violation opens a case (or reopens a resolved one) and
+// a later Accept rating for the same item resolves it.
+
+import { db } from '../firebase';
+import { collection, doc, getDocs, query, runTransaction, where, writeBatch } from 'firebase/firestore';
+import { ROLES } from './roles';
+import { getChecklistForReview, getChecklistItems, VIOLATION_RATINGS } from './checklistSchema';
+import { compareNewestFirst, normalizeAddress } from './propertyRegistry';
+
+const CASES_COLLECTION = 'violationCases';
+
+export const CASE_STATES = {
+  OBSERVED: 'observed',
+  COURTESY_NOTICE: 'courtesy-notice',
+  FORMAL_NOTICE: 'formal-notice',
+  HEARING: 'hearing',
+  FINE: 'fine',
+  RESOLVED: 'resolved',
+  CLOSED: 'closed'
+};
+
+export const CASE_STATE_LABELS = {
+  [CASE_STATES.OBSERVED]: 'Observed',
+  [CASE_STATES.COURTESY_NOTICE]: 'Courtesy Notice',
+  [CASE_STATES.FORMAL_NOTICE]: 'Formal Notice',
+  [CASE_STATES.HEARING]: 'Hearing',
+  [CASE_STATES.FINE]: 'Fine',
+  [CASE_STATES.RESOLVED]: 'Resolved',
+  [CASE_STATES.CLOSED]: 'Closed'
+};
+
+// Lifecycle order, also used to sort and to pick a property's most advanced case
+export const CASE_STATE_ORDER = Object.values(CASE_STATES);
+
+// States in which the owner still has something to fix
+export const OPEN_CASE_STATES = [
+  CASE_STATES.OBSERVED,
+  CASE_STATES.COURTESY_NOTICE,
+  CASE_STATES.FORMAL_NOTICE,
+  CASE_STATES.HEARING,
+  CASE_STATES.FINE
+];
+
+export const CASE_DATE_LABELS = {
+  courtesyNoticeDate: 'Courtesy notice sent',
+  formalNoticeDate: 'Formal notice sent',
+  complianceDeadline: 'Compliance deadline',
+  hearingDate: 'Hearing date',
+  fineDate: 'Fine imposed',
+  resolvedDate: 'Resolved on',
+  closedDate: 'Closed on'
+};
+
+const resolve = {
+  to: CASE_STATES.RESOLVED,
+  label: 'Mark Resolved',
+  roles: [ROLES.REVIEWER],
+  dates: ['resolvedDate']
+};
+
+const close = (label) => ({
+  to: CASE_STATES.CLOSED,
+  label,
+  roles: [ROLES.BOARD_ADMIN],
+  dates: ['closedDate'],
+  requiresNote: true
+});
+
+// Allowed transitions from each state
+// roles lists who may take the step (board admins may take any), dates the
+// date fields that must be filled in, and requiresNote/requiresFine the other
+// inputs the step needs.
+export const CASE_TRANSITIONS = {
+  [CASE_STATES.OBSERVED]: [
+    {
+      to: CASE_STATES.COURTESY_NOTICE,
+      label: 'Send Courtesy Notice',
+      roles: [ROLES.BOARD_ADMIN],
+      dates: ['courtesyNoticeDate', 'complianceDeadline']
+    },
+    resolve,
+    close('Close Without Action')
+  ],
+  [CASE_STATES.COURTESY_NOTICE]: [
+    {
+      to: CASE_STATES.FORMAL_NOTICE,
+      label: 'Send Formal Notice',
+      roles: [ROLES.BOARD_ADMIN],
+      dates: ['formalNoticeDate', 'complianceDeadline']
+    },
+    resolve,
+    close('Close Without Action')
+  ],
+  [CASE_STATES.FORMAL_NOTICE]: [
+    {
+      to: CASE_STATES.HEARING,
+      label: 'Schedule Hearing',
+      roles: [ROLES.BOARD_ADMIN],
+      dates: ['hearingDate']
+    },
+    resolve,
+    close('Close Without Action')
+  ],
+  [CASE_STATES.HEARING]: [
+    {
+      to: CASE_STATES.FINE,
+      label: 'Impose Fine',
+      roles: [ROLES.BOARD_ADMIN],
+      dates: ['fineDate', 'complianceDeadline'],
+      requiresFine: true
+    },
+    resolve,
+    close('Dismiss')
+  ],
+  [CASE_STATES.FINE]: [
+    resolve,
+    close('Close Case')
+  ],
+  [CASE_STATES.RESOLVED]: [
+    close('Close Case'),
+    {
+      to: CASE_STATES.OBSERVED,
+      label: 'Reopen',
+      roles: [ROLES.REVIEWER],
+      dates: [],
+      requiresNote: true
+    }
+  ],
+  [CASE_STATES.CLOSED]: []
+};
+
+/**
+ * Transitions the user may take from a case's current state
+ * @param {Object} violationCase - Case data
+ * @param {Function} hasRole - Role check from the auth context
+ * @returns {Array<Object>}
+ */
+export function getAvailableTransitions(violationCase, hasRole) {
+  return (CASE_TRANSITIONS[violationCase.state] || []).filter(transition => hasRole(transition.roles));
+}
+
+/**
+ * Check the inputs for a transition
+ * @param {Object} transition - Entry from CASE_TRANSITIONS
+ * @param {Object} input - { dates: { [field]: 'YYYY-MM-DD' }, note, fineAmount }
+ * @returns {Array<string>} Problems, empty when valid
+ */
+export function validateTransition(transition, input) {
+  const problems = transition.dates
+    .filter(field => !input.dates?.[field])
+    .map(field => `${CASE_DATE_LABELS[field]} is required.`);
+
+  if (transition.requiresNote && !input.note?.trim()) {
+    problems.push('Enter a note explaining this step.');
+  }
+  if (transition.requiresFine && !(Number(input.fineAmount) > 0)) {
+    problems.push('Enter the fine amount.');
+  }
+  return problems;
+}
+
+/**
+ * Key shared by every review and case of one property
+ * Reviews not linked to the registry fall back to their normalized address.
+ * @param {Object} review - Review or case data
+ * @returns {string}
+ */
+export function propertyKeyFor(review) {
+  return review.propertyId || `address:${normalizeAddress(review.propertyAddress)}`;
+}
+
+function historyEntry(from, to, userEmail, extra = {}) {
+  return { from, to, at: new Date().toISOString(), by: userEmail, ...extra };
+}
+
+/**
+ * Load every violation case
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadCases() {
+  const snapshot = await getDocs(collection(db, CASES_COLLECTION));
+  return snapshot.docs.map(caseDoc => ({ id: caseDoc.id, ...caseDoc.data() }));
+}
+
+/**
+ * Move a case to another state
+ * Fails if someone else moved the case first, so two people cannot take
+ * conflicting steps at once.
+ * @param {Object} violationCase - Case as loaded
+ * @param {Object} transition - Entry from CASE_TRANSITIONS for its state
+ * @param {Object} input - { dates, note, fineAmount }
+ * @param {string} userEmail - Email of the user taking the step
+ * @returns {Promise<Object>} The saved fields
+ */
+export async function transitionCase(violationCase, transition, input, userEmail) {
+  const problems = validateTransition(transition, input);
+  if (problems.length > 0) throw new Error(problems.join(' '));
+
+  const caseRef = doc(db, CASES_COLLECTION, violationCase.id);
+  const dates = {};
+  transition.dates.forEach(field => {
+    dates[field] = input.dates[field];
+  });
+
+  return runTransaction(db, async (transaction) => {
+    const current = await transaction.get(caseRef);
+    if (!current.exists()) throw new Error('This case no longer exists.');
+
+    const data = current.data();
+    if (data.state !== violationCase.state) {
+      throw new Error(`This case was moved to ${CASE_STATE_LABELS[data.state]} in the meantime. Reload and try again.`);
+    }
+
+    const updates = {
+      state: transition.to,
+      dates: { ...data.dates, ...dates },
+      history: [
+        ...(data.history || []),
+        historyEntry(data.state, transition.to, userEmail, {
+          dates,
+          note: input.note?.trim() || '',
+          ...(transition.requiresFine && { fineAmount: Number(input.fineAmount) })
+        })
+      ],
+      updatedAt: new Date().toISOString(),
+      updatedBy: userEmail
+    };
+    if (transition.requiresFine) updates.fineAmount = Number(input.fineAmount);
+
+    transaction.update(caseRef, updates);
+    return updates;
+  });
+}
+
+/**
+ * Open, update or resolve the cases of a property from a saved review
+ * A violation opens a case for the item, or adds the review to its open case
+ * (reopening it if it was resolved); an Accept rating resolves the item's open
+ * case. Items the review did not rate are left alone. Safe to repeat for the
+ * same review, and an older review never resolves a case a newer one observed.
+ * @param {Object} review - Review data
+ * @param {string} reviewId - Review id
+ * @param {string} userEmail - Email of the user saving the review
+ * @returns {Promise<number>} Number of cases written
+ */
+export async function syncCasesFromReview(review, reviewId, userEmail) {
+  if (review.deleted) return 0;
+
+  const propertyKey = propertyKeyFor(review);
+  const snapshot = await getDocs(query(
+    collection(db, CASES_COLLECTION),
+    where('propertyKey', '==', propertyKey)
+  ));
+  const activeCases = snapshot.docs
+    .map(caseDoc => ({ id: caseDoc.id, ...caseDoc.data() }))
+    .filter(violationCase => violationCase.state !== CASE_STATES.CLOSED);
+
+  const now = new Date().toISOString();
+  const reviewDate = review.date || review.submittedAt || now;
+  const batch = writeBatch(db);
+  let writes = 0;
+
+  getChecklistItems(getChecklistForReview(review)).forEach(item => {
+    const rating = review[item.key];
+    const existing = activeCases.find(violationCase => violationCase.itemKey === item.key);
+
+    if (VIOLATION_RATINGS.includes(rating)) {
+      if (!existing) {
+        batch.set(doc(collection(db, CASES_COLLECTION)), {
+          propertyKey,
+          propertyId: review.propertyId || '',
+          propertyAddress: review.propertyAddress || '',
+          itemKey: item.key,
+          itemLabel: item.shortLabel,
+          severity: rating,
+          state: CASE_STATES.OBSERVED,
+          dates: { observedDate: reviewDate },
+          reviewIds: [reviewId],
+          latestReviewId: reviewId,
+          latestReviewDate: reviewDate,
+          history: [historyEntry(null, CASE_STATES.OBSERVED, userEmail, { reviewId })],
+          openedAt: now,
+          openedBy: userEmail,
+          updatedAt: now,
+          updatedBy: userEmail
+        });
+        writes += 1;
+        return;
+      }
+
+      if (existing.reviewIds.includes(reviewId) && existing.severity === rating) return;
+      if (existing.latestReviewDate > reviewDate) return;
+
+      const reopen = existing.state === CASE_STATES.RESOLVED;
+      batch.update(doc(db, CASES_COLLECTION, existing.id), {
+        severity: rating,
+        reviewIds: [...new Set([...existing.reviewIds, reviewId])],
+        latestReviewId: reviewId,
+        latestReviewDate: reviewDate,
+        ...(reopen && {
+          state: CASE_STATES.OBSERVED,
+          history: [
+            ...(existing.history || []),
+            historyEntry(existing.state, CASE_STATES.OBSERVED, userEmail, {
+              reviewId,
+              note: 'Observed again by a later review'
+            })
+          ]
+        }),
+        updatedAt: now,
+        updatedBy: userEmail
+      });
+      writes += 1;
+      return;
+    }
+
+    if (rating === 'accept' && existing && OPEN_CASE_STATES.includes(existing.state) &&
+        !existing.reviewIds.includes(reviewId) && existing.latestReviewDate <= reviewDate) {
+      batch.update(doc(db, CASES_COLLECTION, existing.id), {
+        state: CASE_STATES.RESOLVED,
+        dates: { ...existing.dates, resolvedDate: reviewDate.split('T')[0] },
+        reviewIds: [...existing.reviewIds, reviewId],
+        latestReviewId: reviewId,
+        latestReviewDate: reviewDate,
+        history: [
+          ...(existing.history || []),
+          historyEntry(existing.state, CASE_STATES.RESOLVED, userEmail, {
+            reviewId,
+            note: 'Rated Accept by a later review'
+          })
+        ],
+        updatedAt: now,
+        updatedBy: userEmail
+      });
+      writes += 1;
+    }
+  });
+
+  if (writes > 0) await batch.commit();
+  return writes;
+}
+
+/**
+ * Build cases from reviews saved before cases existed
+ * Reviews are replayed oldest first so later ones resolve earlier findings.
+ * @param {Array<Object>} reviews - Reviews with their ids
+ * @param {string} userEmail - Email of the board admin running it
+ * @param {Function} [onProgress] - Called with (done, total)
+ * @returns {Promise<number>} Number of cases written
+ */
+export async function syncCasesFromReviews(reviews, userEmail, onProgress) {
+  const ordered = reviews.filter(review => !review.deleted).sort(compareNewestFirst).reverse();
+  let writes = 0;
+
+  for (let i = 0; i < ordered.length; i++) {
+    writes += await syncCasesFromReview(ordered[i], ordered[i].id, userEmail);
+    onProgress?.(i + 1, ordered.length);
+  }
+  return writes;
+}
+
+/**
+ * Cases a review observed, resolved or updated
+ * @param {Array<Object>} cases - Loaded cases
+ * @param {string} reviewId - Review id
+ * @returns {Array<Object>}
+ */
+export function casesForReview(cases, reviewId) {
+  return cases.filter(violationCase => violationCase.reviewIds?.includes(reviewId));
+}
+
+/**
+ * Whether a set of case states passes a case state filter
+ * @param {Array<string>} states - States of the cases linked to a review
+ * @param {string} filter - A case state, 'open' for any unresolved case or
+ *   'none' for no cases at all
+ * @returns {boolean}
+ */
+export function matchesCaseStateFilter(states, filter) {
+  if (filter === 'none') return states.length === 0;
+  if (filter === 'open') return states.some(state => OPEN_CASE_STATES.includes(state));
+  return states.includes(filter);
+}
+
+/**
+ * Sort comparator putting open cases first, most advanced state first
+ * @param {Object} a - Case
+ * @param {Object} b - Case
+ * @returns {number}
+ */
+export function compareCases(a, b) {
+  const rank = violationCase => (OPEN_CASE_STATES.includes(violationCase.state)
+    ? OPEN_CASE_STATES.indexOf(violationCase.state) + 1
+    : -CASE_STATE_ORDER.indexOf(violationCase.state));
+  return rank(b) - rank(a) ||
+    (a.propertyAddress || '').localeCompare(b.propertyAddress || '', undefined, { numeric: true });
+}
@@ -0,0 +1,118 @@
+import {
+  CASE_DATE_LABELS,
+  CASE_STATES,
+  CASE_TRANSITIONS,
+  OPEN_CASE_STATES,
+  compareCases,
+  getAvailableTransitions,
+  matchesCaseStateFilter,
+  validateTransition
+} from './violationCases';
+import { ROLES, rolesSatisfy } from './roles';
+
+jest.mock('../firebase', () => ({ db: {} }));
+
+const hasRoleFor = (userRoles) => (required) => rolesSatisfy(userRoles, required);
+const targets = (transitions) => transitions.map(transition => transition.to);
+
+describe('CASE_TRANSITIONS', () => {
+  it('defines transitions for every state, to known states only', () => {
+    expect(Object.keys(CASE_TRANSITIONS).sort()).toEqual(Object.values(CASE_STATES).sort());
+    Object.values(CASE_TRANSITIONS).flat().forEach(transition => {
+      expect(Object.values(CASE_STATES)).toContain(transition.to);
+      transition.dates.forEach(field => expect(CASE_DATE_LABELS).toHaveProperty(field));
+    });
+  });
+
+  it('ends at closed', () => {
+    expect(CASE_TRANSITIONS[CASE_STATES.CLOSED]).toEqual([]);
+  });
+
+  it('lets every open case be resolved or closed', () => {
+    OPEN_CASE_STATES.forEach(state => {
+      expect(targets(CASE_TRANSITIONS[state])).toEqual(
+        expect.arrayContaining([CASE_STATES.RESOLVED, CASE_STATES.CLOSED])
+      );
+    });
+  });
+
+  it('only lets reviewers resolve open cases and reopen resolved ones, as firestore.rules does', () => {
+    Object.entries(CASE_TRANSITIONS).forEach(([from, transitions]) => {
+      transitions
+        .filter(transition => transition.roles.includes(ROLES.REVIEWER))
+        .forEach(transition => {
+          if (transition.to === CASE_STATES.RESOLVED) {
+            expect(OPEN_CASE_STATES).toContain(from);
+          } else {
+            expect([from, transition.to]).toEqual([CASE_STATES.RESOLVED, CASE_STATES.OBSERVED]);
+          }
+        });
+    });
+  });
+});
+
+describe('getAvailableTransitions', () => {
+  it('offers reviewers only the steps they may take', () => {
+    const reviewer = hasRoleFor([ROLES.REVIEWER]);
+    expect(targets(getAvailableTransitions({ state: CASE_STATES.OBSERVED }, reviewer)))
+      .toEqual([CASE_STATES.RESOLVED]);
+    expect(targets(getAvailableTransitions({ state: CASE_STATES.RESOLVED }, reviewer)))
+      .toEqual([CASE_STATES.OBSERVED]);
+  });
+
+  it('offers board admins every step', () => {
+    const admin = hasRoleFor([ROLES.BOARD_ADMIN]);
+    expect(getAvailableTransitions({ state: CASE_STATES.HEARING }, admin))
+      .toEqual(CASE_TRANSITIONS[CASE_STATES.HEARING]);
+  });
+
+  it('offers auditors nothing', () => {
+    const auditor = hasRoleFor([ROLES.AUDITOR]);
+    Object.values(CASE_STATES).forEach(state => {
+      expect(getAvailableTransitions({ state }, auditor)).toEqual([]);
+    });
+  });
+});
+
+describe('validateTransition', () => {
+  const fine = CASE_TRANSITIONS[CASE_STATES.HEARING].find(transition => transition.to === CASE_STATES.FINE);
+  const reopen = CASE_TRANSITIONS[CASE_STATES.RESOLVED].find(transition => transition.to === CASE_STATES.OBSERVED);
+
+  it('requires the dates, note and fine a step needs', () => {
+    expect(validateTransition(fine, { dates: { fineDate: '2024-05-01' }, fineAmount: '0' })).toEqual([
+      'Compliance deadline is required.',
+      'Enter the fine amount.'
+    ]);
+    expect(validateTransition(reopen, { dates: {}, note: '  ' })).toEqual(['Enter a note explaining this step.']);
+  });
+
+  it('accepts complete input', () => {
+    expect(validateTransition(fine, {
+      dates: { fineDate: '2024-05-01', complianceDeadline: '2024-06-01' },
+      fineAmount: '50'
+    })).toEqual([]);
+  });
+});
+
+describe('matchesCaseStateFilter', () => {
+  it('filters by state, any open case or no cases', () => {
+    expect(matchesCaseStateFilter([CASE_STATES.RESOLVED, CASE_STATES.HEARING], 'open')).toBe(true);
+    expect(matchesCaseStateFilter([CASE_STATES.RESOLVED], 'open')).toBe(false);
+    expect(matchesCaseStateFilter([], 'none')).toBe(true);
+    expect(matchesCaseStateFilter([CASE_STATES.FINE], CASE_STATES.FINE)).toBe(true);
+  });
+});
+
+describe('compareCases', () => {
+  it('puts open cases first, most advanced first, then by address', () => {
+    const cases = [
+      { state: CASE_STATES.CLOSED, propertyAddress: '1 Main St' },
+      { state: CASE_STATES.OBSERVED, propertyAddress: '10 Main St' },
+      { state: CASE_STATES.FINE, propertyAddress: '5 Main St' },
+      { state: CASE_STATES.OBSERVED, propertyAddress: '2 Main St' },
+      { state: CASE_STATES.RESOLVED, propertyAddress: '3 Main St' }
+    ];
+    expect([...cases].sort(compareCases).map(c => c.propertyAddress))
+      .toEqual(['5 Main St', '2 Main St', '10 Main St', '3 Main St', '1 Main St']);
+  });
+});